@@ -6,14 +6,36 @@
  */
 
 // App.js - Heart Guard Application Main Entry
-import { StatusBar, useColorScheme } from 'react-native';
+import { useEffect, useState } from 'react';
+import {
+  AppState,
+  StatusBar,
+  StyleSheet,
+  View,
+  useColorScheme,
+} from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
-import { Provider as PaperProvider } from 'react-native-paper';
+import {
+  Provider as PaperProvider,
+  ActivityIndicator,
+} from 'react-native-paper';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import Home from './screens/home/index.js';
 import Settings from './screens/settings/index.js';
 import History from './screens/history/index.js';
+import storageService from './services/storageService';
+import healthService from './services/healthService';
+import migrationService from './services/migrationService';
+import notificationService from './services/notificationService';
+import escalationService from './services/escalationService';
+import localNotificationAdapter from './services/notifications/localNotificationAdapter';
+import notifeeTransport from './services/notifications/notifeeTransport';
+import zoneCoach from './services/zoneCoach';
+import restingHeartRateService from './services/restingHeartRate';
+
+// Roll up history into long-term aggregates at start and then hourly
+const ROLLUP_INTERVAL_MS = 60 * 60 * 1000;
 
 const Tab = createBottomTabNavigator();
 
@@ -30,6 +52,91 @@ const theme = {
 function App() {
   const isDarkMode = useColorScheme() === 'dark';
 
+  const [storageReady, setStorageReady] = useState(false);
+
+  // Upgrade stored data before any screen reads it
+  useEffect(() => {
+    const prepareStorage = async () => {
+      try {
+        await migrationService.run();
+      } catch (error) {
+        // Screens still open on the data as it is
+        console.error('Failed to migrate storage:', error);
+      }
+      healthService.setThresholdProfiles(
+        await storageService.getThresholdProfiles(),
+      );
+      healthService.setUserProfile(await storageService.getUserProfile());
+      healthService.setGoals(await storageService.getGoals());
+      const today = new Date().toDateString();
+      const dailyEnergy = await storageService.getDailyEnergy(1);
+      healthService.restoreEnergy(
+        dailyEnergy.find(entry => entry.date === today),
+      );
+      const settings = await storageService.getUserSettings();
+      storageService.setFlushInterval(settings.saveIntervalSeconds * 1000);
+      healthService.configureAlerts({
+        '*': { sustainMs: settings.alertDelaySeconds * 1000 },
+      });
+      notificationService.configure(settings);
+      escalationService.configure(settings);
+      zoneCoach.configure(settings);
+    };
+    prepareStorage()
+      .catch(error => console.error('Failed to prepare storage:', error))
+      .finally(() => setStorageReady(true));
+  }, []);
+
+  // OS notifications let alerts reach the user while the app is in the
+  // background; without permission they stay with the in-app dialog
+  useEffect(() => {
+    notifeeTransport
+      .setUp()
+      .then(allowed => {
+        if (allowed) {
+          localNotificationAdapter.setTransport(notifeeTransport);
+        }
+      })
+      .catch(error =>
+        console.error('Failed to set up local notifications:', error),
+      );
+    return () => localNotificationAdapter.setTransport(null);
+  }, []);
+
+  // Write queued samples before the app may be suspended or killed
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', state => {
+      if (state !== 'active') {
+        storageService.flush();
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  useEffect(() => {
+    if (!storageReady) {
+      return;
+    }
+    storageService.runRollups();
+    // Days finished since the last start get their resting heart rate
+    restingHeartRateService.refresh();
+    const interval = setInterval(
+      () => storageService.runRollups(),
+      ROLLUP_INTERVAL_MS,
+    );
+    return () => clearInterval(interval);
+  }, [storageReady]);
+
+  if (!storageReady) {
+    return (
+      <PaperProvider>
+        <View style={styles.loading}>
+          <ActivityIndicator size="large" color="#e74c3c" />
+        </View>
+      </PaperProvider>
+    );
+  }
+
   return (
     <PaperProvider>
       <StatusBar barStyle={isDarkMode ? 'light-content' : 'dark-content'} />
@@ -86,4 +193,12 @@ function App() {
   );
 }
 
+const styles = StyleSheet.create({
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
+
 export default App;
@@ -0,0 +1,127 @@
+/**
+ * @format
+ */
+
+import { AlertEngine } from '../services/alertEngine';
+
+const SECOND = 1000;
+
+// Same shape as HealthService.checkHeartRateThreshold with limits 60-100
+const checkHeartRate = value => {
+  if (value > 150) return { status: 'high', severity: 'danger', message: '' };
+  if (value > 100) return { status: 'high', severity: 'warning', message: '' };
+  if (value < 60) return { status: 'low', severity: 'warning', message: '' };
+  return { status: 'normal', severity: 'normal', message: '' };
+};
+
+const createEngine = () =>
+  new AlertEngine({
+    heartRate: {
+      sustainMs: 9 * SECOND,
+      hysteresis: 5,
+      cooldownMs: 60 * SECOND,
+    },
+  });
+
+// Feed readings every 3 seconds and collect the event types
+const feed = (engine, values, start = 0) =>
+  values.flatMap((value, i) =>
+    engine
+      .update('heartRate', value, checkHeartRate, start + i * 3 * SECOND)
+      .map(event => event.type),
+  );
+
+test('short spikes do not fire', () => {
+  const engine = createEngine();
+  expect(feed(engine, [80, 120, 125, 80, 130, 80])).toEqual([]);
+});
+
+test('a sustained condition fires once and clears with hysteresis', () => {
+  const engine = createEngine();
+  expect(feed(engine, [110, 110, 110, 110])).toEqual(['triggered']);
+
+  // 98 is normal but within 5 BPM of the limit, so the alert stays
+  expect(feed(engine, [98, 110, 98], 12 * SECOND)).toEqual([]);
+  expect(engine.getActiveAlert('heartRate').status).toBe('high');
+  expect(feed(engine, [90], 21 * SECOND)).toEqual(['cleared']);
+});
+
+test('repeats are suppressed within the cooldown', () => {
+  const engine = createEngine();
+  expect(feed(engine, [110, 110, 110, 110, 90])).toEqual([
+    'triggered',
+    'cleared',
+  ]);
+  expect(feed(engine, [110, 110, 110, 110], 15 * SECOND)).toEqual([]);
+
+  // Still abnormal once the cooldown has passed
+  expect(feed(engine, [110], 70 * SECOND)).toEqual(['repeated']);
+});
+
+test('a worsening condition escalates without waiting for the cooldown', () => {
+  const engine = createEngine();
+  feed(engine, [110, 110, 110, 110]);
+
+  const escalated = [160, 160, 160, 160].flatMap((value, i) =>
+    engine.update('heartRate', value, checkHeartRate, (12 + i * 3) * SECOND),
+  );
+  expect(escalated).toHaveLength(1);
+  expect(escalated[0]).toMatchObject({ type: 'escalated', severity: 'danger' });
+});
+
+test('alerts report when the condition started and its peak', () => {
+  const engine = createEngine();
+  const events = [110, 118, 112, 111, 90].flatMap((value, i) =>
+    engine.update('heartRate', value, checkHeartRate, i * 3 * SECOND),
+  );
+
+  expect(
+    events.map(event => [event.type, event.since, event.peakValue]),
+  ).toEqual([
+    ['triggered', 0, 118],
+    ['cleared', 0, 118],
+  ]);
+});
+
+// Same shape as HealthService.checkBloodOxygenThreshold with a 95% limit
+const checkBloodOxygen = value => {
+  if (value < 90) {
+    return { status: 'critical', severity: 'danger', message: '' };
+  }
+  if (value < 95) return { status: 'low', severity: 'warning', message: '' };
+  return { status: 'normal', severity: 'normal', message: '' };
+};
+
+const createBloodOxygenEngine = () =>
+  new AlertEngine({ bloodOxygen: { sustainMs: 9 * SECOND, hysteresis: 1 } });
+
+const feedBloodOxygen = (engine, values) =>
+  values.flatMap((value, i) =>
+    engine.update('bloodOxygen', value, checkBloodOxygen, i * 3 * SECOND),
+  );
+
+test('blood oxygen moving between low and critical is one condition', () => {
+  const engine = createBloodOxygenEngine();
+  const events = feedBloodOxygen(engine, [89, 91, 89, 91, 89, 91, 89, 91]);
+
+  expect(events.map(event => [event.type, event.severity])).toEqual([
+    ['triggered', 'warning'],
+  ]);
+  expect(engine.getActiveAlert('bloodOxygen')).toMatchObject({ since: 0 });
+});
+
+test('falling blood oxygen escalates instead of clearing', () => {
+  const engine = createBloodOxygenEngine();
+  const events = feedBloodOxygen(engine, [92, 91, 90, 89, 88, 87, 87, 87]);
+
+  expect(
+    events.map(event => [event.type, event.severity, event.since]),
+  ).toEqual([
+    ['triggered', 'warning', 0],
+    ['escalated', 'danger', 0],
+  ]);
+  expect(engine.getActiveAlert('bloodOxygen')).toMatchObject({
+    status: 'critical',
+    peakValue: 87,
+  });
+});
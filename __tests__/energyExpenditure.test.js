@@ -0,0 +1,95 @@
+/**
+ * @format
+ */
+
+import {
+  ENERGY_MODEL,
+  EnergyExpenditureTracker,
+  heartRateKcalPerMinute,
+  restingKcalPerMinute,
+} from '../services/energyExpenditure';
+import { getCaloriesPerStep } from '../services/userProfile';
+
+const profile = {
+  birthDate: '1984-01-01',
+  sex: 'male',
+  heightCm: 180,
+  weightKg: 80,
+  restingHeartRate: null,
+  fitnessLevel: 'moderate',
+};
+const start = new Date(2024, 5, 15, 9, 0, 0).getTime();
+
+// Feed samples every 6 seconds for the given number of minutes
+const feed = (tracker, minutes, sample, from = start) => {
+  let total = 0;
+  for (let i = 0; i <= minutes * 10; i++) {
+    total = tracker.addSample(sample(i), from + i * 6000);
+  }
+  return total;
+};
+
+const createTracker = () => {
+  const tracker = new EnergyExpenditureTracker();
+  tracker.setProfile(profile);
+  return tracker;
+};
+
+test('a stationary bike workout burns calories without steps', () => {
+  const tracker = createTracker();
+  const now = new Date(start);
+
+  const total = feed(tracker, 10, () => ({ heartRate: 150, steps: 0 }));
+
+  const perMinute = heartRateKcalPerMinute(150, profile, now);
+  expect(perMinute).toBeCloseTo(15.2, 1);
+  expect(total).toBe(Math.round(10 * perMinute));
+  expect(tracker.getSummary().minutes.heartRate).toBeCloseTo(10);
+});
+
+test('at low heart rate resting metabolism and steps are added', () => {
+  const tracker = createTracker();
+  const now = new Date(start);
+
+  feed(tracker, 10, i => ({ heartRate: 80, steps: i * 10 }));
+
+  const { kcal } = tracker.getSummary();
+  expect(kcal.heartRate).toBe(0);
+  expect(kcal.resting).toBeCloseTo(10 * restingKcalPerMinute(profile, now));
+  expect(kcal.steps).toBeCloseTo(1000 * getCaloriesPerStep(profile));
+  // Only the steps count as active calories
+  expect(tracker.getSummary().activeCalories).toBe(Math.round(kcal.steps));
+});
+
+test('gaps while monitoring is stopped are not charged', () => {
+  const tracker = createTracker();
+
+  tracker.addSample({ heartRate: 150, steps: 0 }, start);
+  tracker.addSample({ heartRate: 150, steps: 0 }, start + 60 * 60 * 1000);
+
+  expect(tracker.getTotal()).toBe(0);
+});
+
+test('the daily summary records the model and can be restored', () => {
+  const tracker = createTracker();
+  feed(tracker, 5, () => ({ heartRate: 150, steps: 0 }));
+  const summary = tracker.getSummary();
+
+  expect(summary.model).toEqual({
+    id: ENERGY_MODEL.id,
+    version: ENERGY_MODEL.version,
+  });
+  expect(summary.date).toBe(new Date(start).toDateString());
+
+  // After a restart the day continues from the saved total
+  const restored = createTracker();
+  const later = start + 60 * 60 * 1000;
+  restored.restore(summary, later);
+  feed(restored, 5, () => ({ heartRate: 150, steps: 0 }), later);
+  expect(restored.getTotal()).toBe(Math.round(2 * summary.kcal.heartRate));
+
+  // A summary from another day is ignored
+  const nextDay = createTracker();
+  nextDay.restore(summary, start + 24 * 60 * 60 * 1000);
+  expect(nextDay.getTotal()).toBe(0);
+});
@@ -0,0 +1,98 @@
+/**
+ * @format
+ */
+
+import { AppState, Linking } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import storageService from '../services/storageService';
+import { EscalationService } from '../services/escalationService';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const alert = {
+  alertId: 'bloodOxygen:1000',
+  message:
+    'Blood oxygen level is critical (87%)\nSeek immediate medical attention',
+};
+
+let service;
+
+beforeEach(async () => {
+  jest.useFakeTimers();
+  await AsyncStorage.clear();
+  await storageService.saveEmergencyContacts([
+    { id: '1', name: 'Sam', phone: '+15551234' },
+    { id: '2', name: 'Alex', phone: '+15555678' },
+  ]);
+  service = new EscalationService();
+  service.configure({ escalationDelaySeconds: 30, escalationMethod: 'sms' });
+  jest.spyOn(Linking, 'openURL').mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+test('an unacknowledged alert prepares a message with the latest readings', async () => {
+  expect(await service.start(alert)).toBe(true);
+  service.updateReadings({ heartRate: 120, bloodOxygen: 87 });
+
+  const entry = await service.escalate();
+
+  const url = Linking.openURL.mock.calls[0][0];
+  expect(url.startsWith('sms:+15551234,+15555678')).toBe(true);
+  expect(decodeURIComponent(url)).toContain('Blood oxygen: 87%');
+  expect(entry).toMatchObject({ status: 'prepared', method: 'sms' });
+  expect(await storageService.getEscalationLog()).toEqual([
+    expect.objectContaining({
+      status: 'prepared',
+      alertId: alert.alertId,
+      contacts: [
+        { name: 'Sam', phone: '+15551234' },
+        { name: 'Alex', phone: '+15555678' },
+      ],
+    }),
+  ]);
+  expect(service.getPending()).toBeNull();
+});
+
+test('acknowledging within the countdown cancels the escalation', async () => {
+  const states = [];
+  service.onChange(state => states.push(state));
+  await service.start(alert);
+
+  await service.acknowledge(alert.alertId);
+  jest.advanceTimersByTime(60 * 1000);
+
+  expect(Linking.openURL).not.toHaveBeenCalled();
+  expect(states[0]).toEqual({ alertId: alert.alertId, remainingSeconds: 30 });
+  expect(states[states.length - 1]).toBeNull();
+  expect(await storageService.getEscalationLog()).toEqual([
+    expect.objectContaining({ status: 'cancelled', reason: 'acknowledged' }),
+  ]);
+});
+
+test('nothing starts without emergency contacts', async () => {
+  await storageService.saveEmergencyContacts([]);
+  expect(await service.start(alert)).toBe(false);
+  expect(service.getPending()).toBeNull();
+});
+
+test('an escalation that came due while suspended runs on return', async () => {
+  await service.start(alert);
+  const [[, onAppStateChange]] = AppState.addEventListener.mock.calls;
+
+  // No timer fires while the app is suspended past the deadline
+  jest.setSystemTime(Date.now() + 45 * 1000);
+  await onAppStateChange('active');
+
+  expect(Linking.openURL).toHaveBeenCalledTimes(1);
+  expect(await storageService.getEscalationLog()).toEqual([
+    expect.objectContaining({ status: 'prepared', alertId: alert.alertId }),
+  ]);
+  expect(service.getPending()).toBeNull();
+});
@@ -0,0 +1,74 @@
+/**
+ * @format
+ */
+
+import {
+  DEFAULT_GOALS,
+  createGoalDay,
+  getGoalProgress,
+  getStreak,
+  getWeeklyAttainment,
+  validateGoals,
+} from '../services/goals';
+
+const today = new Date(2024, 5, 15, 18, 0, 0);
+const allMet = {
+  steps: 12000,
+  activeCalories: 450,
+  distance: 9,
+  activeMinutes: 40,
+};
+const stepsOnly = { steps: 11000, activeCalories: 100, distance: 8.5 };
+
+// Goal history with the given totals on each of the last days (oldest first)
+const historyOf = (...days) =>
+  days.map((totals, i) =>
+    createGoalDay(
+      totals,
+      DEFAULT_GOALS,
+      new Date(2024, 5, 15 - (days.length - 1 - i)),
+    ),
+  );
+
+test('progress is capped at the goal and records whether it was met', () => {
+  const progress = getGoalProgress(
+    { steps: 5000, activeCalories: 800, distance: 0, activeMinutes: 30 },
+    DEFAULT_GOALS,
+  );
+
+  expect(progress.steps).toMatchObject({ progress: 0.5, met: false });
+  expect(progress.activeCalories).toMatchObject({ progress: 1, met: true });
+  expect(progress.distance.progress).toBe(0);
+  expect(progress.activeMinutes.met).toBe(true);
+});
+
+test('streaks count consecutive met days', () => {
+  const history = historyOf(allMet, stepsOnly, allMet, allMet, stepsOnly);
+
+  expect(getStreak(history, 'steps', today)).toBe(5);
+  // Today is not over, so yesterday's all-goal streak still counts
+  expect(getStreak(history, null, today)).toBe(2);
+  // A missing day breaks the streak
+  expect(getStreak(history.slice(0, 3), 'steps', today)).toBe(0);
+});
+
+test('weekly attainment counts met days per goal', () => {
+  const history = historyOf(allMet, stepsOnly, {}, allMet);
+  const [previous, current] = getWeeklyAttainment(history, 2, today);
+
+  expect(previous.recorded).toBe(0);
+  expect(current).toMatchObject({
+    start: new Date(2024, 5, 9).getTime(),
+    recorded: 4,
+    met: { steps: 3, activeCalories: 2, distance: 3, activeMinutes: 2 },
+    allMet: 2,
+  });
+});
+
+test('goals outside their range are rejected', () => {
+  expect(validateGoals(DEFAULT_GOALS)).toBeNull();
+  expect(validateGoals({ ...DEFAULT_GOALS, steps: NaN })).toMatch(/Steps/);
+  expect(validateGoals({ ...DEFAULT_GOALS, distance: 500 })).toMatch(
+    /Distance/,
+  );
+});
@@ -0,0 +1,134 @@
+/**
+ * @format
+ */
+
+import healthService from '../services/healthService';
+import HealthDataProvider, {
+  METRICS,
+} from '../services/providers/healthDataProvider';
+import { DEFAULT_THRESHOLD_PROFILES } from '../services/thresholdProfiles';
+
+// Test fixture serving fixed readings for the metrics it is given
+class FixtureProvider extends HealthDataProvider {
+  constructor(id, readings) {
+    super(id, `Fixture ${id}`);
+    this.readings = readings;
+  }
+
+  getCapabilities() {
+    return Object.keys(this.readings);
+  }
+
+  async read(metric) {
+    const value = this.readings[metric];
+    if (value instanceof Error) {
+      throw value;
+    }
+    return value;
+  }
+}
+
+const withProfile = activeProfileId =>
+  healthService.setThresholdProfiles({
+    ...DEFAULT_THRESHOLD_PROFILES,
+    activeProfileId,
+  });
+
+afterEach(async () => {
+  await healthService.setActiveProvider('simulator');
+  healthService.setThresholdProfiles(DEFAULT_THRESHOLD_PROFILES);
+  healthService.resetAlerts();
+});
+
+test('readings come from the active provider', async () => {
+  const fixture = new FixtureProvider('fixture', {
+    [METRICS.HEART_RATE]: 72,
+    [METRICS.BLOOD_OXYGEN]: 98,
+  });
+  healthService.registerProvider(fixture);
+
+  expect(await healthService.setActiveProvider('fixture')).toBe(true);
+  expect(fixture.isInitialized).toBe(true);
+  expect(healthService.getCapabilities()).toEqual(['heartRate', 'bloodOxygen']);
+  expect(healthService.getProviders()).toContainEqual(
+    expect.objectContaining({ id: 'fixture', active: true }),
+  );
+  expect(await healthService.getCurrentHeartRate()).toBe(72);
+  expect(await healthService.getBloodOxygen()).toBe(98);
+  // Metrics the provider lacks read as no data
+  expect(await healthService.getRespiratoryRate()).toBeNull();
+
+  await healthService.setActiveProvider('simulator');
+  expect(fixture.isInitialized).toBe(false);
+});
+
+test('provider errors reach error listeners', async () => {
+  healthService.registerProvider(
+    new FixtureProvider('failing', {
+      [METRICS.HEART_RATE]: new Error('Sensor lost'),
+    }),
+  );
+  await healthService.setActiveProvider('failing');
+  const errors = [];
+  const unsubscribe = healthService.onError(error => errors.push(error));
+
+  await expect(healthService.getCurrentHeartRate()).rejects.toThrow(
+    'Sensor lost',
+  );
+  expect(errors).toHaveLength(1);
+  expect(errors[0]).toMatchObject({
+    providerId: 'failing',
+    metric: 'heartRate',
+  });
+  expect(() => healthService.useProvider('missing')).toThrow(
+    'Unknown health data provider: missing',
+  );
+  unsubscribe();
+});
+
+test('respiratory rate is checked against the active profile limits', () => {
+  withProfile('resting');
+  expect(healthService.checkRespiratoryRate(16).status).toBe('normal');
+  expect(healthService.checkRespiratoryRate(22)).toMatchObject({
+    status: 'high',
+    severity: 'warning',
+  });
+  expect(healthService.checkRespiratoryRate(28).severity).toBe('danger');
+  expect(healthService.getRespiratoryRateStatus(10)).toBe('low');
+
+  // Faster breathing is expected during exercise
+  withProfile('exercise');
+  expect(healthService.checkRespiratoryRate(28).status).toBe('normal');
+});
+
+test('recommendations follow the active profile limits', () => {
+  withProfile('resting');
+  expect(healthService.getHealthRecommendation(130, 94, 6000)).toEqual([
+    'Make sure to rest and avoid overexertion',
+    'Increase outdoor activities and maintain good ventilation indoors',
+  ]);
+
+  withProfile('exercise');
+  expect(healthService.getHealthRecommendation(130, 94, 6000)).toEqual([
+    'Heart rate is normal. Maintain good lifestyle habits',
+  ]);
+});
+
+test('sustained abnormal respiratory rate raises an alert', () => {
+  withProfile('resting');
+  healthService.configureAlerts({ '*': { sustainMs: 6000 } });
+
+  const alerts = [0, 3000, 6000].flatMap(offset =>
+    healthService.evaluateAlerts(
+      { heartRate: 70, bloodOxygen: 98, respiratoryRate: 24 },
+      1000000 + offset,
+    ),
+  );
+
+  expect(alerts).toHaveLength(1);
+  expect(alerts[0]).toMatchObject({
+    type: 'triggered',
+    metric: 'respiratoryRate',
+    status: 'high',
+  });
+});
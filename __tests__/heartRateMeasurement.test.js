@@ -0,0 +1,91 @@
+/**
+ * @format
+ */
+
+import {
+  parseHeartRateMeasurement,
+  parseBodySensorLocation,
+  isValidMeasurement,
+  toHeartRateRecord,
+  toHealthRecord,
+  HeartRateParseError,
+} from '../services/ble/heartRateMeasurement';
+
+test('decodes an 8-bit heart rate without optional fields', () => {
+  expect(parseHeartRateMeasurement([0x00, 72])).toEqual({
+    heartRate: 72,
+    sensorContactSupported: false,
+    sensorContactDetected: false,
+    energyExpended: null,
+    rrIntervals: [],
+  });
+});
+
+test('decodes a 16-bit heart rate', () => {
+  const measurement = parseHeartRateMeasurement([0x01, 0x2c, 0x01]);
+  expect(measurement.heartRate).toBe(300);
+});
+
+test('decodes sensor contact status', () => {
+  const detected = parseHeartRateMeasurement([0x06, 80]);
+  const lost = parseHeartRateMeasurement([0x04, 80]);
+
+  expect(detected.sensorContactSupported).toBe(true);
+  expect(detected.sensorContactDetected).toBe(true);
+  expect(isValidMeasurement(detected)).toBe(true);
+  expect(lost.sensorContactDetected).toBe(false);
+  expect(isValidMeasurement(lost)).toBe(false);
+});
+
+test('decodes energy expended and RR intervals', () => {
+  // flags: contact detected + energy + RR, HR 65, 300 kJ, RR 1024 and 870 (1/1024 s)
+  const measurement = parseHeartRateMeasurement([
+    0x1e, 65, 0x2c, 0x01, 0x00, 0x04, 0x66, 0x03,
+  ]);
+
+  expect(measurement.heartRate).toBe(65);
+  expect(measurement.energyExpended).toBe(300);
+  expect(measurement.rrIntervals).toEqual([1000, 850]);
+});
+
+test('accepts base64 payloads', () => {
+  // [0x10, 60, 0x00, 0x04]
+  expect(parseHeartRateMeasurement('EDwABA==')).toMatchObject({
+    heartRate: 60,
+    rrIntervals: [1000],
+  });
+});
+
+test('rejects truncated payloads', () => {
+  expect(() => parseHeartRateMeasurement([0x00])).toThrow(HeartRateParseError);
+  expect(() => parseHeartRateMeasurement([0x01, 0x48])).toThrow(
+    HeartRateParseError,
+  );
+  expect(() => parseHeartRateMeasurement([0x08, 70, 0x01])).toThrow(
+    HeartRateParseError,
+  );
+  expect(() => parseHeartRateMeasurement([0x10, 70, 0x00])).toThrow(
+    HeartRateParseError,
+  );
+});
+
+test('decodes body sensor location', () => {
+  expect(parseBodySensorLocation([0x01])).toEqual({ code: 1, name: 'Chest' });
+  expect(parseBodySensorLocation([0x09]).name).toBe('Unknown');
+});
+
+test('builds storage records', () => {
+  const measurement = parseHeartRateMeasurement([0x18, 70, 0x0a, 0x00]);
+  const timestamp = Date.UTC(2024, 0, 1);
+
+  expect(toHeartRateRecord(measurement, timestamp)).toEqual({
+    value: 70,
+    timestamp,
+    date: '2024-01-01T00:00:00.000Z',
+  });
+  expect(toHealthRecord(measurement, { code: 1, name: 'Chest' })).toEqual({
+    heartRate: 70,
+    energyExpended: 10,
+    sensorLocation: 'Chest',
+  });
+});
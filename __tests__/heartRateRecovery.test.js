@@ -0,0 +1,67 @@
+/**
+ * @format
+ */
+
+import { HeartRateRecovery } from '../services/heartRateRecovery';
+
+const start = 1000000;
+
+// Feed readings 5 seconds apart from `from` and return the last outcome
+const feed = (recovery, heartRates, from) =>
+  heartRates.reduce(
+    (outcome, heartRate, i) =>
+      recovery.addSample(heartRate, from + i * 5000) ?? outcome,
+    null,
+  );
+
+test('recovery is the drop from the peak at 1 and 2 minutes', () => {
+  const recovery = new HeartRateRecovery();
+  // Exercise, peaking just before the stop
+  feed(recovery, [150, 158, 162, 160], start - 20000);
+
+  recovery.start({ trigger: 'workout', workoutId: 'workout_1' }, start);
+  const readings = Array.from({ length: 25 }, (_, i) => 160 - i * 2);
+  const outcome = feed(recovery, readings, start);
+
+  expect(outcome.status).toBe('completed');
+  expect(outcome.result).toMatchObject({
+    trigger: 'workout',
+    workoutId: 'workout_1',
+    peakHeartRate: 162,
+    heartRate1Min: 136,
+    heartRate2Min: 112,
+    recovery1Min: 26,
+    recovery2Min: 50,
+    low: false,
+  });
+  expect(recovery.getStatus()).toBeNull();
+});
+
+test('a slow first-minute drop is flagged', () => {
+  const recovery = new HeartRateRecovery();
+
+  // Started by hand without earlier readings
+  recovery.start({}, start);
+  const readings = Array.from({ length: 25 }, (_, i) => 140 - i);
+  const { result } = feed(recovery, readings, start);
+
+  expect(result).toMatchObject({
+    trigger: 'manual',
+    peakHeartRate: 140,
+    recovery1Min: 12,
+    low: true,
+  });
+});
+
+test('a minute mark without readings ends the test unfinished', () => {
+  const recovery = new HeartRateRecovery();
+  recovery.start({}, start);
+
+  feed(recovery, [140, 138, 135], start);
+  expect(recovery.getStatus()).toMatchObject({ peakHeartRate: 140 });
+
+  expect(recovery.addSample(null, start + 80000)).toEqual({
+    status: 'missed',
+  });
+  expect(recovery.getStatus()).toBeNull();
+});
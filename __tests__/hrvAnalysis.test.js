@@ -0,0 +1,57 @@
+/**
+ * @format
+ */
+
+import {
+  filterArtifacts,
+  computeRmssd,
+  computeSdnn,
+  computePnn50,
+  computeHrvMetrics,
+  computeHrvTrend,
+} from '../services/hrvAnalysis';
+
+const rr = [800, 820, 790, 860, 800, 810];
+
+test('computes RMSSD from successive differences', () => {
+  // diffs: 20, -30, 70, -60, 10
+  const expected = Math.sqrt((400 + 900 + 4900 + 3600 + 100) / 5);
+  expect(computeRmssd(rr)).toBeCloseTo(expected);
+});
+
+test('computes SDNN as the sample standard deviation', () => {
+  const mean = rr.reduce((a, b) => a + b, 0) / rr.length;
+  const variance =
+    rr.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (rr.length - 1);
+  expect(computeSdnn(rr)).toBeCloseTo(Math.sqrt(variance));
+});
+
+test('computes pNN50', () => {
+  // 2 of 5 differences exceed 50 ms
+  expect(computePnn50(rr)).toBeCloseTo(40);
+});
+
+test('drops implausible beats and artifacts', () => {
+  expect(filterArtifacts([800, 250, 810, 1500, 820, 2500])).toEqual([
+    800, 810, 820,
+  ]);
+});
+
+test('returns empty metrics when there are not enough beats', () => {
+  expect(computeHrvMetrics([800])).toEqual({
+    rmssd: 0,
+    sdnn: 0,
+    pnn50: 0,
+    meanRr: 0,
+    beatCount: 1,
+  });
+});
+
+test('detects a falling short-window trend', () => {
+  const variable = Array.from({ length: 60 }, (_, i) => (i % 2 ? 760 : 840));
+  const steady = Array.from({ length: 60 }, (_, i) => (i % 2 ? 795 : 805));
+  const trend = computeHrvTrend([...variable, ...steady], 60);
+
+  expect(trend.windows).toHaveLength(2);
+  expect(trend.trend).toBe('falling');
+});
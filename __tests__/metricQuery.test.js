@@ -0,0 +1,98 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import storageService from '../services/storageService';
+import {
+  QUERY_METRICS,
+  aggregateSummaries,
+  bucketSummaries,
+  computePercentile,
+} from '../services/metricQuery';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const HOUR = 60 * 60 * 1000;
+
+const sample = (timestamp, value) => ({
+  timestamp,
+  count: 1,
+  sum: value,
+  min: value,
+  max: value,
+  avg: value,
+});
+
+test('percentiles are weighted by sample count', () => {
+  const summaries = [
+    { ...sample(0, 60), count: 8, sum: 480 },
+    sample(1, 100),
+    sample(2, 120),
+  ];
+
+  expect(computePercentile(summaries, 50)).toBe(60);
+  expect(computePercentile(summaries, 90)).toBe(100);
+  expect(computePercentile(summaries, 100)).toBe(120);
+});
+
+test('aggregations cover averages, extremes, trend and percentiles', () => {
+  const values = [60, 62, 61, 80, 82, 84];
+  const summaries = values.map((value, i) => sample(i * 1000, value));
+
+  expect(
+    aggregateSummaries(
+      summaries,
+      ['avg', 'min', 'max', 'count', 'trend', 'p50'],
+      QUERY_METRICS.heartRate,
+    ),
+  ).toEqual({ avg: 72, min: 60, max: 84, count: 6, trend: 'rising', p50: 62 });
+
+  expect(
+    aggregateSummaries([], ['avg', 'count', 'trend'], QUERY_METRICS.heartRate),
+  ).toEqual({ avg: null, count: 0, trend: 'stable' });
+});
+
+test('distance is aggregated in kilometres', () => {
+  const summaries = [1.24, 1.31, 1.62, 1.68].map((value, i) =>
+    sample(i * 1000, value),
+  );
+
+  expect(
+    aggregateSummaries(summaries, ['avg', 'trend'], QUERY_METRICS.distance),
+  ).toEqual({ avg: 1.46, trend: 'rising' });
+});
+
+test('summaries are grouped into buckets', () => {
+  const start = new Date(2024, 4, 1, 10, 15).getTime();
+  const buckets = bucketSummaries(
+    [sample(start, 60), sample(start + HOUR, 70), sample(start + HOUR, 80)],
+    'hour',
+    ['avg', 'count'],
+    QUERY_METRICS.heartRate,
+  );
+
+  expect(buckets.map(b => [b.avg, b.count])).toEqual([
+    [60, 1],
+    [75, 2],
+  ]);
+  expect(buckets[1].end - buckets[1].start).toBe(HOUR);
+});
+
+test('any stored metric can be queried', async () => {
+  await AsyncStorage.clear();
+  await storageService.saveHealthRecord({ heartRate: 70, bloodOxygen: 97 });
+  await storageService.saveHealthRecord({ heartRate: 72, bloodOxygen: 95 });
+
+  const result = await storageService.queryMetric({
+    metric: 'bloodOxygen',
+    bucket: 'day',
+    aggregations: ['avg', 'min'],
+  });
+
+  expect(result.unit).toBe('%');
+  expect(result.total).toEqual({ avg: 96, min: 95 });
+  expect(result.buckets).toHaveLength(1);
+});
@@ -0,0 +1,170 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import migrationService, {
+  MigrationService,
+} from '../services/migrationService';
+import { STORAGE_KEYS } from '../services/storageService';
+import { getPartitionId } from '../services/timeSeriesStore';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const now = Date.UTC(2024, 4, 31, 12, 30);
+const DAY = 24 * 60 * 60 * 1000;
+
+const getJson = async key => JSON.parse(await AsyncStorage.getItem(key));
+
+const getRestingProfile = async () =>
+  (await getJson(STORAGE_KEYS.THRESHOLD_PROFILES)).profiles.find(
+    profile => profile.id === 'resting',
+  );
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('upgrades legacy histories and thresholds step by step', async () => {
+  await AsyncStorage.setItem(
+    STORAGE_KEYS.HEART_RATE_HISTORY,
+    JSON.stringify([
+      { value: 60, timestamp: now - DAY },
+      { value: 70, timestamp: now },
+    ]),
+  );
+  await AsyncStorage.setItem(
+    STORAGE_KEYS.THRESHOLDS,
+    JSON.stringify({ min: 55, max: 110 }),
+  );
+
+  const report = await migrationService.run();
+
+  expect(report).toMatchObject({ fromVersion: 1, toVersion: 4, error: null });
+  expect(await getJson(STORAGE_KEYS.SCHEMA_VERSION)).toBe(4);
+  expect(await AsyncStorage.getItem(STORAGE_KEYS.HEART_RATE_HISTORY)).toBe(
+    null,
+  );
+  expect(await getJson(`${STORAGE_KEYS.HEART_RATE_HISTORY}:index`)).toEqual([
+    getPartitionId(now - DAY),
+    getPartitionId(now),
+  ]);
+  expect(await AsyncStorage.getItem(STORAGE_KEYS.THRESHOLDS)).toBeNull();
+  expect(await getRestingProfile()).toMatchObject({
+    minHeartRate: 55,
+    maxHeartRate: 110,
+    minBloodOxygen: 95,
+  });
+  expect((await migrationService.run()).steps).toHaveLength(0);
+});
+
+test('dry run validates every step without writing', async () => {
+  await AsyncStorage.setItem(
+    STORAGE_KEYS.THRESHOLDS,
+    JSON.stringify({ min: 55, max: 110 }),
+  );
+
+  const report = await migrationService.run({ dryRun: true });
+
+  expect(report.toVersion).toBe(4);
+  expect(report.steps[1].changedKeys).toEqual([STORAGE_KEYS.THRESHOLDS]);
+  expect(report.steps[2].changedKeys).toEqual([
+    STORAGE_KEYS.THRESHOLDS,
+    STORAGE_KEYS.THRESHOLD_PROFILES,
+  ]);
+  expect(await getJson(STORAGE_KEYS.THRESHOLDS)).toEqual({ min: 55, max: 110 });
+  expect(await AsyncStorage.getItem(STORAGE_KEYS.SCHEMA_VERSION)).toBeNull();
+});
+
+test('invalid results are not written and stop at the last good version', async () => {
+  await AsyncStorage.setItem(
+    STORAGE_KEYS.THRESHOLDS,
+    JSON.stringify({ min: 120, max: 100 }),
+  );
+
+  const report = await migrationService.run();
+
+  expect(report.toVersion).toBe(2);
+  expect(report.error).toBe('Invalid thresholds');
+  expect(await getJson(STORAGE_KEYS.SCHEMA_VERSION)).toBe(2);
+  expect(await getJson(STORAGE_KEYS.THRESHOLDS)).toEqual({
+    min: 120,
+    max: 100,
+  });
+});
+
+test('failed writes restore the original values', async () => {
+  await AsyncStorage.setItem('@Test:a', JSON.stringify(1));
+  const service = new MigrationService([
+    {
+      version: 2,
+      description: 'Double a',
+      selectKeys: () => ['@Test:a'],
+      migrate: values => ({ '@Test:a': values['@Test:a'] * 2 }),
+      validate: state => {
+        if (state['@Test:a'] === 2 && service.written) {
+          throw new Error('verify failed');
+        }
+      },
+    },
+  ]);
+  jest.spyOn(service, 'writeChanges').mockImplementation(async changes => {
+    await MigrationService.prototype.writeChanges.call(service, changes);
+    service.written = true;
+  });
+
+  const report = await service.run();
+
+  expect(report.error).toBe('verify failed');
+  expect(await getJson('@Test:a')).toBe(1);
+  expect(await AsyncStorage.getItem(STORAGE_KEYS.MIGRATION_BACKUP)).toBeNull();
+});
+
+test('an interrupted step is rolled back on the next run', async () => {
+  await AsyncStorage.setItem(
+    STORAGE_KEYS.MIGRATION_BACKUP,
+    JSON.stringify({
+      version: 3,
+      entries: [
+        [STORAGE_KEYS.THRESHOLDS, JSON.stringify({ min: 50, max: 90 })],
+      ],
+    }),
+  );
+  await AsyncStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, '2');
+  await AsyncStorage.setItem(STORAGE_KEYS.THRESHOLDS, '{"broken":');
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  await migrationService.run();
+
+  expect(await getRestingProfile()).toMatchObject({
+    minHeartRate: 50,
+    maxHeartRate: 90,
+  });
+});
+
+test('a backup left after the version was stored is not restored', async () => {
+  await AsyncStorage.setItem(
+    STORAGE_KEYS.MIGRATION_BACKUP,
+    JSON.stringify({
+      version: 3,
+      entries: [[STORAGE_KEYS.THRESHOLDS, null]],
+    }),
+  );
+  await AsyncStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, '3');
+  await AsyncStorage.setItem(
+    STORAGE_KEYS.THRESHOLDS,
+    JSON.stringify({ min: 50, max: 90 }),
+  );
+
+  expect(await migrationService.restoreInterrupted()).toBe(false);
+
+  expect(await getJson(STORAGE_KEYS.THRESHOLDS)).toEqual({ min: 50, max: 90 });
+  expect(await AsyncStorage.getItem(STORAGE_KEYS.MIGRATION_BACKUP)).toBeNull();
+});
@@ -0,0 +1,111 @@
+/**
+ * @format
+ */
+
+import { AppState } from 'react-native';
+import notifee from '@notifee/react-native';
+import notificationService, {
+  NotificationService,
+} from '../services/notificationService';
+import RecordingNotificationAdapter from '../services/notifications/recordingNotificationAdapter';
+import inAppNotificationAdapter from '../services/notifications/inAppNotificationAdapter';
+import localNotificationAdapter from '../services/notifications/localNotificationAdapter';
+import notifeeTransport from '../services/notifications/notifeeTransport';
+
+jest.mock('@notifee/react-native', () =>
+  require('@notifee/react-native/jest-mock'),
+);
+
+const createService = ({ inAppAvailable = true } = {}) => {
+  const inApp = new RecordingNotificationAdapter('inApp', {
+    available: inAppAvailable,
+  });
+  const local = new RecordingNotificationAdapter('local');
+  const service = new NotificationService([inApp, local]);
+  service.configure({
+    notifications: true,
+    quietHours: { enabled: true, start: '22:00', end: '07:00' },
+    notificationChannels: {
+      caution: ['inApp'],
+      warning: ['inApp'],
+      danger: ['inApp'],
+    },
+  });
+  return { service, inApp, local };
+};
+
+const notification = severity => ({
+  title: 'Health Warning',
+  message: 'Heart rate is elevated',
+  severity,
+});
+const noon = new Date(2024, 4, 1, 12);
+const midnight = new Date(2024, 4, 1, 0, 30);
+
+test('alerts go to the channels chosen for their severity', async () => {
+  const { service, inApp, local } = createService();
+
+  expect(await service.notify(notification('warning'), noon)).toEqual({
+    delivered: ['inApp'],
+    suppressed: null,
+  });
+  expect(inApp.delivered).toHaveLength(1);
+  expect(local.delivered).toHaveLength(0);
+});
+
+test('the notifications switch silences every alert', async () => {
+  const { service, inApp } = createService();
+  service.configure({ notifications: false });
+
+  const result = await service.notify(notification('danger'), noon);
+  expect(result.suppressed).toBe('disabled');
+  expect(inApp.delivered).toHaveLength(0);
+});
+
+test('only danger alerts get through quiet hours', async () => {
+  const { service } = createService();
+
+  expect(
+    (await service.notify(notification('warning'), midnight)).suppressed,
+  ).toBe('quietHours');
+  expect(
+    (await service.notify(notification('danger'), midnight)).delivered,
+  ).toEqual(['inApp']);
+});
+
+test('danger alerts fall back when the chosen channel is unavailable', async () => {
+  const { service, local } = createService({ inAppAvailable: false });
+
+  expect(
+    (await service.notify(notification('warning'), noon)).delivered,
+  ).toEqual([]);
+  expect(
+    (await service.notify(notification('danger'), noon)).delivered,
+  ).toEqual(['local']);
+  expect(local.delivered).toHaveLength(1);
+});
+
+test('danger alerts reach a system notification while in the background', async () => {
+  const presented = [];
+  const removePresenter = inAppNotificationAdapter.setPresenter(shown =>
+    presented.push(shown),
+  );
+  expect(await notifeeTransport.setUp()).toBe(true);
+  localNotificationAdapter.setTransport(notifeeTransport);
+  const { currentState } = AppState;
+  AppState.currentState = 'background';
+
+  const result = await notificationService.notify(notification('danger'), noon);
+
+  expect(result.delivered).toEqual(['local']);
+  expect(presented).toHaveLength(0);
+  expect(notifee.displayNotification).toHaveBeenCalledWith(
+    expect.objectContaining({
+      body: 'Heart rate is elevated',
+      android: expect.objectContaining({ channelId: 'heartguard-critical' }),
+    }),
+  );
+  AppState.currentState = currentState;
+  localNotificationAdapter.setTransport(null);
+  removePresenter();
+});
@@ -0,0 +1,136 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import storageService from '../services/storageService';
+import {
+  RestingHeartRateService,
+  computeRestingHeartRate,
+  getRestingHeartRateTrend,
+  getRestingReadings,
+} from '../services/restingHeartRate';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const MINUTE_MS = 60 * 1000;
+const start = new Date(2024, 5, 15, 9, 0, 0).getTime();
+
+// One record per minute: [heartRate, steps] pairs
+const recordsOf = (...readings) =>
+  readings.map(([heartRate, steps], i) => ({
+    timestamp: start + i * MINUTE_MS,
+    heartRate,
+    steps,
+  }));
+
+const days = (today, values) =>
+  values.map((restingHeartRate, i) => {
+    const date = new Date(today);
+    date.setDate(date.getDate() - (values.length - 1 - i));
+    return { date: date.toDateString(), restingHeartRate };
+  });
+
+beforeEach(async () => {
+  await storageService.clearAllData();
+  await AsyncStorage.clear();
+});
+
+test('readings count as resting only after five minutes without steps', () => {
+  const records = recordsOf(
+    [90, 100],
+    [88, 150], // walking
+    [80, 150],
+    [75, 150],
+    [70, 150],
+    [66, 150],
+    [62, 150], // five minutes since the last step
+    [60, 150],
+    [95, 180], // walking again
+    [61, 180],
+  );
+
+  expect(getRestingReadings(records)).toEqual([62, 60]);
+});
+
+test('the daily value averages the calmer half of resting readings', () => {
+  const records = recordsOf(
+    ...new Array(14).fill([60, 0]),
+    ...new Array(6).fill([64, 0]),
+    ...new Array(6).fill([70, 0]),
+  );
+
+  // The first record has nothing before it to show it was rested
+  expect(
+    computeRestingHeartRate(records, { settleMs: 0, minSamples: 20 }),
+  ).toEqual({ restingHeartRate: 60, sampleCount: 25 });
+  expect(computeRestingHeartRate(records.slice(0, 10))).toBeNull();
+});
+
+test('a sustained rise over the baseline is noticed', () => {
+  const today = new Date(2024, 5, 15, 12, 0, 0);
+  const baseline = new Array(10).fill(58);
+
+  expect(
+    getRestingHeartRateTrend(days(today, [...baseline, 65, 64, 66]), today),
+  ).toMatchObject({ recent: 65, baseline: 58, rise: 7, elevated: true });
+  // One high day is not enough
+  expect(
+    getRestingHeartRateTrend(days(today, [...baseline, 58, 58, 66]), today)
+      .elevated,
+  ).toBe(false);
+  // Too few days for a baseline
+  expect(getRestingHeartRateTrend(days(today, [58, 58, 66]), today)).toBeNull();
+});
+
+test('refresh stores one entry per day and keeps finished days', async () => {
+  const service = new RestingHeartRateService({ settleMs: 0, minSamples: 3 });
+  await storageService.healthRecordSeries.appendMany(
+    recordsOf([62, 0], [60, 0], [61, 0], [64, 0]),
+  );
+
+  const evening = new Date(2024, 5, 15, 21, 0, 0).getTime();
+  await service.refresh(1, evening);
+  const [day] = await storageService.getRestingHeartRates();
+  expect(day).toMatchObject({
+    date: new Date(start).toDateString(),
+    restingHeartRate: 61,
+    sampleCount: 3,
+  });
+
+  // Computed before the day ended, so it is recomputed the next day
+  const nextDay = evening + 12 * 60 * MINUTE_MS;
+  await service.refresh(2, nextDay);
+  const [recomputed] = await storageService.getRestingHeartRates();
+  expect(recomputed.computedAt).toBe(nextDay);
+});
+
+test('a finished day with too little rest is stored without a value', async () => {
+  const service = new RestingHeartRateService({ settleMs: 0, minSamples: 10 });
+  await storageService.healthRecordSeries.appendMany(
+    recordsOf([62, 0], [60, 0], [61, 0]),
+  );
+  const spy = jest.spyOn(storageService, 'getHealthRecordsInRange');
+
+  // Today is recomputed until it ends
+  const evening = new Date(2024, 5, 15, 21, 0, 0).getTime();
+  await service.refresh(1, evening);
+  expect(await storageService.getRestingHeartRates()).toEqual([]);
+
+  const nextDay = evening + 12 * 60 * MINUTE_MS;
+  await service.refresh(2, nextDay);
+  const [day] = await storageService.getRestingHeartRates();
+  expect(day).toMatchObject({
+    date: new Date(start).toDateString(),
+    restingHeartRate: null,
+    computedAt: nextDay,
+  });
+
+  // Its records are not read again
+  spy.mockClear();
+  await service.refresh(2, nextDay + MINUTE_MS);
+  expect(spy).toHaveBeenCalledTimes(1);
+  spy.mockRestore();
+});
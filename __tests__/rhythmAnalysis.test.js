@@ -0,0 +1,53 @@
+/**
+ * @format
+ */
+
+import {
+  analyzeRhythmWindow,
+  computeTurningPointRatio,
+  RhythmScreener,
+} from '../services/rhythmAnalysis';
+import { createRandom } from '../services/simulator/seededRandom';
+
+const beats = (count, meanRr, jitter, seed) => {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, () =>
+    Math.round(meanRr + (random() * 2 - 1) * jitter),
+  );
+};
+
+test('regular sinus rhythm is not flagged', () => {
+  const window = analyzeRhythmWindow(beats(64, 850, 30, 'regular'));
+  expect(window.irregular).toBe(false);
+});
+
+test('chaotic beat-to-beat intervals are flagged at a normal heart rate', () => {
+  // Mean RR of 750 ms is 80 BPM, well inside the normal heart rate range
+  const window = analyzeRhythmWindow(beats(64, 750, 200, 'chaotic'));
+  expect(window.irregular).toBe(true);
+  expect(window.normalizedRmssd).toBeGreaterThan(0.1);
+});
+
+test('a slow steady drift is not flagged', () => {
+  const drift = Array.from({ length: 64 }, (_, i) => 600 + i * 6);
+  expect(computeTurningPointRatio(drift)).toBe(0);
+  expect(analyzeRhythmWindow(drift).irregular).toBe(false);
+});
+
+test('screener flags only sustained irregularity', () => {
+  const screener = new RhythmScreener({ windowSize: 64, sustainedWindows: 3 });
+
+  expect(screener.addBeats(beats(64, 750, 200, 'a')).irregular).toBe(false);
+  expect(screener.addBeats(beats(64, 750, 200, 'b')).irregular).toBe(false);
+
+  const flagged = screener.addBeats(beats(64, 750, 200, 'c'), 1000);
+  expect(flagged.irregular).toBe(true);
+  expect(flagged.started).toBe(true);
+
+  const continued = screener.addBeats(beats(64, 750, 200, 'd'));
+  expect(continued.started).toBe(false);
+
+  const cleared = screener.addBeats(beats(64, 850, 30, 'e'));
+  expect(cleared.irregular).toBe(false);
+  expect(cleared.ended).toBe(true);
+});
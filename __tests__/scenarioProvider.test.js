@@ -0,0 +1,73 @@
+/**
+ * @format
+ */
+
+import scenarioProvider from '../services/providers/scenarioProvider';
+
+const minutes = n => n * 60 * 1000;
+
+const playScenario = (scenarioId, seed, samples) => {
+  scenarioProvider.configure({ scenarioId, seed, speed: 1 });
+  return Array.from({ length: samples }, (_, i) =>
+    scenarioProvider.getStateAt(i * 3000),
+  );
+};
+
+test('same scenario and seed reproduce the same readings', () => {
+  const first = playScenario('restingDay', 42, 200);
+  const second = playScenario('restingDay', 42, 200);
+  expect(second).toEqual(first);
+});
+
+test('different seeds produce different noise', () => {
+  const first = playScenario('restingDay', 1, 50).map(s => s.heartRate);
+  const second = playScenario('restingDay', 2, 50).map(s => s.heartRate);
+  expect(second).not.toEqual(first);
+});
+
+test('workout follows warm-up, peak and cool-down', () => {
+  scenarioProvider.configure({ scenarioId: 'workout', seed: 7 });
+  const warmUp = scenarioProvider.getStateAt(minutes(1));
+  const peak = scenarioProvider.getStateAt(minutes(15));
+  const coolDown = scenarioProvider.getStateAt(minutes(27));
+
+  expect(warmUp.phase).toBe('warm-up');
+  expect(peak.phase).toBe('peak');
+  expect(coolDown.phase).toBe('cool-down');
+  expect(peak.heartRate).toBeGreaterThan(warmUp.heartRate);
+  expect(peak.steps).toBeGreaterThan(warmUp.steps);
+});
+
+test('readings follow the configured clock and speed', async () => {
+  let now = 0;
+  scenarioProvider.configure({
+    scenarioId: 'tachycardia',
+    seed: 3,
+    speed: 60,
+    clock: () => now,
+  });
+
+  expect(await scenarioProvider.read('heartRate')).toBeLessThan(90);
+  now = 5 * 1000; // 5 minutes of scenario time
+  expect(await scenarioProvider.read('heartRate')).toBeGreaterThan(130);
+});
+
+test('sensor dropout returns no reading and reports an error', async () => {
+  let now = 0;
+  const errors = [];
+  const unsubscribe = scenarioProvider.onError(error => errors.push(error));
+  scenarioProvider.configure({
+    scenarioId: 'sensorDropout',
+    seed: 1,
+    speed: 1,
+    clock: () => now,
+  });
+
+  await scenarioProvider.read('heartRate');
+  now = minutes(2) + 10 * 1000;
+  expect(await scenarioProvider.read('heartRate')).toBeNull();
+  expect(await scenarioProvider.read('steps')).not.toBeNull();
+  expect(errors).toHaveLength(1);
+  expect(errors[0].metric).toBe('heartRate');
+  unsubscribe();
+});
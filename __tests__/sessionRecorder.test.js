@@ -0,0 +1,124 @@
+/**
+ * @format
+ */
+
+import sessionRecorder from '../services/sessionRecorder';
+import replayProvider from '../services/providers/replayProvider';
+
+jest.mock('react-native-fs', () => {
+  const mockFiles = new Map();
+  return {
+    DocumentDirectoryPath: '/documents',
+    mkdir: jest.fn(() => Promise.resolve()),
+    writeFile: jest.fn((path, contents) => {
+      mockFiles.set(path, contents);
+      return Promise.resolve();
+    }),
+    mockFiles,
+    readFile: jest.fn(path =>
+      mockFiles.has(path)
+        ? Promise.resolve(mockFiles.get(path))
+        : Promise.reject(new Error(`No such file: ${path}`)),
+    ),
+  };
+});
+
+const start = 1000000;
+
+// Record readings 3 seconds apart, with an alert at the third one
+const recordSession = async heartRates => {
+  const now = jest.spyOn(Date, 'now');
+  now.mockReturnValue(start);
+  sessionRecorder.start({ providerId: 'simulator' });
+  heartRates.forEach((heartRate, i) => {
+    now.mockReturnValue(start + i * 3000);
+    sessionRecorder.recordSample({ heartRate, bloodOxygen: 97 });
+    if (i === 2) {
+      sessionRecorder.recordAlert({ metric: 'heartRate', status: 'high' });
+    }
+  });
+  const path = await sessionRecorder.stop();
+  now.mockRestore();
+  return path;
+};
+
+test('a recorded session is written to a file and read back', async () => {
+  const path = await recordSession([72, 95, 130, 128]);
+
+  expect(path).toBe('/documents/sessions/session_1000000.json');
+  const session = await sessionRecorder.loadSession(path);
+  expect(session).toMatchObject({
+    providerId: 'simulator',
+    startedAt: start,
+    endedAt: start + 9000,
+    alerts: [{ timestamp: start + 6000, metric: 'heartRate', status: 'high' }],
+  });
+  expect(session.samples.map(sample => sample.heartRate)).toEqual([
+    72, 95, 130, 128,
+  ]);
+  expect(sessionRecorder.isRecording()).toBe(false);
+});
+
+test('replay follows the recorded timing at the chosen speed', async () => {
+  const session = await sessionRecorder.loadSession(
+    await recordSession([72, 95, 130, 128]),
+  );
+  let clock = 0;
+  replayProvider.load(session, { speed: 2, clock: () => clock });
+  await replayProvider.initialize();
+
+  expect(replayProvider.pollingIntervalMs).toBe(1500);
+  const readings = [];
+  for (clock = 0; clock <= 4500; clock += 1500) {
+    readings.push(await replayProvider.read('heartRate'));
+  }
+  expect(readings).toEqual([72, 95, 130, 128]);
+  clock = 4500;
+  expect(await replayProvider.read('bloodOxygen')).toBe(97);
+  expect(replayProvider.getProgress()).toEqual({
+    elapsed: 9000,
+    duration: 9000,
+  });
+});
+
+test('replay reports once when it passes the end of the file', async () => {
+  const session = await sessionRecorder.loadSession(
+    await recordSession([72, 95]),
+  );
+  let clock = 0;
+  replayProvider.load(session, { clock: () => clock });
+  const errors = [];
+  const unsubscribe = replayProvider.onError(error => errors.push(error));
+
+  expect(await replayProvider.read('heartRate')).toBe(72);
+  // The last sample holds for one recorded interval
+  clock = 5999;
+  expect(await replayProvider.read('heartRate')).toBe(95);
+  clock = 6000;
+  expect(await replayProvider.read('heartRate')).toBeNull();
+  expect(await replayProvider.read('heartRate')).toBeNull();
+
+  expect(errors.map(error => error.message)).toEqual(['Replay finished']);
+  unsubscribe();
+});
+
+test('a session without samples writes no file', async () => {
+  sessionRecorder.start();
+  expect(await sessionRecorder.stop()).toBeNull();
+});
+
+test('a session file without samples is rejected', async () => {
+  const RNFS = require('react-native-fs');
+  const path = '/documents/sessions/session_0.json';
+  RNFS.mockFiles.set(
+    path,
+    JSON.stringify({ version: 1, id: 'session_0', samples: [], alerts: [] }),
+  );
+
+  await expect(sessionRecorder.loadSession(path)).rejects.toThrow(
+    'Recorded session has no samples',
+  );
+  expect(() => replayProvider.load({ samples: [] })).toThrow(
+    'Recorded session has no samples',
+  );
+});
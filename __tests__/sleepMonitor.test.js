@@ -0,0 +1,67 @@
+/**
+ * @format
+ */
+
+import { SleepMonitor, getOdiLevel } from '../services/sleepMonitor';
+
+const start = new Date(2024, 5, 15, 23, 0, 0).getTime();
+
+// Feed SpO2 readings 15 seconds apart and collect the events they start
+const feed = (monitor, bloodOxygen, from = start, heartRate = 60) =>
+  bloodOxygen
+    .map((value, i) =>
+      monitor.addSample({ heartRate, bloodOxygen: value }, from + i * 15000),
+    )
+    .filter(Boolean);
+
+test('drops of 3% below the rolling baseline are desaturation events', () => {
+  const monitor = new SleepMonitor();
+  monitor.start(start);
+
+  const events = feed(
+    monitor,
+    [97, 96, 97, 96, 96, 94, 93, 91, 92, 95, 96, 96, 97, 96, 97, 96, 92, 96],
+  );
+
+  expect(events).toHaveLength(2);
+  expect(events[0]).toMatchObject({ baseline: 96, nadir: 93 });
+  const summary = monitor.getSummary(start + 17 * 15000);
+  expect(summary.events[0]).toMatchObject({ nadir: 91 });
+  expect(summary.minBloodOxygen).toBe(91);
+});
+
+test('no events without a baseline or with shallow drops', () => {
+  const monitor = new SleepMonitor();
+  monitor.start(start);
+
+  expect(feed(monitor, [97, 92, 96, 95, 95, 94, 96, 95, 94])).toEqual([]);
+});
+
+test('the morning summary reports ODI and sleeping heart rate', () => {
+  const monitor = new SleepMonitor();
+  monitor.start(start);
+  // One hour at a steady 96% with a single dip
+  const readings = new Array(241).fill(96);
+  readings[100] = 92;
+  feed(monitor, readings.slice(0, 200), start, 62);
+  feed(monitor, readings.slice(200), start + 200 * 15000, 54);
+
+  const summary = monitor.end(start + 240 * 15000);
+
+  expect(summary).toMatchObject({
+    durationMs: 60 * 60 * 1000,
+    monitoredMs: 60 * 60 * 1000,
+    odi: 1,
+    minHeartRate: 54,
+    averageHeartRate: 61,
+    averageBloodOxygen: 96,
+  });
+  expect(summary.timeline).toHaveLength(13);
+  expect(summary.timeline[6]).toEqual({
+    timestamp: start + 30 * 60 * 1000,
+    heartRate: 62,
+    bloodOxygen: 96,
+  });
+  expect(getOdiLevel(summary.odi).level).toBe('normal');
+  expect(monitor.isActive()).toBe(false);
+});
@@ -0,0 +1,141 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import storageService, { STORAGE_KEYS } from '../services/storageService';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+beforeEach(async () => {
+  await storageService.clearAllData();
+  await AsyncStorage.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('samples are queued and written in one batch', async () => {
+  const counts = [];
+  const removeListener = storageService.onPendingChange(count =>
+    counts.push(count),
+  );
+
+  await storageService.saveHeartRateRecord(70);
+  await storageService.saveHeartRateRecord(72);
+  await storageService.saveHealthRecord({ heartRate: 72 });
+  expect(storageService.getPendingCount()).toBe(3);
+
+  const appendMany = jest.spyOn(storageService.heartRateSeries, 'appendMany');
+  await storageService.flush();
+  removeListener();
+
+  expect(storageService.getPendingCount()).toBe(0);
+  expect(appendMany).toHaveBeenCalledTimes(1);
+  expect(appendMany.mock.calls[0][0]).toHaveLength(2);
+  expect(counts).toEqual([1, 2, 3, 1, 0]);
+  expect(
+    (await storageService.getHeartRateHistory()).map(r => r.value),
+  ).toEqual([70, 72]);
+});
+
+test('rollups wait for queued samples and the flush interval', async () => {
+  const now = Date.now();
+  storageService.setFlushInterval(60 * 1000);
+  expect(
+    storageService.getRollupDelay(STORAGE_KEYS.HEART_RATE_HISTORY, now),
+  ).toBe(2 * 60 * 1000);
+
+  jest.spyOn(Date, 'now').mockReturnValue(now - 10 * 60 * 1000);
+  await storageService.saveHeartRateRecord(70);
+  expect(
+    storageService.getRollupDelay(STORAGE_KEYS.HEART_RATE_HISTORY, now),
+  ).toBe(10 * 60 * 1000);
+  storageService.setFlushInterval(15 * 1000);
+});
+
+test('reads include samples that were still queued', async () => {
+  await storageService.saveHeartRateRecord(80);
+  const result = await storageService.queryMetric({ metric: 'heartRate' });
+  expect(result.total).toMatchObject({ count: 1, avg: 80 });
+});
+
+test('overlapping read-modify-write cycles keep every update', async () => {
+  await Promise.all([
+    storageService.saveRhythmEvent({ startTime: 1 }),
+    storageService.saveRhythmEvent({ startTime: 2 }),
+    storageService.updateUserSettings({ recordSessions: true }),
+    storageService.updateUserSettings({ saveIntervalSeconds: 30 }),
+  ]);
+  await storageService.updateRhythmEvent('1', { endTime: 5 });
+
+  const events = await storageService.getRhythmEvents();
+  expect(events.map(e => [e.id, e.endTime])).toEqual([
+    ['1', 5],
+    ['2', null],
+  ]);
+  expect(await storageService.getUserSettings()).toMatchObject({
+    recordSessions: true,
+    saveIntervalSeconds: 30,
+  });
+});
+
+test('alert events are logged and updated', async () => {
+  const id = await storageService.saveAlertEvent({
+    metric: 'heartRate',
+    startTime: 1000,
+    severity: 'warning',
+    message: 'Heart rate is elevated',
+    peakValue: 110,
+  });
+  await storageService.updateAlertEvent(id, { endTime: 5000, peakValue: 125 });
+  await storageService.updateAlertEvent(id, { acknowledgedAt: 6000 });
+
+  expect(await storageService.getAlertEvents()).toEqual([
+    expect.objectContaining({
+      id: 'heartRate:1000',
+      endTime: 5000,
+      peakValue: 125,
+      acknowledgedAt: 6000,
+    }),
+  ]);
+});
+
+test('daily energy keeps one entry per day', async () => {
+  const summary = {
+    date: 'Sat Jun 15 2024',
+    calories: 120,
+    model: { id: 'keytel-mifflin-steps', version: 1 },
+  };
+  await storageService.saveDailyEnergy(summary);
+  await storageService.saveDailyEnergy({ ...summary, calories: 180 });
+
+  expect(await storageService.getDailyEnergy()).toEqual([
+    expect.objectContaining({ date: 'Sat Jun 15 2024', calories: 180 }),
+  ]);
+});
+
+test('a list that cannot be read is not overwritten', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await AsyncStorage.setItem(STORAGE_KEYS.WORKOUTS, '[{"id":');
+
+  expect(await storageService.saveWorkout({ id: 'w1', startedAt: 1 })).toBe(
+    null,
+  );
+  expect(await AsyncStorage.getItem(STORAGE_KEYS.WORKOUTS)).toBe('[{"id":');
+});
+
+test('lists keep only their newest entries', async () => {
+  const old = Array.from({ length: 2000 }, (_, i) => ({ id: `w${i}` }));
+  await AsyncStorage.setItem(STORAGE_KEYS.WORKOUTS, JSON.stringify(old));
+
+  await storageService.saveWorkout({ id: 'latest', startedAt: 1 });
+
+  const workouts = await storageService.getWorkouts();
+  expect(workouts).toHaveLength(2000);
+  expect(workouts[0].id).toBe('w1');
+  expect(workouts[1999].id).toBe('latest');
+});
@@ -0,0 +1,69 @@
+/**
+ * @format
+ */
+
+import {
+  DEFAULT_THRESHOLD_PROFILES,
+  isInSchedule,
+  resolveThresholdProfile,
+  resolveThresholdProfileForRange,
+  validateThresholdProfile,
+} from '../services/thresholdProfiles';
+
+const at = (hours, minutes = 0) => new Date(2024, 4, 1, hours, minutes);
+
+test('schedules may wrap past midnight', () => {
+  const overnight = { start: '22:00', end: '07:00' };
+  expect(isInSchedule(overnight, at(23, 30))).toBe(true);
+  expect(isInSchedule(overnight, at(6, 59))).toBe(true);
+  expect(isInSchedule(overnight, at(7))).toBe(false);
+  expect(isInSchedule({ start: '09:00', end: '17:00' }, at(12))).toBe(true);
+  expect(isInSchedule(null, at(12))).toBe(false);
+});
+
+test('scheduled profiles only apply in automatic mode', () => {
+  const manual = { ...DEFAULT_THRESHOLD_PROFILES, activeProfileId: 'exercise' };
+  expect(resolveThresholdProfile(manual, at(23)).id).toBe('exercise');
+
+  const automatic = { ...manual, automatic: true };
+  expect(resolveThresholdProfile(automatic, at(23)).id).toBe('sleep');
+  expect(resolveThresholdProfile(automatic, at(12)).id).toBe('exercise');
+});
+
+test('a range takes the profile that applies over most of it', () => {
+  const automatic = { ...DEFAULT_THRESHOLD_PROFILES, automatic: true };
+  const day = [at(0).getTime(), new Date(2024, 4, 2).getTime()];
+
+  // Midnight falls in the sleep schedule, most of the day does not
+  expect(resolveThresholdProfileForRange(automatic, ...day).id).toBe('resting');
+  expect(
+    resolveThresholdProfileForRange(
+      automatic,
+      at(23).getTime(),
+      at(24).getTime(),
+    ).id,
+  ).toBe('sleep');
+  expect(
+    resolveThresholdProfileForRange(
+      { ...DEFAULT_THRESHOLD_PROFILES, activeProfileId: 'exercise' },
+      ...day,
+    ).id,
+  ).toBe('exercise');
+});
+
+test('profiles with inconsistent limits are rejected', () => {
+  const [resting] = DEFAULT_THRESHOLD_PROFILES.profiles;
+  expect(validateThresholdProfile(resting)).toBeNull();
+  expect(
+    validateThresholdProfile({ ...resting, minHeartRate: 120 }),
+  ).not.toBeNull();
+  expect(
+    validateThresholdProfile({ ...resting, minBloodOxygen: NaN }),
+  ).not.toBeNull();
+  expect(
+    validateThresholdProfile({ ...resting, maxRespiratoryRate: 80 }),
+  ).not.toBeNull();
+  expect(
+    validateThresholdProfile({ ...resting, schedule: { start: '25:00' } }),
+  ).not.toBeNull();
+});
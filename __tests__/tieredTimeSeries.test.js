@@ -0,0 +1,125 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import TieredTimeSeries, {
+  aggregateRecords,
+} from '../services/tieredTimeSeries';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const now = Date.UTC(2024, 4, 31, 12, 30);
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(Date, 'now').mockReturnValue(now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('aggregates keep min, max, sum and count per numeric field', () => {
+  const buckets = aggregateRecords(
+    [
+      { timestamp: 0, value: 60, date: 'x' },
+      { timestamp: 20000, value: 80 },
+      { timestamp: MINUTE, value: 70 },
+    ],
+    MINUTE,
+    t => Math.floor(t / MINUTE) * MINUTE,
+  );
+
+  expect(buckets).toEqual([
+    {
+      timestamp: 0,
+      bucketMs: MINUTE,
+      value: { count: 2, sum: 140, min: 60, max: 80 },
+    },
+    {
+      timestamp: MINUTE,
+      bucketMs: MINUTE,
+      value: { count: 1, sum: 70, min: 70, max: 70 },
+    },
+  ]);
+});
+
+test('raw samples past retention survive as aggregates', async () => {
+  const series = new TieredTimeSeries('@Test:series');
+  await series.appendMany([
+    { value: 60, timestamp: now - 40 * DAY },
+    { value: 80, timestamp: now - 40 * DAY + 1000 },
+    { value: 70, timestamp: now - HOUR },
+  ]);
+
+  await series.rollup(now);
+
+  expect((await series.read()).map(r => r.value)).toEqual([70]);
+
+  const summaries = await series.readSummaries('value', now - 90 * DAY, now);
+  expect(summaries.reduce((sum, s) => sum + s.count, 0)).toBe(3);
+  expect(Math.min(...summaries.map(s => s.min))).toBe(60);
+  expect(Math.max(...summaries.map(s => s.max))).toBe(80);
+});
+
+test('long ranges read coarse tiers and fill the recent gap from raw', async () => {
+  const series = new TieredTimeSeries('@Test:series');
+  await series.append({ value: 60, timestamp: now - 3 * DAY });
+  await series.rollup(now);
+  await series.append({ value: 90, timestamp: now - MINUTE });
+
+  expect(series.chooseTier(now - DAY, now, now)).toBe(0);
+  expect(series.chooseTier(now - 365 * DAY, now, now)).toBe(2);
+  expect(series.chooseTier(-Infinity, now, now)).toBe(3);
+
+  const summaries = await series.readSummaries('value', -Infinity, now);
+  expect(summaries.map(s => s.avg)).toEqual([60, 90]);
+  expect(summaries[0].bucketMs).toBe(DAY);
+  expect(summaries[1].bucketMs).toBe(0);
+});
+
+test('rollups are incremental', async () => {
+  const series = new TieredTimeSeries('@Test:series');
+  await series.append({ value: 60, timestamp: now - 2 * HOUR });
+  await series.rollup(now);
+  const written = await series.rollup(now + HOUR);
+
+  expect(written.minute).toBe(0);
+  const summaries = await series.readSummaries('value', now - 7 * DAY, now);
+  expect(summaries).toHaveLength(1);
+});
+
+test('a rollup cut short is repeated without counting twice', async () => {
+  const series = new TieredTimeSeries('@Test:series');
+  await series.appendMany([
+    { value: 60, timestamp: now - 2 * HOUR },
+    { value: 70, timestamp: now - 2 * HOUR + MINUTE },
+  ]);
+  jest
+    .spyOn(AsyncStorage, 'multiSet')
+    .mockRejectedValueOnce(new Error('App killed'));
+
+  await expect(series.rollup(now)).rejects.toThrow('App killed');
+  // A fresh start reads the stored state
+  const restarted = new TieredTimeSeries('@Test:series');
+  await restarted.rollup(now);
+
+  const minutes = await restarted.stores[1].read();
+  expect(minutes.reduce((sum, r) => sum + r.value.count, 0)).toBe(2);
+});
+
+test('rollups stay behind samples that are not written yet', async () => {
+  const series = new TieredTimeSeries('@Test:series');
+  await series.append({ value: 60, timestamp: now - 10 * MINUTE });
+
+  await series.rollup(now, 20 * MINUTE);
+  expect(await series.stores[1].read()).toEqual([]);
+  await series.rollup(now, MINUTE);
+  expect(await series.stores[1].read()).toHaveLength(1);
+});
@@ -0,0 +1,67 @@
+/**
+ * @format
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import TimeSeriesStore, { getPartitionId } from '../services/timeSeriesStore';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const now = Date.UTC(2024, 4, 31, 12, 30);
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(Date, 'now').mockReturnValue(now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('writes touch only the chunk of the record hour', async () => {
+  const store = new TimeSeriesStore('@Test:series');
+  await store.append({ value: 60, timestamp: now - 2 * HOUR });
+  await store.append({ value: 70, timestamp: now });
+  await store.append({ value: 80, timestamp: now + 1000 });
+
+  expect(await store.getIndex()).toEqual([
+    getPartitionId(now - 2 * HOUR),
+    getPartitionId(now),
+  ]);
+
+  AsyncStorage.setItem.mockClear();
+  await store.append({ value: 90, timestamp: now + 2000 });
+  const writtenKeys = AsyncStorage.multiSet.mock.calls
+    .slice(-1)[0][0]
+    .map(([key]) => key);
+  expect(writtenKeys).toEqual([`@Test:series:${getPartitionId(now)}`]);
+  expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+});
+
+test('range reads load only overlapping chunks', async () => {
+  const store = new TimeSeriesStore('@Test:series');
+  await store.appendMany([
+    { value: 1, timestamp: now - 5 * HOUR },
+    { value: 2, timestamp: now - 3 * HOUR },
+    { value: 3, timestamp: now },
+  ]);
+
+  AsyncStorage.multiGet.mockClear();
+  const records = await store.read(now - 3 * HOUR - 60000, now);
+
+  expect(records.map(r => r.value)).toEqual([2, 3]);
+  expect(AsyncStorage.multiGet.mock.calls[0][0]).toHaveLength(2);
+});
+
+test('chunks older than the retention window are dropped', async () => {
+  const store = new TimeSeriesStore('@Test:series', { retentionDays: 30 });
+  await store.append({ value: 1, timestamp: now - 31 * DAY });
+  await store.append({ value: 2, timestamp: now });
+
+  expect((await store.read()).map(r => r.value)).toEqual([2]);
+  expect(await store.getIndex()).toHaveLength(1);
+});
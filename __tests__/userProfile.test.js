@@ -0,0 +1,71 @@
+/**
+ * @format
+ */
+
+import {
+  DEFAULT_USER_PROFILE,
+  getAge,
+  getCaloriesPerStep,
+  getHeartRateZones,
+  getIntensityZone,
+  getMaxHeartRate,
+  getStrideLength,
+  getZoneForHeartRate,
+  validateUserProfile,
+} from '../services/userProfile';
+
+const now = new Date(2024, 5, 15);
+const profile = {
+  birthDate: '1984-06-20',
+  sex: 'female',
+  heightCm: 165,
+  weightKg: 60,
+  restingHeartRate: 58,
+  fitnessLevel: 'high',
+};
+
+test('age and maximum heart rate follow the birth date', () => {
+  expect(getAge(profile, now)).toBe(39);
+  expect(getAge(profile, new Date(2024, 5, 20))).toBe(40);
+  expect(getMaxHeartRate(profile, now)).toBe(181);
+  // Typical adult values until the profile is filled in
+  expect(getAge(DEFAULT_USER_PROFILE, now)).toBe(30);
+});
+
+test('zones split the heart rate reserve', () => {
+  const zones = getHeartRateZones(profile, now);
+  // Reserve is 181 - 58 = 123 BPM
+  expect(zones[0]).toMatchObject({ zone: 1, min: 120, max: 132 });
+  expect(zones[4]).toMatchObject({ zone: 5, min: 169, max: 181 });
+  expect(getZoneForHeartRate(100, zones)).toBeNull();
+  expect(getZoneForHeartRate(140, zones).zone).toBe(2);
+  expect(getZoneForHeartRate(200, zones).zone).toBe(5);
+});
+
+test('workout intensities span whole zones', () => {
+  const zones = getHeartRateZones(profile, now);
+  expect(getIntensityZone(zones, 'light')).toEqual({ min: 120, max: 132 });
+  expect(getIntensityZone(zones, 'moderate')).toEqual({
+    min: zones[1].min,
+    max: zones[2].max,
+  });
+  expect(getIntensityZone(zones, 'vigorous')).toEqual({ min: 156, max: 181 });
+});
+
+test('stride and calories scale with height and weight', () => {
+  expect(getStrideLength(profile)).toBeCloseTo(0.681, 3);
+  expect(getStrideLength(DEFAULT_USER_PROFILE)).toBe(0.762);
+  expect(getCaloriesPerStep({ ...profile, weightKg: 120 })).toBeCloseTo(
+    2 * getCaloriesPerStep(profile),
+  );
+});
+
+test('implausible values are rejected', () => {
+  expect(validateUserProfile(profile, now)).toBeNull();
+  expect(
+    validateUserProfile({ ...profile, birthDate: '1984-02-30' }, now),
+  ).toMatch(/YYYY-MM-DD/);
+  expect(validateUserProfile({ ...profile, weightKg: 5 }, now)).toMatch(
+    /weight/,
+  );
+});
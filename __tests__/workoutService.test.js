@@ -0,0 +1,78 @@
+/**
+ * @format
+ */
+
+import { WorkoutService, getWorkoutZone } from '../services/workoutService';
+
+const zones = {
+  light: { min: 95, max: 114 },
+  moderate: { min: 114, max: 133 },
+  vigorous: { min: 133, max: 162 },
+};
+const start = 1000000;
+
+test('heart rates map to intensity zones', () => {
+  expect(getWorkoutZone(80, zones)).toBe('rest');
+  expect(getWorkoutZone(100, zones)).toBe('light');
+  expect(getWorkoutZone(120, zones)).toBe('moderate');
+  expect(getWorkoutZone(180, zones)).toBe('vigorous');
+});
+
+test('time in zone, calories and distance accumulate while active', () => {
+  const service = new WorkoutService();
+  service.start({ activityType: 'run', zones }, start);
+
+  service.addSample({ heartRate: 100, calories: 50, distance: 1 }, start);
+  service.addSample(
+    { heartRate: 140, calories: 60, distance: 1.5 },
+    start + 60000,
+  );
+  service.addSample(
+    { heartRate: 150, calories: 75, distance: 2 },
+    start + 120000,
+  );
+  const summary = service.end(start + 120000);
+
+  expect(summary).toMatchObject({
+    activityType: 'run',
+    durationMs: 120000,
+    averageHeartRate: 130,
+    maxHeartRate: 150,
+    calories: 25,
+    distance: 1,
+  });
+  expect(summary.zoneMs).toEqual({
+    rest: 0,
+    light: 60000,
+    moderate: 0,
+    vigorous: 60000,
+  });
+  expect(service.getStatus()).toBeNull();
+});
+
+test('paused time is not counted', () => {
+  const service = new WorkoutService();
+  service.start({ activityType: 'cycle', zones }, start);
+
+  service.addSample({ heartRate: 120, calories: 10, distance: 0 }, start);
+  service.pause(start + 30000);
+  service.addSample(
+    { heartRate: 120, calories: 30, distance: 0 },
+    start + 60000,
+  );
+  service.resume(start + 90000);
+  service.addSample(
+    { heartRate: 120, calories: 40, distance: 0 },
+    start + 90000,
+  );
+  service.addSample(
+    { heartRate: 120, calories: 45, distance: 0 },
+    start + 120000,
+  );
+  const summary = service.end(start + 120000);
+
+  expect(summary.durationMs).toBe(60000);
+  expect(summary.zoneMs.moderate).toBe(30000);
+  // Only calories burned after resuming count
+  expect(summary.calories).toBe(15);
+});
@@ -0,0 +1,74 @@
+/**
+ * @format
+ */
+
+import { Vibration } from 'react-native';
+import Tts from 'react-native-tts';
+import { ZoneCoach } from '../services/zoneCoach';
+
+jest.mock('react-native-tts', () => ({
+  speak: jest.fn(() => Promise.resolve()),
+  stop: jest.fn(),
+}));
+
+const zone = { min: 110, max: 130 };
+
+// Feed readings 3 seconds apart and collect the cue types
+const feed = (coach, heartRates, from = 0) =>
+  heartRates
+    .map((heartRate, i) => coach.update(heartRate, from + i * 3000))
+    .filter(Boolean)
+    .map(cue => cue.type);
+
+const createCoach = () => {
+  const coach = new ZoneCoach({ driftMs: 9000, repeatMs: 30000 });
+  coach.setTarget('moderate', zone);
+  return coach;
+};
+
+test('brief excursions out of the zone are not cued', () => {
+  const coach = createCoach();
+
+  expect(feed(coach, [120, 135, 138, 125, 105, 120])).toEqual([]);
+});
+
+test('a sustained drift is cued, repeated and ended', () => {
+  const coach = createCoach();
+  const above = new Array(14).fill(140);
+
+  // Cued after 9 s above, again after 30 s more
+  expect(feed(coach, [120, ...above, 125])).toEqual([
+    'above',
+    'above',
+    'inZone',
+  ]);
+});
+
+test('time in zone is counted between readings', () => {
+  const coach = createCoach();
+
+  feed(coach, [120, 120, 120, 140, 120]);
+
+  expect(coach.getState()).toMatchObject({
+    intensity: 'moderate',
+    position: 'in',
+    timeInZoneMs: 9000,
+  });
+});
+
+test('cues vibrate and are spoken unless turned off', () => {
+  const vibrate = jest.spyOn(Vibration, 'vibrate').mockImplementation(() => {});
+  const coach = createCoach();
+  const cue = { type: 'above', heartRate: 140, message: 'Ease off' };
+
+  coach.playCue(cue);
+  coach.configure({ coachingHaptics: false });
+  coach.playCue(cue);
+  coach.configure({ coachingSpoken: false });
+  coach.playCue(cue);
+
+  expect(vibrate).toHaveBeenCalledTimes(1);
+  expect(Tts.speak).toHaveBeenCalledTimes(2);
+  expect(Tts.speak).toHaveBeenCalledWith('Ease off');
+  vibrate.mockRestore();
+});
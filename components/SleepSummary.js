@@ -0,0 +1,217 @@
+// src/components/SleepSummary.js
+import React from 'react';
+import { View, Text, StyleSheet, Dimensions } from 'react-native';
+import { LineChart } from 'react-native-chart-kit';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { getOdiLevel } from '../services/sleepMonitor';
+import { formatDuration } from './WorkoutSummary';
+
+const screenWidth = Dimensions.get('window').width;
+
+// Timeline x-axis labels, and desaturation events listed
+const TIMELINE_LABELS = 5;
+const LISTED_EVENTS = 5;
+
+const chartConfig = {
+  backgroundColor: '#ffffff',
+  backgroundGradientFrom: '#ffffff',
+  backgroundGradientTo: '#ffffff',
+  decimalPlaces: 0,
+  color: (opacity = 1) => `rgba(44, 62, 80, ${opacity})`,
+  labelColor: (opacity = 1) => `rgba(127, 140, 141, ${opacity})`,
+  propsForDots: { r: '0' },
+};
+
+const formatClock = timestamp => {
+  const date = new Date(timestamp);
+  return `${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+const prepareTimeline = (timeline, key, color) => {
+  const points = timeline.filter(bucket => bucket[key] !== null);
+  const labelEvery = Math.ceil(points.length / TIMELINE_LABELS);
+  return {
+    labels: points.map((bucket, i) =>
+      i % labelEvery === 0 ? formatClock(bucket.timestamp) : '',
+    ),
+    datasets: [
+      {
+        data: points.map(bucket => bucket[key]),
+        color,
+        strokeWidth: 2,
+      },
+    ],
+  };
+};
+
+/**
+ * Night totals, desaturation events and the timeline of SpO2 and heart rate
+ * night: see summarizeSleep
+ */
+export default function SleepSummary({ night, chartWidth = screenWidth - 64 }) {
+  const odiLevel = night.odi !== null ? getOdiLevel(night.odi) : null;
+  const stats = [
+    { label: 'Duration', value: formatDuration(night.durationMs) },
+    { label: 'ODI (per hour)', value: night.odi ?? '--' },
+    { label: 'Desaturations', value: night.events.length },
+    { label: 'Min SpO2 (%)', value: night.minBloodOxygen ?? '--' },
+    { label: 'Avg sleeping HR', value: night.averageHeartRate ?? '--' },
+    { label: 'Min sleeping HR', value: night.minHeartRate ?? '--' },
+  ];
+  const oxygenPoints = night.timeline.filter(b => b.bloodOxygen !== null);
+  const heartRatePoints = night.timeline.filter(b => b.heartRate !== null);
+
+  return (
+    <View>
+      <View style={styles.header}>
+        <Icon name="weather-night" size={24} color="#34495e" />
+        <Text style={styles.title}>
+          {new Date(night.startedAt).toLocaleDateString()} ·{' '}
+          {formatClock(night.startedAt)}–{formatClock(night.endedAt)}
+        </Text>
+      </View>
+      <View style={styles.stats}>
+        {stats.map(stat => (
+          <View key={stat.label} style={styles.stat}>
+            <Text style={styles.statValue}>{stat.value}</Text>
+            <Text style={styles.statLabel}>{stat.label}</Text>
+          </View>
+        ))}
+      </View>
+      {odiLevel && (
+        <View
+          style={[styles.level, { backgroundColor: odiLevel.color + '20' }]}
+        >
+          <Text style={[styles.levelText, { color: odiLevel.color }]}>
+            {odiLevel.label} desaturation index
+          </Text>
+        </View>
+      )}
+
+      <Text style={styles.section}>Blood oxygen (lowest, %)</Text>
+      {oxygenPoints.length > 1 ? (
+        <LineChart
+          data={prepareTimeline(
+            night.timeline,
+            'bloodOxygen',
+            (opacity = 1) => `rgba(52, 152, 219, ${opacity})`,
+          )}
+          width={chartWidth}
+          height={140}
+          chartConfig={chartConfig}
+          withVerticalLines={false}
+          fromZero={false}
+          segments={3}
+        />
+      ) : (
+        <Text style={styles.empty}>Not enough readings for a timeline</Text>
+      )}
+
+      <Text style={styles.section}>Heart rate (average, BPM)</Text>
+      {heartRatePoints.length > 1 ? (
+        <LineChart
+          data={prepareTimeline(
+            night.timeline,
+            'heartRate',
+            (opacity = 1) => `rgba(231, 76, 60, ${opacity})`,
+          )}
+          width={chartWidth}
+          height={140}
+          chartConfig={chartConfig}
+          withVerticalLines={false}
+          fromZero={false}
+          segments={3}
+        />
+      ) : (
+        <Text style={styles.empty}>Not enough readings for a timeline</Text>
+      )}
+
+      <Text style={styles.section}>Desaturation events</Text>
+      {night.events.length > 0 ? (
+        night.events.slice(0, LISTED_EVENTS).map(event => (
+          <Text key={event.startTime} style={styles.event}>
+            {formatClock(event.startTime)} · {Math.round(event.baseline)}% →{' '}
+            {event.nadir}% for {formatDuration(event.endTime - event.startTime)}
+          </Text>
+        ))
+      ) : (
+        <Text style={styles.empty}>No desaturation events</Text>
+      )}
+      {night.events.length > LISTED_EVENTS && (
+        <Text style={styles.event}>
+          and {night.events.length - LISTED_EVENTS} more
+        </Text>
+      )}
+
+      <Text style={styles.disclaimer}>
+        Screening only, not a sleep study. Talk to your doctor if you snore
+        heavily or often wake up tired.
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginLeft: 8,
+  },
+  stats: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  stat: {
+    width: '33%',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  level: {
+    padding: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  levelText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  section: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginTop: 16,
+    marginBottom: 4,
+  },
+  event: {
+    fontSize: 13,
+    color: '#2c3e50',
+    paddingVertical: 2,
+  },
+  empty: {
+    fontSize: 13,
+    color: '#95a5a6',
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  disclaimer: {
+    fontSize: 12,
+    color: '#95a5a6',
+    marginTop: 16,
+  },
+});
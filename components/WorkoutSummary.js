@@ -0,0 +1,130 @@
+// src/components/WorkoutSummary.js
+import React from 'react';
+import { View, Text, StyleSheet, Dimensions } from 'react-native';
+import { PieChart } from 'react-native-chart-kit';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { ACTIVITY_TYPES, WORKOUT_ZONES } from '../services/workoutService';
+
+const screenWidth = Dimensions.get('window').width;
+
+export const ZONE_STYLES = {
+  rest: { label: 'Below zones', color: '#bdc3c7' },
+  light: { label: 'Light', color: '#3498db' },
+  moderate: { label: 'Moderate', color: '#2ecc71' },
+  vigorous: { label: 'Vigorous', color: '#e74c3c' },
+};
+
+const chartConfig = {
+  color: (opacity = 1) => `rgba(44, 62, 80, ${opacity})`,
+};
+
+export const formatDuration = ms => {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
+
+/**
+ * Workout totals and time in each heart rate zone
+ * workout: see summarizeWorkout
+ */
+export default function WorkoutSummary({
+  workout,
+  chartWidth = screenWidth - 64,
+}) {
+  const activity = ACTIVITY_TYPES[workout.activityType] || ACTIVITY_TYPES.other;
+  const zoneData = WORKOUT_ZONES.filter(zone => workout.zoneMs[zone] > 0).map(
+    zone => ({
+      name: `${ZONE_STYLES[zone].label} (${formatDuration(
+        workout.zoneMs[zone],
+      )})`,
+      ms: workout.zoneMs[zone],
+      color: ZONE_STYLES[zone].color,
+      legendFontColor: '#2c3e50',
+      legendFontSize: 12,
+    }),
+  );
+
+  const stats = [
+    { label: 'Duration', value: formatDuration(workout.durationMs) },
+    { label: 'Avg HR', value: workout.averageHeartRate ?? '--' },
+    { label: 'Max HR', value: workout.maxHeartRate ?? '--' },
+    { label: 'Calories', value: workout.calories },
+    { label: 'Distance (km)', value: workout.distance },
+  ];
+
+  return (
+    <View>
+      <View style={styles.header}>
+        <Icon name={activity.icon} size={24} color="#e74c3c" />
+        <Text style={styles.title}>
+          {activity.label} · {new Date(workout.startedAt).toLocaleString()}
+        </Text>
+      </View>
+      <View style={styles.stats}>
+        {stats.map(stat => (
+          <View key={stat.label} style={styles.stat}>
+            <Text style={styles.statValue}>{stat.value}</Text>
+            <Text style={styles.statLabel}>{stat.label}</Text>
+          </View>
+        ))}
+      </View>
+      {zoneData.length > 0 ? (
+        <PieChart
+          data={zoneData}
+          width={chartWidth}
+          height={160}
+          accessor="ms"
+          backgroundColor="transparent"
+          paddingLeft="0"
+          chartConfig={chartConfig}
+        />
+      ) : (
+        <Text style={styles.empty}>No heart rate recorded</Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginLeft: 8,
+  },
+  stats: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  stat: {
+    width: '33%',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  empty: {
+    fontSize: 13,
+    color: '#95a5a6',
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+});
@@ -1,21 +1,122 @@
 // src/screens/HistoryScreen.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { View, Text, ScrollView, StyleSheet, Dimensions } from 'react-native';
 import {
   Card,
   SegmentedButtons,
   DataTable,
   ActivityIndicator,
+  List,
+  Button,
+  Portal,
+  Dialog,
 } from 'react-native-paper';
 import { LineChart } from 'react-native-chart-kit';
 import storageService from '../../services/storageService';
+import healthService from '../../services/healthService';
+import { SCREENING_DISCLAIMER } from '../../services/rhythmAnalysis';
+import { QUERY_METRICS } from '../../services/metricQuery';
+import escalationService from '../../services/escalationService';
+import { getStreak, getWeeklyAttainment } from '../../services/goals';
+import { ACTIVITY_TYPES } from '../../services/workoutService';
+import { getRestingHeartRateTrend } from '../../services/restingHeartRate';
+import WorkoutSummary, {
+  formatDuration,
+} from '../../components/WorkoutSummary';
+import SleepSummary from '../../components/SleepSummary';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 
 const screenWidth = Dimensions.get('window').width;
 
+// Alert severities from least to most severe
+const ALERT_SEVERITIES = {
+  caution: { label: 'Caution', color: '#e67e22', icon: 'heart-search' },
+  warning: { label: 'Warning', color: '#f1c40f', icon: 'alert' },
+  danger: { label: 'Danger', color: '#c0392b', icon: 'alert-octagon' },
+};
+const SEVERITY_ORDER = Object.keys(ALERT_SEVERITIES);
+
+// Weeks of goal attainment shown, whatever the selected period
+const GOAL_WEEKS = 8;
+// Resting heart rate trend ranges (days) and the number of x-axis labels
+const RESTING_RANGES = [30, 90];
+const RESTING_CHART_LABELS = 6;
+// Goal table columns, by goal metric
+const GOAL_COLUMNS = {
+  steps: 'Steps',
+  activeCalories: 'Kcal',
+  distance: 'Km',
+  activeMinutes: 'Min',
+};
+
+const STATUS_STYLES = {
+  low: { label: 'Low', color: '#3498db' },
+  high: { label: 'High', color: '#e74c3c' },
+  normal: { label: 'Normal', color: '#2ecc71' },
+};
+
+// Metrics the statistics, trend chart and records table can show
+const TREND_METRICS = {
+  heartRate: {
+    label: 'Heart Rate',
+    short: 'HR',
+    color: '231, 76, 60',
+    getStatus: (value, start, end) =>
+      healthService.getHeartRateStatus(value, start, end),
+  },
+  bloodOxygen: {
+    label: 'SpO2',
+    short: 'SpO2',
+    color: '52, 152, 219',
+    getStatus: (value, start, end) =>
+      healthService.getBloodOxygenStatus(value, start, end),
+  },
+  respiratoryRate: {
+    label: 'Breathing',
+    short: 'RR',
+    color: '26, 188, 156',
+    getStatus: (value, start, end) =>
+      healthService.getRespiratoryRateStatus(value, start, end),
+  },
+};
+
+// Days covered by each period, and the bucket sizes of its chart and table
+const PERIODS = {
+  today: { days: 1, chartBucket: 'hour', tableBucket: 'hour' },
+  7: { days: 7, chartBucket: 'day', tableBucket: 'day' },
+  14: { days: 14, chartBucket: 'day', tableBucket: 'day' },
+  30: { days: 30, chartBucket: 'day', tableBucket: 'day' },
+  90: { days: 90, chartBucket: 'week', tableBucket: 'day' },
+  365: { days: 365, chartBucket: 'month', tableBucket: 'day' },
+  all: { days: Infinity, chartBucket: 'month', tableBucket: 'day' },
+};
+
+const getPeriodStart = period => {
+  if (period === 'today') {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    return startOfDay.getTime();
+  }
+  return Date.now() - PERIODS[period].days * 24 * 60 * 60 * 1000;
+};
+
 export default function HistoryScreen() {
   const [period, setPeriod] = useState('today');
-  const [data, setData] = useState([]);
+  const [trendMetric, setTrendMetric] = useState('heartRate');
+  const [chartBuckets, setChartBuckets] = useState([]);
+  const [tableBuckets, setTableBuckets] = useState([]);
+  const [hrvData, setHrvData] = useState([]);
+  const [rhythmEvents, setRhythmEvents] = useState([]);
+  const [alertEvents, setAlertEvents] = useState([]);
+  const [severityFilter, setSeverityFilter] = useState('all');
+  const [goalHistory, setGoalHistory] = useState([]);
+  const [workouts, setWorkouts] = useState([]);
+  const [restingHistory, setRestingHistory] = useState([]);
+  const [restingRange, setRestingRange] = useState('30');
+  const [recoveryTests, setRecoveryTests] = useState([]);
+  const [selectedWorkout, setSelectedWorkout] = useState(null);
+  const [sleepSessions, setSleepSessions] = useState([]);
+  const [selectedNight, setSelectedNight] = useState(null);
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({
     average: 0,
@@ -24,151 +125,338 @@ export default function HistoryScreen() {
     trend: 'stable',
   });
 
-  useEffect(() => {
-    loadData();
-  }, [period]);
-
-  const loadData = async () => {
+  const loadData = useCallback(async () => {
     setLoading(true);
     try {
-      let records;
-      if (period === 'today') {
-        records = await storageService.getTodayData();
-      } else {
-        const days = parseInt(period);
-        records = await storageService.getRecentData(days);
-      }
-      setData(records);
-      calculateStats(records);
+      const { days, chartBucket, tableBucket } = PERIODS[period];
+      const startTime = getPeriodStart(period);
+
+      const chart = await storageService.queryMetric({
+        metric: trendMetric,
+        startTime,
+        bucket: chartBucket,
+        aggregations: ['avg', 'min', 'max', 'count', 'trend'],
+      });
+      setChartBuckets(chart.buckets);
+      setStats({
+        average: chart.total.avg ?? 0,
+        max: chart.total.max ?? 0,
+        min: chart.total.min ?? 0,
+        trend: chart.total.trend,
+      });
+
+      const table =
+        tableBucket === chartBucket
+          ? chart
+          : await storageService.queryMetric({
+              metric: trendMetric,
+              startTime,
+              bucket: tableBucket,
+            });
+      setTableBuckets(table.buckets);
+
+      // Heart rate variability summaries, one per monitoring session
+      const hrvRecords = await storageService.getHrvHistory(days);
+      setHrvData(
+        period === 'today'
+          ? hrvRecords.filter(r => r.timestamp >= startTime)
+          : hrvRecords,
+      );
+
+      // Irregular rhythm screening findings
+      const events = await storageService.getRhythmEvents(days);
+      setRhythmEvents(
+        period === 'today'
+          ? events.filter(e => e.startTime >= startTime)
+          : events,
+      );
+
+      // Daily resting heart rate, independent of the selected period; days
+      // with too little rest have no value
+      const restingDays = await storageService.getRestingHeartRates(
+        Math.max(...RESTING_RANGES),
+      );
+      setRestingHistory(
+        restingDays.filter(day => day.restingHeartRate !== null),
+      );
+
+      // Saved workouts
+      const savedWorkouts = await storageService.getWorkouts(days);
+      setWorkouts(
+        period === 'today'
+          ? savedWorkouts.filter(w => w.startedAt >= startTime)
+          : savedWorkouts,
+      );
+
+      // Nights in sleep mode
+      const nights = await storageService.getSleepSessions(days);
+      setSleepSessions(
+        period === 'today'
+          ? nights.filter(n => n.startedAt >= startTime)
+          : nights,
+      );
+
+      // Heart rate recovery results
+      const recoveries = await storageService.getRecoveryTests(days);
+      setRecoveryTests(
+        period === 'today'
+          ? recoveries.filter(t => t.startedAt >= startTime)
+          : recoveries,
+      );
+
+      // Daily goal attainment
+      setGoalHistory(await storageService.getGoalHistory(GOAL_WEEKS * 7));
+
+      // Logged alerts
+      const alerts = await storageService.getAlertEvents(days);
+      setAlertEvents(
+        period === 'today'
+          ? alerts.filter(a => a.startTime >= startTime)
+          : alerts,
+      );
     } catch (error) {
       console.error('Failed to load data:', error);
     } finally {
       setLoading(false);
     }
-  };
-
-  const calculateStats = records => {
-    if (records.length === 0) {
-      setStats({ average: 0, max: 0, min: 0, trend: 'stable' });
-      return;
-    }
+  }, [period, trendMetric]);
 
-    const values = records.map(r => r.value);
-    const sum = values.reduce((acc, val) => acc + val, 0);
-    const average = Math.round(sum / values.length);
-    const max = Math.max(...values);
-    const min = Math.min(...values);
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
 
-    // Calculate trend (compare first half and second half averages)
-    const mid = Math.floor(values.length / 2);
-    const firstHalf = values.slice(0, mid);
-    const secondHalf = values.slice(mid);
+  const formatBucketLabel = (start, bucket) => {
+    const date = new Date(start);
+    switch (bucket) {
+      case 'hour':
+        return `${date.getHours()}:00`;
+      case 'month':
+        return `${date.getMonth() + 1}/${String(date.getFullYear()).slice(2)}`;
+      default:
+        return `${date.getMonth() + 1}/${date.getDate()}`;
+    }
+  };
 
-    const firstAvg = firstHalf.reduce((a, b) => a + b, 0) / firstHalf.length;
-    const secondAvg = secondHalf.reduce((a, b) => a + b, 0) / secondHalf.length;
+  const getChartBuckets = () => {
+    if (period === 'today') {
+      // Show every other hour when the day has many hours of data
+      return chartBuckets.length > 12
+        ? chartBuckets.filter((_, i) => i % 2 === 0)
+        : chartBuckets;
+    }
+    // Only show recent points
+    return chartBuckets.slice(
+      PERIODS[period].chartBucket === 'month' ? -12 : -10,
+    );
+  };
 
-    let trend = 'stable';
-    if (secondAvg > firstAvg + 5) trend = 'rising';
-    if (secondAvg < firstAvg - 5) trend = 'falling';
+  const getFilteredAlerts = () =>
+    severityFilter === 'all'
+      ? alertEvents
+      : alertEvents.filter(event => event.severity === severityFilter);
 
-    setStats({ average, max, min, trend });
-  };
+  // Most severe alert on the charted metric that was ongoing during a chart
+  // bucket, or null; rhythm findings count toward heart rate
+  const getBucketAlert = bucket =>
+    getFilteredAlerts()
+      .filter(
+        event =>
+          (event.metric === trendMetric ||
+            (trendMetric === 'heartRate' && event.metric === 'rhythm')) &&
+          event.startTime < bucket.end &&
+          (event.endTime ?? Date.now()) >= bucket.start,
+      )
+      .reduce(
+        (worst, event) =>
+          !worst ||
+          SEVERITY_ORDER.indexOf(event.severity) >
+            SEVERITY_ORDER.indexOf(worst.severity)
+            ? event
+            : worst,
+        null,
+      );
 
   const prepareChartData = () => {
-    if (data.length === 0) {
+    if (chartBuckets.length === 0) {
       return {
         labels: ['No Data'],
         datasets: [{ data: [0] }],
       };
     }
 
-    // For "Today" view, show hourly data with time labels
-    if (period === 'today') {
-      const hourlyData = {};
-
-      data.forEach(record => {
-        const date = new Date(record.timestamp);
-        const hour = date.getHours();
-        const timeKey = `${hour}:00`;
-
-        if (!hourlyData[timeKey]) {
-          hourlyData[timeKey] = [];
-        }
-        hourlyData[timeKey].push(record.value);
-      });
+    const { chartBucket } = PERIODS[period];
+    const buckets = getChartBuckets();
 
-      const labels = [];
-      const values = [];
-
-      // Sort by hour
-      Object.keys(hourlyData)
-        .sort((a, b) => parseInt(a) - parseInt(b))
-        .forEach(timeKey => {
-          const hourValues = hourlyData[timeKey];
-          const avg = Math.round(
-            hourValues.reduce((a, b) => a + b, 0) / hourValues.length,
-          );
-          labels.push(timeKey);
-          values.push(avg);
-        });
+    return {
+      labels: buckets.map(b => formatBucketLabel(b.start, chartBucket)),
+      datasets: [
+        {
+          data: buckets.map(b => b.avg),
+          color: (opacity = 1) =>
+            `rgba(${TREND_METRICS[trendMetric].color}, ${opacity})`,
+          strokeWidth: 3,
+        },
+      ],
+    };
+  };
 
-      return {
-        labels:
-          labels.length > 12 ? labels.filter((_, i) => i % 2 === 0) : labels,
-        datasets: [
-          {
-            data:
-              values.length > 12
-                ? values.filter((_, i) => i % 2 === 0)
-                : values,
-            color: (opacity = 1) => `rgba(231, 76, 60, ${opacity})`,
-            strokeWidth: 3,
-          },
-        ],
-      };
+  const getChartSubtitle = () => {
+    switch (period) {
+      case 'today':
+        return 'Hourly Average';
+      case '90':
+        return 'Weekly Average';
+      case '365':
+      case 'all':
+        return 'Monthly Average';
+      default:
+        return 'Daily Average';
     }
+  };
 
-    // For other periods, group by date and calculate daily average
-    const groupedByDay = {};
-    data.forEach(record => {
-      const date = new Date(record.timestamp);
-      const dateKey = `${date.getMonth() + 1}/${date.getDate()}`;
-
-      if (!groupedByDay[dateKey]) {
-        groupedByDay[dateKey] = [];
-      }
-      groupedByDay[dateKey].push(record.value);
-    });
-
-    // Calculate daily average
-    const labels = [];
-    const values = [];
-    Object.keys(groupedByDay).forEach(dateKey => {
-      const dayValues = groupedByDay[dateKey];
-      const avg = Math.round(
-        dayValues.reduce((a, b) => a + b, 0) / dayValues.length,
-      );
-      labels.push(dateKey);
-      values.push(avg);
-    });
+  const prepareHrvChartData = () => {
+    // Only show recent sessions
+    const sessions = hrvData.slice(-10);
 
-    // Only show recent points
-    const maxPoints = 10;
-    const displayLabels = labels.slice(-maxPoints);
-    const displayValues = values.slice(-maxPoints);
+    return {
+      labels: sessions.map(record => {
+        const date = new Date(record.sessionStart || record.timestamp);
+        return period === 'today'
+          ? `${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`
+          : `${date.getMonth() + 1}/${date.getDate()}`;
+      }),
+      datasets: [
+        {
+          data: sessions.map(record => record.rmssd),
+          color: (opacity = 1) => `rgba(155, 89, 182, ${opacity})`,
+          strokeWidth: 3,
+        },
+      ],
+    };
+  };
+
+  const prepareRecoveryChartData = () => {
+    // Only show recent tests
+    const tests = recoveryTests.slice(-10);
 
     return {
-      labels: displayLabels,
+      labels: tests.map(test => {
+        const date = new Date(test.startedAt);
+        return period === 'today'
+          ? `${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`
+          : `${date.getMonth() + 1}/${date.getDate()}`;
+      }),
       datasets: [
         {
-          data: displayValues,
+          data: tests.map(test => test.recovery1Min),
           color: (opacity = 1) => `rgba(231, 76, 60, ${opacity})`,
           strokeWidth: 3,
         },
+        {
+          data: tests.map(test => test.recovery2Min),
+          color: (opacity = 1) => `rgba(52, 152, 219, ${opacity})`,
+          strokeWidth: 2,
+        },
       ],
+      legend: ['Drop at 1 min', 'Drop at 2 min'],
+    };
+  };
+
+  const getAverageRecovery = key =>
+    Math.round(
+      recoveryTests.reduce((sum, test) => sum + test[key], 0) /
+        recoveryTests.length,
+    );
+
+  const getRestingDays = () =>
+    restingHistory.filter(
+      day =>
+        day.dayStart >
+        Date.now() - parseInt(restingRange, 10) * 24 * 60 * 60 * 1000,
+    );
+
+  const prepareRestingChartData = trend => {
+    const days = getRestingDays();
+    const labelEvery = Math.ceil(days.length / RESTING_CHART_LABELS);
+    const datasets = [
+      {
+        data: days.map(day => day.restingHeartRate),
+        color: (opacity = 1) => `rgba(231, 76, 60, ${opacity})`,
+        strokeWidth: 3,
+      },
+    ];
+    if (trend) {
+      // Baseline drawn as a flat line for comparison
+      datasets.push({
+        data: days.map(() => trend.baseline),
+        color: (opacity = 1) => `rgba(127, 140, 141, ${opacity})`,
+        strokeWidth: 1,
+        withDots: false,
+      });
+    }
+    return {
+      labels: days.map((day, i) => {
+        const date = new Date(day.dayStart);
+        return i % labelEvery === 0
+          ? `${date.getMonth() + 1}/${date.getDate()}`
+          : '';
+      }),
+      datasets,
     };
   };
 
+  const getAverageHrv = key =>
+    Math.round(hrvData.reduce((sum, r) => sum + r[key], 0) / hrvData.length);
+
+  const formatEventTime = timestamp => {
+    const date = new Date(timestamp);
+    return `${
+      date.getMonth() + 1
+    }/${date.getDate()} ${date.getHours()}:${String(date.getMinutes()).padStart(
+      2,
+      '0',
+    )}`;
+  };
+
+  const formatWeekStart = timestamp => {
+    const date = new Date(timestamp);
+    return `${date.getMonth() + 1}/${date.getDate()}`;
+  };
+
+  const formatAlertDetails = event => {
+    const metric = QUERY_METRICS[event.metric];
+    const details = [
+      formatEventTime(event.startTime),
+      formatEventDuration(event),
+    ];
+    if (metric && event.peakValue !== null) {
+      details.push(`Peak ${event.peakValue} ${metric.unit}`);
+    }
+    return details.join(' · ');
+  };
+
+  const acknowledgeAlert = async id => {
+    const acknowledgedAt = Date.now();
+    await storageService.updateAlertEvent(id, { acknowledgedAt });
+    await escalationService.acknowledge(id);
+    setAlertEvents(events =>
+      events.map(event =>
+        event.id === id ? { ...event, acknowledgedAt } : event,
+      ),
+    );
+  };
+
+  const formatEventDuration = event => {
+    if (!event.endTime) {
+      return 'Ongoing';
+    }
+    const minutes = Math.max(
+      1,
+      Math.round((event.endTime - event.startTime) / 60000),
+    );
+    return `${minutes} min`;
+  };
+
   const getTrendIcon = () => {
     switch (stats.trend) {
       case 'rising':
@@ -223,6 +511,10 @@ export default function HistoryScreen() {
     },
   };
 
+  const restingTrend = getRestingHeartRateTrend(restingHistory);
+  const restingDays = getRestingDays();
+  const restingColor = restingTrend?.elevated ? '#e67e22' : '#2ecc71';
+
   return (
     <ScrollView style={styles.container}>
       {/* Time period selection */}
@@ -238,6 +530,25 @@ export default function HistoryScreen() {
               { value: '30', label: '30 Days' },
             ]}
           />
+          <SegmentedButtons
+            style={styles.periodRow}
+            value={period}
+            onValueChange={setPeriod}
+            buttons={[
+              { value: '90', label: '90 Days' },
+              { value: '365', label: '1 Year' },
+              { value: 'all', label: 'All Time' },
+            ]}
+          />
+          <SegmentedButtons
+            style={styles.periodRow}
+            value={trendMetric}
+            onValueChange={setTrendMetric}
+            buttons={Object.entries(TREND_METRICS).map(([value, m]) => ({
+              value,
+              label: m.label,
+            }))}
+          />
         </Card.Content>
       </Card>
 
@@ -256,17 +567,23 @@ export default function HistoryScreen() {
                 <View style={styles.statItem}>
                   <Icon name="chart-line" size={30} color="#3498db" />
                   <Text style={styles.statValue}>{stats.average}</Text>
-                  <Text style={styles.statLabel}>Average HR</Text>
+                  <Text style={styles.statLabel}>
+                    Average {TREND_METRICS[trendMetric].short}
+                  </Text>
                 </View>
                 <View style={styles.statItem}>
                   <Icon name="arrow-up-bold" size={30} color="#e74c3c" />
                   <Text style={styles.statValue}>{stats.max}</Text>
-                  <Text style={styles.statLabel}>Max HR</Text>
+                  <Text style={styles.statLabel}>
+                    Max {TREND_METRICS[trendMetric].short}
+                  </Text>
                 </View>
                 <View style={styles.statItem}>
                   <Icon name="arrow-down-bold" size={30} color="#2ecc71" />
                   <Text style={styles.statValue}>{stats.min}</Text>
-                  <Text style={styles.statLabel}>Min HR</Text>
+                  <Text style={styles.statLabel}>
+                    Min {TREND_METRICS[trendMetric].short}
+                  </Text>
                 </View>
               </View>
 
@@ -284,34 +601,475 @@ export default function HistoryScreen() {
             </Card.Content>
           </Card>
 
-          {/* Heart rate trend chart */}
+          {/* Trend chart of the selected metric */}
+          <Card style={styles.card}>
+            <Card.Title
+              title={`${QUERY_METRICS[trendMetric].label} Trend`}
+              subtitle={`${getChartSubtitle()} (${
+                QUERY_METRICS[trendMetric].unit
+              })`}
+            />
+            <Card.Content>
+              {chartBuckets.length > 0 ? (
+                <>
+                  <LineChart
+                    data={prepareChartData()}
+                    width={screenWidth - 60}
+                    height={240}
+                    chartConfig={chartConfig}
+                    bezier
+                    style={styles.chart}
+                    withInnerLines={true}
+                    withOuterLines={true}
+                    withVerticalLines={false}
+                    withHorizontalLines={true}
+                    fromZero={false}
+                    segments={4}
+                    getDotProps={(value, index) => {
+                      // Alert markers: larger dots in the severity's colour
+                      const alert = getBucketAlert(getChartBuckets()[index]);
+                      return alert
+                        ? {
+                            r: '8',
+                            strokeWidth: '3',
+                            stroke: ALERT_SEVERITIES[alert.severity].color,
+                          }
+                        : chartConfig.propsForDots;
+                    }}
+                  />
+                  {getChartBuckets().some(getBucketAlert) && (
+                    <View style={styles.markerLegend}>
+                      {SEVERITY_ORDER.map(severity => (
+                        <View key={severity} style={styles.markerLegendItem}>
+                          <View
+                            style={[
+                              styles.markerDot,
+                              {
+                                borderColor: ALERT_SEVERITIES[severity].color,
+                              },
+                            ]}
+                          />
+                          <Text style={styles.markerLegendText}>
+                            {ALERT_SEVERITIES[severity].label} alert
+                          </Text>
+                        </View>
+                      ))}
+                    </View>
+                  )}
+                </>
+              ) : (
+                <View style={styles.noDataContainer}>
+                  <Icon name="chart-line-variant" size={60} color="#bdc3c7" />
+                  <Text style={styles.noDataText}>No Data Available</Text>
+                  <Text style={styles.noDataSubtext}>
+                    Start monitoring to view trends
+                  </Text>
+                </View>
+              )}
+            </Card.Content>
+          </Card>
+
+          {/* Heart rate variability chart */}
           <Card style={styles.card}>
             <Card.Title
-              title="Heart Rate Trend"
-              subtitle={period === 'today' ? 'Hourly Average' : 'Daily Average'}
+              title="Heart Rate Variability"
+              subtitle="RMSSD per monitoring session (ms)"
             />
             <Card.Content>
-              {data.length > 0 ? (
+              {hrvData.length > 0 ? (
+                <>
+                  <LineChart
+                    data={prepareHrvChartData()}
+                    width={screenWidth - 60}
+                    height={200}
+                    chartConfig={{
+                      ...chartConfig,
+                      color: (opacity = 1) => `rgba(155, 89, 182, ${opacity})`,
+                      propsForDots: {
+                        ...chartConfig.propsForDots,
+                        stroke: '#9b59b6',
+                      },
+                    }}
+                    bezier
+                    style={styles.chart}
+                    withVerticalLines={false}
+                    fromZero={false}
+                    segments={4}
+                  />
+                  <View style={styles.statsGrid}>
+                    <View style={styles.statItem}>
+                      <Text style={styles.statValue}>
+                        {getAverageHrv('rmssd')}
+                      </Text>
+                      <Text style={styles.statLabel}>Avg RMSSD (ms)</Text>
+                    </View>
+                    <View style={styles.statItem}>
+                      <Text style={styles.statValue}>
+                        {getAverageHrv('sdnn')}
+                      </Text>
+                      <Text style={styles.statLabel}>Avg SDNN (ms)</Text>
+                    </View>
+                    <View style={styles.statItem}>
+                      <Text style={styles.statValue}>
+                        {getAverageHrv('pnn50')}
+                      </Text>
+                      <Text style={styles.statLabel}>Avg pNN50 (%)</Text>
+                    </View>
+                  </View>
+                </>
+              ) : (
+                <View style={styles.emptyTable}>
+                  <Text style={styles.emptyText}>
+                    No HRV sessions recorded for this period
+                  </Text>
+                </View>
+              )}
+            </Card.Content>
+          </Card>
+
+          {/* Resting heart rate trend */}
+          <Card style={styles.card}>
+            <Card.Title
+              title="Resting Heart Rate"
+              subtitle="Daily, from periods without steps (BPM)"
+            />
+            <Card.Content>
+              <SegmentedButtons
+                value={restingRange}
+                onValueChange={setRestingRange}
+                buttons={RESTING_RANGES.map(range => ({
+                  value: String(range),
+                  label: `${range} Days`,
+                }))}
+              />
+              {restingDays.length > 1 ? (
                 <LineChart
-                  data={prepareChartData()}
+                  data={prepareRestingChartData(restingTrend)}
                   width={screenWidth - 60}
-                  height={240}
+                  height={200}
                   chartConfig={chartConfig}
-                  bezier
                   style={styles.chart}
-                  withInnerLines={true}
-                  withOuterLines={true}
                   withVerticalLines={false}
-                  withHorizontalLines={true}
                   fromZero={false}
                   segments={4}
                 />
               ) : (
-                <View style={styles.noDataContainer}>
-                  <Icon name="chart-line-variant" size={60} color="#bdc3c7" />
-                  <Text style={styles.noDataText}>No Data Available</Text>
-                  <Text style={styles.noDataSubtext}>
-                    Start monitoring to view trends
+                <View style={styles.emptyTable}>
+                  <Text style={styles.emptyText}>
+                    Resting heart rate needs a few minutes of rest on at least
+                    two days
+                  </Text>
+                </View>
+              )}
+              {restingTrend && (
+                <View
+                  style={[
+                    styles.trendBadge,
+                    {
+                      backgroundColor: restingColor + '20',
+                    },
+                  ]}
+                >
+                  <Icon
+                    name={
+                      restingTrend.elevated ? 'alert-circle' : 'check-circle'
+                    }
+                    size={20}
+                    color={restingColor}
+                  />
+                  <Text style={[styles.restingNotice, { color: restingColor }]}>
+                    {restingTrend.elevated
+                      ? `Resting heart rate is ${restingTrend.rise} BPM above your baseline of ${restingTrend.baseline} BPM. This can follow illness, stress, poor sleep or overtraining.`
+                      : `Recent ${restingTrend.recent} BPM, baseline ${restingTrend.baseline} BPM`}
+                  </Text>
+                </View>
+              )}
+            </Card.Content>
+          </Card>
+
+          {/* Workouts */}
+          <Card style={styles.card}>
+            <Card.Title title="Workouts" subtitle="Most recent first" />
+            <Card.Content>
+              {workouts.length > 0 ? (
+                workouts
+                  .slice()
+                  .reverse()
+                  .map(workout => {
+                    const activity =
+                      ACTIVITY_TYPES[workout.activityType] ||
+                      ACTIVITY_TYPES.other;
+                    return (
+                      <List.Item
+                        key={workout.id}
+                        title={activity.label}
+                        description={`${formatEventTime(
+                          workout.startedAt,
+                        )} · ${formatDuration(workout.durationMs)} · ${
+                          workout.calories
+                        } kcal`}
+                        left={props => (
+                          <List.Icon {...props} icon={activity.icon} />
+                        )}
+                        right={props => (
+                          <List.Icon {...props} icon="chevron-right" />
+                        )}
+                        onPress={() => setSelectedWorkout(workout)}
+                      />
+                    );
+                  })
+              ) : (
+                <View style={styles.emptyTable}>
+                  <Text style={styles.emptyText}>
+                    No workouts recorded in this period
+                  </Text>
+                </View>
+              )}
+            </Card.Content>
+          </Card>
+
+          {/* Sleep mode nights */}
+          <Card style={styles.card}>
+            <Card.Title title="Sleep" subtitle="Most recent first" />
+            <Card.Content>
+              {sleepSessions.length > 0 ? (
+                sleepSessions
+                  .slice()
+                  .reverse()
+                  .map(night => (
+                    <List.Item
+                      key={night.id}
+                      title={new Date(night.startedAt).toLocaleDateString()}
+                      description={`${formatDuration(night.durationMs)} · ODI ${
+                        night.odi ?? '--'
+                      } · min SpO2 ${night.minBloodOxygen ?? '--'}%`}
+                      left={props => (
+                        <List.Icon {...props} icon="weather-night" />
+                      )}
+                      right={props => (
+                        <List.Icon {...props} icon="chevron-right" />
+                      )}
+                      onPress={() => setSelectedNight(night)}
+                    />
+                  ))
+              ) : (
+                <View style={styles.emptyTable}>
+                  <Text style={styles.emptyText}>
+                    No nights recorded in sleep mode for this period
+                  </Text>
+                </View>
+              )}
+            </Card.Content>
+          </Card>
+
+          {/* Heart rate recovery */}
+          <Card style={styles.card}>
+            <Card.Title
+              title="Heart Rate Recovery"
+              subtitle="Drop from peak after exercise (BPM)"
+            />
+            <Card.Content>
+              {recoveryTests.length > 0 ? (
+                <>
+                  <LineChart
+                    data={prepareRecoveryChartData()}
+                    width={screenWidth - 60}
+                    height={220}
+                    chartConfig={chartConfig}
+                    style={styles.chart}
+                    withVerticalLines={false}
+                    fromZero
+                    segments={4}
+                  />
+                  <View style={styles.statsGrid}>
+                    <View style={styles.statItem}>
+                      <Text style={styles.statValue}>
+                        {getAverageRecovery('recovery1Min')}
+                      </Text>
+                      <Text style={styles.statLabel}>Avg 1 min drop</Text>
+                    </View>
+                    <View style={styles.statItem}>
+                      <Text style={styles.statValue}>
+                        {getAverageRecovery('recovery2Min')}
+                      </Text>
+                      <Text style={styles.statLabel}>Avg 2 min drop</Text>
+                    </View>
+                    <View style={styles.statItem}>
+                      <Text style={styles.statValue}>
+                        {recoveryTests.filter(test => test.low).length}
+                      </Text>
+                      <Text style={styles.statLabel}>Slow recoveries</Text>
+                    </View>
+                  </View>
+                </>
+              ) : (
+                <View style={styles.emptyTable}>
+                  <Text style={styles.emptyText}>
+                    No recovery tests recorded for this period
+                  </Text>
+                </View>
+              )}
+            </Card.Content>
+          </Card>
+
+          {/* Goal attainment */}
+          <Card style={styles.card}>
+            <Card.Title
+              title="Daily Goals"
+              subtitle={`Days each goal was met, last ${GOAL_WEEKS} weeks`}
+            />
+            <Card.Content>
+              <View style={styles.statsGrid}>
+                <View style={styles.statItem}>
+                  <Icon name="fire" size={30} color="#e67e22" />
+                  <Text style={styles.statValue}>{getStreak(goalHistory)}</Text>
+                  <Text style={styles.statLabel}>All-goal streak (days)</Text>
+                </View>
+                <View style={styles.statItem}>
+                  <Icon name="walk" size={30} color="#2ecc71" />
+                  <Text style={styles.statValue}>
+                    {getStreak(goalHistory, 'steps')}
+                  </Text>
+                  <Text style={styles.statLabel}>Step streak (days)</Text>
+                </View>
+              </View>
+              {goalHistory.length > 0 ? (
+                <DataTable>
+                  <DataTable.Header>
+                    <DataTable.Title>Week of</DataTable.Title>
+                    {Object.entries(GOAL_COLUMNS).map(([metric, label]) => (
+                      <DataTable.Title key={metric} numeric>
+                        {label}
+                      </DataTable.Title>
+                    ))}
+                    <DataTable.Title numeric>All</DataTable.Title>
+                  </DataTable.Header>
+                  {getWeeklyAttainment(goalHistory, GOAL_WEEKS)
+                    .reverse()
+                    .map(week => (
+                      <DataTable.Row key={week.start}>
+                        <DataTable.Cell>
+                          {formatWeekStart(week.start)}
+                        </DataTable.Cell>
+                        {Object.keys(GOAL_COLUMNS).map(metric => (
+                          <DataTable.Cell key={metric} numeric>
+                            {week.met[metric]}/7
+                          </DataTable.Cell>
+                        ))}
+                        <DataTable.Cell numeric>{week.allMet}/7</DataTable.Cell>
+                      </DataTable.Row>
+                    ))}
+                </DataTable>
+              ) : (
+                <View style={styles.emptyTable}>
+                  <Text style={styles.emptyText}>
+                    Goal progress is recorded while monitoring
+                  </Text>
+                </View>
+              )}
+            </Card.Content>
+          </Card>
+
+          {/* Alert timeline */}
+          <Card style={styles.card}>
+            <Card.Title title="Alert Timeline" subtitle="Most recent first" />
+            <Card.Content>
+              <SegmentedButtons
+                value={severityFilter}
+                onValueChange={setSeverityFilter}
+                buttons={[
+                  { value: 'all', label: 'All' },
+                  ...SEVERITY_ORDER.map(severity => ({
+                    value: severity,
+                    label: ALERT_SEVERITIES[severity].label,
+                  })),
+                ]}
+              />
+              {getFilteredAlerts().length > 0 ? (
+                getFilteredAlerts()
+                  .slice(-20)
+                  .reverse()
+                  .map(event => {
+                    const severity =
+                      ALERT_SEVERITIES[event.severity] ||
+                      ALERT_SEVERITIES.warning;
+                    return (
+                      <List.Item
+                        key={event.id}
+                        title={event.message.split('\n')[0]}
+                        description={formatAlertDetails(event)}
+                        left={props => (
+                          <List.Icon
+                            {...props}
+                            icon={severity.icon}
+                            color={severity.color}
+                          />
+                        )}
+                        right={() =>
+                          event.acknowledgedAt ? (
+                            <Icon
+                              name="check-circle"
+                              size={24}
+                              color="#2ecc71"
+                              style={styles.acknowledgedIcon}
+                            />
+                          ) : (
+                            <Button
+                              compact
+                              onPress={() => acknowledgeAlert(event.id)}
+                            >
+                              Acknowledge
+                            </Button>
+                          )
+                        }
+                      />
+                    );
+                  })
+              ) : (
+                <View style={styles.emptyTable}>
+                  <Text style={styles.emptyText}>No alerts in this period</Text>
+                </View>
+              )}
+            </Card.Content>
+          </Card>
+
+          {/* Rhythm screening findings */}
+          <Card style={styles.card}>
+            <Card.Title
+              title="Rhythm Screening"
+              subtitle={SCREENING_DISCLAIMER}
+            />
+            <Card.Content>
+              {rhythmEvents.length > 0 ? (
+                <DataTable>
+                  <DataTable.Header>
+                    <DataTable.Title>Started</DataTable.Title>
+                    <DataTable.Title>Finding</DataTable.Title>
+                    <DataTable.Title numeric>Duration</DataTable.Title>
+                  </DataTable.Header>
+                  {rhythmEvents
+                    .slice(-10)
+                    .reverse()
+                    .map(event => (
+                      <DataTable.Row key={event.id}>
+                        <DataTable.Cell>
+                          {formatEventTime(event.startTime)}
+                        </DataTable.Cell>
+                        <DataTable.Cell>
+                          <Text style={styles.rhythmFinding}>
+                            Irregular rhythm
+                          </Text>
+                        </DataTable.Cell>
+                        <DataTable.Cell numeric>
+                          {formatEventDuration(event)}
+                        </DataTable.Cell>
+                      </DataTable.Row>
+                    ))}
+                </DataTable>
+              ) : (
+                <View style={styles.emptyTable}>
+                  <Text style={styles.emptyText}>
+                    No irregular rhythm detected in this period
                   </Text>
                 </View>
               )}
@@ -323,54 +1081,52 @@ export default function HistoryScreen() {
             <Card.Title
               title="Recent Records"
               subtitle={
-                period === 'today' ? "Today's entries" : 'Last 10 entries'
+                period === 'today'
+                  ? "Today's hourly averages"
+                  : 'Last 10 daily averages'
               }
             />
             <Card.Content>
               <DataTable>
                 <DataTable.Header>
                   <DataTable.Title>Date & Time</DataTable.Title>
-                  <DataTable.Title numeric>Heart Rate</DataTable.Title>
+                  <DataTable.Title numeric>
+                    {QUERY_METRICS[trendMetric].label}
+                  </DataTable.Title>
                   <DataTable.Title numeric>Status</DataTable.Title>
                 </DataTable.Header>
 
-                {data
-                  .slice(period === 'today' ? -20 : -10)
+                {tableBuckets
+                  .slice(period === 'today' ? -24 : -10)
                   .reverse()
-                  .map((record, index) => {
-                    const date = new Date(record.timestamp);
-                    const dateStr =
-                      period === 'today'
-                        ? `${date.getHours()}:${String(
-                            date.getMinutes(),
-                          ).padStart(2, '0')}`
-                        : `${
-                            date.getMonth() + 1
-                          }/${date.getDate()} ${date.getHours()}:${String(
-                            date.getMinutes(),
-                          ).padStart(2, '0')}`;
+                  .map(bucket => {
+                    const dateStr = formatBucketLabel(
+                      bucket.start,
+                      PERIODS[period].tableBucket,
+                    );
+                    // Judge each bucket by the profile in effect over most
+                    // of it
                     const status =
-                      record.value < 60
-                        ? 'Low'
-                        : record.value > 100
-                        ? 'High'
-                        : 'Normal';
-                    const statusColor =
-                      record.value < 60
-                        ? '#3498db'
-                        : record.value > 100
-                        ? '#e74c3c'
-                        : '#2ecc71';
+                      STATUS_STYLES[
+                        TREND_METRICS[trendMetric].getStatus(
+                          bucket.avg,
+                          bucket.start,
+                          bucket.end,
+                        )
+                      ];
 
                     return (
-                      <DataTable.Row key={index}>
+                      <DataTable.Row key={bucket.start}>
                         <DataTable.Cell>{dateStr}</DataTable.Cell>
-                        <DataTable.Cell numeric>{record.value}</DataTable.Cell>
+                        <DataTable.Cell numeric>{bucket.avg}</DataTable.Cell>
                         <DataTable.Cell numeric>
                           <Text
-                            style={{ color: statusColor, fontWeight: '600' }}
+                            style={[
+                              styles.tableStatus,
+                              { color: status.color },
+                            ]}
                           >
-                            {status}
+                            {status.label}
                           </Text>
                         </DataTable.Cell>
                       </DataTable.Row>
@@ -378,7 +1134,7 @@ export default function HistoryScreen() {
                   })}
               </DataTable>
 
-              {data.length === 0 && (
+              {tableBuckets.length === 0 && (
                 <View style={styles.emptyTable}>
                   <Text style={styles.emptyText}>No records available</Text>
                 </View>
@@ -387,7 +1143,7 @@ export default function HistoryScreen() {
           </Card>
 
           {/* Health recommendations */}
-          {stats.average > 0 && (
+          {trendMetric === 'heartRate' && stats.average > 0 && (
             <Card style={styles.card}>
               <Card.Title title="Health Recommendations" />
               <Card.Content>
@@ -415,6 +1171,48 @@ export default function HistoryScreen() {
           )}
         </>
       )}
+
+      {/* Workout details */}
+      <Portal>
+        <Dialog
+          visible={!!selectedWorkout}
+          onDismiss={() => setSelectedWorkout(null)}
+        >
+          <Dialog.Title>Workout</Dialog.Title>
+          <Dialog.Content>
+            {selectedWorkout && (
+              <WorkoutSummary
+                workout={selectedWorkout}
+                chartWidth={screenWidth - 112}
+              />
+            )}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setSelectedWorkout(null)}>Close</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Night details */}
+        <Dialog
+          visible={!!selectedNight}
+          onDismiss={() => setSelectedNight(null)}
+        >
+          <Dialog.Title>Sleep</Dialog.Title>
+          <Dialog.ScrollArea style={styles.dialogScrollArea}>
+            <ScrollView>
+              {selectedNight && (
+                <SleepSummary
+                  night={selectedNight}
+                  chartWidth={screenWidth - 112}
+                />
+              )}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setSelectedNight(null)}>Close</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
     </ScrollView>
   );
 }
@@ -429,6 +1227,9 @@ const styles = StyleSheet.create({
     marginBottom: 8,
     borderRadius: 12,
   },
+  periodRow: {
+    marginTop: 8,
+  },
   chart: {
     marginVertical: 8,
     borderRadius: 16,
@@ -460,6 +1261,12 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     marginTop: 15,
   },
+  restingNotice: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    fontWeight: '600',
+  },
   trendText: {
     marginLeft: 8,
     fontSize: 16,
@@ -487,6 +1294,37 @@ const styles = StyleSheet.create({
     color: '#95a5a6',
     fontSize: 14,
   },
+  tableStatus: {
+    fontWeight: '600',
+  },
+  markerLegend: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+  },
+  markerLegendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 6,
+  },
+  markerDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    borderWidth: 2,
+    marginRight: 4,
+  },
+  markerLegendText: {
+    fontSize: 12,
+    color: '#7f8c8d',
+  },
+  acknowledgedIcon: {
+    alignSelf: 'center',
+  },
+  rhythmFinding: {
+    color: '#e67e22',
+    fontWeight: '600',
+  },
   suggestionText: {
     fontSize: 14,
     color: '#2c3e50',
@@ -503,4 +1341,8 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#7f8c8d',
   },
+  dialogScrollArea: {
+    maxHeight: 480,
+    paddingHorizontal: 24,
+  },
 });
@@ -1,23 +1,154 @@
 // src/screens/HomeScreen.js
 import React, { useState, useEffect, useRef } from 'react';
 import { View, Text, StyleSheet, Animated, ScrollView } from 'react-native';
-import { Card, Button, Portal, Dialog } from 'react-native-paper';
+import {
+  Card,
+  Button,
+  Portal,
+  Dialog,
+  Chip,
+  SegmentedButtons,
+} from 'react-native-paper';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import Svg, { Circle } from 'react-native-svg';
 import healthService from '../../services/healthService';
 import storageService from '../../services/storageService';
+import sessionRecorder from '../../services/sessionRecorder';
+import notificationService from '../../services/notificationService';
+import escalationService from '../../services/escalationService';
+import workoutService, {
+  ACTIVITY_TYPES,
+  getWorkoutZone,
+} from '../../services/workoutService';
+import zoneCoach, { COACHING_INTENSITIES } from '../../services/zoneCoach';
+import heartRateRecovery from '../../services/heartRateRecovery';
+import sleepMonitor, { SLEEP_DEFAULTS } from '../../services/sleepMonitor';
+import restingHeartRateService from '../../services/restingHeartRate';
+import WorkoutSummary, {
+  ZONE_STYLES,
+  formatDuration,
+} from '../../components/WorkoutSummary';
+import SleepSummary from '../../components/SleepSummary';
+import inAppNotificationAdapter from '../../services/notifications/inAppNotificationAdapter';
+import { computeHrvMetrics, computeHrvTrend } from '../../services/hrvAnalysis';
+import { createGoalDay } from '../../services/goals';
 
-export default function HomeScreen() {
+// HRV on Home is computed over the most recent beats (about 5 minutes at rest)
+const HRV_DISPLAY_BEATS = 300;
+// Minimum beats for a session HRV summary to be saved
+const HRV_MIN_SESSION_BEATS = 30;
+// How often today's calories and goal attainment are saved while monitoring
+const DAILY_SAVE_INTERVAL_MS = 60 * 1000;
+
+const getAlertTitle = severity =>
+  severity === 'caution' ? 'Screening Notice' : 'Health Warning';
+
+// BPM shown either side of the target zone on the coaching band
+const ZONE_BAND_MARGIN = 20;
+const COACHING_POSITIONS = {
+  below: { label: 'Below zone', color: '#3498db' },
+  in: { label: 'In zone', color: '#2ecc71' },
+  above: { label: 'Above zone', color: '#e74c3c' },
+};
+
+const RING_SIZE = 64;
+const RING_STROKE = 5;
+
+/**
+ * Icon inside a ring filled to a goal's progress (0 to 1)
+ */
+function ProgressRing({ progress, color, icon }) {
+  const radius = (RING_SIZE - RING_STROKE) / 2;
+  const circumference = 2 * Math.PI * radius;
+  return (
+    <View style={styles.ring}>
+      <Svg width={RING_SIZE} height={RING_SIZE}>
+        <Circle
+          cx={RING_SIZE / 2}
+          cy={RING_SIZE / 2}
+          r={radius}
+          stroke="#ecf0f1"
+          strokeWidth={RING_STROKE}
+          fill="none"
+        />
+        <Circle
+          cx={RING_SIZE / 2}
+          cy={RING_SIZE / 2}
+          r={radius}
+          stroke={color}
+          strokeWidth={RING_STROKE}
+          strokeLinecap="round"
+          strokeDasharray={`${circumference} ${circumference}`}
+          strokeDashoffset={circumference * (1 - progress)}
+          fill="none"
+          // Start filling at 12 o'clock
+          rotation={-90}
+          origin={`${RING_SIZE / 2}, ${RING_SIZE / 2}`}
+        />
+      </Svg>
+      <View style={styles.ringIcon}>
+        <Icon name={icon} size={30} color={color} />
+      </View>
+    </View>
+  );
+}
+
+const formatGoal = ({ value, target, met }, unit) =>
+  met
+    ? `Goal met: ${target.toLocaleString()} ${unit}`
+    : `${value.toLocaleString()} / ${target.toLocaleString()} ${unit}`;
+
+export default function HomeScreen({ navigation }) {
   const [heartRate, setHeartRate] = useState(0);
   const [bloodOxygen, setBloodOxygen] = useState(0);
+  const [respiratoryRate, setRespiratoryRate] = useState(0);
   const [steps, setSteps] = useState(0);
   const [calories, setCalories] = useState(0);
   const [distance, setDistance] = useState(0);
   const [monitoring, setMonitoring] = useState(false);
   const [alertVisible, setAlertVisible] = useState(false);
   const [alertMessage, setAlertMessage] = useState('');
+  const [alertSeverity, setAlertSeverity] = useState('warning');
+  const [providerError, setProviderError] = useState(null);
+  const [hrv, setHrv] = useState(null);
+  const [pendingSamples, setPendingSamples] = useState(
+    storageService.getPendingCount(),
+  );
+  // Countdown before emergency contacts are contacted ({ remainingSeconds })
+  const [escalation, setEscalation] = useState(null);
+  const [activityType, setActivityType] = useState('walk');
+  const [coachingIntensity, setCoachingIntensity] = useState(
+    zoneCoach.getTarget()?.intensity ?? 'off',
+  );
+  // Running workout ('active' or 'paused') and the last finished one
+  const [workoutStatus, setWorkoutStatus] = useState(null);
+  const [workoutSummary, setWorkoutSummary] = useState(null);
+  // Running recovery test's progress and how the last one ended
+  const [recoveryStatus, setRecoveryStatus] = useState(null);
+  const [recoveryOutcome, setRecoveryOutcome] = useState(null);
+  // Overnight sleep mode progress and the last night's summary
+  const [sleepStatus, setSleepStatus] = useState(sleepMonitor.getStatus());
+  const [sleepSummary, setSleepSummary] = useState(null);
 
   const pulseAnim = useRef(new Animated.Value(1)).current;
   const intervalRef = useRef(null);
+  // Beat intervals collected during the current monitoring session
+  const rrIntervalsRef = useRef([]);
+  const sessionStartRef = useRef(null);
+  // Id of the stored irregular rhythm finding that is still ongoing
+  const rhythmEventRef = useRef(null);
+  // Ids of logged alerts that are still ongoing, by metric
+  const alertEventsRef = useRef({});
+  // Id of the logged alert shown in the dialog
+  const shownAlertRef = useRef(null);
+  // When today's calorie and goal summaries were last saved
+  const dailySavedAtRef = useRef(0);
+  // Whether monitoring was already on when sleep mode started
+  const monitoredBeforeSleepRef = useRef(false);
+  // Start and stop functions of the latest render ({ start, stop })
+  const monitoringHandlersRef = useRef({});
+
+  const sleeping = sleepStatus !== null;
 
   useEffect(() => {
     // Heart beat animation
@@ -47,23 +178,82 @@ export default function HomeScreen() {
   }, [monitoring, pulseAnim]);
 
   useEffect(() => {
+    // Prepare the active data provider and surface its errors
+    healthService.initialize();
+    return healthService.onError(error => setProviderError(error.message));
+  }, []);
+
+  useEffect(() => storageService.onPendingChange(setPendingSamples), []);
+
+  useEffect(() => escalationService.onChange(setEscalation), []);
+
+  // Show alerts delivered to the in-app channel in the warning dialog
+  useEffect(
+    () =>
+      inAppNotificationAdapter.setPresenter(notification => {
+        shownAlertRef.current = notification.alertId;
+        setAlertMessage(notification.message);
+        setAlertSeverity(notification.severity);
+        setAlertVisible(true);
+      }),
+    [],
+  );
+
+  // Sleep mode takes the whole screen, dimmed, without header and tabs
+  useEffect(() => {
+    navigation.setOptions({
+      headerShown: !sleeping,
+      tabBarStyle: sleeping ? { display: 'none' } : undefined,
+    });
+  }, [navigation, sleeping]);
+
+  useEffect(() => {
+    // Latest start and stop, so only toggling monitoring reruns this
+    const handlers = monitoringHandlersRef.current;
     if (monitoring) {
-      startMonitoring();
+      handlers.start();
     } else {
-      stopMonitoring();
+      handlers.stop();
     }
 
-    return () => stopMonitoring();
+    return () => handlers.stop();
   }, [monitoring]);
 
   const startMonitoring = async () => {
+    rrIntervalsRef.current = [];
+    sessionStartRef.current = Date.now();
+    healthService.resetRhythmScreening();
+    healthService.resetAlerts();
+
+    // Record the session for later replay when enabled in Settings
+    const settings = await storageService.getUserSettings();
+    if (settings.recordSessions) {
+      sessionRecorder.start({
+        providerId: healthService.getActiveProvider().id,
+      });
+    }
+
     // Get data immediately
     await updateHealthData();
 
-    // Update data every 3 seconds
+    schedulePolling();
+  };
+
+  const schedulePolling = () => {
+    if (intervalRef.current) {
+      clearInterval(intervalRef.current);
+    }
+    // Update data at the rate of the active provider (every 3 seconds by
+    // default), less often in sleep mode
+    const intervalMs = sleepMonitor.isActive()
+      ? Math.max(
+          healthService.getPollingInterval(),
+          SLEEP_DEFAULTS.pollingIntervalMs,
+        )
+      : healthService.getPollingInterval();
     intervalRef.current = setInterval(async () => {
       await updateHealthData();
-    }, 3000);
+    }, intervalMs);
   };
 
   const stopMonitoring = () => {
@@ -71,31 +261,344 @@ export default function HomeScreen() {
       clearInterval(intervalRef.current);
       intervalRef.current = null;
     }
+
+    if (sessionRecorder.isRecording()) {
+      sessionRecorder.stop();
+    }
+
+    saveSessionHrv();
+    saveDailySummaries();
+    // Cleanup also runs as monitoring turns on; only a running session ends
+    // the workout and recovery test started with it
+    if (sessionStartRef.current) {
+      endWorkout();
+      heartRateRecovery.cancel();
+      setRecoveryStatus(null);
+      endSleep();
+      // Today's resting heart rate, including this session's readings
+      restingHeartRateService.refresh();
+    }
+    sessionStartRef.current = null;
+    storageService.flush();
+
+    if (rhythmEventRef.current) {
+      storageService.updateRhythmEvent(rhythmEventRef.current, {
+        endTime: Date.now(),
+      });
+      rhythmEventRef.current = null;
+    }
+
+    Object.entries(alertEventsRef.current).forEach(([metric, id]) => {
+      const active = healthService.getActiveAlert(metric);
+      storageService.updateAlertEvent(id, {
+        endTime: Date.now(),
+        ...(active && { peakValue: active.peakValue }),
+      });
+    });
+    alertEventsRef.current = {};
+  };
+
+  monitoringHandlersRef.current.start = startMonitoring;
+  monitoringHandlersRef.current.stop = stopMonitoring;
+
+  /**
+   * Keep the alert log in step with alert engine events
+   * Returns the id of the logged alert
+   */
+  const logAlert = async alert => {
+    const openId = alertEventsRef.current[alert.metric];
+
+    if (alert.type === 'cleared') {
+      if (openId) {
+        delete alertEventsRef.current[alert.metric];
+        await storageService.updateAlertEvent(openId, {
+          endTime: alert.timestamp,
+          peakValue: alert.peakValue,
+        });
+      }
+      return null;
+    }
+
+    if (openId) {
+      await storageService.updateAlertEvent(openId, {
+        severity: alert.severity,
+        message: alert.message,
+        peakValue: alert.peakValue,
+      });
+      return openId;
+    }
+
+    const id = await storageService.saveAlertEvent({
+      metric: alert.metric,
+      startTime: alert.since,
+      status: alert.status,
+      severity: alert.severity,
+      message: alert.message,
+      peakValue: alert.peakValue,
+    });
+    alertEventsRef.current[alert.metric] = id;
+    return id;
+  };
+
+  const changeCoachingIntensity = intensity => {
+    setCoachingIntensity(intensity);
+    if (intensity === 'off') {
+      zoneCoach.setTarget(null);
+    } else {
+      zoneCoach.setTarget(
+        intensity,
+        healthService.getTargetHeartRateZone(intensity),
+      );
+    }
+  };
+
+  const startWorkout = () => {
+    workoutService.start({
+      activityType,
+      zones: healthService.getTargetHeartRateZones(),
+    });
+    setWorkoutStatus('active');
+    setWorkoutSummary(null);
+    if (!monitoring) {
+      setMonitoring(true);
+    }
+  };
+
+  const toggleWorkoutPause = () => {
+    if (workoutService.getStatus() === 'active') {
+      workoutService.pause();
+    } else {
+      workoutService.resume();
+    }
+    setWorkoutStatus(workoutService.getStatus());
+  };
+
+  const endWorkout = () => {
+    const summary = workoutService.end();
+    if (!summary) {
+      return null;
+    }
+    storageService.saveWorkout(summary);
+    setWorkoutSummary(summary);
+    setWorkoutStatus(null);
+    return summary;
+  };
+
+  // Ending a workout by hand keeps monitoring for a recovery test
+  const finishWorkout = () => {
+    const summary = endWorkout();
+    if (summary) {
+      startRecoveryTest('workout', summary.id);
+    }
+  };
+
+  const startRecoveryTest = (trigger = 'manual', workoutId = null) => {
+    heartRateRecovery.start({ trigger, workoutId });
+    setRecoveryStatus(heartRateRecovery.getStatus());
+    setRecoveryOutcome(null);
+    if (!monitoring) {
+      setMonitoring(true);
+    }
+  };
+
+  const cancelRecoveryTest = () => {
+    heartRateRecovery.cancel();
+    setRecoveryStatus(null);
+  };
+
+  const startSleep = () => {
+    endWorkout();
+    cancelRecoveryTest();
+    sleepMonitor.start();
+    setSleepStatus(sleepMonitor.getStatus());
+    setSleepSummary(null);
+    monitoredBeforeSleepRef.current = monitoring;
+    if (monitoring) {
+      schedulePolling();
+    } else {
+      setMonitoring(true);
+    }
+  };
+
+  const endSleep = () => {
+    const summary = sleepMonitor.end();
+    setSleepStatus(null);
+    if (!summary) {
+      return;
+    }
+    storageService.saveSleepSession(summary);
+    setSleepSummary(summary);
+  };
+
+  // Leave sleep mode and return monitoring to how it was before
+  const wakeUp = () => {
+    endSleep();
+    if (monitoredBeforeSleepRef.current) {
+      schedulePolling();
+    } else {
+      setMonitoring(false);
+    }
+  };
+
+  // Today's calorie summary and goal attainment, saved together
+  const saveDailySummaries = () => {
+    dailySavedAtRef.current = Date.now();
+    storageService.saveDailyEnergy(healthService.getEnergySummary());
+    storageService.saveGoalDay(
+      createGoalDay(
+        healthService.getActivityTotals(),
+        healthService.getGoals(),
+      ),
+    );
+  };
+
+  const saveSessionHrv = () => {
+    const rrIntervals = rrIntervalsRef.current;
+    rrIntervalsRef.current = [];
+
+    const metrics = computeHrvMetrics(rrIntervals);
+    if (metrics.beatCount < HRV_MIN_SESSION_BEATS) {
+      return;
+    }
+
+    storageService.saveHrvRecord({
+      sessionStart: sessionStartRef.current,
+      sessionEnd: Date.now(),
+      ...metrics,
+      trend: computeHrvTrend(rrIntervals).trend,
+    });
+  };
+
+  const checkRhythm = async rr => {
+    const rhythm = healthService.checkHeartRhythm(rr);
+
+    if (rhythm.started) {
+      rhythmEventRef.current = await storageService.saveRhythmEvent({
+        startTime: rhythm.episodeStart,
+        status: rhythm.status,
+        severity: rhythm.severity,
+        message: rhythm.message,
+        normalizedRmssd: rhythm.window.normalizedRmssd,
+        entropy: rhythm.window.entropy,
+        turningPointRatio: rhythm.window.turningPointRatio,
+      });
+      sessionRecorder.recordAlert({
+        metric: 'rhythm',
+        status: rhythm.status,
+        severity: rhythm.severity,
+        message: rhythm.message,
+      });
+      const alertId = await logAlert({
+        type: 'triggered',
+        metric: 'rhythm',
+        since: rhythm.episodeStart,
+        status: rhythm.status,
+        severity: rhythm.severity,
+        message: rhythm.message,
+        peakValue: null,
+      });
+      notifyAlert(rhythm.message, rhythm.severity, alertId).catch(error =>
+        console.error('Failed to notify alert:', error),
+      );
+    } else if (rhythm.ended && rhythmEventRef.current) {
+      await storageService.updateRhythmEvent(rhythmEventRef.current, {
+        endTime: Date.now(),
+      });
+      rhythmEventRef.current = null;
+      await logAlert({
+        type: 'cleared',
+        metric: 'rhythm',
+        timestamp: Date.now(),
+        peakValue: null,
+      });
+    }
   };
 
   const updateHealthData = async () => {
     try {
+      setProviderError(null);
+
       // Get health data
       const hr = await healthService.getCurrentHeartRate();
       const bo = await healthService.getBloodOxygen();
       const st = await healthService.getSteps();
-      const cal = await healthService.getCalories();
+      const cal = await healthService.getCalories(hr);
       const dist = await healthService.getDistance();
+      const resp = await healthService.getRespiratoryRate();
+      const rr = await healthService.getRrIntervals();
 
       setHeartRate(hr);
       setBloodOxygen(bo);
       setSteps(st);
       setCalories(cal);
       setDistance(dist);
+      setRespiratoryRate(resp);
 
-      // Check heart rate threshold
-      const check = healthService.checkHeartRateThreshold(hr);
-      if (check.status !== 'normal') {
-        showAlert(check.message);
+      if (rr && rr.length > 0) {
+        rrIntervalsRef.current.push(...rr);
+        setHrv(
+          computeHrvMetrics(rrIntervalsRef.current.slice(-HRV_DISPLAY_BEATS)),
+        );
+        await checkRhythm(rr);
       }
 
-      // Save heart rate data
-      await storageService.saveHeartRateRecord(hr);
+      sessionRecorder.recordSample({
+        heartRate: hr,
+        bloodOxygen: bo,
+        steps: st,
+        calories: cal,
+        distance: dist,
+        respiratoryRate: resp,
+        rrIntervals: rr,
+      });
+
+      escalationService.updateReadings({ heartRate: hr, bloodOxygen: bo });
+      const cue = zoneCoach.update(hr);
+      if (cue) {
+        zoneCoach.playCue(cue);
+      }
+      workoutService.addSample({
+        heartRate: hr,
+        calories: cal,
+        distance: dist,
+      });
+      const recovery = heartRateRecovery.addSample(hr);
+      if (recovery) {
+        if (recovery.status === 'completed') {
+          storageService.saveRecoveryTest(recovery.result);
+        }
+        setRecoveryOutcome(recovery);
+      }
+      setRecoveryStatus(heartRateRecovery.getStatus());
+      sleepMonitor.addSample({ heartRate: hr, bloodOxygen: bo });
+      setSleepStatus(sleepMonitor.getStatus());
+
+      // Warn only about sustained abnormal readings
+      const alerts = healthService.evaluateAlerts({
+        heartRate: hr,
+        bloodOxygen: bo,
+        respiratoryRate: resp,
+      });
+      for (const alert of alerts) {
+        const alertId = await logAlert(alert);
+        if (alert.type !== 'cleared') {
+          sessionRecorder.recordAlert({
+            metric: alert.metric,
+            value: alert.value,
+            status: alert.status,
+            severity: alert.severity,
+            message: alert.message,
+          });
+          notifyAlert(alert.message, alert.severity, alertId).catch(error =>
+            console.error('Failed to notify alert:', error),
+          );
+        }
+      }
+
+      // Save heart rate data (skipped while the sensor has no signal)
+      if (hr !== null) {
+        await storageService.saveHeartRateRecord(hr);
+      }
 
       // Save other health data
       await storageService.saveHealthRecord({
@@ -104,141 +607,653 @@ export default function HomeScreen() {
         steps: st,
         calories: cal,
         distance: dist,
+        respiratoryRate: resp,
+        rrIntervals: rr,
       });
+
+      if (Date.now() - dailySavedAtRef.current >= DAILY_SAVE_INTERVAL_MS) {
+        saveDailySummaries();
+      }
     } catch (error) {
       console.error('Failed to update health data:', error);
     }
   };
 
-  const showAlert = message => {
-    setAlertMessage(message);
-    setAlertVisible(true);
+  const notifyAlert = async (message, severity = 'warning', alertId = null) => {
+    // Unacknowledged danger alerts are escalated even when no channel could
+    // show them, since the user may be the one unable to respond
+    const escalationStarted =
+      severity === 'danger'
+        ? escalationService.start({ alertId, message })
+        : null;
+
+    await notificationService.notify({
+      title: getAlertTitle(severity),
+      message,
+      severity,
+      alertId,
+    });
+    await escalationStarted;
   };
 
+  const acknowledgeAlert = () => {
+    setAlertVisible(false);
+    if (shownAlertRef.current) {
+      storageService.updateAlertEvent(shownAlertRef.current, {
+        acknowledgedAt: Date.now(),
+      });
+      escalationService.acknowledge(shownAlertRef.current);
+      shownAlertRef.current = null;
+    }
+  };
+
+  const cancelEscalation = () => {
+    const pending = escalationService.getPending();
+    if (pending && pending.alert.alertId) {
+      storageService.updateAlertEvent(pending.alert.alertId, {
+        acknowledgedAt: Date.now(),
+      });
+    }
+    escalationService.cancel('cancelled by user');
+  };
+
+  // Limits follow the threshold profile that applies right now
+  const activeProfile = healthService.getActiveThresholdProfile();
+  const goalProgress = healthService.getGoalProgress();
+  const heartRateStatus = heartRate
+    ? healthService.getHeartRateStatus(heartRate)
+    : null;
+  const respiratoryRateStatus = respiratoryRate
+    ? healthService.getRespiratoryRateStatus(respiratoryRate)
+    : null;
+
   const getHeartRateColor = () => {
-    if (heartRate === 0) return '#95a5a6';
-    if (heartRate < 60) return '#3498db';
-    if (heartRate > 100) return '#e74c3c';
+    if (heartRate === 0 || heartRate === null) return '#95a5a6';
+    if (heartRateStatus === 'low') return '#3498db';
+    if (heartRateStatus === 'high') return '#e74c3c';
     return '#2ecc71';
   };
 
   const getHeartRateStatus = () => {
+    if (heartRate === null) return 'No Signal';
     if (heartRate === 0) return 'Waiting';
-    if (heartRate < 60) return 'Low';
-    if (heartRate > 100) return 'High';
+    if (heartRateStatus === 'low') return 'Low';
+    if (heartRateStatus === 'high') return 'High';
+    return 'Normal';
+  };
+
+  const getRespiratoryRateText = () => {
+    if (respiratoryRate === null) return 'No Signal';
+    if (respiratoryRate === 0) return 'Waiting';
+    if (respiratoryRateStatus === 'low') return 'Low';
+    if (respiratoryRateStatus === 'high') return 'High';
     return 'Normal';
   };
 
+  const coaching = zoneCoach.getState();
+
+  // Where the current heart rate sits on the zone band (0 to 100%)
+  const getBandOffset = () => {
+    const low = coaching.zone.min - ZONE_BAND_MARGIN;
+    const high = coaching.zone.max + ZONE_BAND_MARGIN;
+    const share = (heartRate - low) / (high - low);
+    return `${Math.round(Math.min(1, Math.max(0, share)) * 100)}%`;
+  };
+
+  const getCoachingText = () => {
+    if (!monitoring || !heartRate || !coaching.position) {
+      return 'Start monitoring to be coached';
+    }
+    if (coaching.position === 'above') {
+      return `Above zone by ${heartRate - coaching.zone.max} BPM · ease off`;
+    }
+    if (coaching.position === 'below') {
+      return `Below zone by ${coaching.zone.min - heartRate} BPM · speed up`;
+    }
+    return 'In zone · keep it up';
+  };
+
+  const getWorkoutZoneText = () => {
+    if (workoutStatus === 'paused') return 'Paused';
+    if (!heartRate) return ACTIVITY_TYPES[activityType].label;
+    const zone = getWorkoutZone(
+      heartRate,
+      healthService.getTargetHeartRateZones(),
+    );
+    return zone === 'rest'
+      ? 'Below target zones'
+      : `${ZONE_STYLES[zone].label} zone`;
+  };
+
   return (
-    <ScrollView style={styles.container}>
-      {/* Main heart rate card */}
-      <Card style={styles.mainCard} elevation={4}>
-        <Card.Content>
-          <View style={styles.mainMetricContainer}>
-            <Animated.View style={{ transform: [{ scale: pulseAnim }] }}>
-              <Icon name="heart-pulse" size={60} color={getHeartRateColor()} />
-            </Animated.View>
-            <Text style={[styles.mainValue, { color: getHeartRateColor() }]}>
-              {heartRate}
-            </Text>
-            <Text style={styles.mainUnit}>BPM</Text>
-            <View style={styles.statusBadge}>
-              <Text style={[styles.statusText, { color: getHeartRateColor() }]}>
-                {getHeartRateStatus()}
-              </Text>
-            </View>
-          </View>
-        </Card.Content>
-      </Card>
-
-      {/* Other health metrics */}
-      <View style={styles.metricsGrid}>
-        <Card style={styles.metricCard} elevation={2}>
-          <Card.Content style={styles.metricContent}>
-            <Icon name="water" size={36} color="#3498db" />
-            <Text style={styles.metricValue}>{bloodOxygen}%</Text>
-            <Text style={styles.metricLabel}>Blood Oxygen</Text>
-            <Text style={styles.metricStatus}>
-              {bloodOxygen >= 95 ? 'Normal' : 'Low'}
+    <ScrollView
+      style={sleeping ? styles.sleepContainer : styles.container}
+      contentContainerStyle={sleeping ? styles.sleepContent : undefined}
+    >
+      {/* Emergency escalation countdown */}
+      {escalation && (
+        <Card style={styles.escalationCard} elevation={4}>
+          <Card.Content style={styles.escalationContent}>
+            <Icon name="phone-alert" size={32} color="#ffffff" />
+            <Text style={styles.escalationText}>
+              Contacting your emergency contacts in{' '}
+              {escalation.remainingSeconds} s
             </Text>
+            <Button
+              mode="contained"
+              buttonColor="#ffffff"
+              textColor="#c0392b"
+              onPress={cancelEscalation}
+            >
+              I'm OK
+            </Button>
           </Card.Content>
         </Card>
+      )}
 
-        <Card style={styles.metricCard} elevation={2}>
-          <Card.Content style={styles.metricContent}>
-            <Icon name="walk" size={36} color="#2ecc71" />
-            <Text style={styles.metricValue}>{steps}</Text>
-            <Text style={styles.metricLabel}>Steps Today</Text>
-            <Text style={styles.metricStatus}>Goal: 10,000</Text>
-          </Card.Content>
-        </Card>
-      </View>
+      {sleeping ? (
+        // Dimmed overnight view
+        <View style={styles.sleepView}>
+          <Icon name="weather-night" size={48} color="#34495e" />
+          <Text style={styles.sleepTitle}>Sleep mode</Text>
+          <Text style={styles.sleepReading}>
+            {heartRate || '--'} BPM · SpO2 {bloodOxygen || '--'}%
+          </Text>
+          <Text style={styles.sleepInfo}>
+            {formatDuration(sleepStatus.durationMs)} · {sleepStatus.eventCount}{' '}
+            {sleepStatus.eventCount === 1 ? 'desaturation' : 'desaturations'}
+          </Text>
+          <Button
+            mode="outlined"
+            icon="weather-sunny"
+            textColor="#7f8c8d"
+            onPress={wakeUp}
+            style={styles.sleepButton}
+          >
+            End Sleep Mode
+          </Button>
+        </View>
+      ) : (
+        <>
+          {/* Main heart rate card */}
+          <Card style={styles.mainCard} elevation={4}>
+            <Card.Content>
+              <View style={styles.mainMetricContainer}>
+                <Animated.View style={{ transform: [{ scale: pulseAnim }] }}>
+                  <Icon
+                    name="heart-pulse"
+                    size={60}
+                    color={getHeartRateColor()}
+                  />
+                </Animated.View>
+                <Text
+                  style={[styles.mainValue, { color: getHeartRateColor() }]}
+                >
+                  {heartRate ?? '--'}
+                </Text>
+                <Text style={styles.mainUnit}>BPM</Text>
+                <View style={styles.statusBadge}>
+                  <Text
+                    style={[styles.statusText, { color: getHeartRateColor() }]}
+                  >
+                    {getHeartRateStatus()}
+                  </Text>
+                </View>
+                <Text style={styles.profileText}>
+                  {activeProfile.name} profile: {activeProfile.minHeartRate}-
+                  {activeProfile.maxHeartRate} BPM
+                </Text>
+              </View>
+            </Card.Content>
+          </Card>
 
-      <View style={styles.metricsGrid}>
-        <Card style={styles.metricCard} elevation={2}>
-          <Card.Content style={styles.metricContent}>
-            <Icon name="fire" size={36} color="#e67e22" />
-            <Text style={styles.metricValue}>{calories}</Text>
-            <Text style={styles.metricLabel}>Calories</Text>
-            <Text style={styles.metricStatus}>kcal</Text>
-          </Card.Content>
-        </Card>
+          {/* Target zone coaching */}
+          <Card style={styles.workoutCard} elevation={3}>
+            <Card.Title
+              title="Zone Coaching"
+              subtitle={
+                coaching
+                  ? `${coaching.zone.min}-${coaching.zone.max} BPM target`
+                  : 'Pick a target intensity'
+              }
+            />
+            <Card.Content>
+              <SegmentedButtons
+                value={coachingIntensity}
+                onValueChange={changeCoachingIntensity}
+                buttons={[
+                  { value: 'off', label: 'Off' },
+                  ...COACHING_INTENSITIES.map(intensity => ({
+                    value: intensity,
+                    label: intensity[0].toUpperCase() + intensity.slice(1),
+                  })),
+                ]}
+              />
+              {coaching && (
+                <>
+                  <View style={styles.zoneBand}>
+                    {/* Drawn to scale: the margins either side of the zone */}
+                    <View
+                      style={[
+                        styles.zoneBandOutside,
+                        { flex: ZONE_BAND_MARGIN },
+                      ]}
+                    />
+                    <View
+                      style={[
+                        styles.zoneBandInside,
+                        { flex: coaching.zone.max - coaching.zone.min },
+                      ]}
+                    />
+                    <View
+                      style={[
+                        styles.zoneBandOutside,
+                        { flex: ZONE_BAND_MARGIN },
+                      ]}
+                    />
+                    {monitoring && heartRate ? (
+                      <View
+                        style={[
+                          styles.zoneMarker,
+                          { left: getBandOffset() },
+                          coaching.position && {
+                            backgroundColor:
+                              COACHING_POSITIONS[coaching.position].color,
+                          },
+                        ]}
+                      />
+                    ) : null}
+                  </View>
+                  <Text
+                    style={[
+                      styles.coachingText,
+                      coaching.position && {
+                        color: COACHING_POSITIONS[coaching.position].color,
+                      },
+                    ]}
+                  >
+                    {getCoachingText()}
+                  </Text>
+                  <Text style={styles.coachingTime}>
+                    Time in zone {formatDuration(coaching.timeInZoneMs)}
+                  </Text>
+                </>
+              )}
+            </Card.Content>
+          </Card>
 
-        <Card style={styles.metricCard} elevation={2}>
-          <Card.Content style={styles.metricContent}>
-            <Icon name="map-marker-distance" size={36} color="#16a085" />
-            <Text style={styles.metricValue}>{distance}</Text>
-            <Text style={styles.metricLabel}>Distance</Text>
-            <Text style={styles.metricStatus}>km</Text>
-          </Card.Content>
-        </Card>
-      </View>
+          {/* Other health metrics */}
+          <View style={styles.metricsGrid}>
+            <Card style={styles.metricCard} elevation={2}>
+              <Card.Content style={styles.metricContent}>
+                <Icon name="water" size={36} color="#3498db" />
+                <Text style={styles.metricValue}>{bloodOxygen ?? '--'}%</Text>
+                <Text style={styles.metricLabel}>Blood Oxygen</Text>
+                <Text style={styles.metricStatus}>
+                  {bloodOxygen === null
+                    ? 'No Signal'
+                    : healthService.getBloodOxygenStatus(bloodOxygen) ===
+                      'normal'
+                    ? 'Normal'
+                    : 'Low'}
+                </Text>
+              </Card.Content>
+            </Card>
 
-      {/* Control card */}
-      <Card style={styles.controlCard} elevation={3}>
-        <Card.Content>
-          <View style={styles.controlContent}>
-            <View style={styles.statusSection}>
-              <Icon
-                name={monitoring ? 'heart-pulse' : 'heart-off'}
-                size={40}
-                color={monitoring ? '#e74c3c' : '#95a5a6'}
-              />
-              <View style={styles.statusTextContainer}>
-                <Text style={styles.statusTitle}>
-                  {monitoring ? 'Monitoring Active' : 'Monitoring Stopped'}
+            <Card style={styles.metricCard} elevation={2}>
+              <Card.Content style={styles.metricContent}>
+                <Icon name="lungs" size={36} color="#1abc9c" />
+                <Text style={styles.metricValue}>
+                  {respiratoryRate ?? '--'}/min
                 </Text>
-                <Text style={styles.statusSubtitle}>
-                  {monitoring
-                    ? 'Real-time data collection'
-                    : 'Tap button to start'}
+                <Text style={styles.metricLabel}>Respiratory Rate</Text>
+                <Text
+                  style={[
+                    styles.metricStatus,
+                    respiratoryRateStatus &&
+                      respiratoryRateStatus !== 'normal' &&
+                      styles.metricStatusAbnormal,
+                  ]}
+                >
+                  {getRespiratoryRateText()}
                 </Text>
-              </View>
-            </View>
+              </Card.Content>
+            </Card>
+          </View>
 
-            <Button
-              mode={monitoring ? 'outlined' : 'contained'}
-              onPress={() => setMonitoring(!monitoring)}
-              style={styles.controlButton}
-              icon={monitoring ? 'stop' : 'play'}
-              contentStyle={styles.buttonContent}
-            >
-              {monitoring ? 'Stop' : 'Start'}
-            </Button>
+          <View style={styles.metricsGrid}>
+            <Card style={styles.metricCard} elevation={2}>
+              <Card.Content style={styles.metricContent}>
+                <ProgressRing
+                  progress={goalProgress.steps.progress}
+                  color="#2ecc71"
+                  icon="walk"
+                />
+                <Text style={styles.metricValue}>{steps}</Text>
+                <Text style={styles.metricLabel}>Steps Today</Text>
+                <Text style={styles.metricStatus}>
+                  {formatGoal(goalProgress.steps, 'steps')}
+                </Text>
+              </Card.Content>
+            </Card>
+
+            <Card style={styles.metricCard} elevation={2}>
+              <Card.Content style={styles.metricContent}>
+                <ProgressRing
+                  progress={goalProgress.activeCalories.progress}
+                  color="#e67e22"
+                  icon="fire"
+                />
+                <Text style={styles.metricValue}>{calories}</Text>
+                <Text style={styles.metricLabel}>Calories (kcal)</Text>
+                <Text style={styles.metricStatus}>
+                  {formatGoal(goalProgress.activeCalories, 'active kcal')}
+                </Text>
+              </Card.Content>
+            </Card>
+          </View>
+
+          <View style={styles.metricsGrid}>
+            <Card style={styles.metricCard} elevation={2}>
+              <Card.Content style={styles.metricContent}>
+                <ProgressRing
+                  progress={goalProgress.distance.progress}
+                  color="#16a085"
+                  icon="map-marker-distance"
+                />
+                <Text style={styles.metricValue}>{distance}</Text>
+                <Text style={styles.metricLabel}>Distance (km)</Text>
+                <Text style={styles.metricStatus}>
+                  {formatGoal(goalProgress.distance, 'km')}
+                </Text>
+              </Card.Content>
+            </Card>
+
+            <Card style={styles.metricCard} elevation={2}>
+              <Card.Content style={styles.metricContent}>
+                <ProgressRing
+                  progress={goalProgress.activeMinutes.progress}
+                  color="#c0392b"
+                  icon="run-fast"
+                />
+                <Text style={styles.metricValue}>
+                  {goalProgress.activeMinutes.value}
+                </Text>
+                <Text style={styles.metricLabel}>Active Minutes</Text>
+                <Text style={styles.metricStatus}>
+                  {formatGoal(goalProgress.activeMinutes, 'min')}
+                </Text>
+              </Card.Content>
+            </Card>
+          </View>
+
+          <View style={styles.metricsGrid}>
+            <Card style={styles.metricCard} elevation={2}>
+              <Card.Content style={styles.metricContent}>
+                <Icon name="heart-flash" size={36} color="#9b59b6" />
+                <Text style={styles.metricValue}>
+                  {hrv && hrv.beatCount > 1 ? `${hrv.rmssd} ms` : '--'}
+                </Text>
+                <Text style={styles.metricLabel}>Heart Rate Variability</Text>
+                <Text style={styles.metricStatus}>
+                  {hrv && hrv.beatCount > 1
+                    ? `RMSSD · SDNN ${hrv.sdnn} ms · pNN50 ${hrv.pnn50}%`
+                    : 'Needs beat-to-beat data'}
+                </Text>
+              </Card.Content>
+            </Card>
           </View>
-        </Card.Content>
-      </Card>
+
+          {/* Control card */}
+          <Card style={styles.controlCard} elevation={3}>
+            <Card.Content>
+              <View style={styles.controlContent}>
+                <View style={styles.statusSection}>
+                  <Icon
+                    name={monitoring ? 'heart-pulse' : 'heart-off'}
+                    size={40}
+                    color={monitoring ? '#e74c3c' : '#95a5a6'}
+                  />
+                  <View style={styles.statusTextContainer}>
+                    <Text style={styles.statusTitle}>
+                      {monitoring ? 'Monitoring Active' : 'Monitoring Stopped'}
+                    </Text>
+                    <Text style={styles.statusSubtitle}>
+                      {monitoring
+                        ? 'Real-time data collection'
+                        : 'Tap button to start'}
+                    </Text>
+                    {providerError && (
+                      <Text style={styles.errorText}>{providerError}</Text>
+                    )}
+                    {pendingSamples > 0 && (
+                      <Text style={styles.pendingText}>
+                        {pendingSamples} unsaved{' '}
+                        {pendingSamples === 1 ? 'sample' : 'samples'}
+                      </Text>
+                    )}
+                  </View>
+                </View>
+
+                <Button
+                  mode={monitoring ? 'outlined' : 'contained'}
+                  onPress={() => setMonitoring(!monitoring)}
+                  style={styles.controlButton}
+                  icon={monitoring ? 'stop' : 'play'}
+                  contentStyle={styles.buttonContent}
+                >
+                  {monitoring ? 'Stop' : 'Start'}
+                </Button>
+              </View>
+            </Card.Content>
+          </Card>
+
+          {/* Workout session */}
+          <Card style={styles.workoutCard} elevation={3}>
+            <Card.Title title="Workout" />
+            <Card.Content>
+              {workoutStatus ? (
+                <>
+                  <View style={styles.workoutLive}>
+                    <Text style={styles.workoutDuration}>
+                      {formatDuration(workoutService.getSummary().durationMs)}
+                    </Text>
+                    <Text style={styles.workoutZone}>
+                      {getWorkoutZoneText()}
+                    </Text>
+                  </View>
+                  <View style={styles.workoutButtons}>
+                    <Button
+                      mode="outlined"
+                      icon={workoutStatus === 'paused' ? 'play' : 'pause'}
+                      onPress={toggleWorkoutPause}
+                    >
+                      {workoutStatus === 'paused' ? 'Resume' : 'Pause'}
+                    </Button>
+                    <Button
+                      mode="contained"
+                      icon="flag-checkered"
+                      onPress={finishWorkout}
+                    >
+                      End
+                    </Button>
+                  </View>
+                </>
+              ) : (
+                <>
+                  <View style={styles.activityChips}>
+                    {Object.entries(ACTIVITY_TYPES).map(([type, activity]) => (
+                      <Chip
+                        key={type}
+                        icon={activity.icon}
+                        selected={activityType === type}
+                        onPress={() => setActivityType(type)}
+                        style={styles.activityChip}
+                      >
+                        {activity.label}
+                      </Chip>
+                    ))}
+                  </View>
+                  <Button mode="contained" icon="play" onPress={startWorkout}>
+                    Start {ACTIVITY_TYPES[activityType].label}
+                  </Button>
+                  <Button
+                    mode="outlined"
+                    icon="heart-minus"
+                    onPress={() => startRecoveryTest()}
+                    disabled={!!recoveryStatus}
+                    style={styles.recoveryButton}
+                  >
+                    Recovery Test
+                  </Button>
+                </>
+              )}
+            </Card.Content>
+          </Card>
+
+          {/* Post-workout summary */}
+          {workoutSummary && (
+            <Card style={styles.workoutCard} elevation={3}>
+              <Card.Title title="Workout Summary" />
+              <Card.Content>
+                <WorkoutSummary workout={workoutSummary} />
+              </Card.Content>
+              <Card.Actions>
+                <Button onPress={() => setWorkoutSummary(null)}>Dismiss</Button>
+              </Card.Actions>
+            </Card>
+          )}
+
+          {/* Heart rate recovery test */}
+          {(recoveryStatus || recoveryOutcome) && (
+            <Card style={styles.workoutCard} elevation={3}>
+              <Card.Title
+                title="Heart Rate Recovery"
+                subtitle={
+                  recoveryStatus
+                    ? 'Stop moving and breathe normally'
+                    : 'Drop from peak after 1 and 2 minutes'
+                }
+              />
+              <Card.Content>
+                {recoveryStatus && (
+                  <View style={styles.workoutLive}>
+                    <Text style={styles.workoutDuration}>
+                      {formatDuration(
+                        Math.max(
+                          recoveryStatus.durationMs - recoveryStatus.elapsedMs,
+                          0,
+                        ),
+                      )}
+                    </Text>
+                    <Text style={styles.workoutZone}>
+                      Peak {recoveryStatus.peakHeartRate ?? '--'} BPM · 1 min{' '}
+                      {recoveryStatus.heartRate1Min ?? '--'} BPM
+                    </Text>
+                  </View>
+                )}
+                {recoveryOutcome?.status === 'completed' && (
+                  <>
+                    <View style={styles.recoveryStats}>
+                      {[
+                        {
+                          label: 'Peak',
+                          value: recoveryOutcome.result.peakHeartRate,
+                        },
+                        {
+                          label: 'Drop at 1 min',
+                          value: recoveryOutcome.result.recovery1Min,
+                        },
+                        {
+                          label: 'Drop at 2 min',
+                          value: recoveryOutcome.result.recovery2Min,
+                        },
+                      ].map(stat => (
+                        <View key={stat.label} style={styles.recoveryStat}>
+                          <Text style={styles.recoveryValue}>{stat.value}</Text>
+                          <Text style={styles.recoveryLabel}>{stat.label}</Text>
+                        </View>
+                      ))}
+                    </View>
+                    <Text style={styles.recoveryNote}>
+                      {recoveryOutcome.result.low
+                        ? 'Your heart rate dropped slowly in the first minute. If this keeps happening, consider talking to your doctor.'
+                        : 'Your heart rate dropped at a healthy pace.'}
+                    </Text>
+                  </>
+                )}
+                {recoveryOutcome?.status === 'missed' && (
+                  <Text style={styles.recoveryNote}>
+                    The test could not finish without a heart rate reading at
+                    each minute. Keep the sensor in place and try again.
+                  </Text>
+                )}
+              </Card.Content>
+              <Card.Actions>
+                {recoveryStatus ? (
+                  <Button onPress={cancelRecoveryTest}>Cancel</Button>
+                ) : (
+                  <Button onPress={() => setRecoveryOutcome(null)}>
+                    Dismiss
+                  </Button>
+                )}
+              </Card.Actions>
+            </Card>
+          )}
+
+          {/* Sleep mode */}
+          <Card style={styles.workoutCard} elevation={3}>
+            <Card.Title
+              title="Sleep Mode"
+              subtitle="Overnight SpO2 and heart rate, dimmed screen"
+            />
+            <Card.Content>
+              <Text style={styles.recoveryNote}>
+                Readings are taken every{' '}
+                {SLEEP_DEFAULTS.pollingIntervalMs / 1000} seconds. Drops in
+                blood oxygen of {SLEEP_DEFAULTS.dropPercent}% or more are
+                counted and summarized in the morning.
+              </Text>
+            </Card.Content>
+            <Card.Actions>
+              <Button
+                mode="contained"
+                icon="weather-night"
+                onPress={startSleep}
+              >
+                Start Sleep Mode
+              </Button>
+            </Card.Actions>
+          </Card>
+
+          {/* Morning summary */}
+          {sleepSummary && (
+            <Card style={styles.workoutCard} elevation={3}>
+              <Card.Title title="Last Night" />
+              <Card.Content>
+                <SleepSummary night={sleepSummary} />
+              </Card.Content>
+              <Card.Actions>
+                <Button onPress={() => setSleepSummary(null)}>Dismiss</Button>
+              </Card.Actions>
+            </Card>
+          )}
+        </>
+      )}
 
       {/* Warning dialog */}
       <Portal>
         <Dialog visible={alertVisible} onDismiss={() => setAlertVisible(false)}>
-          <Dialog.Icon icon="alert" color="#e74c3c" />
-          <Dialog.Title>Health Warning</Dialog.Title>
+          <Dialog.Icon
+            icon={alertSeverity === 'caution' ? 'heart-search' : 'alert'}
+            color={alertSeverity === 'caution' ? '#e67e22' : '#e74c3c'}
+          />
+          <Dialog.Title>{getAlertTitle(alertSeverity)}</Dialog.Title>
           <Dialog.Content>
             <Text>{alertMessage}</Text>
           </Dialog.Content>
           <Dialog.Actions>
-            <Button onPress={() => setAlertVisible(false)}>Got it</Button>
+            <Button onPress={acknowledgeAlert}>Got it</Button>
           </Dialog.Actions>
         </Dialog>
       </Portal>
@@ -281,6 +1296,27 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  escalationCard: {
+    margin: 16,
+    marginBottom: 0,
+    backgroundColor: '#c0392b',
+  },
+  escalationContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  escalationText: {
+    flex: 1,
+    color: '#ffffff',
+    fontSize: 15,
+    fontWeight: '600',
+    marginHorizontal: 12,
+  },
+  profileText: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginTop: 8,
+  },
   metricsGrid: {
     flexDirection: 'row',
     paddingHorizontal: 16,
@@ -295,6 +1331,15 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingVertical: 15,
   },
+  ring: {
+    width: RING_SIZE,
+    height: RING_SIZE,
+  },
+  ringIcon: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
   metricValue: {
     fontSize: 28,
     fontWeight: 'bold',
@@ -311,6 +1356,135 @@ const styles = StyleSheet.create({
     color: '#95a5a6',
     marginTop: 2,
   },
+  metricStatusAbnormal: {
+    color: '#e74c3c',
+    fontWeight: '600',
+  },
+  zoneBand: {
+    flexDirection: 'row',
+    height: 12,
+    borderRadius: 6,
+    overflow: 'hidden',
+    marginTop: 16,
+  },
+  zoneBandOutside: {
+    backgroundColor: '#ecf0f1',
+  },
+  zoneBandInside: {
+    backgroundColor: '#a9dfbf',
+  },
+  zoneMarker: {
+    position: 'absolute',
+    top: 0,
+    width: 6,
+    height: 12,
+    marginLeft: -3,
+    borderRadius: 3,
+    backgroundColor: '#2c3e50',
+  },
+  coachingText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2c3e50',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  coachingTime: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginTop: 2,
+    textAlign: 'center',
+  },
+  workoutCard: {
+    marginHorizontal: 16,
+    marginBottom: 16,
+    borderRadius: 12,
+    backgroundColor: '#fff',
+  },
+  workoutLive: {
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  workoutDuration: {
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  workoutZone: {
+    fontSize: 14,
+    color: '#7f8c8d',
+    marginTop: 4,
+  },
+  workoutButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
+  activityChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  activityChip: {
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  recoveryButton: {
+    marginTop: 8,
+  },
+  sleepContainer: {
+    flex: 1,
+    backgroundColor: '#0b0f14',
+  },
+  sleepContent: {
+    flexGrow: 1,
+  },
+  sleepView: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 80,
+  },
+  sleepTitle: {
+    fontSize: 18,
+    color: '#5d6d7e',
+    marginTop: 12,
+  },
+  sleepReading: {
+    fontSize: 28,
+    color: '#7f8c8d',
+    marginTop: 24,
+  },
+  sleepInfo: {
+    fontSize: 14,
+    color: '#566573',
+    marginTop: 8,
+  },
+  sleepButton: {
+    marginTop: 40,
+    borderColor: '#34495e',
+  },
+  recoveryStats: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginBottom: 12,
+  },
+  recoveryStat: {
+    alignItems: 'center',
+  },
+  recoveryValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  recoveryLabel: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  recoveryNote: {
+    fontSize: 14,
+    color: '#2c3e50',
+  },
   controlCard: {
     margin: 16,
     marginTop: 8,
@@ -341,6 +1515,16 @@ const styles = StyleSheet.create({
     color: '#7f8c8d',
     marginTop: 2,
   },
+  errorText: {
+    fontSize: 12,
+    color: '#e74c3c',
+    marginTop: 2,
+  },
+  pendingText: {
+    fontSize: 12,
+    color: '#95a5a6',
+    marginTop: 2,
+  },
   controlButton: {
     marginLeft: 12,
   },
@@ -1,5 +1,5 @@
 // src/screens/SettingsScreen.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { StyleSheet, Alert, ScrollView } from 'react-native';
 import {
   List,
@@ -9,16 +9,218 @@ import {
   Portal,
   TextInput,
   Divider,
+  RadioButton,
+  Checkbox,
+  Text,
+  SegmentedButtons,
 } from 'react-native-paper';
 import RNFS from 'react-native-fs';
 import storageService from '../../services/storageService';
+import healthService from '../../services/healthService';
+import scenarioProvider from '../../services/providers/scenarioProvider';
+import replayProvider from '../../services/providers/replayProvider';
+import sessionRecorder from '../../services/sessionRecorder';
+import notificationService, {
+  DEFAULT_NOTIFICATION_SETTINGS,
+} from '../../services/notificationService';
+import { NOTIFICATION_CHANNELS } from '../../services/notifications/notificationAdapter';
+import escalationService, {
+  ESCALATION_METHODS,
+} from '../../services/escalationService';
+import zoneCoach from '../../services/zoneCoach';
+import {
+  parseTimeOfDay,
+  validateThresholdProfile,
+} from '../../services/thresholdProfiles';
+import {
+  FITNESS_LEVELS,
+  getAge,
+  getMaxHeartRate,
+  validateUserProfile,
+} from '../../services/userProfile';
+import { GOAL_METRICS, validateGoals } from '../../services/goals';
+
+// Choices for how long samples may wait before being written in one batch
+const SAVE_INTERVAL_OPTIONS = [5, 15, 30, 60];
+// Choices for how long a reading must stay abnormal before an alert
+const ALERT_DELAY_OPTIONS = [5, 15, 30, 60];
+// Choices for how long a danger alert may go unacknowledged
+const ESCALATION_DELAY_OPTIONS = [30, 60, 120, 300];
+const ESCALATION_METHOD_LABELS = {
+  [ESCALATION_METHODS.SMS]: 'Text message',
+  [ESCALATION_METHODS.CALL]: 'Phone call (first contact)',
+};
+const PHONE_PATTERN = /^\+?[\d\s()-]{3,}$/;
+
+// Health profile as editable text, and back (empty fields are not set)
+const toUserProfileForm = profile => ({
+  birthDate: profile.birthDate || '',
+  sex: profile.sex || 'unset',
+  heightCm: profile.heightCm ? String(profile.heightCm) : '',
+  weightKg: profile.weightKg ? String(profile.weightKg) : '',
+  restingHeartRate: profile.restingHeartRate
+    ? String(profile.restingHeartRate)
+    : '',
+  fitnessLevel: profile.fitnessLevel,
+});
+
+const parseOptionalNumber = value =>
+  value.trim() === '' ? null : parseFloat(value);
+
+const fromUserProfileForm = form => ({
+  birthDate: form.birthDate.trim() || null,
+  sex: form.sex === 'unset' ? null : form.sex,
+  heightCm: parseOptionalNumber(form.heightCm),
+  weightKg: parseOptionalNumber(form.weightKg),
+  restingHeartRate: parseOptionalNumber(form.restingHeartRate),
+  fitnessLevel: form.fitnessLevel,
+});
+
+const describeUserProfile = profile => {
+  const details = [
+    profile.birthDate ? `Age ${getAge(profile)}` : 'Age not set',
+    profile.heightCm ? `${profile.heightCm} cm` : null,
+    profile.weightKg ? `${profile.weightKg} kg` : null,
+  ].filter(Boolean);
+  return `${details.join(' · ')}\nMax heart rate ${getMaxHeartRate(
+    profile,
+  )} BPM`;
+};
+
+// Daily goals as editable text, and back
+const toGoalsForm = goals => {
+  const form = {};
+  Object.keys(GOAL_METRICS).forEach(metric => {
+    form[metric] = String(goals[metric]);
+  });
+  return form;
+};
+
+const fromGoalsForm = form => {
+  const goals = {};
+  Object.keys(GOAL_METRICS).forEach(metric => {
+    goals[metric] = parseFloat(form[metric]);
+  });
+  return goals;
+};
+
+const describeGoals = goals =>
+  Object.entries(GOAL_METRICS)
+    .map(([metric, { unit }]) => `${goals[metric].toLocaleString()} ${unit}`)
+    .join(' · ');
+
+const ALERT_SEVERITY_LABELS = {
+  caution: 'Caution',
+  warning: 'Warning',
+  danger: 'Danger',
+};
+
+const describeProfile = profile => {
+  const limits = `HR ${profile.minHeartRate}-${profile.maxHeartRate} BPM | SpO2 ≥${profile.minBloodOxygen}% | RR ${profile.minRespiratoryRate}-${profile.maxRespiratoryRate}`;
+  return profile.schedule
+    ? `${limits}\nScheduled ${profile.schedule.start}-${profile.schedule.end}`
+    : limits;
+};
+
+// Profile limits as editable text, and back
+const toProfileForm = profile => ({
+  id: profile.id,
+  name: profile.name,
+  minHeartRate: String(profile.minHeartRate),
+  maxHeartRate: String(profile.maxHeartRate),
+  minBloodOxygen: String(profile.minBloodOxygen),
+  minRespiratoryRate: String(profile.minRespiratoryRate),
+  maxRespiratoryRate: String(profile.maxRespiratoryRate),
+  scheduleStart: profile.schedule ? profile.schedule.start : '',
+  scheduleEnd: profile.schedule ? profile.schedule.end : '',
+});
+
+const fromProfileForm = form => ({
+  id: form.id,
+  name: form.name,
+  minHeartRate: parseInt(form.minHeartRate, 10),
+  maxHeartRate: parseInt(form.maxHeartRate, 10),
+  minBloodOxygen: parseInt(form.minBloodOxygen, 10),
+  minRespiratoryRate: parseInt(form.minRespiratoryRate, 10),
+  maxRespiratoryRate: parseInt(form.maxRespiratoryRate, 10),
+  schedule:
+    form.scheduleStart.trim() || form.scheduleEnd.trim()
+      ? { start: form.scheduleStart.trim(), end: form.scheduleEnd.trim() }
+      : null,
+});
 
 export default function SettingsScreen() {
   const [notifications, setNotifications] = useState(true);
+  const [quietHours, setQuietHours] = useState(
+    DEFAULT_NOTIFICATION_SETTINGS.quietHours,
+  );
+  const [quietHoursForm, setQuietHoursForm] = useState(null);
+  const [notificationChannels, setNotificationChannels] = useState(
+    DEFAULT_NOTIFICATION_SETTINGS.notificationChannels,
+  );
+  const [channelsDialogVisible, setChannelsDialogVisible] = useState(false);
+  const [userProfile, setUserProfile] = useState(
+    healthService.getUserProfile(),
+  );
+  const [userProfileForm, setUserProfileForm] = useState(null);
+  const [goals, setGoals] = useState(healthService.getGoals());
+  const [goalsForm, setGoalsForm] = useState(null);
+  const [contacts, setContacts] = useState([]);
+  const [contactForm, setContactForm] = useState(null);
+  const [escalationDelay, setEscalationDelay] = useState('60');
+  const [escalationMethod, setEscalationMethod] = useState(
+    ESCALATION_METHODS.SMS,
+  );
+  const [escalationDialogVisible, setEscalationDialogVisible] = useState(false);
+  const [escalationLog, setEscalationLog] = useState(null);
+  const [coachingHaptics, setCoachingHaptics] = useState(true);
+  const [coachingSpoken, setCoachingSpoken] = useState(true);
   const [autoSave, setAutoSave] = useState(true);
-  const [thresholdDialogVisible, setThresholdDialogVisible] = useState(false);
-  const [minHeartRate, setMinHeartRate] = useState('60');
-  const [maxHeartRate, setMaxHeartRate] = useState('100');
+  const [profileConfig, setProfileConfig] = useState(
+    healthService.getThresholdProfiles(),
+  );
+  const [activeProfileDialogVisible, setActiveProfileDialogVisible] =
+    useState(false);
+  const [profileForm, setProfileForm] = useState(null);
+  const [dataSourceDialogVisible, setDataSourceDialogVisible] = useState(false);
+  const [dataSource, setDataSource] = useState(
+    healthService.getActiveProvider().id === scenarioProvider.id
+      ? scenarioProvider.getConfiguration().scenarioId
+      : 'simulator',
+  );
+  const [seed, setSeed] = useState(
+    String(scenarioProvider.getConfiguration().seed),
+  );
+  const [speed, setSpeed] = useState(
+    String(scenarioProvider.getConfiguration().speed),
+  );
+  const [recordSessions, setRecordSessions] = useState(false);
+  const [sessionsDialogVisible, setSessionsDialogVisible] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [saveInterval, setSaveInterval] = useState('15');
+  const [saveIntervalDialogVisible, setSaveIntervalDialogVisible] =
+    useState(false);
+  const [alertDelay, setAlertDelay] = useState('15');
+  const [alertDelayDialogVisible, setAlertDelayDialogVisible] = useState(false);
+
+  useEffect(() => {
+    storageService.getUserSettings().then(settings => {
+      setNotifications(settings.notifications);
+      setQuietHours(settings.quietHours);
+      setNotificationChannels(settings.notificationChannels);
+      setEscalationDelay(String(settings.escalationDelaySeconds));
+      setEscalationMethod(settings.escalationMethod);
+      setCoachingHaptics(settings.coachingHaptics);
+      setCoachingSpoken(settings.coachingSpoken);
+      setRecordSessions(Boolean(settings.recordSessions));
+      setSaveInterval(String(settings.saveIntervalSeconds));
+      setAlertDelay(String(settings.alertDelaySeconds));
+    });
+    storageService.getThresholdProfiles().then(setProfileConfig);
+    storageService.getEmergencyContacts().then(setContacts);
+    storageService.getUserProfile().then(setUserProfile);
+    storageService.getGoals().then(setGoals);
+  }, []);
 
   const exportData = async () => {
     try {
@@ -81,28 +283,290 @@ export default function SettingsScreen() {
     );
   };
 
-  const saveThresholds = () => {
-    const min = parseInt(minHeartRate);
-    const max = parseInt(maxHeartRate);
+  const saveProfileConfig = async config => {
+    setProfileConfig(config);
+    healthService.setThresholdProfiles(config);
+    await storageService.saveThresholdProfiles(config);
+  };
+
+  const chooseActiveProfile = async id => {
+    setActiveProfileDialogVisible(false);
+    await saveProfileConfig({ ...profileConfig, activeProfileId: id });
+  };
 
-    if (isNaN(min) || isNaN(max)) {
-      Alert.alert('Error', 'Please enter valid numbers');
+  const toggleAutomaticProfiles = async value => {
+    await saveProfileConfig({ ...profileConfig, automatic: value });
+  };
+
+  const updateProfileForm = (field, value) => {
+    setProfileForm(form => ({ ...form, [field]: value }));
+  };
+
+  const saveProfile = async () => {
+    const profile = fromProfileForm(profileForm);
+    const error = validateThresholdProfile(profile);
+    if (error) {
+      Alert.alert('Error', error);
       return;
     }
 
-    if (min >= max) {
-      Alert.alert('Error', 'Minimum heart rate must be less than maximum');
+    await saveProfileConfig({
+      ...profileConfig,
+      profiles: profileConfig.profiles.map(item =>
+        item.id === profile.id ? profile : item,
+      ),
+    });
+    setProfileForm(null);
+    Alert.alert('Success', 'Threshold settings saved');
+  };
+
+  const getActiveProfileDescription = () => {
+    const active = healthService.getActiveThresholdProfile();
+    return profileConfig.automatic
+      ? `${active.name} (switching automatically on schedule)`
+      : active.name;
+  };
+
+  const getDataSourceName = () => {
+    const provider = healthService.getActiveProvider();
+
+    if (provider.id === replayProvider.id) {
+      return `Replay: ${replayProvider.getSession().id} (${
+        replayProvider.speed
+      }x)`;
+    }
+
+    if (provider.id === scenarioProvider.id) {
+      const config = scenarioProvider.getConfiguration();
+      const scenario = scenarioProvider
+        .getScenarios()
+        .find(item => item.id === config.scenarioId);
+      return `Scenario: ${scenario.name} (seed ${config.seed}, ${config.speed}x)`;
+    }
+
+    return 'Random simulator';
+  };
+
+  const saveDataSource = async () => {
+    if (dataSource === 'simulator') {
+      await healthService.setActiveProvider('simulator');
+      setDataSourceDialogVisible(false);
       return;
     }
 
-    if (min < 40 || max > 200) {
-      Alert.alert('Error', 'Please enter reasonable heart rate range (40-200)');
+    const speedValue = parseFloat(speed);
+    if (seed.trim() === '' || isNaN(speedValue) || speedValue <= 0) {
+      Alert.alert('Error', 'Please enter a seed and a positive speed');
       return;
     }
 
-    storageService.saveThresholds({ min, max });
-    setThresholdDialogVisible(false);
-    Alert.alert('Success', 'Threshold settings saved');
+    scenarioProvider.configure({
+      scenarioId: dataSource,
+      seed: seed.trim(),
+      speed: speedValue,
+    });
+    await healthService.setActiveProvider(scenarioProvider.id);
+    setDataSourceDialogVisible(false);
+  };
+
+  const toggleRecordSessions = async value => {
+    setRecordSessions(value);
+    await storageService.updateUserSettings({ recordSessions: value });
+  };
+
+  const changeSaveInterval = async value => {
+    setSaveInterval(value);
+    setSaveIntervalDialogVisible(false);
+    const seconds = parseInt(value, 10);
+    storageService.setFlushInterval(seconds * 1000);
+    await storageService.updateUserSettings({ saveIntervalSeconds: seconds });
+  };
+
+  const saveNotificationSettings = async changes => {
+    notificationService.configure(changes);
+    await storageService.updateUserSettings(changes);
+  };
+
+  const saveCoachingSettings = async changes => {
+    zoneCoach.configure(changes);
+    await storageService.updateUserSettings(changes);
+  };
+
+  const toggleNotifications = async value => {
+    setNotifications(value);
+    await saveNotificationSettings({ notifications: value });
+  };
+
+  const toggleQuietHours = async value => {
+    const updated = { ...quietHours, enabled: value };
+    setQuietHours(updated);
+    await saveNotificationSettings({ quietHours: updated });
+  };
+
+  const saveQuietHours = async () => {
+    const start = quietHoursForm.start.trim();
+    const end = quietHoursForm.end.trim();
+    if (parseTimeOfDay(start) === null || parseTimeOfDay(end) === null) {
+      Alert.alert('Error', 'Please enter quiet hours as HH:MM');
+      return;
+    }
+
+    const updated = { ...quietHours, start, end };
+    setQuietHours(updated);
+    setQuietHoursForm(null);
+    await saveNotificationSettings({ quietHours: updated });
+  };
+
+  const toggleChannel = async (severity, channel) => {
+    const channels = notificationChannels[severity];
+    const updated = {
+      ...notificationChannels,
+      [severity]: channels.includes(channel)
+        ? channels.filter(id => id !== channel)
+        : [...channels, channel],
+    };
+    setNotificationChannels(updated);
+    await saveNotificationSettings({ notificationChannels: updated });
+  };
+
+  const getChannelsDescription = () =>
+    Object.keys(ALERT_SEVERITY_LABELS)
+      .map(
+        severity =>
+          `${ALERT_SEVERITY_LABELS[severity]}: ${
+            notificationChannels[severity]
+              .map(id => notificationService.getAdapter(id).name)
+              .join(', ') || 'off'
+          }`,
+      )
+      .join('\n');
+
+  const updateUserProfileForm = (field, value) => {
+    setUserProfileForm(form => ({ ...form, [field]: value }));
+  };
+
+  const saveUserProfile = async () => {
+    const profile = fromUserProfileForm(userProfileForm);
+    const error = validateUserProfile(profile);
+    if (error) {
+      Alert.alert('Error', error);
+      return;
+    }
+
+    setUserProfile(profile);
+    setUserProfileForm(null);
+    healthService.setUserProfile(profile);
+    await storageService.saveUserProfile(profile);
+  };
+
+  const saveGoals = async () => {
+    const updated = fromGoalsForm(goalsForm);
+    const error = validateGoals(updated);
+    if (error) {
+      Alert.alert('Error', error);
+      return;
+    }
+
+    setGoals(updated);
+    setGoalsForm(null);
+    healthService.setGoals(updated);
+    await storageService.saveGoals(updated);
+  };
+
+  const saveContact = async () => {
+    const name = contactForm.name.trim();
+    const phone = contactForm.phone.trim();
+    if (!name || !PHONE_PATTERN.test(phone)) {
+      Alert.alert('Error', 'Please enter a name and a phone number');
+      return;
+    }
+
+    const updated = [...contacts, { id: `${Date.now()}`, name, phone }];
+    setContacts(updated);
+    setContactForm(null);
+    await storageService.saveEmergencyContacts(updated);
+  };
+
+  const removeContact = contact => {
+    Alert.alert('Remove Contact', `Remove ${contact.name}?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          const updated = contacts.filter(item => item.id !== contact.id);
+          setContacts(updated);
+          await storageService.saveEmergencyContacts(updated);
+        },
+      },
+    ]);
+  };
+
+  const saveEscalationSettings = async changes => {
+    escalationService.configure(changes);
+    await storageService.updateUserSettings(changes);
+  };
+
+  const changeEscalationDelay = async value => {
+    setEscalationDelay(value);
+    await saveEscalationSettings({
+      escalationDelaySeconds: parseInt(value, 10),
+    });
+  };
+
+  const changeEscalationMethod = async value => {
+    setEscalationMethod(value);
+    await saveEscalationSettings({ escalationMethod: value });
+  };
+
+  const openEscalationLog = async () => {
+    setEscalationLog(await storageService.getEscalationLog());
+  };
+
+  const formatEscalationEntry = entry => {
+    const time = new Date(entry.startedAt).toLocaleString();
+    if (entry.status === 'prepared') {
+      const names = entry.contacts.map(contact => contact.name).join(', ');
+      return `${time}\n${
+        entry.method === ESCALATION_METHODS.CALL ? 'Call' : 'Message'
+      } prepared for ${names}`;
+    }
+    return `${time}\n${
+      entry.status === 'cancelled' ? 'Cancelled' : 'Failed'
+    }: ${entry.reason}`;
+  };
+
+  const changeAlertDelay = async value => {
+    setAlertDelay(value);
+    setAlertDelayDialogVisible(false);
+    const seconds = parseInt(value, 10);
+    healthService.configureAlerts({ '*': { sustainMs: seconds * 1000 } });
+    await storageService.updateUserSettings({ alertDelaySeconds: seconds });
+  };
+
+  const openSessionsDialog = async () => {
+    setSessions(await sessionRecorder.listSessions());
+    setSessionsDialogVisible(true);
+  };
+
+  const replaySession = async (path, replaySpeed) => {
+    try {
+      const session = await sessionRecorder.loadSession(path);
+      replayProvider.load(session, { speed: replaySpeed });
+      await healthService.setActiveProvider(replayProvider.id);
+      setSessionsDialogVisible(false);
+      Alert.alert(
+        'Replay Ready',
+        `Start monitoring on the Home tab to play back ${session.samples.length} samples at ${replaySpeed}x speed`,
+      );
+    } catch (error) {
+      Alert.alert('Replay Failed', error.message);
+    }
+  };
+
+  const deleteSession = async path => {
+    await sessionRecorder.deleteSession(path);
+    setSessions(await sessionRecorder.listSessions());
   };
 
   return (
@@ -115,10 +579,46 @@ export default function SettingsScreen() {
           description="Send notification when heart rate exceeds set range"
           left={props => <List.Icon {...props} icon="bell-ring" />}
           right={() => (
-            <Switch value={notifications} onValueChange={setNotifications} />
+            <Switch value={notifications} onValueChange={toggleNotifications} />
           )}
         />
         <Divider />
+        <List.Item
+          title="Quiet Hours"
+          description={
+            quietHours.enabled
+              ? `Only danger alerts from ${quietHours.start} to ${quietHours.end}`
+              : `Off (${quietHours.start}-${quietHours.end})`
+          }
+          left={props => <List.Icon {...props} icon="bell-sleep" />}
+          onPress={() =>
+            setQuietHoursForm({ start: quietHours.start, end: quietHours.end })
+          }
+          right={() => (
+            <Switch
+              value={quietHours.enabled}
+              onValueChange={toggleQuietHours}
+            />
+          )}
+        />
+        <Divider />
+        <List.Item
+          title="Alert Channels"
+          description={getChannelsDescription()}
+          descriptionNumberOfLines={3}
+          left={props => <List.Icon {...props} icon="bell-cog" />}
+          onPress={() => setChannelsDialogVisible(true)}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+        <Divider />
+        <List.Item
+          title="Alert Delay"
+          description={`Alert when a reading stays abnormal for ${alertDelay} seconds`}
+          left={props => <List.Icon {...props} icon="timer-sand" />}
+          onPress={() => setAlertDelayDialogVisible(true)}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+        <Divider />
         <List.Item
           title="Auto-save Data"
           description="Automatically save historical records during monitoring"
@@ -133,10 +633,172 @@ export default function SettingsScreen() {
       <List.Section>
         <List.Subheader>Threshold Settings</List.Subheader>
         <List.Item
-          title="Heart Rate Warning Threshold"
-          description={`Min: ${minHeartRate} BPM | Max: ${maxHeartRate} BPM`}
-          left={props => <List.Icon {...props} icon="heart-cog" />}
-          onPress={() => setThresholdDialogVisible(true)}
+          title="Active Profile"
+          description={getActiveProfileDescription()}
+          left={props => <List.Icon {...props} icon="account-switch" />}
+          onPress={() => setActiveProfileDialogVisible(true)}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+        <Divider />
+        <List.Item
+          title="Switch Profiles by Schedule"
+          description="Use a profile automatically during its scheduled hours"
+          left={props => <List.Icon {...props} icon="clock-outline" />}
+          right={() => (
+            <Switch
+              value={profileConfig.automatic}
+              onValueChange={toggleAutomaticProfiles}
+            />
+          )}
+        />
+        {profileConfig.profiles.map(profile => (
+          <React.Fragment key={profile.id}>
+            <Divider />
+            <List.Item
+              title={`${profile.name} Thresholds`}
+              description={describeProfile(profile)}
+              descriptionNumberOfLines={2}
+              left={props => <List.Icon {...props} icon="heart-cog" />}
+              onPress={() => setProfileForm(toProfileForm(profile))}
+              right={props => <List.Icon {...props} icon="chevron-right" />}
+            />
+          </React.Fragment>
+        ))}
+      </List.Section>
+
+      <Divider />
+
+      {/* Health profile */}
+      <List.Section>
+        <List.Subheader>Health Profile</List.Subheader>
+        <List.Item
+          title="Personal Details"
+          description={describeUserProfile(userProfile)}
+          descriptionNumberOfLines={2}
+          left={props => <List.Icon {...props} icon="account-heart-outline" />}
+          onPress={() => setUserProfileForm(toUserProfileForm(userProfile))}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+        <List.Item
+          title="Daily Goals"
+          description={describeGoals(goals)}
+          descriptionNumberOfLines={2}
+          left={props => <List.Icon {...props} icon="flag-checkered" />}
+          onPress={() => setGoalsForm(toGoalsForm(goals))}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+      </List.Section>
+
+      <Divider />
+
+      {/* Target zone coaching cues */}
+      <List.Section>
+        <List.Subheader>Zone Coaching</List.Subheader>
+        <List.Item
+          title="Vibration Cues"
+          description="Vibrate when heart rate drifts out of the target zone"
+          left={props => <List.Icon {...props} icon="vibrate" />}
+          right={() => (
+            <Switch
+              value={coachingHaptics}
+              onValueChange={value => {
+                setCoachingHaptics(value);
+                saveCoachingSettings({ coachingHaptics: value });
+              }}
+            />
+          )}
+        />
+        <Divider />
+        <List.Item
+          title="Spoken Cues"
+          description="Say when to ease off or speed up"
+          left={props => <List.Icon {...props} icon="account-voice" />}
+          right={() => (
+            <Switch
+              value={coachingSpoken}
+              onValueChange={value => {
+                setCoachingSpoken(value);
+                saveCoachingSettings({ coachingSpoken: value });
+              }}
+            />
+          )}
+        />
+      </List.Section>
+
+      <Divider />
+
+      {/* Emergency contacts */}
+      <List.Section>
+        <List.Subheader>Emergency Contacts</List.Subheader>
+        {contacts.map(contact => (
+          <React.Fragment key={contact.id}>
+            <List.Item
+              title={contact.name}
+              description={contact.phone}
+              left={props => <List.Icon {...props} icon="account-heart" />}
+              right={props => (
+                <List.Icon {...props} icon="close" color="#e74c3c" />
+              )}
+              onPress={() => removeContact(contact)}
+            />
+            <Divider />
+          </React.Fragment>
+        ))}
+        <List.Item
+          title="Add Contact"
+          description="Contacted when a danger alert is not acknowledged"
+          left={props => <List.Icon {...props} icon="account-plus" />}
+          onPress={() => setContactForm({ name: '', phone: '' })}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+        <Divider />
+        <List.Item
+          title="Escalation"
+          description={`${ESCALATION_METHOD_LABELS[escalationMethod]} after ${escalationDelay} seconds without a response`}
+          left={props => <List.Icon {...props} icon="phone-alert" />}
+          onPress={() => setEscalationDialogVisible(true)}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+        <Divider />
+        <List.Item
+          title="Escalation History"
+          description="What was prepared or cancelled, and when"
+          left={props => <List.Icon {...props} icon="clipboard-text-clock" />}
+          onPress={openEscalationLog}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+      </List.Section>
+
+      <Divider />
+
+      {/* Data source */}
+      <List.Section>
+        <List.Subheader>Data Source</List.Subheader>
+        <List.Item
+          title="Health Data Source"
+          description={getDataSourceName()}
+          left={props => <List.Icon {...props} icon="database-cog" />}
+          onPress={() => setDataSourceDialogVisible(true)}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+        <Divider />
+        <List.Item
+          title="Record Monitoring Sessions"
+          description="Save every monitoring session for later replay"
+          left={props => <List.Icon {...props} icon="record-rec" />}
+          right={() => (
+            <Switch
+              value={recordSessions}
+              onValueChange={toggleRecordSessions}
+            />
+          )}
+        />
+        <Divider />
+        <List.Item
+          title="Recorded Sessions"
+          description="Replay a recorded session at real or accelerated speed"
+          left={props => <List.Icon {...props} icon="play-box-multiple" />}
+          onPress={openSessionsDialog}
           right={props => <List.Icon {...props} icon="chevron-right" />}
         />
       </List.Section>
@@ -146,6 +808,14 @@ export default function SettingsScreen() {
       {/* Data management */}
       <List.Section>
         <List.Subheader>Data Management</List.Subheader>
+        <List.Item
+          title="Save Interval"
+          description={`Samples are saved in batches every ${saveInterval} seconds`}
+          left={props => <List.Icon {...props} icon="content-save-outline" />}
+          onPress={() => setSaveIntervalDialogVisible(true)}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+        />
+        <Divider />
         <List.Item
           title="Export Data"
           description="Export as CSV format for viewing on computer"
@@ -160,7 +830,7 @@ export default function SettingsScreen() {
           left={props => <List.Icon {...props} icon="delete" color="#e74c3c" />}
           onPress={clearAllData}
           right={props => <List.Icon {...props} icon="chevron-right" />}
-          titleStyle={{ color: '#e74c3c' }}
+          titleStyle={styles.dangerTitle}
         />
       </List.Section>
 
@@ -188,36 +858,556 @@ export default function SettingsScreen() {
         />
       </List.Section>
 
-      {/* Threshold settings dialog */}
       <Portal>
+        {/* Active profile dialog */}
         <Dialog
-          visible={thresholdDialogVisible}
-          onDismiss={() => setThresholdDialogVisible(false)}
+          visible={activeProfileDialogVisible}
+          onDismiss={() => setActiveProfileDialogVisible(false)}
         >
-          <Dialog.Title>Set Heart Rate Threshold</Dialog.Title>
+          <Dialog.Title>Active Profile</Dialog.Title>
           <Dialog.Content>
-            <TextInput
-              label="Minimum Heart Rate (BPM)"
-              value={minHeartRate}
-              onChangeText={setMinHeartRate}
-              keyboardType="numeric"
-              mode="outlined"
-              style={styles.input}
-            />
-            <TextInput
-              label="Maximum Heart Rate (BPM)"
-              value={maxHeartRate}
-              onChangeText={setMaxHeartRate}
-              keyboardType="numeric"
-              mode="outlined"
-              style={styles.input}
-            />
+            <RadioButton.Group
+              value={profileConfig.activeProfileId}
+              onValueChange={chooseActiveProfile}
+            >
+              {profileConfig.profiles.map(profile => (
+                <RadioButton.Item
+                  key={profile.id}
+                  label={profile.name}
+                  value={profile.id}
+                />
+              ))}
+            </RadioButton.Group>
+          </Dialog.Content>
+        </Dialog>
+
+        {/* Threshold profile dialog */}
+        <Dialog visible={!!profileForm} onDismiss={() => setProfileForm(null)}>
+          <Dialog.Title>
+            {profileForm ? `${profileForm.name} Thresholds` : ''}
+          </Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              {profileForm && (
+                <>
+                  <TextInput
+                    label="Minimum Heart Rate (BPM)"
+                    value={profileForm.minHeartRate}
+                    onChangeText={value =>
+                      updateProfileForm('minHeartRate', value)
+                    }
+                    keyboardType="numeric"
+                    mode="outlined"
+                    style={styles.input}
+                  />
+                  <TextInput
+                    label="Maximum Heart Rate (BPM)"
+                    value={profileForm.maxHeartRate}
+                    onChangeText={value =>
+                      updateProfileForm('maxHeartRate', value)
+                    }
+                    keyboardType="numeric"
+                    mode="outlined"
+                    style={styles.input}
+                  />
+                  <TextInput
+                    label="Minimum Blood Oxygen (%)"
+                    value={profileForm.minBloodOxygen}
+                    onChangeText={value =>
+                      updateProfileForm('minBloodOxygen', value)
+                    }
+                    keyboardType="numeric"
+                    mode="outlined"
+                    style={styles.input}
+                  />
+                  <TextInput
+                    label="Minimum Respiratory Rate (breaths/min)"
+                    value={profileForm.minRespiratoryRate}
+                    onChangeText={value =>
+                      updateProfileForm('minRespiratoryRate', value)
+                    }
+                    keyboardType="numeric"
+                    mode="outlined"
+                    style={styles.input}
+                  />
+                  <TextInput
+                    label="Maximum Respiratory Rate (breaths/min)"
+                    value={profileForm.maxRespiratoryRate}
+                    onChangeText={value =>
+                      updateProfileForm('maxRespiratoryRate', value)
+                    }
+                    keyboardType="numeric"
+                    mode="outlined"
+                    style={styles.input}
+                  />
+                  <TextInput
+                    label="Scheduled From (HH:MM, optional)"
+                    value={profileForm.scheduleStart}
+                    onChangeText={value =>
+                      updateProfileForm('scheduleStart', value)
+                    }
+                    mode="outlined"
+                    style={styles.input}
+                  />
+                  <TextInput
+                    label="Scheduled Until (HH:MM, optional)"
+                    value={profileForm.scheduleEnd}
+                    onChangeText={value =>
+                      updateProfileForm('scheduleEnd', value)
+                    }
+                    mode="outlined"
+                    style={styles.input}
+                  />
+                </>
+              )}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setProfileForm(null)}>Cancel</Button>
+            <Button onPress={saveProfile}>Save</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Quiet hours dialog */}
+        <Dialog
+          visible={!!quietHoursForm}
+          onDismiss={() => setQuietHoursForm(null)}
+        >
+          <Dialog.Title>Quiet Hours</Dialog.Title>
+          <Dialog.Content>
+            {quietHoursForm && (
+              <>
+                <TextInput
+                  label="From (HH:MM)"
+                  value={quietHoursForm.start}
+                  onChangeText={value =>
+                    setQuietHoursForm(form => ({ ...form, start: value }))
+                  }
+                  mode="outlined"
+                  style={styles.input}
+                />
+                <TextInput
+                  label="Until (HH:MM)"
+                  value={quietHoursForm.end}
+                  onChangeText={value =>
+                    setQuietHoursForm(form => ({ ...form, end: value }))
+                  }
+                  mode="outlined"
+                  style={styles.input}
+                />
+              </>
+            )}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setQuietHoursForm(null)}>Cancel</Button>
+            <Button onPress={saveQuietHours}>Save</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Alert channels dialog */}
+        <Dialog
+          visible={channelsDialogVisible}
+          onDismiss={() => setChannelsDialogVisible(false)}
+        >
+          <Dialog.Title>Alert Channels</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              {Object.keys(ALERT_SEVERITY_LABELS).map(severity => (
+                <List.Section key={severity}>
+                  <List.Subheader>
+                    {ALERT_SEVERITY_LABELS[severity]} alerts
+                  </List.Subheader>
+                  {Object.values(NOTIFICATION_CHANNELS).map(channel => (
+                    <Checkbox.Item
+                      key={channel}
+                      label={notificationService.getAdapter(channel).name}
+                      status={
+                        notificationChannels[severity].includes(channel)
+                          ? 'checked'
+                          : 'unchecked'
+                      }
+                      onPress={() => toggleChannel(severity, channel)}
+                    />
+                  ))}
+                </List.Section>
+              ))}
+              {!notificationService
+                .getAdapter(NOTIFICATION_CHANNELS.LOCAL)
+                .isAvailable() && (
+                <Text style={styles.dialogNote}>
+                  System notifications are not available on this device. Danger
+                  alerts use whichever channel can reach you.
+                </Text>
+              )}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setChannelsDialogVisible(false)}>
+              Done
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Health profile dialog */}
+        <Dialog
+          visible={!!userProfileForm}
+          onDismiss={() => setUserProfileForm(null)}
+        >
+          <Dialog.Title>Personal Details</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              {userProfileForm && (
+                <>
+                  <TextInput
+                    label="Birth Date (YYYY-MM-DD)"
+                    value={userProfileForm.birthDate}
+                    onChangeText={value =>
+                      updateUserProfileForm('birthDate', value)
+                    }
+                    mode="outlined"
+                    style={styles.input}
+                  />
+                  <Text style={styles.fieldLabel}>Sex</Text>
+                  <SegmentedButtons
+                    value={userProfileForm.sex}
+                    onValueChange={value => updateUserProfileForm('sex', value)}
+                    buttons={[
+                      { value: 'female', label: 'Female' },
+                      { value: 'male', label: 'Male' },
+                      { value: 'unset', label: 'Not set' },
+                    ]}
+                    style={styles.input}
+                  />
+                  <TextInput
+                    label="Height (cm)"
+                    value={userProfileForm.heightCm}
+                    onChangeText={value =>
+                      updateUserProfileForm('heightCm', value)
+                    }
+                    keyboardType="numeric"
+                    mode="outlined"
+                    style={styles.input}
+                  />
+                  <TextInput
+                    label="Weight (kg)"
+                    value={userProfileForm.weightKg}
+                    onChangeText={value =>
+                      updateUserProfileForm('weightKg', value)
+                    }
+                    keyboardType="numeric"
+                    mode="outlined"
+                    style={styles.input}
+                  />
+                  <TextInput
+                    label="Resting Heart Rate (BPM, optional)"
+                    value={userProfileForm.restingHeartRate}
+                    onChangeText={value =>
+                      updateUserProfileForm('restingHeartRate', value)
+                    }
+                    keyboardType="numeric"
+                    mode="outlined"
+                    style={styles.input}
+                  />
+                  <Text style={styles.fieldLabel}>Fitness Level</Text>
+                  <SegmentedButtons
+                    value={userProfileForm.fitnessLevel}
+                    onValueChange={value =>
+                      updateUserProfileForm('fitnessLevel', value)
+                    }
+                    buttons={FITNESS_LEVELS.map(level => ({
+                      value: level,
+                      label: level[0].toUpperCase() + level.slice(1),
+                    }))}
+                    style={styles.input}
+                  />
+                </>
+              )}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setUserProfileForm(null)}>Cancel</Button>
+            <Button onPress={saveUserProfile}>Save</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Daily goals dialog */}
+        <Dialog visible={!!goalsForm} onDismiss={() => setGoalsForm(null)}>
+          <Dialog.Title>Daily Goals</Dialog.Title>
+          <Dialog.Content>
+            {goalsForm &&
+              Object.entries(GOAL_METRICS).map(([metric, { label, unit }]) => (
+                <TextInput
+                  key={metric}
+                  label={`${label} (${unit})`}
+                  value={goalsForm[metric]}
+                  onChangeText={value =>
+                    setGoalsForm(form => ({ ...form, [metric]: value }))
+                  }
+                  keyboardType="numeric"
+                  mode="outlined"
+                  style={styles.input}
+                />
+              ))}
+            <Text style={styles.dialogNote}>
+              Active calories are burned above resting metabolism. Active
+              minutes count time at moderate intensity or above.
+            </Text>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setGoalsForm(null)}>Cancel</Button>
+            <Button onPress={saveGoals}>Save</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Emergency contact dialog */}
+        <Dialog visible={!!contactForm} onDismiss={() => setContactForm(null)}>
+          <Dialog.Title>Add Emergency Contact</Dialog.Title>
+          <Dialog.Content>
+            {contactForm && (
+              <>
+                <TextInput
+                  label="Name"
+                  value={contactForm.name}
+                  onChangeText={value =>
+                    setContactForm(form => ({ ...form, name: value }))
+                  }
+                  mode="outlined"
+                  style={styles.input}
+                />
+                <TextInput
+                  label="Phone Number"
+                  value={contactForm.phone}
+                  onChangeText={value =>
+                    setContactForm(form => ({ ...form, phone: value }))
+                  }
+                  keyboardType="phone-pad"
+                  mode="outlined"
+                  style={styles.input}
+                />
+              </>
+            )}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setContactForm(null)}>Cancel</Button>
+            <Button onPress={saveContact}>Save</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Escalation dialog */}
+        <Dialog
+          visible={escalationDialogVisible}
+          onDismiss={() => setEscalationDialogVisible(false)}
+        >
+          <Dialog.Title>Escalation</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              <List.Subheader>Contact them by</List.Subheader>
+              <RadioButton.Group
+                value={escalationMethod}
+                onValueChange={changeEscalationMethod}
+              >
+                {Object.entries(ESCALATION_METHOD_LABELS).map(
+                  ([method, label]) => (
+                    <RadioButton.Item
+                      key={method}
+                      label={label}
+                      value={method}
+                    />
+                  ),
+                )}
+              </RadioButton.Group>
+              <List.Subheader>When an alert is unanswered for</List.Subheader>
+              <RadioButton.Group
+                value={escalationDelay}
+                onValueChange={changeEscalationDelay}
+              >
+                {ESCALATION_DELAY_OPTIONS.map(seconds => (
+                  <RadioButton.Item
+                    key={seconds}
+                    label={`${seconds} seconds`}
+                    value={String(seconds)}
+                  />
+                ))}
+              </RadioButton.Group>
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setEscalationDialogVisible(false)}>
+              Done
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Escalation history dialog */}
+        <Dialog
+          visible={!!escalationLog}
+          onDismiss={() => setEscalationLog(null)}
+        >
+          <Dialog.Title>Escalation History</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              {escalationLog && escalationLog.length === 0 && (
+                <Text style={styles.dialogNote}>No escalations yet</Text>
+              )}
+              {(escalationLog || [])
+                .slice()
+                .reverse()
+                .map(entry => (
+                  <List.Item
+                    key={entry.id}
+                    title={entry.alertMessage.split('\n')[0]}
+                    description={formatEscalationEntry(entry)}
+                    descriptionNumberOfLines={3}
+                  />
+                ))}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setEscalationLog(null)}>Close</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Alert delay dialog */}
+        <Dialog
+          visible={alertDelayDialogVisible}
+          onDismiss={() => setAlertDelayDialogVisible(false)}
+        >
+          <Dialog.Title>Alert Delay</Dialog.Title>
+          <Dialog.Content>
+            <RadioButton.Group
+              value={alertDelay}
+              onValueChange={changeAlertDelay}
+            >
+              {ALERT_DELAY_OPTIONS.map(seconds => (
+                <RadioButton.Item
+                  key={seconds}
+                  label={`${seconds} seconds`}
+                  value={String(seconds)}
+                />
+              ))}
+            </RadioButton.Group>
+          </Dialog.Content>
+        </Dialog>
+
+        {/* Save interval dialog */}
+        <Dialog
+          visible={saveIntervalDialogVisible}
+          onDismiss={() => setSaveIntervalDialogVisible(false)}
+        >
+          <Dialog.Title>Save Interval</Dialog.Title>
+          <Dialog.Content>
+            <RadioButton.Group
+              value={saveInterval}
+              onValueChange={changeSaveInterval}
+            >
+              {SAVE_INTERVAL_OPTIONS.map(seconds => (
+                <RadioButton.Item
+                  key={seconds}
+                  label={`${seconds} seconds`}
+                  value={String(seconds)}
+                />
+              ))}
+            </RadioButton.Group>
           </Dialog.Content>
+        </Dialog>
+
+        {/* Data source dialog */}
+        <Dialog
+          visible={dataSourceDialogVisible}
+          onDismiss={() => setDataSourceDialogVisible(false)}
+        >
+          <Dialog.Title>Health Data Source</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              <RadioButton.Group
+                value={dataSource}
+                onValueChange={setDataSource}
+              >
+                <RadioButton.Item label="Random simulator" value="simulator" />
+                {scenarioProvider.getScenarios().map(scenario => (
+                  <RadioButton.Item
+                    key={scenario.id}
+                    label={scenario.name}
+                    value={scenario.id}
+                  />
+                ))}
+              </RadioButton.Group>
+              {dataSource !== 'simulator' && (
+                <>
+                  <TextInput
+                    label="Seed"
+                    value={seed}
+                    onChangeText={setSeed}
+                    mode="outlined"
+                    style={styles.input}
+                  />
+                  <TextInput
+                    label="Speed (x real time)"
+                    value={speed}
+                    onChangeText={setSpeed}
+                    keyboardType="numeric"
+                    mode="outlined"
+                    style={styles.input}
+                  />
+                </>
+              )}
+            </ScrollView>
+          </Dialog.ScrollArea>
           <Dialog.Actions>
-            <Button onPress={() => setThresholdDialogVisible(false)}>
+            <Button onPress={() => setDataSourceDialogVisible(false)}>
               Cancel
             </Button>
-            <Button onPress={saveThresholds}>Save</Button>
+            <Button onPress={saveDataSource}>Apply</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        {/* Recorded sessions dialog */}
+        <Dialog
+          visible={sessionsDialogVisible}
+          onDismiss={() => setSessionsDialogVisible(false)}
+        >
+          <Dialog.Title>Recorded Sessions</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              {sessions.length === 0 && (
+                <List.Item title="No recorded sessions" />
+              )}
+              {sessions.map(session => (
+                <List.Item
+                  key={session.path}
+                  title={new Date(session.startedAt).toLocaleString('en-US')}
+                  description={`${Math.ceil(session.size / 1024)} KB`}
+                  right={() => (
+                    <>
+                      <Button
+                        compact
+                        onPress={() => replaySession(session.path, 1)}
+                      >
+                        1x
+                      </Button>
+                      <Button
+                        compact
+                        onPress={() => replaySession(session.path, 10)}
+                      >
+                        10x
+                      </Button>
+                      <Button
+                        compact
+                        textColor="#e74c3c"
+                        onPress={() => deleteSession(session.path)}
+                      >
+                        Delete
+                      </Button>
+                    </>
+                  )}
+                />
+              ))}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setSessionsDialogVisible(false)}>
+              Close
+            </Button>
           </Dialog.Actions>
         </Dialog>
       </Portal>
@@ -233,4 +1423,15 @@ const styles = StyleSheet.create({
   input: {
     marginBottom: 10,
   },
-});
\ No newline at end of file
+  fieldLabel: {
+    color: '#7f8c8d',
+    marginBottom: 6,
+  },
+  dialogNote: {
+    color: '#7f8c8d',
+    paddingVertical: 12,
+  },
+  dangerTitle: {
+    color: '#e74c3c',
+  },
+});
@@ -0,0 +1,248 @@
+// src/services/alertEngine.js
+/**
+ * Alert Engine
+ * Turns per-sample threshold checks into alerts worth showing
+ *
+ * A condition must persist for sustainMs before it fires, so single noisy
+ * readings and short spikes are ignored. An active alert clears only once
+ * the value is back inside its limit by the hysteresis margin. The same
+ * alert does not fire again within cooldownMs, but a worsening condition
+ * escalates immediately once the higher severity has itself been sustained.
+ */
+
+export const ALERT_RULE_DEFAULTS = {
+  heartRate: {
+    sustainMs: 15 * 1000,
+    hysteresis: 5, // BPM
+    cooldownMs: 5 * 60 * 1000,
+  },
+  bloodOxygen: {
+    sustainMs: 15 * 1000,
+    hysteresis: 1, // %
+    cooldownMs: 5 * 60 * 1000,
+  },
+  respiratoryRate: {
+    sustainMs: 15 * 1000,
+    hysteresis: 2, // breaths/min
+    cooldownMs: 5 * 60 * 1000,
+  },
+};
+
+const SEVERITY_RANK = { normal: 0, caution: 1, warning: 2, danger: 3 };
+const SEVERITIES = Object.keys(SEVERITY_RANK).filter(s => s !== 'normal');
+
+// Which side of its limits a status lies on; blood oxygen 'critical' is a
+// more severe 'low', not a different condition
+const getDirection = status => (status === 'critical' ? 'low' : status);
+
+// The most extreme of two readings for a condition's direction
+const getPeak = (status, peak, value) => {
+  if (peak === undefined) {
+    return value;
+  }
+  return getDirection(status) === 'high'
+    ? Math.max(peak, value)
+    : Math.min(peak, value);
+};
+
+/**
+ * Stateful engine fed with one check per metric and sample
+ */
+export class AlertEngine {
+  constructor(rules = {}) {
+    this.rules = {};
+    this.configure({ ...ALERT_RULE_DEFAULTS, ...rules });
+    this.reset();
+  }
+
+  /**
+   * Override rule settings per metric, or for every metric with '*'
+   * e.g. configure({ '*': { sustainMs: 30000 }, heartRate: { hysteresis: 3 } })
+   */
+  configure(rules) {
+    const { '*': common = {}, ...perMetric } = rules;
+    Object.keys(this.rules).forEach(metric => {
+      this.rules[metric] = { ...this.rules[metric], ...common };
+    });
+    Object.entries(perMetric).forEach(([metric, rule]) => {
+      this.rules[metric] = {
+        ...ALERT_RULE_DEFAULTS[metric],
+        ...this.rules[metric],
+        ...common,
+        ...rule,
+      };
+    });
+  }
+
+  /**
+   * Forget all conditions and alerts (e.g. when a new session starts)
+   */
+  reset() {
+    this.states = {};
+  }
+
+  getState(metric) {
+    if (!this.states[metric]) {
+      // condition: the abnormal reading being timed
+      // active: the alert currently shown, lastFired: for the cooldown
+      this.states[metric] = { condition: null, active: null, lastFired: null };
+    }
+    return this.states[metric];
+  }
+
+  /**
+   * Get the alert currently active for a metric, or null
+   */
+  getActiveAlert(metric) {
+    return this.getState(metric).active;
+  }
+
+  /**
+   * Feed one reading
+   * evaluate(value) returns a threshold check ({ status, severity, message })
+   * Returns the alert events this reading caused: triggered, escalated,
+   * repeated (after the cooldown) or cleared. Events carry the alert's
+   * start time (since) and its most extreme reading so far (peakValue)
+   */
+  update(metric, value, evaluate, timestamp = Date.now()) {
+    const rule = this.rules[metric];
+    const state = this.getState(metric);
+
+    // No signal is no evidence either way
+    if (value === null || value === undefined) {
+      state.condition = null;
+      return [];
+    }
+
+    const check = evaluate(value);
+    const events = [];
+    const event = (type, alert) => ({
+      type,
+      metric,
+      value,
+      timestamp,
+      ...alert,
+    });
+
+    if (
+      state.active &&
+      !this.isStillActive(state.active, check, value, rule, evaluate)
+    ) {
+      events.push(event('cleared', state.active));
+      state.active = null;
+    }
+
+    if (check.status === 'normal') {
+      state.condition = null;
+      return events;
+    }
+
+    state.condition = this.trackCondition(
+      state.condition,
+      check,
+      value,
+      timestamp,
+    );
+    if (state.active) {
+      state.active.peakValue = getPeak(
+        state.active.status,
+        state.active.peakValue,
+        value,
+      );
+    }
+    const severity = this.getSustainedSeverity(
+      state.condition,
+      rule,
+      timestamp,
+    );
+    if (!severity) {
+      return events;
+    }
+
+    const alert = { status: check.status, severity, message: check.message };
+    if (!state.active) {
+      state.active = {
+        ...alert,
+        since: state.condition.since,
+        peakValue: state.condition.peakValue,
+      };
+      if (!this.isCoolingDown(state.lastFired, severity, rule, timestamp)) {
+        state.lastFired = { at: timestamp, severity };
+        events.push(event('triggered', state.active));
+      }
+    } else if (SEVERITY_RANK[severity] > SEVERITY_RANK[state.active.severity]) {
+      state.active = { ...state.active, ...alert };
+      state.lastFired = { at: timestamp, severity };
+      events.push(event('escalated', state.active));
+    } else if (timestamp - state.lastFired.at >= rule.cooldownMs) {
+      state.lastFired = { at: timestamp, severity: state.active.severity };
+      events.push(
+        event('repeated', { ...state.active, message: check.message }),
+      );
+    }
+
+    return events;
+  }
+
+  /**
+   * An active alert stays while the value is abnormal in the same direction,
+   * and until it is normal even when moved back toward the limit by the
+   * hysteresis margin
+   */
+  isStillActive(active, check, value, rule, evaluate) {
+    const direction = getDirection(active.status);
+    if (check.status !== 'normal') {
+      return getDirection(check.status) === direction;
+    }
+    const towardLimit =
+      direction === 'high' ? rule.hysteresis : -rule.hysteresis;
+    return evaluate(value + towardLimit).status !== 'normal';
+  }
+
+  /**
+   * Record since when the condition has held at each severity up to the
+   * current one, and its peak; a change of direction starts timing again
+   */
+  trackCondition(condition, check, value, timestamp) {
+    const current =
+      condition && getDirection(condition.status) === getDirection(check.status)
+        ? condition
+        : { status: check.status, since: timestamp, severitySince: {} };
+
+    const severitySince = {};
+    SEVERITIES.forEach(severity => {
+      if (SEVERITY_RANK[severity] <= SEVERITY_RANK[check.severity]) {
+        severitySince[severity] = current.severitySince[severity] ?? timestamp;
+      }
+    });
+    return {
+      status: check.status,
+      since: current.since,
+      peakValue: getPeak(check.status, current.peakValue, value),
+      severitySince,
+    };
+  }
+
+  /**
+   * Highest severity that has held for the sustain duration, or null
+   */
+  getSustainedSeverity(condition, rule, timestamp) {
+    return SEVERITIES.reduce((sustained, severity) => {
+      const since = condition.severitySince[severity];
+      return since !== undefined && timestamp - since >= rule.sustainMs
+        ? severity
+        : sustained;
+    }, null);
+  }
+
+  /**
+   * A new alert is held back when one at least as severe fired recently
+   */
+  isCoolingDown(lastFired, severity, rule, timestamp) {
+    return (
+      lastFired !== null &&
+      timestamp - lastFired.at < rule.cooldownMs &&
+      SEVERITY_RANK[severity] <= SEVERITY_RANK[lastFired.severity]
+    );
+  }
+}
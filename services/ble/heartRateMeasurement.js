@@ -0,0 +1,185 @@
+// src/services/ble/heartRateMeasurement.js
+/* eslint-disable no-bitwise */
+/* global atob */
+/**
+ * Bluetooth Heart Rate Profile Parser
+ * Decodes Heart Rate Measurement (0x2A37) and Body Sensor Location (0x2A38)
+ * characteristic values into the record shapes used by StorageService
+ */
+
+export const HEART_RATE_SERVICE_UUID = '180D';
+export const HEART_RATE_MEASUREMENT_UUID = '2A37';
+export const BODY_SENSOR_LOCATION_UUID = '2A38';
+
+export const BODY_SENSOR_LOCATIONS = [
+  'Other',
+  'Chest',
+  'Wrist',
+  'Finger',
+  'Hand',
+  'Ear Lobe',
+  'Foot',
+];
+
+// Heart Rate Measurement flags (first byte)
+const FLAG_HEART_RATE_UINT16 = 0x01;
+const FLAG_SENSOR_CONTACT_DETECTED = 0x02;
+const FLAG_SENSOR_CONTACT_SUPPORTED = 0x04;
+const FLAG_ENERGY_EXPENDED = 0x08;
+const FLAG_RR_INTERVALS = 0x10;
+
+// RR intervals are transmitted in units of 1/1024 second
+const RR_INTERVAL_RESOLUTION = 1024;
+
+/**
+ * Error raised for malformed characteristic values
+ */
+export class HeartRateParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HeartRateParseError';
+  }
+}
+
+/**
+ * Normalize a characteristic value to a byte array
+ * Accepts Uint8Array, number arrays and base64 strings (as delivered by most BLE libraries)
+ */
+export function toBytes(payload) {
+  if (payload instanceof Uint8Array) {
+    return payload;
+  }
+  if (Array.isArray(payload)) {
+    return Uint8Array.from(payload);
+  }
+  if (typeof payload === 'string') {
+    const binary = atob(payload);
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+  throw new HeartRateParseError('Unsupported characteristic value type');
+}
+
+const readUint16 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+
+/**
+ * Decode a Heart Rate Measurement (0x2A37) value
+ */
+export function parseHeartRateMeasurement(payload) {
+  const bytes = toBytes(payload);
+  if (bytes.length < 2) {
+    throw new HeartRateParseError('Heart rate measurement is too short');
+  }
+
+  const flags = bytes[0];
+  let offset = 1;
+
+  const requireBytes = (count, field) => {
+    if (offset + count > bytes.length) {
+      throw new HeartRateParseError(
+        `Heart rate measurement is missing ${field}`,
+      );
+    }
+  };
+
+  let heartRate;
+  if (flags & FLAG_HEART_RATE_UINT16) {
+    requireBytes(2, 'heart rate');
+    heartRate = readUint16(bytes, offset);
+    offset += 2;
+  } else {
+    heartRate = bytes[offset];
+    offset += 1;
+  }
+
+  const sensorContactSupported = Boolean(flags & FLAG_SENSOR_CONTACT_SUPPORTED);
+  const sensorContactDetected =
+    sensorContactSupported && Boolean(flags & FLAG_SENSOR_CONTACT_DETECTED);
+
+  let energyExpended = null;
+  if (flags & FLAG_ENERGY_EXPENDED) {
+    requireBytes(2, 'energy expended');
+    energyExpended = readUint16(bytes, offset); // kilojoules
+    offset += 2;
+  }
+
+  const rrIntervals = [];
+  if (flags & FLAG_RR_INTERVALS) {
+    if ((bytes.length - offset) % 2 !== 0) {
+      throw new HeartRateParseError(
+        'Heart rate measurement has a partial RR interval',
+      );
+    }
+    for (; offset < bytes.length; offset += 2) {
+      rrIntervals.push(
+        Math.round((readUint16(bytes, offset) * 1000) / RR_INTERVAL_RESOLUTION),
+      );
+    }
+  }
+
+  return {
+    heartRate,
+    sensorContactSupported,
+    sensorContactDetected,
+    energyExpended,
+    rrIntervals,
+  };
+}
+
+/**
+ * Decode a Body Sensor Location (0x2A38) value
+ */
+export function parseBodySensorLocation(payload) {
+  const bytes = toBytes(payload);
+  if (bytes.length < 1) {
+    throw new HeartRateParseError('Body sensor location is empty');
+  }
+
+  const code = bytes[0];
+  return {
+    code,
+    name: BODY_SENSOR_LOCATIONS[code] || 'Unknown',
+  };
+}
+
+/**
+ * Check whether a measurement carries a usable heart rate
+ * A value of 0 or a strap reporting no skin contact is not a real reading
+ */
+export function isValidMeasurement(measurement) {
+  if (measurement.heartRate === 0) {
+    return false;
+  }
+  return (
+    !measurement.sensorContactSupported || measurement.sensorContactDetected
+  );
+}
+
+/**
+ * Build a heart rate history record (same shape as saveHeartRateRecord stores)
+ */
+export function toHeartRateRecord(measurement, timestamp = Date.now()) {
+  return {
+    value: measurement.heartRate,
+    timestamp,
+    date: new Date(timestamp).toISOString(),
+  };
+}
+
+/**
+ * Build the metrics part of a health record (as passed to saveHealthRecord)
+ */
+export function toHealthRecord(measurement, sensorLocation = null) {
+  const record = { heartRate: measurement.heartRate };
+
+  if (measurement.energyExpended !== null) {
+    record.energyExpended = measurement.energyExpended; // kilojoules
+  }
+  if (measurement.rrIntervals.length > 0) {
+    record.rrIntervals = measurement.rrIntervals;
+  }
+  if (sensorLocation) {
+    record.sensorLocation = sensorLocation.name;
+  }
+
+  return record;
+}
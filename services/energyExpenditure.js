@@ -0,0 +1,210 @@
+// src/services/energyExpenditure.js
+import {
+  DEFAULT_USER_PROFILE,
+  getAge,
+  getCaloriesPerStep,
+  getMaxHeartRate,
+  getRestingHeartRate,
+  getWeightKg,
+} from './userProfile';
+
+/**
+ * Energy Expenditure
+ * Estimates calories burned from heart rate, steps and resting metabolism
+ *
+ * Between two samples the elapsed time is charged to one of two models:
+ * - active (heart rate at or above 40% of the heart rate reserve, where
+ *   moderate activity starts): the Keytel et al. (2005) equation, which
+ *   gives gross expenditure from heart rate, age, sex and weight
+ * - otherwise: resting metabolic rate (Mifflin-St Jeor) plus the net cost
+ *   of the steps taken
+ * Gaps longer than MAX_GAP_MS (monitoring stopped) are not charged, but
+ * steps counted meanwhile still are.
+ */
+
+export const ENERGY_MODEL = {
+  id: 'keytel-mifflin-steps',
+  version: 1,
+  description:
+    'Keytel (2005) heart rate equation when active, otherwise Mifflin-St Jeor resting rate plus steps',
+};
+
+const MINUTE_MS = 60 * 1000;
+const MAX_GAP_MS = 2 * MINUTE_MS;
+const ACTIVE_RESERVE_SHARE = 0.4;
+const KJ_PER_KCAL = 4.184;
+const FALLBACK_HEIGHT_CM = 170;
+
+/**
+ * Gross kcal per minute from heart rate (Keytel et al. 2005)
+ * Without a recorded sex the two equations are averaged
+ */
+export function heartRateKcalPerMinute(heartRate, profile, now = new Date()) {
+  const weight = getWeightKg(profile);
+  const age = getAge(profile, now);
+  const male =
+    (-55.0969 + 0.6309 * heartRate + 0.1988 * weight + 0.2017 * age) /
+    KJ_PER_KCAL;
+  const female =
+    (-20.4022 + 0.4472 * heartRate - 0.1263 * weight + 0.074 * age) /
+    KJ_PER_KCAL;
+
+  if (profile.sex === 'male') return male;
+  if (profile.sex === 'female') return female;
+  return (male + female) / 2;
+}
+
+/**
+ * Resting kcal per minute (Mifflin-St Jeor)
+ */
+export function restingKcalPerMinute(profile, now = new Date()) {
+  const sexOffset = { male: 5, female: -161 }[profile.sex] ?? -78;
+  const perDay =
+    10 * getWeightKg(profile) +
+    6.25 * (profile.heightCm || FALLBACK_HEIGHT_CM) -
+    5 * getAge(profile, now) +
+    sexOffset;
+  return perDay / 1440;
+}
+
+/**
+ * Heart rate from which the heart rate model is used
+ */
+export function getActiveHeartRate(profile, now = new Date()) {
+  const resting = getRestingHeartRate(profile);
+  return (
+    resting + ACTIVE_RESERVE_SHARE * (getMaxHeartRate(profile, now) - resting)
+  );
+}
+
+const toDateString = timestamp => new Date(timestamp).toDateString();
+
+const createDay = date => ({
+  date,
+  lastTimestamp: null,
+  lastHeartRate: null,
+  lastSteps: null,
+  // kcal and minutes charged to each component
+  kcal: { heartRate: 0, resting: 0, steps: 0 },
+  minutes: { heartRate: 0, resting: 0 },
+  // kcal above resting metabolism
+  activeKcal: 0,
+});
+
+/**
+ * Stateful tracker integrating energy expenditure over one day
+ */
+export class EnergyExpenditureTracker {
+  constructor() {
+    this.profile = DEFAULT_USER_PROFILE;
+    this.day = createDay(new Date().toDateString());
+  }
+
+  setProfile(profile) {
+    this.profile = profile;
+  }
+
+  /**
+   * Start today's totals again from zero
+   */
+  reset() {
+    this.day = createDay(new Date().toDateString());
+  }
+
+  /**
+   * Continue from a saved daily summary (see getSummary) of the same day
+   */
+  restore(summary, timestamp = Date.now()) {
+    if (!summary || summary.date !== toDateString(timestamp)) {
+      return;
+    }
+    this.day = {
+      ...createDay(summary.date),
+      lastSteps: summary.steps,
+      activeKcal: summary.activeCalories ?? 0,
+      kcal: { ...summary.kcal },
+      minutes: { ...summary.minutes },
+    };
+  }
+
+  /**
+   * Add a sample ({ heartRate, steps } where either may be null)
+   * Returns today's total kcal
+   */
+  addSample({ heartRate, steps }, timestamp = Date.now()) {
+    const date = toDateString(timestamp);
+    if (date !== this.day.date) {
+      this.day = createDay(date);
+    }
+    const day = this.day;
+    const now = new Date(timestamp);
+
+    let stepsTaken = 0;
+    if (steps !== null && steps !== undefined) {
+      // A step counter that went backwards was reset
+      stepsTaken =
+        day.lastSteps === null
+          ? 0
+          : steps >= day.lastSteps
+          ? steps - day.lastSteps
+          : steps;
+      day.lastSteps = steps;
+    }
+
+    const elapsed =
+      day.lastTimestamp === null ? 0 : timestamp - day.lastTimestamp;
+    const minutes =
+      elapsed > 0 && elapsed <= MAX_GAP_MS ? elapsed / MINUTE_MS : 0;
+    const rates = [day.lastHeartRate, heartRate].filter(
+      rate => rate !== null && rate !== undefined,
+    );
+    const averageHeartRate =
+      rates.length > 0 ? rates.reduce((a, b) => a + b, 0) / rates.length : null;
+
+    const resting = restingKcalPerMinute(this.profile, now);
+    if (
+      averageHeartRate !== null &&
+      averageHeartRate >= getActiveHeartRate(this.profile, now)
+    ) {
+      // Gross expenditure already covers resting metabolism and the steps
+      const gross = Math.max(
+        resting,
+        heartRateKcalPerMinute(averageHeartRate, this.profile, now),
+      );
+      day.kcal.heartRate += gross * minutes;
+      day.activeKcal += (gross - resting) * minutes;
+      day.minutes.heartRate += minutes;
+    } else {
+      const stepKcal = stepsTaken * getCaloriesPerStep(this.profile);
+      day.kcal.resting += resting * minutes;
+      day.kcal.steps += stepKcal;
+      day.activeKcal += stepKcal;
+      day.minutes.resting += minutes;
+    }
+
+    day.lastTimestamp = timestamp;
+    day.lastHeartRate = heartRate ?? null;
+    return this.getTotal();
+  }
+
+  getTotal() {
+    const { kcal } = this.day;
+    return Math.round(kcal.heartRate + kcal.resting + kcal.steps);
+  }
+
+  /**
+   * Today's total with the model and the share of each component
+   */
+  getSummary() {
+    const { date, lastSteps, kcal, minutes, activeKcal } = this.day;
+    return {
+      date,
+      calories: this.getTotal(),
+      activeCalories: Math.round(activeKcal),
+      model: { id: ENERGY_MODEL.id, version: ENERGY_MODEL.version },
+      steps: lastSteps,
+      kcal: { ...kcal },
+      minutes: { ...minutes },
+    };
+  }
+}
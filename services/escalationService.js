@@ -0,0 +1,234 @@
+// src/services/escalationService.js
+import { AppState, Linking, Platform } from 'react-native';
+import storageService from './storageService';
+
+/**
+ * Escalation Service
+ * Contacts emergency contacts when a danger alert goes unacknowledged
+ *
+ * A danger alert starts a countdown that the user can cancel. When it runs
+ * out, an SMS (or call) to the emergency contacts is prepared with the
+ * latest readings. The user still confirms sending in the messaging or
+ * phone app. Every escalation is recorded in the audit log, whether it was
+ * prepared, cancelled or failed.
+ *
+ * The countdown timer does not run while the app is suspended, so the
+ * deadline is checked again as soon as the app returns to the foreground.
+ */
+
+const TICK_MS = 1000;
+
+export const ESCALATION_METHODS = {
+  SMS: 'sms',
+  CALL: 'call',
+};
+
+/**
+ * Message sent to emergency contacts
+ */
+export function buildEscalationMessage(alert, readings) {
+  const lines = [`HeartGuard alert: ${alert.message.split('\n')[0]}`];
+  if (readings.heartRate !== null && readings.heartRate !== undefined) {
+    lines.push(`Heart rate: ${readings.heartRate} BPM`);
+  }
+  if (readings.bloodOxygen !== null && readings.bloodOxygen !== undefined) {
+    lines.push(`Blood oxygen: ${readings.bloodOxygen}%`);
+  }
+  lines.push(`Measured at ${new Date(readings.timestamp).toLocaleString()}`);
+  lines.push('The alert was not acknowledged. Please check on me.');
+  return lines.join('\n');
+}
+
+/**
+ * SMS or phone URL handed to the OS
+ */
+export function buildEscalationUrl(method, contacts, message) {
+  if (method === ESCALATION_METHODS.CALL) {
+    return `tel:${contacts[0].phone}`;
+  }
+  const recipients = contacts.map(contact => contact.phone).join(',');
+  // iOS expects the body after '&', Android after '?'
+  const separator = Platform.OS === 'ios' ? '&' : '?';
+  return `sms:${recipients}${separator}body=${encodeURIComponent(message)}`;
+}
+
+class EscalationService {
+  constructor() {
+    this.delayMs = 60 * 1000;
+    this.method = ESCALATION_METHODS.SMS;
+    this.pending = null;
+    this.timer = null;
+    this.appStateSubscription = null;
+    this.readings = { timestamp: Date.now() };
+    this.listeners = new Set();
+  }
+
+  /**
+   * Apply the escalation part of the user settings
+   */
+  configure({ escalationDelaySeconds, escalationMethod }) {
+    if (escalationDelaySeconds !== undefined) {
+      this.delayMs = escalationDelaySeconds * 1000;
+    }
+    if (escalationMethod !== undefined) {
+      this.method = escalationMethod;
+    }
+  }
+
+  /**
+   * Keep the latest readings for the message ({ heartRate, bloodOxygen })
+   */
+  updateReadings(readings, timestamp = Date.now()) {
+    this.readings = { ...readings, timestamp };
+  }
+
+  /**
+   * Register a countdown listener, called with { alertId, remainingSeconds }
+   * every second and with null once the escalation ends
+   * Returns a function that removes the listener
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyChange() {
+    const state = this.pending && {
+      alertId: this.pending.alert.alertId,
+      remainingSeconds: Math.max(
+        0,
+        Math.ceil((this.pending.deadline - Date.now()) / 1000),
+      ),
+    };
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  /**
+   * Get the running countdown, or null
+   */
+  getPending() {
+    return this.pending;
+  }
+
+  /**
+   * Start the countdown for a danger alert ({ alertId, message })
+   * Nothing starts without emergency contacts, and an escalation already
+   * running keeps its original deadline. Returns whether a countdown started.
+   */
+  async start(alert) {
+    if (this.pending) {
+      return false;
+    }
+    const contacts = await storageService.getEmergencyContacts();
+    if (contacts.length === 0 || this.pending) {
+      return false;
+    }
+
+    const startedAt = Date.now();
+    this.pending = { alert, startedAt, deadline: startedAt + this.delayMs };
+    this.timer = setInterval(() => this.checkDeadline(), TICK_MS);
+    this.appStateSubscription = AppState.addEventListener('change', state =>
+      state === 'active' ? this.checkDeadline() : null,
+    );
+    this.notifyChange();
+    return true;
+  }
+
+  /**
+   * Escalate once the deadline has passed, otherwise report the time left
+   * Returns the escalation's audit entry, or null while it is not due
+   */
+  async checkDeadline() {
+    if (!this.pending) {
+      return null;
+    }
+    if (Date.now() >= this.pending.deadline) {
+      return this.escalate();
+    }
+    this.notifyChange();
+    return null;
+  }
+
+  /**
+   * Stop the countdown (e.g. the user acknowledged the alert or tapped
+   * cancel) and record that nothing was sent
+   */
+  async cancel(reason = 'cancelled') {
+    if (!this.pending) {
+      return;
+    }
+    const { alert, startedAt } = this.finish();
+    await storageService.saveEscalationEntry({
+      alertId: alert.alertId,
+      alertMessage: alert.message,
+      startedAt,
+      status: 'cancelled',
+      reason,
+      method: this.method,
+      contacts: [],
+      message: null,
+    });
+  }
+
+  /**
+   * Cancel the countdown if it belongs to an acknowledged alert
+   */
+  async acknowledge(alertId) {
+    if (this.pending && this.pending.alert.alertId === alertId) {
+      await this.cancel('acknowledged');
+    }
+  }
+
+  finish() {
+    const pending = this.pending;
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.appStateSubscription) {
+      this.appStateSubscription.remove();
+      this.appStateSubscription = null;
+    }
+    this.pending = null;
+    this.notifyChange();
+    return pending;
+  }
+
+  /**
+   * Prepare the SMS or call to the emergency contacts and record it
+   */
+  async escalate() {
+    if (!this.pending) {
+      return null;
+    }
+    const { alert, startedAt } = this.finish();
+    const contacts = await storageService.getEmergencyContacts();
+    const message = buildEscalationMessage(alert, this.readings);
+    const entry = {
+      alertId: alert.alertId,
+      alertMessage: alert.message,
+      startedAt,
+      method: this.method,
+      contacts: contacts.map(({ name, phone }) => ({ name, phone })),
+      message,
+      readings: this.readings,
+    };
+
+    try {
+      if (contacts.length === 0) {
+        throw new Error('No emergency contacts');
+      }
+      await Linking.openURL(buildEscalationUrl(this.method, contacts, message));
+      entry.status = 'prepared';
+    } catch (error) {
+      console.error('Failed to contact emergency contacts:', error);
+      entry.status = 'failed';
+      entry.reason = error.message;
+    }
+
+    await storageService.saveEscalationEntry(entry);
+    return entry;
+  }
+}
+
+// Export singleton instance
+export default new EscalationService();
+export { EscalationService };
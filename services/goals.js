@@ -0,0 +1,138 @@
+// src/services/goals.js
+/**
+ * Daily Goals
+ * User-defined daily targets, progress toward them and streaks
+ *
+ * Each day's totals are saved with the goals that applied, so changing a
+ * goal later does not rewrite whether past days were met. A streak counts
+ * consecutive met days up to today; today only breaks it once it is over.
+ */
+
+export const GOAL_METRICS = {
+  steps: { label: 'Steps', unit: 'steps', min: 100, max: 100000 },
+  activeCalories: {
+    label: 'Active calories',
+    unit: 'kcal',
+    min: 10,
+    max: 5000,
+  },
+  distance: { label: 'Distance', unit: 'km', min: 0.1, max: 100 },
+  activeMinutes: { label: 'Active minutes', unit: 'min', min: 1, max: 1440 },
+};
+
+export const DEFAULT_GOALS = {
+  steps: 10000,
+  activeCalories: 400,
+  distance: 8,
+  activeMinutes: 30,
+};
+
+// Local calendar day `offset` days before a date, as used for history keys
+const daysBefore = (date, offset) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+
+/**
+ * Progress toward each goal ({ [metric]: { value, target, progress, met } })
+ * totals: { steps, activeCalories, distance, activeMinutes }
+ * progress runs from 0 to 1
+ */
+export function getGoalProgress(totals, goals) {
+  const progress = {};
+  Object.keys(GOAL_METRICS).forEach(metric => {
+    const value = totals[metric] || 0;
+    const target = goals[metric];
+    progress[metric] = {
+      value,
+      target,
+      progress: target > 0 ? Math.min(1, value / target) : 0,
+      met: target > 0 && value >= target,
+    };
+  });
+  return progress;
+}
+
+/**
+ * A day's entry for the goal history
+ */
+export function createGoalDay(totals, goals, date = new Date()) {
+  const progress = getGoalProgress(totals, goals);
+  const met = {};
+  Object.keys(progress).forEach(metric => {
+    met[metric] = progress[metric].met;
+  });
+  return { date: date.toDateString(), totals, goals, met };
+}
+
+// Whether a day met one goal, or every goal without a metric
+const isDayMet = (day, metric) =>
+  metric
+    ? Boolean(day.met[metric])
+    : Object.keys(GOAL_METRICS).every(key => day.met[key]);
+
+/**
+ * Consecutive days a goal was met (every goal when metric is null)
+ */
+export function getStreak(history, metric = null, today = new Date()) {
+  const byDate = new Map(history.map(day => [day.date, day]));
+  const todayEntry = byDate.get(today.toDateString());
+  // An unfinished day keeps yesterday's streak alive
+  let offset = todayEntry && isDayMet(todayEntry, metric) ? 0 : 1;
+  let streak = 0;
+  for (;;) {
+    const day = byDate.get(daysBefore(today, offset).toDateString());
+    if (!day || !isDayMet(day, metric)) {
+      return streak;
+    }
+    streak += 1;
+    offset += 1;
+  }
+}
+
+/**
+ * Days each goal was met per week, for 7-day weeks ending today
+ * Returns [{ start, recorded, met: { [metric]: days }, allMet }],
+ * oldest week first
+ */
+export function getWeeklyAttainment(history, weeks, today = new Date()) {
+  const byDate = new Map(history.map(day => [day.date, day]));
+  const result = [];
+  for (let week = weeks - 1; week >= 0; week--) {
+    const summary = {
+      start: daysBefore(today, week * 7 + 6).getTime(),
+      recorded: 0,
+      met: {},
+      allMet: 0,
+    };
+    Object.keys(GOAL_METRICS).forEach(metric => {
+      summary.met[metric] = 0;
+    });
+    for (let offset = week * 7 + 6; offset >= week * 7; offset--) {
+      const day = byDate.get(daysBefore(today, offset).toDateString());
+      if (!day) {
+        continue;
+      }
+      summary.recorded += 1;
+      Object.keys(GOAL_METRICS).forEach(metric => {
+        summary.met[metric] += day.met[metric] ? 1 : 0;
+      });
+      summary.allMet += isDayMet(day, null) ? 1 : 0;
+    }
+    result.push(summary);
+  }
+  return result;
+}
+
+/**
+ * Check goal values, returning an error message or null
+ */
+export function validateGoals(goals) {
+  for (const [metric, { label, unit, min, max }] of Object.entries(
+    GOAL_METRICS,
+  )) {
+    const value = goals[metric];
+    if (isNaN(value) || value < min || value > max) {
+      return `${label} goal must be between ${min} and ${max} ${unit}`;
+    }
+  }
+  return null;
+}
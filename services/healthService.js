@@ -1,18 +1,42 @@
 // src/services/healthService.js
+import simulatorProvider from './providers/simulatorProvider';
+import scenarioProvider from './providers/scenarioProvider';
+import replayProvider from './providers/replayProvider';
+import bleHeartRateProvider from './providers/bleHeartRateProvider';
+import { METRICS, ProviderError } from './providers/healthDataProvider';
+import { RhythmScreener, SCREENING_DISCLAIMER } from './rhythmAnalysis';
+import { AlertEngine } from './alertEngine';
+import { EnergyExpenditureTracker } from './energyExpenditure';
+import { DEFAULT_GOALS, getGoalProgress } from './goals';
+import {
+  DEFAULT_USER_PROFILE,
+  getHeartRateZones,
+  getIntensityZone,
+  getMaxHeartRate,
+  getStrideLength,
+  getZoneForHeartRate,
+} from './userProfile';
+import {
+  DEFAULT_THRESHOLD_PROFILES,
+  resolveThresholdProfile,
+  resolveThresholdProfileForRange,
+} from './thresholdProfiles';
+
 /**
  * Health Data Service
  * Responsible for acquiring and processing health-related data
- * In production, this should integrate with real health data APIs like Google Fit
+ * Readings come from the active registered data provider (simulator by default)
  */
 
 class HealthService {
   constructor() {
     this.isInitialized = false;
-    this.thresholds = {
-      minHeartRate: 60,
-      maxHeartRate: 100,
-      minBloodOxygen: 95,
-    };
+    // Alert limits come from the profile that applies at the time
+    this.thresholdProfiles = DEFAULT_THRESHOLD_PROFILES;
+    // Personal details behind max heart rate, zones, distance and calories
+    this.userProfile = DEFAULT_USER_PROFILE;
+    // Daily targets for steps, active calories, distance and active minutes
+    this.goals = DEFAULT_GOALS;
     // Store daily data that resets at midnight
     this.dailyData = {
       steps: 0,
@@ -20,6 +44,22 @@ class HealthService {
       lastUpdateDate: new Date().toDateString(),
     };
     this.initializeDailyData();
+    this.rhythmScreener = new RhythmScreener();
+    this.alertEngine = new AlertEngine();
+    this.energyTracker = new EnergyExpenditureTracker();
+
+    // Registered data providers, keyed by provider id
+    this.providers = {};
+    this.activeProviderId = null;
+    this.subscriptions = new Set();
+    this.errorListeners = new Set();
+    this.providerErrorUnsubscribe = null;
+
+    this.registerProvider(simulatorProvider);
+    this.registerProvider(scenarioProvider);
+    this.registerProvider(replayProvider);
+    this.registerProvider(bleHeartRateProvider);
+    this.useProvider(simulatorProvider.id);
   }
 
   /**
@@ -40,44 +80,187 @@ class HealthService {
 
   /**
    * Initialize health service
-   * In production, this would initialize Google Fit or other health APIs
+   * Initializes the active data provider
    */
   async initialize() {
     try {
-      // Production initialization code example:
-      // await GoogleFit.authorize();
+      const provider = this.getActiveProvider();
+      if (!provider.isInitialized) {
+        await provider.initialize();
+      }
       this.isInitialized = true;
       return true;
     } catch (error) {
       console.error('Health service initialization failed:', error);
+      this.handleProviderError(error);
       return false;
     }
   }
 
   /**
-   * Get current heart rate
-   * In production, this should fetch from health sensors or APIs
+   * Register a data provider so it can be selected later
    */
-  async getCurrentHeartRate() {
-    // Simulate realistic heart rate data (60-100 BPM normal range, occasional anomalies)
-    const baseRate = 70;
-    const variation = Math.random() * 20 - 10; // -10 to +10
-    const randomSpike = Math.random() < 0.1 ? (Math.random() - 0.5) * 40 : 0; // 10% chance of anomaly
+  registerProvider(provider) {
+    this.providers[provider.id] = provider;
+  }
 
-    const heartRate = Math.round(baseRate + variation + randomSpike);
+  /**
+   * Get all registered providers with their capabilities
+   */
+  getProviders() {
+    return Object.values(this.providers).map(provider => ({
+      id: provider.id,
+      name: provider.name,
+      capabilities: provider.getCapabilities(),
+      active: provider.id === this.activeProviderId,
+    }));
+  }
 
-    // Ensure within reasonable range
-    return Math.max(45, Math.min(180, heartRate));
+  /**
+   * Get the provider currently supplying readings
+   */
+  getActiveProvider() {
+    return this.providers[this.activeProviderId];
+  }
+
+  /**
+   * Switch the active provider without initializing it
+   */
+  useProvider(providerId) {
+    const provider = this.providers[providerId];
+    if (!provider) {
+      throw new ProviderError(`Unknown health data provider: ${providerId}`, {
+        providerId,
+      });
+    }
+
+    if (this.providerErrorUnsubscribe) {
+      this.providerErrorUnsubscribe();
+    }
+    this.activeProviderId = providerId;
+    this.providerErrorUnsubscribe = provider.onError(error =>
+      this.handleProviderError(error),
+    );
+
+    // Move existing subscriptions over to the new provider
+    this.subscriptions.forEach(subscription =>
+      this.bindSubscription(subscription),
+    );
+
+    return provider;
+  }
+
+  /**
+   * Switch the active provider and initialize it
+   */
+  async setActiveProvider(providerId) {
+    const previous = this.getActiveProvider();
+    const provider = this.useProvider(providerId);
+
+    if (previous && previous !== provider && previous.isInitialized) {
+      await previous.dispose();
+    }
+
+    this.isInitialized = false;
+    return this.initialize();
+  }
+
+  /**
+   * Metrics supported by the active provider
+   */
+  getCapabilities() {
+    return this.getActiveProvider().getCapabilities();
+  }
+
+  /**
+   * Check whether the active provider supports a metric
+   */
+  supports(metric) {
+    return this.getActiveProvider().supports(metric);
+  }
+
+  /**
+   * Polling interval recommended by the active provider (ms)
+   */
+  getPollingInterval() {
+    return this.getActiveProvider().pollingIntervalMs;
+  }
+
+  /**
+   * Read a metric from the active provider
+   * Returns null when the provider does not support the metric
+   */
+  async readMetric(metric) {
+    const provider = this.getActiveProvider();
+    if (!provider.supports(metric)) {
+      return null;
+    }
+
+    try {
+      return await provider.read(metric);
+    } catch (error) {
+      throw provider.reportError(error, metric);
+    }
+  }
+
+  /**
+   * Subscribe to a metric on the active provider
+   * The subscription follows provider switches; returns an unsubscribe function
+   */
+  subscribe(metric, listener, intervalMs) {
+    const subscription = { metric, listener, intervalMs, unsubscribe: null };
+    this.subscriptions.add(subscription);
+    this.bindSubscription(subscription);
+
+    return () => {
+      if (subscription.unsubscribe) {
+        subscription.unsubscribe();
+      }
+      this.subscriptions.delete(subscription);
+    };
+  }
+
+  bindSubscription(subscription) {
+    if (subscription.unsubscribe) {
+      subscription.unsubscribe();
+      subscription.unsubscribe = null;
+    }
+
+    const provider = this.getActiveProvider();
+    if (provider.supports(subscription.metric)) {
+      subscription.unsubscribe = provider.subscribe(
+        subscription.metric,
+        subscription.listener,
+        subscription.intervalMs,
+      );
+    }
+  }
+
+  /**
+   * Register a listener for provider errors
+   * Returns a function that removes the listener
+   */
+  onError(listener) {
+    this.errorListeners.add(listener);
+    return () => this.errorListeners.delete(listener);
+  }
+
+  handleProviderError(error) {
+    this.errorListeners.forEach(listener => listener(error));
+  }
+
+  /**
+   * Get current heart rate
+   */
+  async getCurrentHeartRate() {
+    return this.readMetric(METRICS.HEART_RATE);
   }
 
   /**
    * Get blood oxygen saturation
    */
   async getBloodOxygen() {
-    // Normal blood oxygen: 95-100%
-    const base = 97;
-    const variation = Math.random() * 3 - 1; // -1 to +2
-    return Math.round(base + variation);
+    return this.readMetric(METRICS.BLOOD_OXYGEN);
   }
 
   /**
@@ -87,13 +270,10 @@ class HealthService {
     // Check if we need to reset for a new day
     this.initializeDailyData();
 
-    // Simulate gradual step increase throughout the day
-    // Steps increase by 10-30 with each check (every 3 seconds in the app)
-    const increment = Math.floor(Math.random() * 21) + 10; // 10-30 steps
-    this.dailyData.steps += increment;
-
-    // Cap at reasonable maximum (30,000 steps per day)
-    this.dailyData.steps = Math.min(this.dailyData.steps, 30000);
+    const steps = await this.readMetric(METRICS.STEPS);
+    if (steps !== null) {
+      this.dailyData.steps = steps;
+    }
 
     return this.dailyData.steps;
   }
@@ -101,20 +281,34 @@ class HealthService {
   /**
    * Get calories burned
    */
-  async getCalories() {
+  async getCalories(heartRate = null) {
     // Check if we need to reset for a new day
     this.initializeDailyData();
 
-    // Calculate calories based on steps
-    // Approximately 0.04-0.05 calories per step
-    const caloriesPerStep = 0.045;
-    this.dailyData.calories = Math.round(
-      this.dailyData.steps * caloriesPerStep,
-    );
+    // Integrate heart rate, resting and step energy since the last sample
+    this.dailyData.calories = this.energyTracker.addSample({
+      heartRate,
+      steps: this.dailyData.steps,
+    });
 
     return this.dailyData.calories;
   }
 
+  /**
+   * Get today's calorie total with the model and components behind it
+   */
+  getEnergySummary() {
+    return this.energyTracker.getSummary();
+  }
+
+  /**
+   * Continue today's calorie total from a saved summary (after a restart)
+   */
+  restoreEnergy(summary) {
+    this.energyTracker.restore(summary);
+    this.dailyData.calories = this.energyTracker.getTotal();
+  }
+
   /**
    * Get distance walked (in kilometers)
    */
@@ -122,10 +316,12 @@ class HealthService {
     // Check if we need to reset for a new day
     this.initializeDailyData();
 
-    // Calculate distance based on steps
-    // Average stride length: 0.762 meters (2.5 feet)
-    // Distance (km) = steps × 0.762 / 1000
-    const metersPerStep = 0.762;
+    return this.getDistanceFromSteps();
+  }
+
+  getDistanceFromSteps() {
+    // Distance (km) = steps × stride length (m) / 1000
+    const metersPerStep = getStrideLength(this.userProfile);
     const distanceInKm = (this.dailyData.steps * metersPerStep) / 1000;
 
     return parseFloat(distanceInKm.toFixed(2)); // Return with 2 decimal places
@@ -135,17 +331,21 @@ class HealthService {
    * Get respiratory rate
    */
   async getRespiratoryRate() {
-    // Normal respiratory rate: 12-20 breaths/minute
-    const base = 16;
-    const variation = Math.random() * 4 - 2;
-    return Math.round(base + variation);
+    return this.readMetric(METRICS.RESPIRATORY_RATE);
+  }
+
+  /**
+   * Get beat-to-beat (RR) intervals in ms received since the last call
+   */
+  async getRrIntervals() {
+    return this.readMetric(METRICS.RR_INTERVALS);
   }
 
   /**
    * Check if heart rate is within normal range
    */
-  checkHeartRateThreshold(heartRate, userAge = 30) {
-    const { minHeartRate, maxHeartRate } = this.thresholds;
+  checkHeartRateThreshold(heartRate) {
+    const { minHeartRate, maxHeartRate } = this.getThresholds();
 
     if (heartRate < minHeartRate) {
       return {
@@ -156,8 +356,8 @@ class HealthService {
     }
 
     if (heartRate > maxHeartRate) {
-      // Calculate maximum heart rate based on age
-      const maxAllowed = 220 - userAge;
+      // Maximum heart rate from the user's age
+      const maxAllowed = this.getMaxHeartRate();
 
       if (heartRate > maxAllowed * 0.85) {
         return {
@@ -185,7 +385,7 @@ class HealthService {
    * Check blood oxygen level
    */
   checkBloodOxygen(bloodOxygen) {
-    const { minBloodOxygen } = this.thresholds;
+    const { minBloodOxygen } = this.getThresholds();
 
     if (bloodOxygen < minBloodOxygen) {
       if (bloodOxygen < 90) {
@@ -210,37 +410,286 @@ class HealthService {
   }
 
   /**
-   * Update threshold settings
+   * Check respiratory rate against the active profile's limits
+   */
+  checkRespiratoryRate(respiratoryRate) {
+    const { minRespiratoryRate, maxRespiratoryRate } = this.getThresholds();
+    // Rates of 8 or less and 25 or more are danger signs whatever the profile
+    const severity =
+      respiratoryRate <= 8 || respiratoryRate >= 25 ? 'danger' : 'warning';
+
+    if (respiratoryRate < minRespiratoryRate) {
+      return {
+        status: 'low',
+        message: `Respiratory rate is low (${respiratoryRate} breaths/min)\nSeek medical attention if you feel drowsy or confused`,
+        severity,
+      };
+    }
+
+    if (respiratoryRate > maxRespiratoryRate) {
+      return {
+        status: 'high',
+        message: `Respiratory rate is high (${respiratoryRate} breaths/min)\nRest and breathe slowly; seek help if you are short of breath`,
+        severity,
+      };
+    }
+
+    return {
+      status: 'normal',
+      message: 'Respiratory rate is normal',
+      severity: 'normal',
+    };
+  }
+
+  /**
+   * Screen beat-to-beat intervals for a sustained irregular rhythm
+   * Irregularity is reported as a screening signal, never as a diagnosis
    */
-  updateThresholds(newThresholds) {
-    this.thresholds = { ...this.thresholds, ...newThresholds };
+  checkHeartRhythm(rrIntervals, timestamp = Date.now()) {
+    const result = this.rhythmScreener.addBeats(rrIntervals, timestamp);
+
+    if (result.irregular) {
+      return {
+        status: 'irregular',
+        message: `Irregular heart rhythm detected\n${SCREENING_DISCLAIMER}. Consult a doctor if it happens often`,
+        severity: 'caution',
+        started: result.started,
+        episodeStart: result.episodeStart,
+        window: result.window,
+      };
+    }
+
+    return {
+      status: 'normal',
+      message: 'Heart rhythm appears regular',
+      severity: 'normal',
+      ended: result.ended,
+      window: result.window,
+    };
   }
 
   /**
-   * Get current thresholds
+   * Clear rhythm screening state (e.g. at the start of a session)
    */
-  getThresholds() {
-    return this.thresholds;
+  resetRhythmScreening() {
+    this.rhythmScreener.reset();
   }
 
   /**
-   * Calculate target heart rate zone (for exercise)
+   * Run threshold checks through the alert engine
+   * Returns only the alert events worth surfacing (see alertEngine.js)
    */
-  getTargetHeartRateZone(age, intensity = 'moderate') {
-    const maxHeartRate = 220 - age;
+  evaluateAlerts(
+    { heartRate, bloodOxygen, respiratoryRate },
+    timestamp = Date.now(),
+  ) {
+    return [
+      ...this.alertEngine.update(
+        'heartRate',
+        heartRate,
+        value => this.checkHeartRateThreshold(value),
+        timestamp,
+      ),
+      ...this.alertEngine.update(
+        'bloodOxygen',
+        bloodOxygen,
+        value => this.checkBloodOxygen(value),
+        timestamp,
+      ),
+      ...this.alertEngine.update(
+        'respiratoryRate',
+        respiratoryRate,
+        value => this.checkRespiratoryRate(value),
+        timestamp,
+      ),
+    ];
+  }
 
-    const zones = {
-      light: { min: maxHeartRate * 0.5, max: maxHeartRate * 0.6 },
-      moderate: { min: maxHeartRate * 0.6, max: maxHeartRate * 0.7 },
-      vigorous: { min: maxHeartRate * 0.7, max: maxHeartRate * 0.85 },
+  /**
+   * Get the alert currently active for a metric, or null
+   */
+  getActiveAlert(metric) {
+    return this.alertEngine.getActiveAlert(metric);
+  }
+
+  /**
+   * Change alert rules, e.g. configureAlerts({ '*': { sustainMs: 30000 } })
+   */
+  configureAlerts(rules) {
+    this.alertEngine.configure(rules);
+  }
+
+  /**
+   * Clear alert state (e.g. at the start of a session)
+   */
+  resetAlerts() {
+    this.alertEngine.reset();
+  }
+
+  /**
+   * Use the stored user profile (called at startup and after edits)
+   */
+  setUserProfile(profile) {
+    this.userProfile = profile;
+    this.energyTracker.setProfile(profile);
+  }
+
+  getUserProfile() {
+    return this.userProfile;
+  }
+
+  /**
+   * Get the user's estimated maximum heart rate
+   */
+  getMaxHeartRate() {
+    return getMaxHeartRate(this.userProfile);
+  }
+
+  /**
+   * Get the user's heart rate zones ([{ zone, name, min, max }])
+   */
+  getHeartRateZones() {
+    return getHeartRateZones(this.userProfile);
+  }
+
+  /**
+   * Get the zone a heart rate falls in, or null below zone 1
+   */
+  getHeartRateZone(heartRate) {
+    return getZoneForHeartRate(heartRate, this.getHeartRateZones());
+  }
+
+  /**
+   * Use stored daily goals (called at startup and after edits)
+   */
+  setGoals(goals) {
+    this.goals = goals;
+  }
+
+  getGoals() {
+    return this.goals;
+  }
+
+  /**
+   * Get today's totals for the goal metrics
+   * Active calories and minutes come from the energy model
+   */
+  getActivityTotals() {
+    this.initializeDailyData();
+    const energy = this.energyTracker.getSummary();
+    return {
+      steps: this.dailyData.steps,
+      activeCalories: energy.activeCalories,
+      distance: this.getDistanceFromSteps(),
+      activeMinutes: Math.round(energy.minutes.heartRate),
     };
+  }
+
+  /**
+   * Get today's progress toward each goal
+   */
+  getGoalProgress() {
+    return getGoalProgress(this.getActivityTotals(), this.goals);
+  }
+
+  /**
+   * Use stored threshold profiles (called at startup and after edits)
+   */
+  setThresholdProfiles(config) {
+    this.thresholdProfiles = config;
+  }
+
+  getThresholdProfiles() {
+    return this.thresholdProfiles;
+  }
+
+  /**
+   * Get the threshold profile that applies at a time (now by default)
+   */
+  getActiveThresholdProfile(timestamp = Date.now()) {
+    return resolveThresholdProfile(this.thresholdProfiles, new Date(timestamp));
+  }
+
+  /**
+   * Get current thresholds, or those of a time range up to endTimestamp
+   * (the profile that applied over most of it)
+   */
+  getThresholds(timestamp = Date.now(), endTimestamp = null) {
+    if (endTimestamp !== null) {
+      return resolveThresholdProfileForRange(
+        this.thresholdProfiles,
+        timestamp,
+        endTimestamp,
+      );
+    }
+    return this.getActiveThresholdProfile(timestamp);
+  }
+
+  /**
+   * Classify a heart rate against the limits that applied at a time, or
+   * over a time range when endTimestamp is given
+   * Returns 'low', 'high' or 'normal'
+   */
+  getHeartRateStatus(heartRate, timestamp = Date.now(), endTimestamp = null) {
+    const { minHeartRate, maxHeartRate } = this.getThresholds(
+      timestamp,
+      endTimestamp,
+    );
+    if (heartRate < minHeartRate) return 'low';
+    if (heartRate > maxHeartRate) return 'high';
+    return 'normal';
+  }
+
+  /**
+   * Classify a blood oxygen level, returns 'low' or 'normal'
+   */
+  getBloodOxygenStatus(
+    bloodOxygen,
+    timestamp = Date.now(),
+    endTimestamp = null,
+  ) {
+    return bloodOxygen <
+      this.getThresholds(timestamp, endTimestamp).minBloodOxygen
+      ? 'low'
+      : 'normal';
+  }
+
+  /**
+   * Classify a respiratory rate, returns 'low', 'high' or 'normal'
+   */
+  getRespiratoryRateStatus(
+    respiratoryRate,
+    timestamp = Date.now(),
+    endTimestamp = null,
+  ) {
+    const { minRespiratoryRate, maxRespiratoryRate } = this.getThresholds(
+      timestamp,
+      endTimestamp,
+    );
+    if (respiratoryRate < minRespiratoryRate) return 'low';
+    if (respiratoryRate > maxRespiratoryRate) return 'high';
+    return 'normal';
+  }
 
-    const zone = zones[intensity] || zones.moderate;
+  /**
+   * Calculate target heart rate zone (for exercise)
+   * The user's heart rate zones that make up the intensity
+   */
+  getTargetHeartRateZone(intensity = 'moderate') {
+    return {
+      ...getIntensityZone(this.getHeartRateZones(), intensity),
+      maxHeartRate: this.getMaxHeartRate(),
+    };
+  }
 
+  /**
+   * Get the light, moderate and vigorous target zones
+   */
+  getTargetHeartRateZones() {
     return {
-      min: Math.round(zone.min),
-      max: Math.round(zone.max),
-      maxHeartRate: Math.round(maxHeartRate),
+      light: this.getTargetHeartRateZone('light'),
+      moderate: this.getTargetHeartRateZone('moderate'),
+      vigorous: this.getTargetHeartRateZone('vigorous'),
     };
   }
 
@@ -249,13 +698,14 @@ class HealthService {
    */
   getHealthRecommendation(heartRate, bloodOxygen, steps) {
     const recommendations = [];
+    const { minHeartRate, maxHeartRate, minBloodOxygen } = this.getThresholds();
 
     // Recommendations based on heart rate
-    if (heartRate < 60) {
+    if (heartRate < minHeartRate) {
       recommendations.push(
         'Consider increasing physical activity to improve cardiovascular fitness',
       );
-    } else if (heartRate > 100) {
+    } else if (heartRate > maxHeartRate) {
       recommendations.push('Make sure to rest and avoid overexertion');
     } else {
       recommendations.push(
@@ -264,7 +714,7 @@ class HealthService {
     }
 
     // Recommendations based on blood oxygen
-    if (bloodOxygen < 95) {
+    if (bloodOxygen < minBloodOxygen) {
       recommendations.push(
         'Increase outdoor activities and maintain good ventilation indoors',
       );
@@ -288,6 +738,11 @@ class HealthService {
    * Reset daily counters (useful for testing or manual reset)
    */
   resetDailyCounters() {
+    const provider = this.getActiveProvider();
+    if (provider.resetDailyCounters) {
+      provider.resetDailyCounters();
+    }
+    this.energyTracker.reset();
     this.dailyData = {
       steps: 0,
       calories: 0,
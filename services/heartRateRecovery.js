@@ -0,0 +1,148 @@
+// src/services/heartRateRecovery.js
+/**
+ * Heart Rate Recovery
+ * Measures how fast the heart rate drops after exercise stops
+ *
+ * Readings are always kept for the last lookbackMs, so a test started when
+ * exercise ends takes its peak from the final moments of effort. The test
+ * then records the heart rate at 1 and 2 minutes; recovery is the drop from
+ * the peak at each mark. A mark without a reading within toleranceMs (no
+ * signal, monitoring stopped) ends the test unfinished.
+ */
+
+export const RECOVERY_DEFAULTS = {
+  lookbackMs: 30 * 1000,
+  toleranceMs: 15 * 1000,
+};
+
+// Seconds after the stop at which the heart rate is taken
+export const RECOVERY_MARKS = [60, 120];
+
+// A drop of 12 BPM or less in the first minute is an established marker of
+// poor recovery
+export const LOW_RECOVERY_1MIN = 12;
+
+export const RECOVERY_TRIGGERS = {
+  workout: 'After workout',
+  manual: 'Manual',
+};
+
+/**
+ * Drops from the peak and whether the first-minute drop is low
+ */
+export function summarizeRecovery(test) {
+  const [heartRate1Min, heartRate2Min] = test.marks;
+  const recovery1Min = test.peakHeartRate - heartRate1Min;
+  return {
+    id: test.id,
+    trigger: test.trigger,
+    workoutId: test.workoutId,
+    startedAt: test.startedAt,
+    peakHeartRate: test.peakHeartRate,
+    heartRate1Min,
+    heartRate2Min,
+    recovery1Min,
+    recovery2Min: test.peakHeartRate - heartRate2Min,
+    low: recovery1Min <= LOW_RECOVERY_1MIN,
+  };
+}
+
+class HeartRateRecovery {
+  constructor(options = {}) {
+    this.options = { ...RECOVERY_DEFAULTS, ...options };
+    // Recent readings ({ timestamp, heartRate }) for the peak
+    this.recent = [];
+    this.test = null;
+  }
+
+  /**
+   * Start a test at the moment exercise stopped
+   * trigger: a RECOVERY_TRIGGERS key; workoutId links it to a workout
+   */
+  start({ trigger = 'manual', workoutId = null } = {}, timestamp = Date.now()) {
+    const peak = this.recent
+      .filter(
+        reading => reading.timestamp >= timestamp - this.options.lookbackMs,
+      )
+      .reduce((max, reading) => Math.max(max ?? 0, reading.heartRate), null);
+    this.test = {
+      id: `recovery_${timestamp}`,
+      trigger,
+      workoutId,
+      startedAt: timestamp,
+      peakHeartRate: peak,
+      marks: [],
+    };
+    return this.test.id;
+  }
+
+  cancel() {
+    this.test = null;
+  }
+
+  /**
+   * Running test's progress ({ trigger, startedAt, elapsedMs, durationMs,
+   * peakHeartRate, heartRate1Min }), or null
+   */
+  getStatus(timestamp = Date.now()) {
+    if (!this.test) {
+      return null;
+    }
+    const { trigger, startedAt, peakHeartRate, marks } = this.test;
+    return {
+      trigger,
+      startedAt,
+      elapsedMs: timestamp - startedAt,
+      durationMs: RECOVERY_MARKS[RECOVERY_MARKS.length - 1] * 1000,
+      peakHeartRate,
+      heartRate1Min: marks[0] ?? null,
+    };
+  }
+
+  /**
+   * Feed one heart rate reading
+   * Returns { status: 'completed', result } when the test finishes,
+   * { status: 'missed' } when it cannot, otherwise null
+   */
+  addSample(heartRate, timestamp = Date.now()) {
+    const hasReading = heartRate !== null && heartRate !== undefined;
+    if (hasReading) {
+      this.recent.push({ timestamp, heartRate });
+      this.recent = this.recent.filter(
+        reading => reading.timestamp >= timestamp - this.options.lookbackMs,
+      );
+    }
+
+    const test = this.test;
+    if (!test) {
+      return null;
+    }
+    const elapsed = timestamp - test.startedAt;
+    const mark = RECOVERY_MARKS[test.marks.length] * 1000;
+    if (elapsed > mark + this.options.toleranceMs) {
+      this.test = null;
+      return { status: 'missed' };
+    }
+    if (!hasReading) {
+      return null;
+    }
+
+    // Heart rate can keep rising for a few seconds after stopping; a manual
+    // test started without earlier readings peaks at its first one
+    if (elapsed < this.options.lookbackMs || test.peakHeartRate === null) {
+      test.peakHeartRate = Math.max(test.peakHeartRate ?? 0, heartRate);
+    }
+    if (elapsed >= mark) {
+      test.marks.push(heartRate);
+      if (test.marks.length === RECOVERY_MARKS.length) {
+        this.test = null;
+        return { status: 'completed', result: summarizeRecovery(test) };
+      }
+    }
+    return null;
+  }
+}
+
+// Export singleton instance
+export default new HeartRateRecovery();
+export { HeartRateRecovery };
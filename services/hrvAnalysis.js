@@ -0,0 +1,127 @@
+// src/services/hrvAnalysis.js
+/**
+ * Heart Rate Variability Analysis
+ * Time-domain HRV metrics computed from RR intervals (ms between beats)
+ */
+
+// Physiologically plausible RR range (30-200 BPM)
+const MIN_RR = 300;
+const MAX_RR = 2000;
+// Beats that differ from the previous beat by more than this are artifacts
+const MAX_SUCCESSIVE_CHANGE = 0.2;
+
+const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+const successiveDifferences = rr =>
+  rr.slice(1).map((value, i) => value - rr[i]);
+
+/**
+ * Remove implausible beats and ectopic/missed-beat artifacts
+ */
+export function filterArtifacts(rrIntervals) {
+  const clean = [];
+  rrIntervals.forEach(rr => {
+    if (rr < MIN_RR || rr > MAX_RR) {
+      return;
+    }
+    const previous = clean[clean.length - 1];
+    if (
+      previous !== undefined &&
+      Math.abs(rr - previous) / previous > MAX_SUCCESSIVE_CHANGE
+    ) {
+      return;
+    }
+    clean.push(rr);
+  });
+  return clean;
+}
+
+/**
+ * Root mean square of successive differences (ms)
+ */
+export function computeRmssd(rrIntervals) {
+  const diffs = successiveDifferences(rrIntervals);
+  if (diffs.length === 0) {
+    return 0;
+  }
+  return Math.sqrt(mean(diffs.map(d => d * d)));
+}
+
+/**
+ * Standard deviation of NN intervals (ms)
+ */
+export function computeSdnn(rrIntervals) {
+  if (rrIntervals.length < 2) {
+    return 0;
+  }
+  const avg = mean(rrIntervals);
+  const variance =
+    rrIntervals.reduce((sum, rr) => sum + (rr - avg) ** 2, 0) /
+    (rrIntervals.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Percentage of successive differences greater than 50 ms
+ */
+export function computePnn50(rrIntervals) {
+  const diffs = successiveDifferences(rrIntervals);
+  if (diffs.length === 0) {
+    return 0;
+  }
+  const over50 = diffs.filter(d => Math.abs(d) > 50).length;
+  return (over50 / diffs.length) * 100;
+}
+
+/**
+ * Compute all HRV metrics for a series of RR intervals
+ */
+export function computeHrvMetrics(rrIntervals, { filter = true } = {}) {
+  const rr = filter ? filterArtifacts(rrIntervals) : rrIntervals;
+
+  if (rr.length < 2) {
+    return {
+      rmssd: 0,
+      sdnn: 0,
+      pnn50: 0,
+      meanRr: 0,
+      beatCount: rr.length,
+    };
+  }
+
+  return {
+    rmssd: Math.round(computeRmssd(rr)),
+    sdnn: Math.round(computeSdnn(rr)),
+    pnn50: Math.round(computePnn50(rr) * 10) / 10,
+    meanRr: Math.round(mean(rr)),
+    beatCount: rr.length,
+  };
+}
+
+/**
+ * RMSSD over consecutive short windows and the overall trend
+ * windowSize is in beats (60 beats is roughly one minute at rest)
+ */
+export function computeHrvTrend(rrIntervals, windowSize = 60) {
+  const rr = filterArtifacts(rrIntervals);
+  const windows = [];
+
+  for (let start = 0; start + windowSize <= rr.length; start += windowSize) {
+    windows.push(Math.round(computeRmssd(rr.slice(start, start + windowSize))));
+  }
+
+  if (windows.length < 2) {
+    return { windows, trend: 'stable' };
+  }
+
+  // Compare first and second half of the windows, allowing 10% drift
+  const mid = Math.floor(windows.length / 2);
+  const firstAvg = mean(windows.slice(0, mid));
+  const secondAvg = mean(windows.slice(mid));
+
+  let trend = 'stable';
+  if (secondAvg > firstAvg * 1.1) trend = 'rising';
+  if (secondAvg < firstAvg * 0.9) trend = 'falling';
+
+  return { windows, trend };
+}
@@ -0,0 +1,241 @@
+// src/services/metricQuery.js
+/**
+ * Metric Query
+ * Bucketing and aggregation of stored metric summaries
+ *
+ * Queries work on summaries ({ timestamp, count, sum, min, max, avg }) so the
+ * same code handles raw samples and rolled-up aggregates. Percentiles are
+ * exact for raw samples; over rolled-up data they are estimated from the
+ * bucket averages, weighted by their sample counts.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Queryable metrics
+ * series: which stored history holds the metric, field: its record field
+ * Steps, calories and distance are running daily totals, so use max per day
+ */
+export const QUERY_METRICS = {
+  heartRate: {
+    label: 'Heart Rate',
+    unit: 'BPM',
+    series: 'heartRate',
+    field: 'value',
+    decimals: 0,
+    trendThreshold: 5,
+  },
+  bloodOxygen: {
+    label: 'Blood Oxygen',
+    unit: '%',
+    series: 'healthRecords',
+    field: 'bloodOxygen',
+    decimals: 1,
+    trendThreshold: 1,
+  },
+  steps: {
+    label: 'Steps',
+    unit: 'steps',
+    series: 'healthRecords',
+    field: 'steps',
+    decimals: 0,
+    trendThreshold: 500,
+  },
+  calories: {
+    label: 'Calories',
+    unit: 'kcal',
+    series: 'healthRecords',
+    field: 'calories',
+    decimals: 0,
+    trendThreshold: 25,
+  },
+  distance: {
+    label: 'Distance',
+    unit: 'km',
+    series: 'healthRecords',
+    field: 'distance',
+    decimals: 2,
+    trendThreshold: 0.3,
+  },
+  respiratoryRate: {
+    label: 'Respiratory Rate',
+    unit: 'breaths/min',
+    series: 'healthRecords',
+    field: 'respiratoryRate',
+    decimals: 1,
+    trendThreshold: 2,
+  },
+};
+
+const startOfLocalDay = timestamp => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Bucket sizes: start of the bucket containing a timestamp, and the start
+ * of the following bucket. Days, weeks (from Sunday) and months follow the
+ * local calendar.
+ */
+export const BUCKETS = {
+  minute: {
+    getStart: timestamp => Math.floor(timestamp / MINUTE_MS) * MINUTE_MS,
+    getNext: start => start + MINUTE_MS,
+  },
+  hour: {
+    getStart: timestamp => Math.floor(timestamp / HOUR_MS) * HOUR_MS,
+    getNext: start => start + HOUR_MS,
+  },
+  day: {
+    getStart: timestamp => startOfLocalDay(timestamp).getTime(),
+    getNext: start => {
+      const date = new Date(start);
+      date.setDate(date.getDate() + 1);
+      return date.getTime();
+    },
+  },
+  week: {
+    getStart: timestamp => {
+      const date = startOfLocalDay(timestamp);
+      date.setDate(date.getDate() - date.getDay());
+      return date.getTime();
+    },
+    getNext: start => {
+      const date = new Date(start);
+      date.setDate(date.getDate() + 7);
+      return date.getTime();
+    },
+  },
+  month: {
+    getStart: timestamp => {
+      const date = startOfLocalDay(timestamp);
+      date.setDate(1);
+      return date.getTime();
+    },
+    getNext: start => {
+      const date = new Date(start);
+      date.setMonth(date.getMonth() + 1);
+      return date.getTime();
+    },
+  },
+};
+
+export const DEFAULT_AGGREGATIONS = ['avg', 'min', 'max', 'count'];
+
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Count-weighted percentile (0-100) of summary averages
+ */
+export function computePercentile(summaries, percentile) {
+  const sorted = summaries
+    .filter(s => s.count > 0)
+    .sort((a, b) => a.avg - b.avg);
+  const total = sorted.reduce((sum, s) => sum + s.count, 0);
+  if (total === 0) {
+    return null;
+  }
+
+  const target = (percentile / 100) * total;
+  let seen = 0;
+  for (const summary of sorted) {
+    seen += summary.count;
+    if (seen >= target) {
+      return summary.avg;
+    }
+  }
+  return sorted[sorted.length - 1].avg;
+}
+
+/**
+ * Compare the averages of the first and second half of the samples
+ */
+export function computeTrend(summaries, threshold) {
+  const total = summaries.reduce((sum, s) => sum + s.count, 0);
+  const firstHalf = { sum: 0, count: 0 };
+  const secondHalf = { sum: 0, count: 0 };
+  summaries.forEach(s => {
+    const half =
+      firstHalf.count < Math.floor(total / 2) ? firstHalf : secondHalf;
+    half.sum += s.sum;
+    half.count += s.count;
+  });
+
+  if (firstHalf.count === 0 || secondHalf.count === 0) {
+    return 'stable';
+  }
+
+  const firstAvg = firstHalf.sum / firstHalf.count;
+  const secondAvg = secondHalf.sum / secondHalf.count;
+  if (secondAvg > firstAvg + threshold) return 'rising';
+  if (secondAvg < firstAvg - threshold) return 'falling';
+  return 'stable';
+}
+
+/**
+ * Apply aggregations (avg, min, max, sum, count, trend, p<N>) to summaries
+ * sorted by time; values are null when there are no samples
+ */
+export function aggregateSummaries(summaries, aggregations, metric) {
+  const count = summaries.reduce((acc, s) => acc + s.count, 0);
+  const sum = summaries.reduce((acc, s) => acc + s.sum, 0);
+  const result = {};
+
+  aggregations.forEach(aggregation => {
+    const percentile = /^p(\d{1,2})$/.exec(aggregation);
+    if (aggregation === 'count') {
+      result.count = count;
+    } else if (count === 0) {
+      result[aggregation] = aggregation === 'trend' ? 'stable' : null;
+    } else if (aggregation === 'avg') {
+      result.avg = round(sum / count, metric.decimals);
+    } else if (aggregation === 'sum') {
+      result.sum = round(sum, metric.decimals);
+    } else if (aggregation === 'min') {
+      result.min = Math.min(...summaries.map(s => s.min));
+    } else if (aggregation === 'max') {
+      result.max = Math.max(...summaries.map(s => s.max));
+    } else if (aggregation === 'trend') {
+      result.trend = computeTrend(summaries, metric.trendThreshold);
+    } else if (percentile) {
+      result[aggregation] = round(
+        computePercentile(summaries, parseInt(percentile[1], 10)),
+        metric.decimals,
+      );
+    } else {
+      throw new Error(`Unknown aggregation: ${aggregation}`);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Group summaries into buckets and aggregate each one
+ * Returns [{ start, end, ...aggregations }] for buckets that hold samples
+ */
+export function bucketSummaries(summaries, bucket, aggregations, metric) {
+  const { getStart, getNext } = BUCKETS[bucket];
+  const groups = new Map();
+
+  summaries.forEach(summary => {
+    const start = getStart(summary.timestamp);
+    if (!groups.has(start)) {
+      groups.set(start, []);
+    }
+    groups.get(start).push(summary);
+  });
+
+  return [...groups.keys()]
+    .sort((a, b) => a - b)
+    .map(start => ({
+      start,
+      end: getNext(start),
+      ...aggregateSummaries(groups.get(start), aggregations, metric),
+    }));
+}
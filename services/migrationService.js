@@ -0,0 +1,219 @@
+// src/services/migrationService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS } from './storageService';
+import { MIGRATIONS, INITIAL_SCHEMA_VERSION } from './migrations';
+
+/**
+ * Migration Service
+ * Upgrades stored data to the current schema version at startup
+ *
+ * Steps run one at a time. Before a step writes, the original values of the
+ * keys it changes are saved under a backup key; if writing or verifying
+ * fails they are restored and the schema version stays at the last step
+ * that succeeded. A backup left behind by an interrupted run is restored
+ * before anything else, unless the step had already stored its version.
+ */
+
+const applyChanges = (values, changes) => {
+  const state = { ...values };
+  Object.keys(changes).forEach(key => {
+    if (changes[key] === null) {
+      delete state[key];
+    } else {
+      state[key] = changes[key];
+    }
+  });
+  return state;
+};
+
+class MigrationService {
+  constructor(migrations = MIGRATIONS) {
+    this.migrations = migrations;
+  }
+
+  /**
+   * Get the schema version of the stored data
+   */
+  async getSchemaVersion() {
+    const data = await AsyncStorage.getItem(STORAGE_KEYS.SCHEMA_VERSION);
+    return data ? parseInt(data, 10) : INITIAL_SCHEMA_VERSION;
+  }
+
+  /**
+   * Get the steps that have not been applied yet
+   */
+  async getPendingMigrations() {
+    const version = await this.getSchemaVersion();
+    return this.migrations.filter(m => m.version > version);
+  }
+
+  /**
+   * Run all pending steps
+   * With dryRun, steps are computed and validated against each other's
+   * results but nothing is written
+   * Returns { fromVersion, toVersion, dryRun, steps, error }
+   */
+  async run({ dryRun = false } = {}) {
+    if (!dryRun) {
+      await this.restoreInterrupted();
+    }
+
+    const fromVersion = await this.getSchemaVersion();
+    const report = {
+      fromVersion,
+      toVersion: fromVersion,
+      dryRun,
+      steps: [],
+      error: null,
+    };
+    // Changes of earlier dry-run steps, so later steps see their results
+    const overlay = {};
+
+    for (const migration of await this.getPendingMigrations()) {
+      try {
+        const changedKeys = await this.runStep(migration, dryRun, overlay);
+        report.steps.push({
+          version: migration.version,
+          description: migration.description,
+          changedKeys,
+        });
+        report.toVersion = migration.version;
+      } catch (error) {
+        console.error(
+          `Failed to migrate storage to version ${migration.version}:`,
+          error,
+        );
+        report.error = error.message;
+        break;
+      }
+    }
+
+    return report;
+  }
+
+  async runStep(migration, dryRun, overlay) {
+    const values = await this.readValues(migration, overlay);
+    const changes = migration.migrate(values);
+    const changedKeys = Object.keys(changes);
+
+    // Validate the expected result before writing anything
+    migration.validate(applyChanges(values, changes));
+
+    if (dryRun) {
+      Object.assign(overlay, changes);
+      return changedKeys;
+    }
+
+    const original = await AsyncStorage.multiGet(changedKeys);
+    await AsyncStorage.setItem(
+      STORAGE_KEYS.MIGRATION_BACKUP,
+      JSON.stringify({ version: migration.version, entries: original }),
+    );
+
+    try {
+      await this.writeChanges(changes);
+      // Verify what was actually stored
+      migration.validate(await this.readValues(migration, {}));
+    } catch (error) {
+      await this.restoreBackup(original);
+      await AsyncStorage.removeItem(STORAGE_KEYS.MIGRATION_BACKUP);
+      throw error;
+    }
+
+    await AsyncStorage.setItem(
+      STORAGE_KEYS.SCHEMA_VERSION,
+      String(migration.version),
+    );
+    await AsyncStorage.removeItem(STORAGE_KEYS.MIGRATION_BACKUP);
+    return changedKeys;
+  }
+
+  /**
+   * Parsed values of the keys a step reads, with pending overlay changes
+   */
+  async readValues(migration, overlay) {
+    const storedKeys = await AsyncStorage.getAllKeys();
+    const allKeys = [
+      ...new Set([...storedKeys, ...Object.keys(overlay)]),
+    ].filter(key => overlay[key] !== null);
+    const keys = migration
+      .selectKeys(allKeys)
+      .filter(key => allKeys.includes(key));
+
+    const entries = await AsyncStorage.multiGet(
+      keys.filter(key => !(key in overlay)),
+    );
+    const values = {};
+    entries.forEach(([key, data]) => {
+      if (data !== null) {
+        values[key] = JSON.parse(data);
+      }
+    });
+    keys
+      .filter(key => key in overlay && overlay[key] !== null)
+      .forEach(key => {
+        values[key] = overlay[key];
+      });
+    return values;
+  }
+
+  async writeChanges(changes) {
+    const keys = Object.keys(changes);
+    const updates = keys
+      .filter(key => changes[key] !== null)
+      .map(key => [key, JSON.stringify(changes[key])]);
+    const removals = keys.filter(key => changes[key] === null);
+
+    if (updates.length > 0) {
+      await AsyncStorage.multiSet(updates);
+    }
+    if (removals.length > 0) {
+      await AsyncStorage.multiRemove(removals);
+    }
+  }
+
+  /**
+   * Put back raw [key, value] entries saved before a step
+   */
+  async restoreBackup(entries) {
+    const updates = entries.filter(([, data]) => data !== null);
+    const removals = entries
+      .filter(([, data]) => data === null)
+      .map(([key]) => key);
+
+    if (updates.length > 0) {
+      await AsyncStorage.multiSet(updates);
+    }
+    if (removals.length > 0) {
+      await AsyncStorage.multiRemove(removals);
+    }
+  }
+
+  /**
+   * Roll back a step that was interrupted (e.g. the app was killed)
+   * A backup of a step whose version was already stored is left over from
+   * after the step finished and is only removed
+   */
+  async restoreInterrupted() {
+    const data = await AsyncStorage.getItem(STORAGE_KEYS.MIGRATION_BACKUP);
+    if (!data) {
+      return false;
+    }
+
+    const backup = JSON.parse(data);
+    if (backup.version <= (await this.getSchemaVersion())) {
+      await AsyncStorage.removeItem(STORAGE_KEYS.MIGRATION_BACKUP);
+      return false;
+    }
+    await this.restoreBackup(backup.entries);
+    await AsyncStorage.removeItem(STORAGE_KEYS.MIGRATION_BACKUP);
+    console.warn(
+      `Rolled back interrupted migration to version ${backup.version}`,
+    );
+    return true;
+  }
+}
+
+// Export singleton instance
+export default new MigrationService();
+export { MigrationService };
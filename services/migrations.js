@@ -0,0 +1,172 @@
+// src/services/migrations.js
+import { STORAGE_KEYS } from './storageService';
+import { getPartitionId } from './timeSeriesStore';
+import {
+  DEFAULT_THRESHOLD_PROFILES,
+  validateThresholdProfile,
+} from './thresholdProfiles';
+
+/**
+ * Storage Migrations
+ * Ordered steps that upgrade stored payloads from one schema version to the next
+ *
+ * Each step declares the keys it reads (selectKeys), returns the changes to
+ * make from their parsed values (migrate: key -> new value, null removes the
+ * key) and checks the resulting state (validate throws when it is invalid).
+ * Steps never touch storage themselves; the migration service reads, writes,
+ * verifies and rolls back. Stored data without a version is version 1.
+ */
+
+export const INITIAL_SCHEMA_VERSION = 1;
+
+const SERIES_KEYS = [
+  STORAGE_KEYS.HEART_RATE_HISTORY,
+  STORAGE_KEYS.HEALTH_RECORDS,
+];
+
+// Thresholds used before they were stored, as of schema version 3. Pinned
+// on purpose: this step must keep producing v3 data even after the current
+// defaults (thresholdProfiles) change.
+const V3_DEFAULT_THRESHOLDS = Object.freeze({
+  minHeartRate: 60,
+  maxHeartRate: 100,
+  minBloodOxygen: 95,
+});
+
+const isNumber = value => typeof value === 'number' && !isNaN(value);
+
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Split sample histories into hourly chunks',
+    selectKeys: allKeys =>
+      allKeys.filter(key =>
+        SERIES_KEYS.some(
+          seriesKey => key === seriesKey || key.startsWith(`${seriesKey}:`),
+        ),
+      ),
+    migrate: values => {
+      const changes = {};
+
+      SERIES_KEYS.forEach(seriesKey => {
+        const legacy = values[seriesKey];
+        if (legacy === undefined) {
+          return;
+        }
+        changes[seriesKey] = null;
+        if (!Array.isArray(legacy)) {
+          return;
+        }
+
+        const indexKey = `${seriesKey}:index`;
+        const index = new Set(values[indexKey] || []);
+        legacy
+          .filter(record => record && record.timestamp)
+          .forEach(record => {
+            const partitionId = getPartitionId(record.timestamp);
+            const chunkKey = `${seriesKey}:${partitionId}`;
+            if (!changes[chunkKey]) {
+              changes[chunkKey] = [...(values[chunkKey] || [])];
+            }
+            changes[chunkKey].push(record);
+            index.add(partitionId);
+          });
+        changes[indexKey] = [...index].sort();
+      });
+
+      return changes;
+    },
+    validate: state => {
+      SERIES_KEYS.forEach(seriesKey => {
+        if (state[seriesKey] !== undefined) {
+          throw new Error(`${seriesKey} still holds a single array`);
+        }
+        (state[`${seriesKey}:index`] || []).forEach(partitionId => {
+          if (!Array.isArray(state[`${seriesKey}:${partitionId}`])) {
+            throw new Error(`${seriesKey} chunk ${partitionId} is missing`);
+          }
+        });
+      });
+    },
+  },
+  {
+    version: 3,
+    description: 'Rename threshold fields to minHeartRate/maxHeartRate',
+    selectKeys: () => [STORAGE_KEYS.THRESHOLDS],
+    migrate: values => {
+      const saved = values[STORAGE_KEYS.THRESHOLDS];
+      if (!saved) {
+        return {};
+      }
+
+      const { min, max, ...rest } = saved;
+      return {
+        [STORAGE_KEYS.THRESHOLDS]: {
+          ...V3_DEFAULT_THRESHOLDS,
+          ...rest,
+          minHeartRate:
+            rest.minHeartRate ?? min ?? V3_DEFAULT_THRESHOLDS.minHeartRate,
+          maxHeartRate:
+            rest.maxHeartRate ?? max ?? V3_DEFAULT_THRESHOLDS.maxHeartRate,
+        },
+      };
+    },
+    validate: state => {
+      const thresholds = state[STORAGE_KEYS.THRESHOLDS];
+      if (!thresholds) {
+        return;
+      }
+      const { minHeartRate, maxHeartRate, minBloodOxygen } = thresholds;
+      if (
+        !isNumber(minHeartRate) ||
+        !isNumber(maxHeartRate) ||
+        !isNumber(minBloodOxygen) ||
+        minHeartRate >= maxHeartRate
+      ) {
+        throw new Error('Invalid thresholds');
+      }
+    },
+  },
+  {
+    version: 4,
+    description: 'Turn the saved thresholds into the Resting profile',
+    selectKeys: () => [
+      STORAGE_KEYS.THRESHOLDS,
+      STORAGE_KEYS.THRESHOLD_PROFILES,
+    ],
+    migrate: values => {
+      const saved = values[STORAGE_KEYS.THRESHOLDS];
+      if (!saved) {
+        return {};
+      }
+      if (values[STORAGE_KEYS.THRESHOLD_PROFILES]) {
+        return { [STORAGE_KEYS.THRESHOLDS]: null };
+      }
+
+      const { minHeartRate, maxHeartRate, minBloodOxygen } = saved;
+      return {
+        [STORAGE_KEYS.THRESHOLDS]: null,
+        [STORAGE_KEYS.THRESHOLD_PROFILES]: {
+          ...DEFAULT_THRESHOLD_PROFILES,
+          profiles: DEFAULT_THRESHOLD_PROFILES.profiles.map(profile =>
+            profile.id === 'resting'
+              ? { ...profile, minHeartRate, maxHeartRate, minBloodOxygen }
+              : profile,
+          ),
+        },
+      };
+    },
+    validate: state => {
+      if (state[STORAGE_KEYS.THRESHOLDS] !== undefined) {
+        throw new Error('Single threshold set was not converted');
+      }
+      const config = state[STORAGE_KEYS.THRESHOLD_PROFILES];
+      (config ? config.profiles : []).forEach(profile => {
+        const error = validateThresholdProfile(profile);
+        if (error) {
+          throw new Error(`Invalid ${profile.name} profile: ${error}`);
+        }
+      });
+    },
+  },
+];
@@ -0,0 +1,116 @@
+// src/services/notificationService.js
+import inAppNotificationAdapter from './notifications/inAppNotificationAdapter';
+import localNotificationAdapter from './notifications/localNotificationAdapter';
+import { NOTIFICATION_CHANNELS } from './notifications/notificationAdapter';
+import { isInSchedule } from './thresholdProfiles';
+
+/**
+ * Notification Service
+ * Decides whether and where an alert is shown
+ *
+ * Alerts go to the channels chosen for their severity. Nothing is shown
+ * while notifications are switched off, and only danger alerts get through
+ * during quiet hours. A danger alert whose chosen channels cannot deliver
+ * (e.g. in-app while the app is in the background) falls back to any
+ * channel that can.
+ */
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  notifications: true,
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  notificationChannels: {
+    caution: [NOTIFICATION_CHANNELS.IN_APP],
+    warning: [NOTIFICATION_CHANNELS.IN_APP],
+    danger: [NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.LOCAL],
+  },
+};
+
+class NotificationService {
+  constructor(adapters = [inAppNotificationAdapter, localNotificationAdapter]) {
+    // Registered adapters, keyed by channel id
+    this.adapters = {};
+    this.settings = DEFAULT_NOTIFICATION_SETTINGS;
+    adapters.forEach(adapter => this.registerAdapter(adapter));
+  }
+
+  /**
+   * Register a delivery channel (replaces one with the same id)
+   */
+  registerAdapter(adapter) {
+    this.adapters[adapter.id] = adapter;
+  }
+
+  getAdapter(id) {
+    return this.adapters[id] || null;
+  }
+
+  /**
+   * Apply the notification part of the user settings
+   */
+  configure({ notifications, quietHours, notificationChannels }) {
+    this.settings = {
+      notifications: notifications ?? this.settings.notifications,
+      quietHours: quietHours ?? this.settings.quietHours,
+      notificationChannels:
+        notificationChannels ?? this.settings.notificationChannels,
+    };
+  }
+
+  /**
+   * Check whether a severity is held back at a given time
+   * Returns the reason ('disabled' or 'quietHours') or null
+   */
+  getSuppression(severity, date = new Date()) {
+    const { notifications, quietHours } = this.settings;
+    if (!notifications) {
+      return 'disabled';
+    }
+    if (
+      severity !== 'danger' &&
+      quietHours.enabled &&
+      isInSchedule(quietHours, date)
+    ) {
+      return 'quietHours';
+    }
+    return null;
+  }
+
+  /**
+   * Deliver a notification ({ title, message, severity, alertId })
+   * Returns { delivered: [channel ids], suppressed: reason or null }
+   */
+  async notify(notification, date = new Date()) {
+    const suppressed = this.getSuppression(notification.severity, date);
+    if (suppressed) {
+      return { delivered: [], suppressed };
+    }
+
+    const chosen = (
+      this.settings.notificationChannels[notification.severity] || []
+    )
+      .map(id => this.adapters[id])
+      .filter(adapter => adapter && adapter.isAvailable());
+    const targets =
+      chosen.length === 0 && notification.severity === 'danger'
+        ? Object.values(this.adapters).filter(adapter => adapter.isAvailable())
+        : chosen;
+
+    const delivered = [];
+    for (const adapter of targets) {
+      try {
+        await adapter.deliver(notification);
+        delivered.push(adapter.id);
+      } catch (error) {
+        console.error(
+          `Failed to deliver notification via ${adapter.id}:`,
+          error,
+        );
+      }
+    }
+    return { delivered, suppressed: null };
+  }
+}
+
+// Export singleton instance
+export default new NotificationService();
+export { NotificationService };
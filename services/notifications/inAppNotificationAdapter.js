@@ -0,0 +1,42 @@
+// src/services/notifications/inAppNotificationAdapter.js
+import { AppState } from 'react-native';
+import NotificationAdapter, {
+  NOTIFICATION_CHANNELS,
+} from './notificationAdapter';
+
+/**
+ * In-App Notification Adapter
+ * Hands notifications to a presenter registered by the visible screen
+ * (Home's warning dialog). Only available while the app is in the foreground.
+ */
+
+class InAppNotificationAdapter extends NotificationAdapter {
+  constructor() {
+    super(NOTIFICATION_CHANNELS.IN_APP, 'In-app dialog');
+    this.presenter = null;
+  }
+
+  /**
+   * Register the function that shows a notification on screen
+   * Returns a function that removes it
+   */
+  setPresenter(presenter) {
+    this.presenter = presenter;
+    return () => {
+      if (this.presenter === presenter) {
+        this.presenter = null;
+      }
+    };
+  }
+
+  isAvailable() {
+    return this.presenter !== null && AppState.currentState === 'active';
+  }
+
+  async deliver(notification) {
+    this.presenter(notification);
+  }
+}
+
+// Export singleton instance
+export default new InAppNotificationAdapter();
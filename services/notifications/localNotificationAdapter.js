@@ -0,0 +1,63 @@
+// src/services/notifications/localNotificationAdapter.js
+import NotificationAdapter, {
+  NOTIFICATION_CHANNELS,
+} from './notificationAdapter';
+
+/**
+ * Local Notification Adapter
+ * Posts OS notifications so alerts reach the user while the app is in the
+ * background. The native notification module is attached as a transport
+ * with post({ title, body, channelId, priority }); until one is attached
+ * the adapter reports itself unavailable.
+ */
+
+// Android notification channel and priority for each alert severity
+export const SEVERITY_CHANNELS = {
+  caution: {
+    channelId: 'heartguard-notices',
+    name: 'Health notices',
+    priority: 'default',
+  },
+  warning: {
+    channelId: 'heartguard-warnings',
+    name: 'Health warnings',
+    priority: 'high',
+  },
+  danger: {
+    channelId: 'heartguard-critical',
+    name: 'Critical health alerts',
+    priority: 'max',
+  },
+};
+
+class LocalNotificationAdapter extends NotificationAdapter {
+  constructor() {
+    super(NOTIFICATION_CHANNELS.LOCAL, 'System notification');
+    this.transport = null;
+  }
+
+  /**
+   * Attach (or with null, detach) the native notification transport
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  isAvailable() {
+    return this.transport !== null;
+  }
+
+  async deliver(notification) {
+    const { channelId, priority } =
+      SEVERITY_CHANNELS[notification.severity] || SEVERITY_CHANNELS.warning;
+    await this.transport.post({
+      title: notification.title,
+      body: notification.message,
+      channelId,
+      priority,
+    });
+  }
+}
+
+// Export singleton instance
+export default new LocalNotificationAdapter();
@@ -0,0 +1,58 @@
+// src/services/notifications/notifeeTransport.js
+import notifee, {
+  AndroidImportance,
+  AuthorizationStatus,
+} from '@notifee/react-native';
+import { SEVERITY_CHANNELS } from './localNotificationAdapter';
+
+/**
+ * Notifee Transport
+ * Native side of LocalNotificationAdapter: creates the Android channels,
+ * asks for permission to notify and posts the notifications
+ */
+
+// Android has no importance above HIGH, so danger alerts also bypass Do Not
+// Disturb where the user allows it
+const IMPORTANCE = {
+  default: AndroidImportance.DEFAULT,
+  high: AndroidImportance.HIGH,
+  max: AndroidImportance.HIGH,
+};
+
+class NotifeeTransport {
+  /**
+   * Create the notification channels and request permission
+   * Returns whether the user allows notifications
+   */
+  async setUp() {
+    await notifee.createChannels(
+      Object.values(SEVERITY_CHANNELS).map(({ channelId, name, priority }) => ({
+        id: channelId,
+        name,
+        importance: IMPORTANCE[priority],
+        bypassDnd: priority === 'max',
+      })),
+    );
+    const { authorizationStatus } = await notifee.requestPermission();
+    return authorizationStatus >= AuthorizationStatus.AUTHORIZED;
+  }
+
+  async post({ title, body, channelId, priority }) {
+    await notifee.displayNotification({
+      title,
+      body,
+      android: {
+        channelId,
+        importance: IMPORTANCE[priority],
+        pressAction: { id: 'default' },
+      },
+      ios: {
+        interruptionLevel: priority === 'max' ? 'timeSensitive' : 'active',
+      },
+    });
+  }
+}
+
+// Export singleton instance
+export default new NotifeeTransport();
+export { NotifeeTransport };
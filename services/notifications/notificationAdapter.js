@@ -0,0 +1,34 @@
+// src/services/notifications/notificationAdapter.js
+/**
+ * Notification Adapter
+ * Base class for every way NotificationService can reach the user
+ * (in-app dialog, OS local notification, test doubles, ...)
+ *
+ * Notifications look like { title, message, severity, alertId }
+ */
+
+export const NOTIFICATION_CHANNELS = {
+  IN_APP: 'inApp',
+  LOCAL: 'local',
+};
+
+export default class NotificationAdapter {
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+  }
+
+  /**
+   * Check whether the adapter can deliver right now
+   */
+  isAvailable() {
+    return false;
+  }
+
+  /**
+   * Show a notification to the user
+   */
+  async deliver(notification) {
+    throw new Error(`${this.name} cannot deliver notifications`);
+  }
+}
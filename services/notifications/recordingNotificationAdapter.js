@@ -0,0 +1,23 @@
+// src/services/notifications/recordingNotificationAdapter.js
+import NotificationAdapter from './notificationAdapter';
+
+/**
+ * Recording Notification Adapter
+ * Test double that keeps delivered notifications instead of showing them
+ */
+
+export default class RecordingNotificationAdapter extends NotificationAdapter {
+  constructor(id = 'recording', { available = true } = {}) {
+    super(id, 'Recording adapter');
+    this.available = available;
+    this.delivered = [];
+  }
+
+  isAvailable() {
+    return this.available;
+  }
+
+  async deliver(notification) {
+    this.delivered.push(notification);
+  }
+}
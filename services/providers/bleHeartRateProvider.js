@@ -0,0 +1,145 @@
+// src/services/providers/bleHeartRateProvider.js
+import HealthDataProvider, {
+  METRICS,
+  ProviderError,
+} from './healthDataProvider';
+import {
+  parseHeartRateMeasurement,
+  parseBodySensorLocation,
+  isValidMeasurement,
+} from '../ble/heartRateMeasurement';
+
+/**
+ * Bluetooth Heart Rate Provider
+ * Turns raw Heart Rate Profile notifications into HealthService readings
+ * The BLE transport forwards characteristic values to handleMeasurement()
+ * and handleBodySensorLocation()
+ */
+
+// Readings older than this are treated as a lost connection
+const STALE_AFTER_MS = 5000;
+
+class BleHeartRateProvider extends HealthDataProvider {
+  constructor() {
+    super('bleHeartRate', 'Bluetooth Heart Rate Strap');
+    this.latest = null;
+    this.latestTimestamp = 0;
+    this.sensorLocation = null;
+    // RR intervals received since the last read
+    this.pendingRrIntervals = [];
+    this.listeners = {
+      [METRICS.HEART_RATE]: new Set(),
+      [METRICS.RR_INTERVALS]: new Set(),
+    };
+  }
+
+  getCapabilities() {
+    return [METRICS.HEART_RATE, METRICS.RR_INTERVALS];
+  }
+
+  /**
+   * Handle a Heart Rate Measurement (0x2A37) notification
+   */
+  handleMeasurement(payload, timestamp = Date.now()) {
+    let measurement;
+    try {
+      measurement = parseHeartRateMeasurement(payload);
+    } catch (error) {
+      this.reportError(error, METRICS.HEART_RATE);
+      return null;
+    }
+
+    this.latest = measurement;
+    this.latestTimestamp = timestamp;
+
+    if (isValidMeasurement(measurement)) {
+      this.pendingRrIntervals.push(...measurement.rrIntervals);
+      this.listeners[METRICS.HEART_RATE].forEach(listener =>
+        listener(measurement.heartRate),
+      );
+      if (measurement.rrIntervals.length > 0) {
+        this.listeners[METRICS.RR_INTERVALS].forEach(listener =>
+          listener(measurement.rrIntervals),
+        );
+      }
+    }
+    return measurement;
+  }
+
+  /**
+   * Handle a Body Sensor Location (0x2A38) read
+   */
+  handleBodySensorLocation(payload) {
+    try {
+      this.sensorLocation = parseBodySensorLocation(payload);
+    } catch (error) {
+      this.reportError(error);
+    }
+    return this.sensorLocation;
+  }
+
+  /**
+   * Get the last decoded measurement, including RR intervals
+   */
+  getLatestMeasurement() {
+    return this.latest;
+  }
+
+  /**
+   * Get where the strap reports it is worn
+   */
+  getSensorLocation() {
+    return this.sensorLocation;
+  }
+
+  async dispose() {
+    this.latest = null;
+    this.latestTimestamp = 0;
+    this.pendingRrIntervals = [];
+    return super.dispose();
+  }
+
+  async read(metric) {
+    if (!this.supports(metric)) {
+      return super.read(metric);
+    }
+
+    // Report a lost signal and return no reading, like a sensor dropout
+    let problem = null;
+    if (!this.latest || Date.now() - this.latestTimestamp > STALE_AFTER_MS) {
+      problem = 'No data received from heart rate strap';
+    } else if (!isValidMeasurement(this.latest)) {
+      problem = 'Heart rate strap has no skin contact';
+    }
+
+    if (problem) {
+      this.reportError(
+        new ProviderError(problem, { providerId: this.id, metric }),
+        metric,
+      );
+      return null;
+    }
+
+    if (metric === METRICS.RR_INTERVALS) {
+      const rrIntervals = this.pendingRrIntervals;
+      this.pendingRrIntervals = [];
+      return rrIntervals;
+    }
+
+    return this.latest.heartRate;
+  }
+
+  /**
+   * Notifications are pushed by the strap, so listeners are called directly
+   */
+  subscribe(metric, listener) {
+    if (!this.supports(metric)) {
+      return () => {};
+    }
+    this.listeners[metric].add(listener);
+    return () => this.listeners[metric].delete(listener);
+  }
+}
+
+// Export singleton instance
+export default new BleHeartRateProvider();
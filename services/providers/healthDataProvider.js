@@ -0,0 +1,133 @@
+// src/services/providers/healthDataProvider.js
+/**
+ * Health Data Provider
+ * Base class for every data source registered with HealthService
+ * (simulator, wearable sensors, test fixtures, ...)
+ */
+
+export const METRICS = {
+  HEART_RATE: 'heartRate',
+  BLOOD_OXYGEN: 'bloodOxygen',
+  STEPS: 'steps',
+  RESPIRATORY_RATE: 'respiratoryRate',
+  // Beat-to-beat intervals (ms) received since the previous read
+  RR_INTERVALS: 'rrIntervals',
+};
+
+/**
+ * Error raised by a provider while initializing or reading a metric
+ */
+export class ProviderError extends Error {
+  constructor(message, { providerId, metric, cause } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.providerId = providerId;
+    this.metric = metric;
+    this.cause = cause;
+  }
+}
+
+export default class HealthDataProvider {
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+    this.isInitialized = false;
+    this.errorListeners = new Set();
+    // How often consumers should poll this provider (ms)
+    this.pollingIntervalMs = 3000;
+  }
+
+  /**
+   * Prepare the data source (permissions, connections, ...)
+   * Subclasses should call super.initialize() once ready
+   */
+  async initialize() {
+    this.isInitialized = true;
+    return true;
+  }
+
+  /**
+   * Release any resources held by the provider
+   */
+  async dispose() {
+    this.isInitialized = false;
+  }
+
+  /**
+   * List of metrics (see METRICS) this provider can read
+   */
+  getCapabilities() {
+    return [];
+  }
+
+  /**
+   * Check whether a metric is supported
+   */
+  supports(metric) {
+    return this.getCapabilities().includes(metric);
+  }
+
+  /**
+   * Read the latest value of a metric
+   */
+  async read(metric) {
+    throw new ProviderError(`${this.name} does not support ${metric}`, {
+      providerId: this.id,
+      metric,
+    });
+  }
+
+  /**
+   * Receive metric values as they arrive
+   * The default implementation polls read(); push-based sources should override it
+   * Returns an unsubscribe function
+   */
+  subscribe(metric, listener, intervalMs = this.pollingIntervalMs) {
+    let active = true;
+
+    const poll = async () => {
+      try {
+        const value = await this.read(metric);
+        if (active) {
+          listener(value);
+        }
+      } catch (error) {
+        this.reportError(error, metric);
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, intervalMs);
+
+    return () => {
+      active = false;
+      clearInterval(timer);
+    };
+  }
+
+  /**
+   * Register an error listener
+   * Returns a function that removes the listener
+   */
+  onError(listener) {
+    this.errorListeners.add(listener);
+    return () => this.errorListeners.delete(listener);
+  }
+
+  /**
+   * Notify error listeners, wrapping the error in a ProviderError if needed
+   */
+  reportError(error, metric) {
+    const providerError =
+      error instanceof ProviderError
+        ? error
+        : new ProviderError(error?.message || 'Unknown provider error', {
+            providerId: this.id,
+            metric,
+            cause: error,
+          });
+
+    this.errorListeners.forEach(listener => listener(providerError));
+    return providerError;
+  }
+}
@@ -0,0 +1,167 @@
+// src/services/providers/replayProvider.js
+import HealthDataProvider, {
+  METRICS,
+  ProviderError,
+} from './healthDataProvider';
+
+/**
+ * Replay Provider
+ * Streams a session captured by SessionRecorder back through HealthService
+ * at real or accelerated speed
+ */
+
+class ReplayProvider extends HealthDataProvider {
+  constructor() {
+    super('replay', 'Session Replay');
+    this.session = null;
+    this.speed = 1;
+    this.clock = () => Date.now();
+    this.startTime = null;
+    this.finished = false;
+  }
+
+  /**
+   * Load a recorded session for playback
+   */
+  load(session, { speed = 1, clock } = {}) {
+    if (!session.samples || session.samples.length === 0) {
+      throw new ProviderError('Recorded session has no samples', {
+        providerId: this.id,
+      });
+    }
+    this.session = session;
+    this.speed = speed;
+    if (clock !== undefined) {
+      this.clock = clock;
+    }
+
+    // Poll at the recorded sampling rate, scaled by the playback speed
+    this.pollingIntervalMs = Math.max(
+      100,
+      Math.round(this.getRecordedInterval() / speed),
+    );
+    this.restart();
+  }
+
+  /**
+   * Get the loaded session
+   */
+  getSession() {
+    return this.session;
+  }
+
+  /**
+   * Median time between recorded samples (ms)
+   */
+  getRecordedInterval() {
+    const { samples } = this.session;
+    if (samples.length < 2) {
+      return 3000;
+    }
+
+    const gaps = samples
+      .slice(1)
+      .map((sample, i) => sample.timestamp - samples[i].timestamp)
+      .sort((a, b) => a - b);
+    return gaps[Math.floor(gaps.length / 2)];
+  }
+
+  getCapabilities() {
+    if (!this.session) {
+      return [];
+    }
+    return Object.values(METRICS).filter(metric =>
+      this.session.samples.some(sample => sample[metric] !== undefined),
+    );
+  }
+
+  async initialize() {
+    if (!this.session) {
+      throw new ProviderError('No recorded session loaded', {
+        providerId: this.id,
+      });
+    }
+    this.restart();
+    return super.initialize();
+  }
+
+  /**
+   * Start playback again from the first sample on the next reading
+   */
+  restart() {
+    this.startTime = null;
+    this.finished = false;
+  }
+
+  /**
+   * Recorded time elapsed since playback started (ms)
+   */
+  getElapsed() {
+    const now = this.clock();
+    if (this.startTime === null) {
+      this.startTime = now;
+    }
+    return (now - this.startTime) * this.speed;
+  }
+
+  /**
+   * Get playback position and total recorded duration (ms)
+   */
+  getProgress() {
+    const { samples } = this.session;
+    const duration =
+      samples[samples.length - 1].timestamp - samples[0].timestamp;
+    const elapsed = this.startTime === null ? 0 : this.getElapsed();
+    return { elapsed: Math.min(elapsed, duration), duration };
+  }
+
+  /**
+   * Find the latest recorded sample at a playback position
+   * Returns null once playback has passed the end of the session
+   */
+  getSampleAt(elapsedMs) {
+    const { samples } = this.session;
+    const origin = samples[0].timestamp;
+    const end = samples[samples.length - 1].timestamp - origin;
+
+    if (elapsedMs >= end + this.getRecordedInterval()) {
+      return null;
+    }
+
+    // Binary search for the last sample at or before the position
+    let low = 0;
+    let high = samples.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (samples[mid].timestamp - origin <= elapsedMs) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return samples[low];
+  }
+
+  async read(metric) {
+    if (!this.supports(metric)) {
+      return super.read(metric);
+    }
+
+    const sample = this.getSampleAt(this.getElapsed());
+    if (!sample) {
+      if (!this.finished) {
+        this.finished = true;
+        this.reportError(
+          new ProviderError('Replay finished', { providerId: this.id, metric }),
+          metric,
+        );
+      }
+      return null;
+    }
+
+    return sample[metric] ?? null;
+  }
+}
+
+// Export singleton instance
+export default new ReplayProvider();
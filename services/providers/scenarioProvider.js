@@ -0,0 +1,216 @@
+// src/services/providers/scenarioProvider.js
+import HealthDataProvider, {
+  METRICS,
+  ProviderError,
+} from './healthDataProvider';
+import {
+  SCENARIOS,
+  DEFAULT_NOISE,
+  getScenarioDuration,
+} from '../simulator/scenarios';
+import { noise } from '../simulator/seededRandom';
+
+/**
+ * Scenario Provider
+ * Deterministic simulator that plays a scripted scenario with a fixed seed
+ * The same scenario, seed and elapsed time always produce the same readings
+ */
+
+const interpolate = ([from, to], fraction) => from + (to - from) * fraction;
+
+// Scenario time covered by the beat intervals returned with each reading
+const RR_WINDOW_MS = 3000;
+
+class ScenarioProvider extends HealthDataProvider {
+  constructor() {
+    super('scenario', 'Scenario Simulator');
+    this.scenarioId = 'restingDay';
+    this.seed = 1;
+    // Time acceleration: 10 means one real second plays ten scenario seconds
+    this.speed = 1;
+    this.clock = () => Date.now();
+    this.startTime = null;
+  }
+
+  getCapabilities() {
+    return [
+      METRICS.HEART_RATE,
+      METRICS.BLOOD_OXYGEN,
+      METRICS.STEPS,
+      METRICS.RESPIRATORY_RATE,
+      METRICS.RR_INTERVALS,
+    ];
+  }
+
+  /**
+   * Select scenario, seed, speed and (for tests) the clock
+   * Restarts the timeline
+   */
+  configure({ scenarioId, seed, speed, clock } = {}) {
+    if (scenarioId !== undefined) {
+      if (!SCENARIOS[scenarioId]) {
+        throw new ProviderError(`Unknown scenario: ${scenarioId}`, {
+          providerId: this.id,
+        });
+      }
+      this.scenarioId = scenarioId;
+    }
+    if (seed !== undefined) {
+      this.seed = seed;
+    }
+    if (speed !== undefined) {
+      this.speed = speed;
+    }
+    if (clock !== undefined) {
+      this.clock = clock;
+    }
+    this.restart();
+  }
+
+  /**
+   * Get current scenario settings
+   */
+  getConfiguration() {
+    return {
+      scenarioId: this.scenarioId,
+      seed: this.seed,
+      speed: this.speed,
+    };
+  }
+
+  /**
+   * Get available scenarios
+   */
+  getScenarios() {
+    return Object.values(SCENARIOS).map(({ id, name, description }) => ({
+      id,
+      name,
+      description,
+    }));
+  }
+
+  /**
+   * Start the timeline again on the next reading
+   */
+  restart() {
+    this.startTime = null;
+  }
+
+  async initialize() {
+    this.restart();
+    return super.initialize();
+  }
+
+  /**
+   * Scenario time elapsed since the first reading (ms)
+   */
+  getElapsed() {
+    const now = this.clock();
+    if (this.startTime === null) {
+      this.startTime = now;
+    }
+    return (now - this.startTime) * this.speed;
+  }
+
+  /**
+   * Compute every metric at a point of the scenario timeline
+   */
+  getStateAt(elapsedMs) {
+    const scenario = SCENARIOS[this.scenarioId];
+    const total = getScenarioDuration(scenario);
+    const stepsPerPass = scenario.phases.reduce(
+      (sum, phase) => sum + (phase.stepsPerMinute * phase.durationMs) / 60000,
+      0,
+    );
+
+    // Position within the current pass through the scenario
+    let passes = 0;
+    let position = elapsedMs;
+    if (scenario.loop) {
+      passes = Math.floor(elapsedMs / total);
+      position = elapsedMs % total;
+    } else if (elapsedMs >= total) {
+      position = total;
+    }
+
+    let phaseStart = 0;
+    let stepsBefore = 0;
+    let phaseIndex = scenario.phases.length - 1;
+    for (let i = 0; i < scenario.phases.length; i++) {
+      const { durationMs, stepsPerMinute } = scenario.phases[i];
+      if (position < phaseStart + durationMs) {
+        phaseIndex = i;
+        break;
+      }
+      if (i < scenario.phases.length - 1) {
+        phaseStart += durationMs;
+        stepsBefore += (stepsPerMinute * durationMs) / 60000;
+      }
+    }
+
+    const phase = scenario.phases[phaseIndex];
+    const offset = Math.min(position - phaseStart, phase.durationMs);
+    const fraction = offset / phase.durationMs;
+    const amplitude = { ...DEFAULT_NOISE, ...phase.noise };
+    const tick = Math.floor(elapsedMs / 1000);
+    const sample = metric =>
+      interpolate(phase[metric], fraction) +
+      amplitude[metric] * noise(this.seed, metric, tick);
+
+    // Beat intervals around the scripted heart rate; beat-to-beat variation
+    // shrinks as the heart rate rises unless the phase sets rrJitter
+    const heartRate = Math.round(sample(METRICS.HEART_RATE));
+    const meanRr = 60000 / heartRate;
+    const rrJitter = phase.rrJitter ?? (heartRate > 120 ? 10 : 35);
+    const rrIntervals = Array.from(
+      { length: Math.max(1, Math.round(RR_WINDOW_MS / meanRr)) },
+      (_, beat) =>
+        Math.round(
+          meanRr +
+            rrJitter *
+              noise(this.seed, METRICS.RR_INTERVALS, tick * 100 + beat),
+        ),
+    );
+
+    const steps =
+      passes * stepsPerPass +
+      stepsBefore +
+      (phase.stepsPerMinute * offset) / 60000;
+
+    return {
+      phase: phase.name,
+      phaseIndex,
+      dropout: Boolean(phase.dropout),
+      heartRate,
+      bloodOxygen: Math.min(100, Math.round(sample(METRICS.BLOOD_OXYGEN))),
+      respiratoryRate: Math.round(sample(METRICS.RESPIRATORY_RATE)),
+      steps: Math.round(steps),
+      rrIntervals,
+    };
+  }
+
+  async read(metric) {
+    if (!this.supports(metric)) {
+      return super.read(metric);
+    }
+
+    const state = this.getStateAt(this.getElapsed());
+
+    // Wearable signals disappear during a dropout; the phone keeps counting steps
+    if (state.dropout && metric !== METRICS.STEPS) {
+      this.reportError(
+        new ProviderError('Sensor signal lost', {
+          providerId: this.id,
+          metric,
+        }),
+        metric,
+      );
+      return null;
+    }
+
+    return state[metric];
+  }
+}
+
+// Export singleton instance
+export default new ScenarioProvider();
@@ -0,0 +1,110 @@
+// src/services/providers/simulatorProvider.js
+import HealthDataProvider, { METRICS } from './healthDataProvider';
+
+/**
+ * Simulator Provider
+ * Generates random but plausible readings for development and demos
+ */
+
+class SimulatorProvider extends HealthDataProvider {
+  constructor() {
+    super('simulator', 'Simulator');
+    // Step counter that resets at midnight
+    this.dailySteps = 0;
+    this.lastUpdateDate = new Date().toDateString();
+    // Beat intervals follow the most recent simulated heart rate
+    this.lastHeartRate = 70;
+  }
+
+  getCapabilities() {
+    return [
+      METRICS.HEART_RATE,
+      METRICS.BLOOD_OXYGEN,
+      METRICS.STEPS,
+      METRICS.RESPIRATORY_RATE,
+      METRICS.RR_INTERVALS,
+    ];
+  }
+
+  async read(metric) {
+    switch (metric) {
+      case METRICS.HEART_RATE:
+        return this.readHeartRate();
+      case METRICS.BLOOD_OXYGEN:
+        return this.readBloodOxygen();
+      case METRICS.STEPS:
+        return this.readSteps();
+      case METRICS.RESPIRATORY_RATE:
+        return this.readRespiratoryRate();
+      case METRICS.RR_INTERVALS:
+        return this.readRrIntervals();
+      default:
+        return super.read(metric);
+    }
+  }
+
+  readHeartRate() {
+    // Simulate realistic heart rate data (60-100 BPM normal range, occasional anomalies)
+    const baseRate = 70;
+    const variation = Math.random() * 20 - 10; // -10 to +10
+    const randomSpike = Math.random() < 0.1 ? (Math.random() - 0.5) * 40 : 0; // 10% chance of anomaly
+
+    const heartRate = Math.round(baseRate + variation + randomSpike);
+
+    // Ensure within reasonable range
+    this.lastHeartRate = Math.max(45, Math.min(180, heartRate));
+    return this.lastHeartRate;
+  }
+
+  readBloodOxygen() {
+    // Normal blood oxygen: 95-100%
+    const base = 97;
+    const variation = Math.random() * 3 - 1; // -1 to +2
+    return Math.round(base + variation);
+  }
+
+  readSteps() {
+    const today = new Date().toDateString();
+    if (this.lastUpdateDate !== today) {
+      this.dailySteps = 0;
+      this.lastUpdateDate = today;
+    }
+
+    // Simulate gradual step increase throughout the day
+    // Steps increase by 10-30 with each check (every 3 seconds in the app)
+    const increment = Math.floor(Math.random() * 21) + 10; // 10-30 steps
+    this.dailySteps += increment;
+
+    // Cap at reasonable maximum (30,000 steps per day)
+    this.dailySteps = Math.min(this.dailySteps, 30000);
+
+    return this.dailySteps;
+  }
+
+  readRespiratoryRate() {
+    // Normal respiratory rate: 12-20 breaths/minute
+    const base = 16;
+    const variation = Math.random() * 4 - 2;
+    return Math.round(base + variation);
+  }
+
+  readRrIntervals() {
+    // Beats that fit in one polling interval, with ±40 ms beat-to-beat variation
+    const meanRr = 60000 / this.lastHeartRate;
+    const beats = Math.max(1, Math.round(this.pollingIntervalMs / meanRr));
+    return Array.from({ length: beats }, () =>
+      Math.round(meanRr + (Math.random() - 0.5) * 80),
+    );
+  }
+
+  /**
+   * Reset the simulated step counter
+   */
+  resetDailyCounters() {
+    this.dailySteps = 0;
+    this.lastUpdateDate = new Date().toDateString();
+  }
+}
+
+// Export singleton instance
+export default new SimulatorProvider();
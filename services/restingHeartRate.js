@@ -0,0 +1,216 @@
+// src/services/restingHeartRate.js
+import storageService from './storageService';
+
+/**
+ * Resting Heart Rate
+ * Estimates one resting heart rate per day from low-activity periods
+ *
+ * A health record counts as resting when no steps were taken in the
+ * settleMs before it, judged from the step counter deltas between records,
+ * so the elevated rate just after moving is left out too. The day's resting
+ * heart rate is the average of the calmer half of those readings. It is
+ * compared with the personal baseline, the median of earlier days, to notice
+ * a sustained rise.
+ */
+
+export const RESTING_HEART_RATE_DEFAULTS = {
+  settleMs: 5 * 60 * 1000,
+  // About a minute of readings at the default 3 s polling interval
+  minSamples: 20,
+  // Days compared with the baseline, and days the baseline is taken from
+  recentDays: 3,
+  baselineDays: 30,
+  minBaselineDays: 7,
+  // Rise over the baseline (BPM) worth a notice
+  noticeRise: 5,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfLocalDay = timestamp => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// Local calendar day `offset` days before a timestamp, as used for keys
+const daysBefore = (timestamp, offset) => {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+};
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Steps between two readings of the daily step counter (a reset counts from 0)
+const stepsBetween = (from, to) => (to >= from ? to - from : to);
+
+/**
+ * Heart rates recorded from startTime on after at least settleMs without
+ * steps
+ * records: health records ({ timestamp, heartRate, steps }) in time order
+ */
+export function getRestingReadings(
+  records,
+  { settleMs } = RESTING_HEART_RATE_DEFAULTS,
+  startTime = -Infinity,
+) {
+  const readings = [];
+  // Index of the latest record at least settleMs before the current one
+  let baseline = -1;
+  let stepsSinceBaseline = 0;
+
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i];
+    if (i > 0) {
+      stepsSinceBaseline += stepsBetween(records[i - 1].steps, record.steps);
+    }
+    while (
+      baseline + 1 < i &&
+      records[baseline + 1].timestamp <= record.timestamp - settleMs
+    ) {
+      baseline += 1;
+      if (baseline > 0) {
+        stepsSinceBaseline -= stepsBetween(
+          records[baseline - 1].steps,
+          records[baseline].steps,
+        );
+      }
+    }
+
+    if (
+      record.timestamp >= startTime &&
+      baseline >= 0 &&
+      stepsSinceBaseline === 0 &&
+      typeof record.heartRate === 'number'
+    ) {
+      readings.push(record.heartRate);
+    }
+  }
+  return readings;
+}
+
+/**
+ * A day's resting heart rate ({ restingHeartRate, sampleCount }), or null
+ * when the day had too little rest to tell
+ */
+export function computeRestingHeartRate(
+  records,
+  options = RESTING_HEART_RATE_DEFAULTS,
+  startTime = -Infinity,
+) {
+  const readings = getRestingReadings(records, options, startTime);
+  if (readings.length < options.minSamples) {
+    return null;
+  }
+  const calmer = [...readings]
+    .sort((a, b) => a - b)
+    .slice(0, Math.ceil(readings.length / 2));
+  return {
+    restingHeartRate: Math.round(
+      calmer.reduce((sum, value) => sum + value, 0) / calmer.length,
+    ),
+    sampleCount: readings.length,
+  };
+}
+
+/**
+ * Compare the last days' resting heart rate with the personal baseline
+ * history: stored daily entries ({ date, restingHeartRate })
+ * Returns { recent, baseline, rise, elevated } or null without a baseline
+ */
+export function getRestingHeartRateTrend(
+  history,
+  now = Date.now(),
+  options = RESTING_HEART_RATE_DEFAULTS,
+) {
+  const { recentDays, baselineDays, minBaselineDays, noticeRise } = options;
+  const byDate = new Map(history.map(day => [day.date, day]));
+  const valuesFor = (fromOffset, count) => {
+    const values = [];
+    for (let offset = fromOffset; offset < fromOffset + count; offset++) {
+      const day = byDate.get(daysBefore(now, offset).toDateString());
+      if (day && day.restingHeartRate !== null) {
+        values.push(day.restingHeartRate);
+      }
+    }
+    return values;
+  };
+
+  const recentValues = valuesFor(0, recentDays);
+  const baselineValues = valuesFor(recentDays, baselineDays);
+  if (recentValues.length === 0 || baselineValues.length < minBaselineDays) {
+    return null;
+  }
+  const recent = Math.round(
+    recentValues.reduce((sum, value) => sum + value, 0) / recentValues.length,
+  );
+  const baseline = Math.round(median(baselineValues));
+  return {
+    recent,
+    baseline,
+    rise: recent - baseline,
+    // A single day can be off; a rise needs more than one recent day
+    elevated: recentValues.length >= 2 && recent - baseline >= noticeRise,
+  };
+}
+
+class RestingHeartRateService {
+  constructor(options = {}) {
+    this.options = { ...RESTING_HEART_RATE_DEFAULTS, ...options };
+  }
+
+  /**
+   * Compute and store the resting heart rate of recent days
+   * A day is final once computed after it ended; until then (today) it is
+   * recomputed on every call. A finished day with too little rest is stored
+   * without a value so its records are not read again. Only days still
+   * holding raw health records (30 days) can be computed.
+   */
+  async refresh(days = 30, now = Date.now()) {
+    try {
+      const stored = await storageService.getRestingHeartRates();
+      const computedAt = new Map(stored.map(day => [day.date, day.computedAt]));
+
+      for (let offset = days - 1; offset >= 0; offset--) {
+        const dayStart = daysBefore(now, offset).getTime();
+        const dayEnd = startOfLocalDay(dayStart + DAY_MS + DAY_MS / 2) - 1;
+        const date = new Date(dayStart).toDateString();
+        if (computedAt.get(date) > dayEnd) {
+          continue;
+        }
+        // Readings from before midnight show whether the first ones were rested
+        const records = await storageService.getHealthRecordsInRange(
+          dayStart - this.options.settleMs,
+          Math.min(dayEnd, now),
+        );
+        const result = computeRestingHeartRate(
+          records.sort((a, b) => a.timestamp - b.timestamp),
+          this.options,
+          dayStart,
+        );
+        if (result || now > dayEnd) {
+          await storageService.saveRestingHeartRate({
+            date,
+            dayStart,
+            ...(result ?? { restingHeartRate: null, sampleCount: 0 }),
+            computedAt: now,
+          });
+        }
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to refresh resting heart rate:', error);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+export default new RestingHeartRateService();
+export { RestingHeartRateService };
@@ -0,0 +1,186 @@
+// src/services/rhythmAnalysis.js
+/**
+ * Rhythm Screening
+ * Flags sustained beat-to-beat irregularity from RR intervals
+ *
+ * Each window of beats is scored with three irregularity measures commonly
+ * used for atrial fibrillation screening (normalized RMSSD, Shannon entropy
+ * and turning point ratio). A window is irregular only when all three agree.
+ * This is a screening signal, not a diagnosis.
+ */
+
+// Physiologically plausible RR range (30-200 BPM)
+const MIN_RR = 300;
+const MAX_RR = 2000;
+const HISTOGRAM_BINS = 16;
+
+export const RHYTHM_SCREENING_DEFAULTS = {
+  windowSize: 64, // beats per analysis window
+  sustainedWindows: 3, // consecutive irregular windows before flagging
+  minNormalizedRmssd: 0.1,
+  minEntropy: 0.7,
+  // Turning point ratio must stay within this many standard deviations
+  // of the value expected from a random (irregular) series
+  turningPointZ: 2.58,
+};
+
+export const SCREENING_DISCLAIMER =
+  'This is a screening signal, not a diagnosis';
+
+const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+/**
+ * RMSSD divided by the mean RR interval
+ */
+export function computeNormalizedRmssd(rrIntervals) {
+  if (rrIntervals.length < 2) {
+    return 0;
+  }
+  const diffs = rrIntervals.slice(1).map((rr, i) => rr - rrIntervals[i]);
+  const rmssd = Math.sqrt(mean(diffs.map(d => d * d)));
+  return rmssd / mean(rrIntervals);
+}
+
+/**
+ * Shannon entropy of the RR histogram, normalized to 0-1
+ */
+export function computeShannonEntropy(rrIntervals, bins = HISTOGRAM_BINS) {
+  if (rrIntervals.length < 2) {
+    return 0;
+  }
+  const min = Math.min(...rrIntervals);
+  const max = Math.max(...rrIntervals);
+  if (max === min) {
+    return 0;
+  }
+
+  const counts = new Array(bins).fill(0);
+  const binWidth = (max - min) / bins;
+  rrIntervals.forEach(rr => {
+    counts[Math.min(bins - 1, Math.floor((rr - min) / binWidth))] += 1;
+  });
+
+  const entropy = counts
+    .filter(count => count > 0)
+    .reduce((sum, count) => {
+      const p = count / rrIntervals.length;
+      return sum - p * Math.log(p);
+    }, 0);
+  return entropy / Math.log(bins);
+}
+
+/**
+ * Share of beats that are local peaks or troughs
+ */
+export function computeTurningPointRatio(rrIntervals) {
+  if (rrIntervals.length < 3) {
+    return 0;
+  }
+  let turningPoints = 0;
+  for (let i = 1; i < rrIntervals.length - 1; i++) {
+    const previous = rrIntervals[i - 1];
+    const current = rrIntervals[i];
+    const next = rrIntervals[i + 1];
+    if (
+      (current > previous && current > next) ||
+      (current < previous && current < next)
+    ) {
+      turningPoints += 1;
+    }
+  }
+  return turningPoints / (rrIntervals.length - 2);
+}
+
+/**
+ * Score one window of beats
+ */
+export function analyzeRhythmWindow(
+  rrIntervals,
+  options = RHYTHM_SCREENING_DEFAULTS,
+) {
+  const rr = rrIntervals.filter(value => value >= MIN_RR && value <= MAX_RR);
+  const normalizedRmssd = computeNormalizedRmssd(rr);
+  const entropy = computeShannonEntropy(rr);
+  const turningPointRatio = computeTurningPointRatio(rr);
+
+  // A random series of n beats has (2n - 4) / 3 turning points on average
+  // with a variance of (16n - 29) / 90
+  const tolerance =
+    (options.turningPointZ * Math.sqrt((16 * rr.length - 29) / 90)) /
+    Math.max(1, rr.length - 2);
+  const minTurningPoints = 2 / 3 - tolerance;
+  const maxTurningPoints = 2 / 3 + tolerance;
+
+  return {
+    irregular:
+      normalizedRmssd >= options.minNormalizedRmssd &&
+      entropy >= options.minEntropy &&
+      turningPointRatio >= minTurningPoints &&
+      turningPointRatio <= maxTurningPoints,
+    normalizedRmssd: Math.round(normalizedRmssd * 1000) / 1000,
+    entropy: Math.round(entropy * 100) / 100,
+    turningPointRatio: Math.round(turningPointRatio * 100) / 100,
+    beatCount: rr.length,
+  };
+}
+
+/**
+ * Stateful screener fed with RR intervals as they arrive
+ */
+export class RhythmScreener {
+  constructor(options = {}) {
+    this.options = { ...RHYTHM_SCREENING_DEFAULTS, ...options };
+    this.reset();
+  }
+
+  /**
+   * Forget all beats and findings (e.g. when a new session starts)
+   */
+  reset() {
+    this.pending = [];
+    this.consecutiveIrregular = 0;
+    this.episodeStart = null;
+    this.lastWindow = null;
+  }
+
+  /**
+   * Check whether a sustained irregular rhythm is currently flagged
+   */
+  isIrregular() {
+    return this.consecutiveIrregular >= this.options.sustainedWindows;
+  }
+
+  /**
+   * Add beats and analyze every completed window
+   * Returns the current screening state
+   */
+  addBeats(rrIntervals, timestamp = Date.now()) {
+    const wasIrregular = this.isIrregular();
+    this.pending.push(...rrIntervals);
+
+    while (this.pending.length >= this.options.windowSize) {
+      const window = this.pending.splice(0, this.options.windowSize);
+      this.lastWindow = analyzeRhythmWindow(window, this.options);
+
+      if (this.lastWindow.irregular) {
+        if (this.consecutiveIrregular === 0) {
+          this.episodeStart = timestamp;
+        }
+        this.consecutiveIrregular += 1;
+      } else {
+        this.consecutiveIrregular = 0;
+        this.episodeStart = null;
+      }
+    }
+
+    const irregular = this.isIrregular();
+    return {
+      irregular,
+      // True only on the update where a sustained irregularity is first flagged
+      started: irregular && !wasIrregular,
+      ended: wasIrregular && !irregular,
+      episodeStart: this.episodeStart,
+      window: this.lastWindow,
+    };
+  }
+}
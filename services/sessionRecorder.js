@@ -0,0 +1,142 @@
+// src/services/sessionRecorder.js
+import RNFS from 'react-native-fs';
+
+/**
+ * Session Recorder
+ * Captures every sample and alert seen during a monitoring session
+ * and writes it to a JSON file that the replay provider can play back
+ */
+
+const SESSIONS_DIRECTORY = `${RNFS.DocumentDirectoryPath}/sessions`;
+const SESSION_FORMAT_VERSION = 1;
+
+class SessionRecorder {
+  constructor() {
+    this.session = null;
+  }
+
+  /**
+   * Start a new recording
+   */
+  start(metadata = {}) {
+    const startedAt = Date.now();
+    this.session = {
+      version: SESSION_FORMAT_VERSION,
+      id: `session_${startedAt}`,
+      startedAt,
+      endedAt: null,
+      ...metadata,
+      samples: [],
+      alerts: [],
+    };
+    return this.session.id;
+  }
+
+  /**
+   * Check whether a session is being recorded
+   */
+  isRecording() {
+    return this.session !== null;
+  }
+
+  /**
+   * Record one reading of every metric
+   */
+  recordSample(values) {
+    if (!this.session) {
+      return;
+    }
+    this.session.samples.push({ timestamp: Date.now(), ...values });
+  }
+
+  /**
+   * Record an alert raised during the session
+   */
+  recordAlert(alert) {
+    if (!this.session) {
+      return;
+    }
+    this.session.alerts.push({ timestamp: Date.now(), ...alert });
+  }
+
+  /**
+   * Stop recording and write the session file
+   * Returns the file path, or null when nothing was written
+   */
+  async stop() {
+    const session = this.session;
+    this.session = null;
+
+    if (!session || session.samples.length === 0) {
+      return null;
+    }
+
+    try {
+      session.endedAt = Date.now();
+      await RNFS.mkdir(SESSIONS_DIRECTORY);
+      const path = `${SESSIONS_DIRECTORY}/${session.id}.json`;
+      await RNFS.writeFile(path, JSON.stringify(session), 'utf8');
+      return path;
+    } catch (error) {
+      console.error('Failed to save recorded session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * List recorded session files, newest first
+   */
+  async listSessions() {
+    try {
+      if (!(await RNFS.exists(SESSIONS_DIRECTORY))) {
+        return [];
+      }
+      const items = await RNFS.readDir(SESSIONS_DIRECTORY);
+      return items
+        .filter(item => item.isFile() && item.name.endsWith('.json'))
+        .map(item => ({
+          name: item.name.replace('.json', ''),
+          path: item.path,
+          size: Number(item.size),
+          startedAt: parseInt(item.name.replace(/\D/g, ''), 10),
+        }))
+        .sort((a, b) => b.startedAt - a.startedAt);
+    } catch (error) {
+      console.error('Failed to list recorded sessions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Read a recorded session file
+   */
+  async loadSession(path) {
+    const data = await RNFS.readFile(path, 'utf8');
+    const session = JSON.parse(data);
+
+    if (session.version !== SESSION_FORMAT_VERSION || !session.samples) {
+      throw new Error('Unsupported session file format');
+    }
+    if (session.samples.length === 0) {
+      throw new Error('Recorded session has no samples');
+    }
+
+    return session;
+  }
+
+  /**
+   * Delete a recorded session file
+   */
+  async deleteSession(path) {
+    try {
+      await RNFS.unlink(path);
+      return true;
+    } catch (error) {
+      console.error('Failed to delete recorded session:', error);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+export default new SessionRecorder();
@@ -0,0 +1,293 @@
+// src/services/simulator/scenarios.js
+/**
+ * Simulation Scenarios
+ * Scripted timelines that drive every metric coherently over time
+ *
+ * Each phase lasts durationMs and linearly moves each metric from the first
+ * to the second value of its [from, to] pair. stepsPerMinute drives the step
+ * counter, dropout: true simulates a lost sensor signal and rrJitter sets
+ * the beat-to-beat variation (ms) of the simulated RR intervals.
+ */
+
+const seconds = n => n * 1000;
+const minutes = n => n * 60 * 1000;
+
+/**
+ * Noise amplitude added on top of the scripted values
+ */
+export const DEFAULT_NOISE = {
+  heartRate: 3,
+  bloodOxygen: 0.6,
+  respiratoryRate: 1,
+};
+
+/**
+ * Repeating desaturation pattern used by the overnight scenario
+ */
+const desaturationCycle = (baselineMs, dipTo) => [
+  {
+    name: 'sleep',
+    durationMs: baselineMs,
+    heartRate: [56, 57],
+    bloodOxygen: [96, 96],
+    respiratoryRate: [13, 13],
+    stepsPerMinute: 0,
+  },
+  {
+    name: 'desaturation',
+    durationMs: seconds(40),
+    heartRate: [57, 63],
+    bloodOxygen: [96, dipTo],
+    respiratoryRate: [13, 10],
+    stepsPerMinute: 0,
+  },
+  {
+    name: 'recovery',
+    durationMs: seconds(40),
+    heartRate: [63, 57],
+    bloodOxygen: [dipTo, 96],
+    respiratoryRate: [10, 13],
+    stepsPerMinute: 0,
+  },
+];
+
+export const SCENARIOS = {
+  restingDay: {
+    id: 'restingDay',
+    name: 'Resting Day',
+    description: 'Calm day at a desk with a short walk every half hour',
+    loop: true,
+    phases: [
+      {
+        name: 'rest',
+        durationMs: minutes(10),
+        heartRate: [66, 68],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [14, 14],
+        stepsPerMinute: 2,
+      },
+      {
+        name: 'walk start',
+        durationMs: minutes(3),
+        heartRate: [68, 92],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [14, 18],
+        stepsPerMinute: 100,
+      },
+      {
+        name: 'walk',
+        durationMs: minutes(6),
+        heartRate: [92, 96],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [18, 18],
+        stepsPerMinute: 105,
+      },
+      {
+        name: 'walk end',
+        durationMs: minutes(3),
+        heartRate: [96, 70],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [18, 14],
+        stepsPerMinute: 10,
+      },
+      {
+        name: 'rest',
+        durationMs: minutes(8),
+        heartRate: [70, 66],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [14, 14],
+        stepsPerMinute: 2,
+      },
+    ],
+  },
+  workout: {
+    id: 'workout',
+    name: 'Workout',
+    description: 'Warm-up, peak effort and cool-down run',
+    loop: false,
+    phases: [
+      {
+        name: 'warm-up',
+        durationMs: minutes(5),
+        heartRate: [75, 115],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [16, 22],
+        stepsPerMinute: 110,
+      },
+      {
+        name: 'peak',
+        durationMs: minutes(15),
+        heartRate: [145, 165],
+        bloodOxygen: [97, 96],
+        respiratoryRate: [28, 32],
+        stepsPerMinute: 165,
+      },
+      {
+        name: 'cool-down',
+        durationMs: minutes(8),
+        heartRate: [150, 95],
+        bloodOxygen: [96, 97],
+        respiratoryRate: [28, 18],
+        stepsPerMinute: 90,
+      },
+      {
+        name: 'recovery',
+        durationMs: minutes(5),
+        heartRate: [95, 74],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [18, 15],
+        stepsPerMinute: 5,
+      },
+    ],
+  },
+  tachycardia: {
+    id: 'tachycardia',
+    name: 'Tachycardia Episode',
+    description: 'Sustained high heart rate while at rest',
+    loop: true,
+    phases: [
+      {
+        name: 'rest',
+        durationMs: minutes(3),
+        heartRate: [72, 72],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [15, 15],
+        stepsPerMinute: 0,
+      },
+      {
+        name: 'onset',
+        durationMs: minutes(1),
+        heartRate: [72, 140],
+        bloodOxygen: [97, 96],
+        respiratoryRate: [15, 18],
+        stepsPerMinute: 0,
+      },
+      {
+        name: 'episode',
+        durationMs: minutes(12),
+        heartRate: [140, 150],
+        bloodOxygen: [96, 96],
+        respiratoryRate: [18, 19],
+        stepsPerMinute: 0,
+      },
+      {
+        name: 'resolution',
+        durationMs: minutes(2),
+        heartRate: [150, 78],
+        bloodOxygen: [96, 97],
+        respiratoryRate: [19, 15],
+        stepsPerMinute: 0,
+      },
+      {
+        name: 'rest',
+        durationMs: minutes(5),
+        heartRate: [78, 72],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [15, 15],
+        stepsPerMinute: 0,
+      },
+    ],
+  },
+  overnightDesaturation: {
+    id: 'overnightDesaturation',
+    name: 'Overnight Desaturation',
+    description: 'Sleep with recurring blood oxygen dips',
+    loop: true,
+    phases: [
+      ...desaturationCycle(minutes(4), 89),
+      ...desaturationCycle(minutes(2), 91),
+      ...desaturationCycle(minutes(6), 86),
+      ...desaturationCycle(minutes(3), 92),
+    ],
+  },
+  irregularRhythm: {
+    id: 'irregularRhythm',
+    name: 'Irregular Rhythm',
+    description: 'Normal heart rate with chaotic beat-to-beat intervals',
+    loop: true,
+    phases: [
+      {
+        name: 'regular',
+        durationMs: minutes(4),
+        heartRate: [72, 74],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [15, 15],
+        stepsPerMinute: 0,
+      },
+      {
+        name: 'irregular',
+        durationMs: minutes(8),
+        heartRate: [82, 86],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [16, 16],
+        stepsPerMinute: 0,
+        rrJitter: 180,
+      },
+      {
+        name: 'regular',
+        durationMs: minutes(4),
+        heartRate: [76, 72],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [15, 15],
+        stepsPerMinute: 0,
+      },
+    ],
+  },
+  sensorDropout: {
+    id: 'sensorDropout',
+    name: 'Sensor Dropout',
+    description: 'Normal readings interrupted by lost sensor contact',
+    loop: true,
+    phases: [
+      {
+        name: 'rest',
+        durationMs: minutes(2),
+        heartRate: [70, 70],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [15, 15],
+        stepsPerMinute: 0,
+      },
+      {
+        name: 'dropout',
+        durationMs: seconds(30),
+        heartRate: [70, 70],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [15, 15],
+        stepsPerMinute: 0,
+        dropout: true,
+      },
+      {
+        name: 'walk',
+        durationMs: minutes(2),
+        heartRate: [70, 90],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [15, 18],
+        stepsPerMinute: 100,
+      },
+      {
+        name: 'dropout',
+        durationMs: seconds(15),
+        heartRate: [90, 90],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [18, 18],
+        stepsPerMinute: 100,
+        dropout: true,
+      },
+      {
+        name: 'walk end',
+        durationMs: minutes(2),
+        heartRate: [90, 70],
+        bloodOxygen: [97, 97],
+        respiratoryRate: [18, 15],
+        stepsPerMinute: 20,
+      },
+    ],
+  },
+};
+
+/**
+ * Total duration of one pass through a scenario
+ */
+export function getScenarioDuration(scenario) {
+  return scenario.phases.reduce((sum, phase) => sum + phase.durationMs, 0);
+}
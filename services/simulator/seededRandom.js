@@ -0,0 +1,41 @@
+// src/services/simulator/seededRandom.js
+/* eslint-disable no-bitwise */
+/**
+ * Seeded Random Helpers
+ * Deterministic pseudo-random numbers so simulated sessions can be reproduced
+ */
+
+/**
+ * Turn any string or number into a 32-bit unsigned seed
+ */
+export function toSeed(value) {
+  const text = String(value);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a generator (mulberry32) returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = toSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Stateless noise in [-1, 1] for a given seed, channel and tick
+ * The same inputs always produce the same value, regardless of call order
+ */
+export function noise(seed, channel, tick) {
+  return createRandom(`${seed}:${channel}:${tick}`)() * 2 - 1;
+}
@@ -0,0 +1,239 @@
+// src/services/sleepMonitor.js
+/**
+ * Sleep Monitor
+ * Follows blood oxygen and heart rate through a night in sleep mode
+ *
+ * A desaturation event starts when SpO2 falls dropPercent or more below the
+ * baseline, the mean of the readings in the preceding baselineMs outside any
+ * event, and ends once SpO2 is back within recoverPercent of that baseline.
+ * The oxygen desaturation index (ODI) is events per hour of monitored time;
+ * gaps longer than MAX_GAP_MS without a reading are not counted. It is a
+ * screening figure, not a sleep study.
+ */
+
+export const SLEEP_DEFAULTS = {
+  // Readings are taken less often overnight
+  pollingIntervalMs: 15 * 1000,
+  baselineMs: 2 * 60 * 1000,
+  minBaselineReadings: 4,
+  dropPercent: 3,
+  recoverPercent: 1,
+  timelineBucketMs: 5 * 60 * 1000,
+};
+
+// Events per hour, from the usual screening categories
+export const ODI_LEVELS = [
+  { level: 'normal', label: 'Normal', below: 5, color: '#2ecc71' },
+  { level: 'mild', label: 'Mild', below: 15, color: '#f1c40f' },
+  { level: 'moderate', label: 'Moderate', below: 30, color: '#e67e22' },
+  { level: 'severe', label: 'Severe', below: Infinity, color: '#e74c3c' },
+];
+
+const MAX_GAP_MS = 5 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const average = values =>
+  values.length > 0
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null;
+
+const isReading = value => typeof value === 'number' && value > 0;
+
+/**
+ * Screening category of an oxygen desaturation index
+ */
+export function getOdiLevel(odi) {
+  return ODI_LEVELS.find(level => odi < level.below);
+}
+
+/**
+ * Summary of a night as saved and shown in the morning
+ */
+export function summarizeSleep(night, now = Date.now()) {
+  const monitoredHours = night.monitoredMs / HOUR_MS;
+  const events = night.event ? [...night.events, night.event] : night.events;
+  return {
+    id: night.id,
+    startedAt: night.startedAt,
+    endedAt: night.endedAt,
+    durationMs: (night.endedAt ?? now) - night.startedAt,
+    monitoredMs: night.monitoredMs,
+    minHeartRate: night.heartRates.length
+      ? Math.min(...night.heartRates)
+      : null,
+    averageHeartRate: average(night.heartRates),
+    minBloodOxygen: night.bloodOxygen.length
+      ? Math.min(...night.bloodOxygen)
+      : null,
+    averageBloodOxygen: average(night.bloodOxygen),
+    events: events.map(event => ({ ...event })),
+    odi:
+      monitoredHours > 0
+        ? parseFloat((events.length / monitoredHours).toFixed(1))
+        : null,
+    timeline: night.timeline.map(bucket => ({
+      timestamp: bucket.timestamp,
+      heartRate: average(bucket.heartRates),
+      bloodOxygen: bucket.bloodOxygen.length
+        ? Math.min(...bucket.bloodOxygen)
+        : null,
+    })),
+  };
+}
+
+class SleepMonitor {
+  constructor(options = {}) {
+    this.options = { ...SLEEP_DEFAULTS, ...options };
+    this.night = null;
+  }
+
+  start(timestamp = Date.now()) {
+    this.night = {
+      id: `sleep_${timestamp}`,
+      startedAt: timestamp,
+      endedAt: null,
+      monitoredMs: 0,
+      lastOxygenAt: null,
+      heartRates: [],
+      bloodOxygen: [],
+      // Recent readings outside events ({ timestamp, value }) for the baseline
+      baselineReadings: [],
+      // Ongoing desaturation ({ startTime, endTime, baseline, nadir })
+      event: null,
+      events: [],
+      timeline: [],
+    };
+    return this.night.id;
+  }
+
+  isActive() {
+    return this.night !== null;
+  }
+
+  /**
+   * Running night's progress ({ startedAt, durationMs, eventCount,
+   * desaturating }), or null
+   */
+  getStatus(timestamp = Date.now()) {
+    if (!this.night) {
+      return null;
+    }
+    const { startedAt, events, event } = this.night;
+    return {
+      startedAt,
+      durationMs: timestamp - startedAt,
+      eventCount: events.length + (event ? 1 : 0),
+      desaturating: event !== null,
+    };
+  }
+
+  /**
+   * Feed one reading ({ heartRate, bloodOxygen })
+   * Returns the desaturation event that started with it, or null
+   */
+  addSample({ heartRate, bloodOxygen }, timestamp = Date.now()) {
+    const night = this.night;
+    if (!night) {
+      return null;
+    }
+    const bucket = this.getTimelineBucket(timestamp);
+    if (isReading(heartRate)) {
+      night.heartRates.push(heartRate);
+      bucket.heartRates.push(heartRate);
+    }
+    if (!isReading(bloodOxygen)) {
+      return null;
+    }
+    night.bloodOxygen.push(bloodOxygen);
+    bucket.bloodOxygen.push(bloodOxygen);
+
+    if (night.lastOxygenAt !== null) {
+      const elapsed = timestamp - night.lastOxygenAt;
+      if (elapsed > 0 && elapsed <= MAX_GAP_MS) {
+        night.monitoredMs += elapsed;
+      }
+    }
+    night.lastOxygenAt = timestamp;
+
+    return this.detectDesaturation(bloodOxygen, timestamp);
+  }
+
+  detectDesaturation(bloodOxygen, timestamp) {
+    const night = this.night;
+    const { baselineMs, minBaselineReadings, dropPercent, recoverPercent } =
+      this.options;
+
+    if (night.event) {
+      const { event } = night;
+      event.nadir = Math.min(event.nadir, bloodOxygen);
+      event.endTime = timestamp;
+      if (bloodOxygen >= event.baseline - recoverPercent) {
+        night.events.push(event);
+        night.event = null;
+      }
+      return null;
+    }
+
+    night.baselineReadings = night.baselineReadings.filter(
+      reading => reading.timestamp >= timestamp - baselineMs,
+    );
+    const baselineValues = night.baselineReadings.map(reading => reading.value);
+    if (baselineValues.length >= minBaselineReadings) {
+      const baseline =
+        baselineValues.reduce((sum, value) => sum + value, 0) /
+        baselineValues.length;
+      if (bloodOxygen <= baseline - dropPercent) {
+        night.event = {
+          startTime: timestamp,
+          endTime: timestamp,
+          baseline: parseFloat(baseline.toFixed(1)),
+          nadir: bloodOxygen,
+        };
+        // The baseline is learnt afresh after the event
+        night.baselineReadings = [];
+        return { ...night.event };
+      }
+    }
+    night.baselineReadings.push({ timestamp, value: bloodOxygen });
+    return null;
+  }
+
+  getTimelineBucket(timestamp) {
+    const { timeline, startedAt } = this.night;
+    const { timelineBucketMs } = this.options;
+    const bucketStart =
+      startedAt +
+      Math.floor((timestamp - startedAt) / timelineBucketMs) * timelineBucketMs;
+    let bucket = timeline[timeline.length - 1];
+    if (!bucket || bucket.timestamp !== bucketStart) {
+      bucket = { timestamp: bucketStart, heartRates: [], bloodOxygen: [] };
+      timeline.push(bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Get the running night's summary so far, or null
+   */
+  getSummary(timestamp = Date.now()) {
+    return this.night ? summarizeSleep(this.night, timestamp) : null;
+  }
+
+  /**
+   * End the night and return its summary (null when sleep mode is off)
+   */
+  end(timestamp = Date.now()) {
+    if (!this.night) {
+      return null;
+    }
+    this.night.endedAt = timestamp;
+    const summary = summarizeSleep(this.night, timestamp);
+    this.night = null;
+    return summary;
+  }
+}
+
+// Export singleton instance
+export default new SleepMonitor();
+export { SleepMonitor };
@@ -1,19 +1,237 @@
 // src/services/storageService.js
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import TieredTimeSeries from './tieredTimeSeries';
+import { DEFAULT_THRESHOLD_PROFILES } from './thresholdProfiles';
+import { DEFAULT_NOTIFICATION_SETTINGS } from './notificationService';
+import { DEFAULT_USER_PROFILE } from './userProfile';
+import { DEFAULT_GOALS } from './goals';
+import {
+  QUERY_METRICS,
+  DEFAULT_AGGREGATIONS,
+  aggregateSummaries,
+  bucketSummaries,
+} from './metricQuery';
 
 /**
  * Data Storage Service
  * Manages all local data storage and retrieval
  */
 
-const STORAGE_KEYS = {
+export const STORAGE_KEYS = {
+  SCHEMA_VERSION: '@HeartGuard:schemaVersion',
+  MIGRATION_BACKUP: '@HeartGuard:migrationBackup',
   HEART_RATE_HISTORY: '@HeartGuard:heartRateHistory',
   HEALTH_RECORDS: '@HeartGuard:healthRecords',
+  HRV_HISTORY: '@HeartGuard:hrvHistory',
+  RHYTHM_EVENTS: '@HeartGuard:rhythmEvents',
+  ALERT_EVENTS: '@HeartGuard:alertEvents',
+  EMERGENCY_CONTACTS: '@HeartGuard:emergencyContacts',
+  ESCALATION_LOG: '@HeartGuard:escalationLog',
+  DAILY_ENERGY: '@HeartGuard:dailyEnergy',
+  GOALS: '@HeartGuard:goals',
+  GOAL_HISTORY: '@HeartGuard:goalHistory',
+  WORKOUTS: '@HeartGuard:workouts',
+  RESTING_HEART_RATE: '@HeartGuard:restingHeartRate',
+  RECOVERY_TESTS: '@HeartGuard:recoveryTests',
+  SLEEP_SESSIONS: '@HeartGuard:sleepSessions',
+  // Single threshold set of schema versions up to 3
   THRESHOLDS: '@HeartGuard:thresholds',
+  THRESHOLD_PROFILES: '@HeartGuard:thresholdProfiles',
   USER_SETTINGS: '@HeartGuard:userSettings',
+  USER_PROFILE: '@HeartGuard:userProfile',
 };
 
+const DEFAULT_USER_SETTINGS = {
+  // Alert on/off switch, quiet hours and channels per severity
+  ...DEFAULT_NOTIFICATION_SETTINGS,
+  autoSave: true,
+  recordSessions: false,
+  // How long samples may wait before they are written in one batch
+  saveIntervalSeconds: 15,
+  // How long a reading must stay abnormal before an alert is shown
+  alertDelaySeconds: 15,
+  // Unacknowledged danger alerts contact emergency contacts after this delay
+  escalationDelaySeconds: 60,
+  escalationMethod: 'sms',
+  // How target zone coaching cues are given
+  coachingHaptics: true,
+  coachingSpoken: true,
+  theme: 'light',
+};
+
+// Event and daily lists keep only their newest entries, so a list never
+// grows past what one AsyncStorage value can hold
+const MAX_LIST_LENGTH = 2000;
+
 class StorageService {
+  constructor() {
+    // Raw samples are kept for 30 days, rolled-up aggregates for years
+    this.heartRateSeries = new TieredTimeSeries(
+      STORAGE_KEYS.HEART_RATE_HISTORY,
+    );
+    this.healthRecordSeries = new TieredTimeSeries(STORAGE_KEYS.HEALTH_RECORDS);
+    this.seriesByKey = {
+      [STORAGE_KEYS.HEART_RATE_HISTORY]: this.heartRateSeries,
+      [STORAGE_KEYS.HEALTH_RECORDS]: this.healthRecordSeries,
+    };
+
+    // Writes to the same key run one after another, so read-modify-write
+    // cycles never overlap
+    this.writeQueues = {};
+
+    // Samples waiting for the next batched write, per series key
+    this.pendingSamples = {
+      [STORAGE_KEYS.HEART_RATE_HISTORY]: [],
+      [STORAGE_KEYS.HEALTH_RECORDS]: [],
+    };
+    this.flushIntervalMs = DEFAULT_USER_SETTINGS.saveIntervalSeconds * 1000;
+    this.flushTimer = null;
+    this.pendingListeners = new Set();
+  }
+
+  /**
+   * Run a write once all earlier writes to the same key have settled
+   */
+  enqueueWrite(key, task) {
+    const previous = this.writeQueues[key] || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.writeQueues[key] = next;
+    return next;
+  }
+
+  /**
+   * Change a stored list in the write queue of its key
+   * update receives the saved list and returns the list to save. A list that
+   * cannot be read is left untouched instead of being replaced.
+   */
+  updateList(key, update) {
+    return this.enqueueWrite(key, async () => {
+      const data = await AsyncStorage.getItem(key);
+      const list = data ? JSON.parse(data) : [];
+      const updated = update(list).slice(-MAX_LIST_LENGTH);
+
+      await AsyncStorage.setItem(key, JSON.stringify(updated));
+    });
+  }
+
+  /**
+   * Set how long queued samples may wait before being written
+   */
+  setFlushInterval(intervalMs) {
+    this.flushIntervalMs = intervalMs;
+  }
+
+  /**
+   * Number of samples not written to storage yet
+   */
+  getPendingCount() {
+    return Object.values(this.pendingSamples).reduce(
+      (sum, samples) => sum + samples.length,
+      0,
+    );
+  }
+
+  /**
+   * Listen for changes of the pending sample count
+   * Returns a function that removes the listener
+   */
+  onPendingChange(listener) {
+    this.pendingListeners.add(listener);
+    return () => this.pendingListeners.delete(listener);
+  }
+
+  notifyPendingChange() {
+    const count = this.getPendingCount();
+    this.pendingListeners.forEach(listener => listener(count));
+  }
+
+  /**
+   * Queue a sample for the next batched write
+   */
+  queueSample(seriesKey, record) {
+    this.pendingSamples[seriesKey].push(record);
+    this.notifyPendingChange();
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush();
+      }, this.flushIntervalMs);
+    }
+  }
+
+  /**
+   * Write all queued samples now
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    try {
+      await Promise.all(
+        Object.keys(this.pendingSamples).map(seriesKey =>
+          this.enqueueWrite(seriesKey, () =>
+            this.writePendingSamples(seriesKey),
+          ),
+        ),
+      );
+      return true;
+    } catch (error) {
+      console.error('Failed to flush queued samples:', error);
+      return false;
+    }
+  }
+
+  async writePendingSamples(seriesKey) {
+    const pending = this.pendingSamples[seriesKey];
+    const batch = pending.slice();
+    if (batch.length === 0) {
+      return;
+    }
+
+    // Samples stay pending until they are stored
+    await this.seriesByKey[seriesKey].appendMany(batch);
+    pending.splice(0, batch.length);
+    this.notifyPendingChange();
+  }
+
+  /**
+   * How far behind now a series may be rolled up: two flush intervals, or
+   * further when queued samples of the series are older than that
+   */
+  getRollupDelay(seriesKey, now = Date.now()) {
+    const oldest = this.pendingSamples[seriesKey].reduce(
+      (min, record) => Math.min(min, record.timestamp),
+      now,
+    );
+    return Math.max(2 * this.flushIntervalMs, now - oldest);
+  }
+
+  /**
+   * Roll up sample histories into long-term aggregates and drop raw
+   * samples past their retention
+   */
+  async runRollups() {
+    try {
+      await Promise.all(
+        Object.keys(this.seriesByKey).map(seriesKey =>
+          this.enqueueWrite(seriesKey, () =>
+            this.seriesByKey[seriesKey].rollup(
+              Date.now(),
+              this.getRollupDelay(seriesKey),
+            ),
+          ),
+        ),
+      );
+      return true;
+    } catch (error) {
+      console.error('Failed to roll up history:', error);
+      return false;
+    }
+  }
+
   /**
    * Save heart rate record
    */
@@ -25,17 +243,7 @@ class StorageService {
         date: new Date().toISOString(),
       };
 
-      const history = await this.getHeartRateHistory();
-      history.push(record);
-
-      // Keep only last 30 days of data
-      const thirtyDaysAgo = Date.now() - 30 * 24 * 60 * 60 * 1000;
-      const filtered = history.filter(r => r.timestamp > thirtyDaysAgo);
-
-      await AsyncStorage.setItem(
-        STORAGE_KEYS.HEART_RATE_HISTORY,
-        JSON.stringify(filtered),
-      );
+      this.queueSample(STORAGE_KEYS.HEART_RATE_HISTORY, record);
 
       return true;
     } catch (error) {
@@ -49,8 +257,8 @@ class StorageService {
    */
   async getHeartRateHistory() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.HEART_RATE_HISTORY);
-      return data ? JSON.parse(data) : [];
+      await this.flush();
+      return await this.heartRateSeries.read();
     } catch (error) {
       console.error('Failed to get heart rate history:', error);
       return [];
@@ -68,17 +276,7 @@ class StorageService {
         date: new Date().toISOString(),
       };
 
-      const history = await this.getHealthRecords();
-      history.push(fullRecord);
-
-      // Keep only last 30 days of data
-      const thirtyDaysAgo = Date.now() - 30 * 24 * 60 * 60 * 1000;
-      const filtered = history.filter(r => r.timestamp > thirtyDaysAgo);
-
-      await AsyncStorage.setItem(
-        STORAGE_KEYS.HEALTH_RECORDS,
-        JSON.stringify(filtered),
-      );
+      this.queueSample(STORAGE_KEYS.HEALTH_RECORDS, fullRecord);
 
       return true;
     } catch (error) {
@@ -92,8 +290,8 @@ class StorageService {
    */
   async getHealthRecords() {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.HEALTH_RECORDS);
-      return data ? JSON.parse(data) : [];
+      await this.flush();
+      return await this.healthRecordSeries.read();
     } catch (error) {
       console.error('Failed to get health records:', error);
       return [];
@@ -101,236 +299,704 @@ class StorageService {
   }
 
   /**
-   * Get data for specified number of days
+   * Get complete health records within specified date range
+   */
+  async getHealthRecordsInRange(startDate, endDate) {
+    try {
+      await this.flush();
+      return await this.healthRecordSeries.read(startDate, endDate);
+    } catch (error) {
+      console.error('Failed to get health records in range:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save heart rate variability summary of a monitoring session
    */
-  async getRecentData(days = 7) {
+  async saveHrvRecord(record) {
     try {
-      const history = await this.getHeartRateHistory();
+      const fullRecord = {
+        ...record,
+        timestamp: Date.now(),
+        date: new Date().toISOString(),
+      };
+
+      await this.updateList(STORAGE_KEYS.HRV_HISTORY, history => [
+        ...history,
+        fullRecord,
+      ]);
+
+      return true;
+    } catch (error) {
+      console.error('Failed to save HRV record:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get heart rate variability history, optionally limited to recent days
+   */
+  async getHrvHistory(days = null) {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.HRV_HISTORY);
+      const history = data ? JSON.parse(data) : [];
+      if (days === null) {
+        return history;
+      }
       const startDate = Date.now() - days * 24 * 60 * 60 * 1000;
       return history.filter(r => r.timestamp > startDate);
     } catch (error) {
-      console.error('Failed to get recent data:', error);
+      console.error('Failed to get HRV history:', error);
       return [];
     }
   }
 
   /**
-   * Get today's data only
+   * Save an irregular rhythm screening finding
    */
-  async getTodayData() {
+  async saveRhythmEvent(event) {
     try {
-      const history = await this.getHeartRateHistory();
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const startOfDay = today.getTime();
+      const fullEvent = {
+        id: `${event.startTime}`,
+        endTime: null,
+        ...event,
+        timestamp: Date.now(),
+        date: new Date().toISOString(),
+      };
+
+      await this.updateList(STORAGE_KEYS.RHYTHM_EVENTS, events => [
+        ...events,
+        fullEvent,
+      ]);
 
-      return history.filter(r => r.timestamp >= startOfDay);
+      return fullEvent.id;
     } catch (error) {
-      console.error("Failed to get today's data:", error);
-      return [];
+      console.error('Failed to save rhythm event:', error);
+      return null;
     }
   }
 
   /**
-   * Get data within specified date range
+   * Update a saved rhythm screening finding (e.g. set its end time)
    */
-  async getDataInRange(startDate, endDate) {
+  async updateRhythmEvent(id, changes) {
     try {
-      const history = await this.getHeartRateHistory();
-      return history.filter(
-        r => r.timestamp >= startDate && r.timestamp <= endDate,
+      await this.updateList(STORAGE_KEYS.RHYTHM_EVENTS, events =>
+        events.map(event =>
+          event.id === id ? { ...event, ...changes } : event,
+        ),
       );
+
+      return true;
+    } catch (error) {
+      console.error('Failed to update rhythm event:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get rhythm screening findings, optionally limited to recent days
+   */
+  async getRhythmEvents(days = null) {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.RHYTHM_EVENTS);
+      const events = data ? JSON.parse(data) : [];
+      if (days === null) {
+        return events;
+      }
+      const startDate = Date.now() - days * 24 * 60 * 60 * 1000;
+      return events.filter(e => e.startTime > startDate);
     } catch (error) {
-      console.error('Failed to get data in range:', error);
+      console.error('Failed to get rhythm events:', error);
       return [];
     }
   }
 
   /**
-   * Save threshold settings
+   * Save an alert that was shown
+   * event: { metric, startTime, severity, status, message, peakValue }
+   * Returns the id used to update it (end time, peak, acknowledgement)
+   */
+  async saveAlertEvent(event) {
+    try {
+      const fullEvent = {
+        id: `${event.metric}:${event.startTime}`,
+        endTime: null,
+        peakValue: null,
+        acknowledgedAt: null,
+        ...event,
+        timestamp: Date.now(),
+      };
+
+      await this.updateList(STORAGE_KEYS.ALERT_EVENTS, events => [
+        ...events,
+        fullEvent,
+      ]);
+
+      return fullEvent.id;
+    } catch (error) {
+      console.error('Failed to save alert event:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update a saved alert (e.g. set its end time or acknowledgement)
    */
-  async saveThresholds(thresholds) {
+  async updateAlertEvent(id, changes) {
     try {
-      await AsyncStorage.setItem(
-        STORAGE_KEYS.THRESHOLDS,
-        JSON.stringify(thresholds),
+      await this.updateList(STORAGE_KEYS.ALERT_EVENTS, events =>
+        events.map(event =>
+          event.id === id ? { ...event, ...changes } : event,
+        ),
       );
+
       return true;
     } catch (error) {
-      console.error('Failed to save thresholds:', error);
+      console.error('Failed to update alert event:', error);
       return false;
     }
   }
 
   /**
-   * Get threshold settings
+   * Get saved alerts, optionally limited to recent days
    */
-  async getThresholds() {
+  async getAlertEvents(days = null) {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.THRESHOLDS);
-      return data
-        ? JSON.parse(data)
-        : { min: 60, max: 100, minBloodOxygen: 95 };
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.ALERT_EVENTS);
+      const events = data ? JSON.parse(data) : [];
+      if (days === null) {
+        return events;
+      }
+      const startDate = Date.now() - days * 24 * 60 * 60 * 1000;
+      return events.filter(e => e.startTime > startDate);
     } catch (error) {
-      console.error('Failed to get thresholds:', error);
-      return { min: 60, max: 100, minBloodOxygen: 95 };
+      console.error('Failed to get alert events:', error);
+      return [];
     }
   }
 
   /**
-   * Save user settings
+   * Save a day's calorie total with the model behind it
+   * summary: see EnergyExpenditureTracker.getSummary; replaces the same day
    */
-  async saveUserSettings(settings) {
+  async saveDailyEnergy(summary) {
     try {
-      await AsyncStorage.setItem(
-        STORAGE_KEYS.USER_SETTINGS,
-        JSON.stringify(settings),
+      const entry = { ...summary, timestamp: Date.now() };
+
+      await this.updateList(STORAGE_KEYS.DAILY_ENERGY, days => [
+        ...days.filter(day => day.date !== entry.date),
+        entry,
+      ]);
+
+      return true;
+    } catch (error) {
+      console.error('Failed to save daily energy:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Save a day's resting heart rate ({ date, dayStart, restingHeartRate,
+   * sampleCount, computedAt }); replaces the same day
+   */
+  async saveRestingHeartRate(entry) {
+    try {
+      await this.updateList(STORAGE_KEYS.RESTING_HEART_RATE, days =>
+        [...days.filter(day => day.date !== entry.date), entry].sort(
+          (a, b) => a.dayStart - b.dayStart,
+        ),
       );
+
       return true;
     } catch (error) {
-      console.error('Failed to save user settings:', error);
+      console.error('Failed to save resting heart rate:', error);
       return false;
     }
   }
 
   /**
-   * Get user settings
+   * Get daily resting heart rates, optionally limited to recent days
    */
-  async getUserSettings() {
+  async getRestingHeartRates(days = null) {
     try {
-      const data = await AsyncStorage.getItem(STORAGE_KEYS.USER_SETTINGS);
-      return data
-        ? JSON.parse(data)
-        : {
-            notifications: true,
-            autoSave: true,
-            theme: 'light',
-          };
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.RESTING_HEART_RATE);
+      const history = data ? JSON.parse(data) : [];
+      if (days === null) {
+        return history;
+      }
+      const startDate = Date.now() - days * 24 * 60 * 60 * 1000;
+      return history.filter(day => day.dayStart > startDate);
     } catch (error) {
-      console.error('Failed to get user settings:', error);
-      return {
-        notifications: true,
-        autoSave: true,
-        theme: 'light',
-      };
+      console.error('Failed to get resting heart rates:', error);
+      return [];
     }
   }
 
   /**
-   * Clear all data
+   * Save a finished workout's summary
    */
-  async clearAllData() {
+  async saveWorkout(workout) {
+    try {
+      await this.updateList(STORAGE_KEYS.WORKOUTS, workouts => [
+        ...workouts,
+        workout,
+      ]);
+
+      return workout.id;
+    } catch (error) {
+      console.error('Failed to save workout:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get saved workouts, optionally limited to recent days
+   */
+  async getWorkouts(days = null) {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.WORKOUTS);
+      const workouts = data ? JSON.parse(data) : [];
+      if (days === null) {
+        return workouts;
+      }
+      const startDate = Date.now() - days * 24 * 60 * 60 * 1000;
+      return workouts.filter(w => w.startedAt > startDate);
+    } catch (error) {
+      console.error('Failed to get workouts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a finished heart rate recovery test's result
+   */
+  async saveRecoveryTest(result) {
+    try {
+      await this.updateList(STORAGE_KEYS.RECOVERY_TESTS, tests => [
+        ...tests,
+        result,
+      ]);
+
+      return result.id;
+    } catch (error) {
+      console.error('Failed to save recovery test:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get heart rate recovery results, optionally limited to recent days
+   */
+  async getRecoveryTests(days = null) {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.RECOVERY_TESTS);
+      const tests = data ? JSON.parse(data) : [];
+      if (days === null) {
+        return tests;
+      }
+      const startDate = Date.now() - days * 24 * 60 * 60 * 1000;
+      return tests.filter(t => t.startedAt > startDate);
+    } catch (error) {
+      console.error('Failed to get recovery tests:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a finished night's sleep summary
+   */
+  async saveSleepSession(night) {
+    try {
+      await this.updateList(STORAGE_KEYS.SLEEP_SESSIONS, nights => [
+        ...nights,
+        night,
+      ]);
+
+      return night.id;
+    } catch (error) {
+      console.error('Failed to save sleep session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get saved sleep summaries, optionally limited to recent days
+   */
+  async getSleepSessions(days = null) {
     try {
-      await AsyncStorage.multiRemove([
-        STORAGE_KEYS.HEART_RATE_HISTORY,
-        STORAGE_KEYS.HEALTH_RECORDS,
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.SLEEP_SESSIONS);
+      const nights = data ? JSON.parse(data) : [];
+      if (days === null) {
+        return nights;
+      }
+      const startDate = Date.now() - days * 24 * 60 * 60 * 1000;
+      return nights.filter(n => n.startedAt > startDate);
+    } catch (error) {
+      console.error('Failed to get sleep sessions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a day's goal totals and which goals were met
+   * entry: see createGoalDay; replaces the same day
+   */
+  async saveGoalDay(entry) {
+    try {
+      const fullEntry = { ...entry, timestamp: Date.now() };
+
+      await this.updateList(STORAGE_KEYS.GOAL_HISTORY, days => [
+        ...days.filter(day => day.date !== fullEntry.date),
+        fullEntry,
       ]);
+
       return true;
     } catch (error) {
-      console.error('Failed to clear data:', error);
+      console.error('Failed to save goal day:', error);
       return false;
     }
   }
 
   /**
-   * Get statistics
+   * Get the per-day goal history, optionally limited to recent days
    */
-  async getStatistics(days = 7) {
+  async getGoalHistory(days = null) {
     try {
-      const data = await this.getRecentData(days);
-
-      if (data.length === 0) {
-        return {
-          average: 0,
-          max: 0,
-          min: 0,
-          count: 0,
-          trend: 'stable',
-        };
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.GOAL_HISTORY);
+      const history = data ? JSON.parse(data) : [];
+      if (days === null) {
+        return history;
       }
+      const startDate = Date.now() - days * 24 * 60 * 60 * 1000;
+      return history.filter(day => day.timestamp > startDate);
+    } catch (error) {
+      console.error('Failed to get goal history:', error);
+      return [];
+    }
+  }
 
-      const values = data.map(r => r.value);
-      const sum = values.reduce((acc, val) => acc + val, 0);
-      const average = Math.round(sum / values.length);
-      const max = Math.max(...values);
-      const min = Math.min(...values);
+  /**
+   * Get daily calorie totals, optionally limited to recent days
+   */
+  async getDailyEnergy(days = null) {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.DAILY_ENERGY);
+      const entries = data ? JSON.parse(data) : [];
+      if (days === null) {
+        return entries;
+      }
+      const startDate = Date.now() - days * 24 * 60 * 60 * 1000;
+      return entries.filter(e => e.timestamp > startDate);
+    } catch (error) {
+      console.error('Failed to get daily energy:', error);
+      return [];
+    }
+  }
 
-      // Calculate trend
-      const mid = Math.floor(values.length / 2);
-      const firstHalf = values.slice(0, mid);
-      const secondHalf = values.slice(mid);
+  /**
+   * Query a metric's history
+   * metric: a QUERY_METRICS id, startTime/endTime: timestamps,
+   * bucket: minute, hour, day, week or month (omit for the whole range),
+   * aggregations: avg, min, max, sum, count, trend and percentiles (p50, p90...)
+   * Returns { metric, unit, total, buckets }
+   */
+  async queryMetric({
+    metric,
+    startTime = -Infinity,
+    endTime = Date.now(),
+    bucket = null,
+    aggregations = DEFAULT_AGGREGATIONS,
+  }) {
+    const definition = QUERY_METRICS[metric];
+    const empty = {
+      metric,
+      unit: definition ? definition.unit : null,
+      total: definition ? aggregateSummaries([], aggregations, definition) : {},
+      buckets: [],
+    };
 
-      const firstAvg = firstHalf.reduce((a, b) => a + b, 0) / firstHalf.length;
-      const secondAvg =
-        secondHalf.reduce((a, b) => a + b, 0) / secondHalf.length;
+    try {
+      if (!definition) {
+        throw new Error(`Unknown metric: ${metric}`);
+      }
 
-      let trend = 'stable';
-      if (secondAvg > firstAvg + 5) trend = 'rising';
-      if (secondAvg < firstAvg - 5) trend = 'falling';
+      await this.flush();
+      const series =
+        definition.series === 'heartRate'
+          ? this.heartRateSeries
+          : this.healthRecordSeries;
+      const summaries = await series.readSummaries(
+        definition.field,
+        startTime,
+        endTime,
+      );
 
       return {
-        average,
-        max,
-        min,
-        count: data.length,
-        trend,
-        firstAvg: Math.round(firstAvg),
-        secondAvg: Math.round(secondAvg),
+        ...empty,
+        total: aggregateSummaries(summaries, aggregations, definition),
+        buckets: bucket
+          ? bucketSummaries(summaries, bucket, aggregations, definition)
+          : [],
       };
     } catch (error) {
-      console.error('Failed to get statistics:', error);
-      return {
-        average: 0,
-        max: 0,
-        min: 0,
-        count: 0,
-        trend: 'stable',
-      };
+      console.error(`Failed to query ${metric}:`, error);
+      return empty;
     }
   }
 
   /**
-   * Group data by day
+   * Save threshold profiles and the active profile choice
    */
-  async getDataGroupedByDay(days = 7) {
+  async saveThresholdProfiles(config) {
     try {
-      const data = await this.getRecentData(days);
-      const grouped = {};
+      await this.enqueueWrite(STORAGE_KEYS.THRESHOLD_PROFILES, () =>
+        AsyncStorage.setItem(
+          STORAGE_KEYS.THRESHOLD_PROFILES,
+          JSON.stringify(config),
+        ),
+      );
+      return true;
+    } catch (error) {
+      console.error('Failed to save threshold profiles:', error);
+      return false;
+    }
+  }
 
-      data.forEach(record => {
-        const date = new Date(record.timestamp);
-        const dateKey = `${date.getFullYear()}-${
-          date.getMonth() + 1
-        }-${date.getDate()}`;
+  /**
+   * Get threshold profiles and the active profile choice
+   */
+  async getThresholdProfiles() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.THRESHOLD_PROFILES);
+      return data ? JSON.parse(data) : DEFAULT_THRESHOLD_PROFILES;
+    } catch (error) {
+      console.error('Failed to get threshold profiles:', error);
+      return DEFAULT_THRESHOLD_PROFILES;
+    }
+  }
 
-        if (!grouped[dateKey]) {
-          grouped[dateKey] = [];
-        }
-        grouped[dateKey].push(record.value);
-      });
+  /**
+   * Save the daily goals
+   */
+  async saveGoals(goals) {
+    try {
+      await this.enqueueWrite(STORAGE_KEYS.GOALS, () =>
+        AsyncStorage.setItem(STORAGE_KEYS.GOALS, JSON.stringify(goals)),
+      );
+      return true;
+    } catch (error) {
+      console.error('Failed to save goals:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the daily goals
+   */
+  async getGoals() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.GOALS);
+      return data ? { ...DEFAULT_GOALS, ...JSON.parse(data) } : DEFAULT_GOALS;
+    } catch (error) {
+      console.error('Failed to get goals:', error);
+      return DEFAULT_GOALS;
+    }
+  }
 
-      // Calculate daily average
-      const result = Object.keys(grouped).map(dateKey => {
-        const values = grouped[dateKey];
-        const average = Math.round(
-          values.reduce((a, b) => a + b, 0) / values.length,
+  /**
+   * Save the user's health profile
+   */
+  async saveUserProfile(profile) {
+    try {
+      await this.enqueueWrite(STORAGE_KEYS.USER_PROFILE, () =>
+        AsyncStorage.setItem(
+          STORAGE_KEYS.USER_PROFILE,
+          JSON.stringify(profile),
+        ),
+      );
+      return true;
+    } catch (error) {
+      console.error('Failed to save user profile:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the user's health profile (empty fields are null)
+   */
+  async getUserProfile() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.USER_PROFILE);
+      return data
+        ? { ...DEFAULT_USER_PROFILE, ...JSON.parse(data) }
+        : DEFAULT_USER_PROFILE;
+    } catch (error) {
+      console.error('Failed to get user profile:', error);
+      return DEFAULT_USER_PROFILE;
+    }
+  }
+
+  /**
+   * Save the emergency contacts list ([{ id, name, phone }])
+   */
+  async saveEmergencyContacts(contacts) {
+    try {
+      await this.enqueueWrite(STORAGE_KEYS.EMERGENCY_CONTACTS, () =>
+        AsyncStorage.setItem(
+          STORAGE_KEYS.EMERGENCY_CONTACTS,
+          JSON.stringify(contacts),
+        ),
+      );
+      return true;
+    } catch (error) {
+      console.error('Failed to save emergency contacts:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the emergency contacts list
+   */
+  async getEmergencyContacts() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.EMERGENCY_CONTACTS);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Failed to get emergency contacts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Record what an escalation did (prepared, cancelled or failed)
+   */
+  async saveEscalationEntry(entry) {
+    try {
+      const fullEntry = {
+        id: `${entry.startedAt}`,
+        ...entry,
+        timestamp: Date.now(),
+      };
+
+      await this.updateList(STORAGE_KEYS.ESCALATION_LOG, entries => [
+        ...entries,
+        fullEntry,
+      ]);
+
+      return fullEntry.id;
+    } catch (error) {
+      console.error('Failed to save escalation entry:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the escalation audit log
+   */
+  async getEscalationLog() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.ESCALATION_LOG);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Failed to get escalation log:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save user settings
+   */
+  async saveUserSettings(settings) {
+    try {
+      await this.enqueueWrite(STORAGE_KEYS.USER_SETTINGS, () =>
+        AsyncStorage.setItem(
+          STORAGE_KEYS.USER_SETTINGS,
+          JSON.stringify(settings),
+        ),
+      );
+      return true;
+    } catch (error) {
+      console.error('Failed to save user settings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Change some user settings, keeping the others
+   */
+  async updateUserSettings(changes) {
+    try {
+      let updated;
+      await this.enqueueWrite(STORAGE_KEYS.USER_SETTINGS, async () => {
+        updated = { ...(await this.getUserSettings()), ...changes };
+        await AsyncStorage.setItem(
+          STORAGE_KEYS.USER_SETTINGS,
+          JSON.stringify(updated),
         );
-        return {
-          date: dateKey,
-          average,
-          count: values.length,
-          max: Math.max(...values),
-          min: Math.min(...values),
-        };
       });
+      return updated;
+    } catch (error) {
+      console.error('Failed to update user settings:', error);
+      return null;
+    }
+  }
 
-      // Sort by date
-      result.sort((a, b) => new Date(a.date) - new Date(b.date));
+  /**
+   * Get user settings
+   */
+  async getUserSettings() {
+    try {
+      const data = await AsyncStorage.getItem(STORAGE_KEYS.USER_SETTINGS);
+      // Settings saved before a field existed get its default
+      return data
+        ? { ...DEFAULT_USER_SETTINGS, ...JSON.parse(data) }
+        : { ...DEFAULT_USER_SETTINGS };
+    } catch (error) {
+      console.error('Failed to get user settings:', error);
+      return { ...DEFAULT_USER_SETTINGS };
+    }
+  }
 
-      return result;
+  /**
+   * Clear all data
+   */
+  async clearAllData() {
+    try {
+      // Queued samples are discarded along with the stored ones
+      Object.keys(this.pendingSamples).forEach(seriesKey => {
+        this.pendingSamples[seriesKey] = [];
+      });
+      this.notifyPendingChange();
+
+      await Promise.all(
+        Object.keys(this.seriesByKey).map(seriesKey =>
+          this.enqueueWrite(seriesKey, () =>
+            this.seriesByKey[seriesKey].clear(),
+          ),
+        ),
+      );
+      await Promise.all(
+        [
+          STORAGE_KEYS.HRV_HISTORY,
+          STORAGE_KEYS.RHYTHM_EVENTS,
+          STORAGE_KEYS.ALERT_EVENTS,
+          STORAGE_KEYS.ESCALATION_LOG,
+          STORAGE_KEYS.DAILY_ENERGY,
+          STORAGE_KEYS.GOAL_HISTORY,
+          STORAGE_KEYS.WORKOUTS,
+          STORAGE_KEYS.RESTING_HEART_RATE,
+          STORAGE_KEYS.RECOVERY_TESTS,
+          STORAGE_KEYS.SLEEP_SESSIONS,
+        ].map(key =>
+          this.enqueueWrite(key, () => AsyncStorage.removeItem(key)),
+        ),
+      );
+      return true;
     } catch (error) {
-      console.error('Failed to group data by day:', error);
-      return [];
+      console.error('Failed to clear data:', error);
+      return false;
     }
   }
 
@@ -341,7 +1007,17 @@ class StorageService {
     try {
       const heartRate = await this.getHeartRateHistory();
       const healthRecords = await this.getHealthRecords();
-      const thresholds = await this.getThresholds();
+      const hrvHistory = await this.getHrvHistory();
+      const rhythmEvents = await this.getRhythmEvents();
+      const alertEvents = await this.getAlertEvents();
+      const escalationLog = await this.getEscalationLog();
+      const dailyEnergy = await this.getDailyEnergy();
+      const goalHistory = await this.getGoalHistory();
+      const workouts = await this.getWorkouts();
+      const restingHeartRates = await this.getRestingHeartRates();
+      const recoveryTests = await this.getRecoveryTests();
+      const sleepSessions = await this.getSleepSessions();
+      const thresholdProfiles = await this.getThresholdProfiles();
       const settings = await this.getUserSettings();
 
       return JSON.stringify(
@@ -349,7 +1025,17 @@ class StorageService {
           exportDate: new Date().toISOString(),
           heartRateHistory: heartRate,
           healthRecords: healthRecords,
-          thresholds: thresholds,
+          hrvHistory: hrvHistory,
+          rhythmEvents: rhythmEvents,
+          alertEvents: alertEvents,
+          escalationLog: escalationLog,
+          dailyEnergy: dailyEnergy,
+          goalHistory: goalHistory,
+          workouts: workouts,
+          restingHeartRates: restingHeartRates,
+          recoveryTests: recoveryTests,
+          sleepSessions: sleepSessions,
+          thresholdProfiles: thresholdProfiles,
           settings: settings,
         },
         null,
@@ -0,0 +1,157 @@
+// src/services/thresholdProfiles.js
+/**
+ * Threshold Profiles
+ * Named sets of alert limits for different situations (resting, exercise, sleep)
+ *
+ * The stored configuration holds every profile plus the one chosen manually.
+ * In automatic mode a profile whose schedule covers the current local time
+ * wins, otherwise the manually chosen profile applies. Schedules are
+ * { start, end } in HH:MM and may wrap past midnight.
+ */
+
+export const DEFAULT_THRESHOLD_PROFILES = {
+  activeProfileId: 'resting',
+  automatic: false,
+  profiles: [
+    {
+      id: 'resting',
+      name: 'Resting',
+      minHeartRate: 60,
+      maxHeartRate: 100,
+      minBloodOxygen: 95,
+      minRespiratoryRate: 12,
+      maxRespiratoryRate: 20,
+      schedule: null,
+    },
+    {
+      id: 'exercise',
+      name: 'Exercise',
+      minHeartRate: 60,
+      maxHeartRate: 160,
+      minBloodOxygen: 93,
+      minRespiratoryRate: 12,
+      maxRespiratoryRate: 40,
+      schedule: null,
+    },
+    {
+      id: 'sleep',
+      name: 'Sleep',
+      minHeartRate: 40,
+      maxHeartRate: 90,
+      minBloodOxygen: 92,
+      minRespiratoryRate: 8,
+      maxRespiratoryRate: 20,
+      schedule: { start: '22:00', end: '07:00' },
+    },
+  ],
+};
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Minutes since midnight of an HH:MM string, or null when invalid
+ */
+export function parseTimeOfDay(value) {
+  const match = TIME_PATTERN.exec(value || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Check whether a schedule covers the local time of a date
+ */
+export function isInSchedule(schedule, date = new Date()) {
+  if (!schedule) {
+    return false;
+  }
+  const start = parseTimeOfDay(schedule.start);
+  const end = parseTimeOfDay(schedule.end);
+  if (start === null || end === null || start === end) {
+    return false;
+  }
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Resolve the profile that applies at a given time
+ */
+export function resolveThresholdProfile(config, date = new Date()) {
+  const { profiles } = config;
+  const chosen =
+    profiles.find(profile => profile.id === config.activeProfileId) ||
+    profiles[0];
+
+  if (!config.automatic) {
+    return chosen;
+  }
+  return (
+    profiles.find(profile => isInSchedule(profile.schedule, date)) || chosen
+  );
+}
+
+// Step at which a time range is sampled to find its main profile
+const RANGE_STEP_MS = 15 * 60 * 1000;
+
+/**
+ * Resolve the profile that applies over most of a time range [start, end)
+ * A day judged by its first minute alone would get the night's profile
+ */
+export function resolveThresholdProfileForRange(config, start, end) {
+  if (!config.automatic) {
+    return resolveThresholdProfile(config, new Date(start));
+  }
+  const coverage = new Map();
+  for (let time = start; time < end; time += RANGE_STEP_MS) {
+    const profile = resolveThresholdProfile(config, new Date(time));
+    coverage.set(profile, (coverage.get(profile) || 0) + 1);
+  }
+  let main = resolveThresholdProfile(config, new Date(start));
+  coverage.forEach((count, profile) => {
+    if (count > (coverage.get(main) || 0)) {
+      main = profile;
+    }
+  });
+  return main;
+}
+
+/**
+ * Check a profile's limits, returning an error message or null
+ */
+export function validateThresholdProfile(profile) {
+  const values = [
+    profile.minHeartRate,
+    profile.maxHeartRate,
+    profile.minBloodOxygen,
+    profile.minRespiratoryRate,
+    profile.maxRespiratoryRate,
+  ];
+  if (values.some(value => typeof value !== 'number' || isNaN(value))) {
+    return 'Please enter valid numbers';
+  }
+  if (profile.minHeartRate >= profile.maxHeartRate) {
+    return 'Minimum heart rate must be less than maximum';
+  }
+  if (profile.minHeartRate < 30 || profile.maxHeartRate > 220) {
+    return 'Please enter reasonable heart rate range (30-220)';
+  }
+  if (profile.minBloodOxygen < 80 || profile.minBloodOxygen > 100) {
+    return 'Please enter a blood oxygen limit between 80 and 100%';
+  }
+  if (profile.minRespiratoryRate >= profile.maxRespiratoryRate) {
+    return 'Minimum respiratory rate must be less than maximum';
+  }
+  if (profile.minRespiratoryRate < 4 || profile.maxRespiratoryRate > 60) {
+    return 'Please enter reasonable respiratory rate range (4-60)';
+  }
+  if (
+    profile.schedule &&
+    (parseTimeOfDay(profile.schedule.start) === null ||
+      parseTimeOfDay(profile.schedule.end) === null)
+  ) {
+    return 'Please enter schedule times as HH:MM';
+  }
+  return null;
+}
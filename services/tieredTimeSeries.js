@@ -0,0 +1,329 @@
+// src/services/tieredTimeSeries.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import TimeSeriesStore from './timeSeriesStore';
+
+/**
+ * Tiered Time Series
+ * Raw samples for a recent window plus rolled-up aggregates for the long term
+ *
+ * Every tier is a TimeSeriesStore of its own. Aggregate records hold one
+ * { count, sum, min, max } summary per numeric field of the raw records:
+ *
+ *   { timestamp: <bucket start>, bucketMs, value: { count, sum, min, max } }
+ *
+ * Rollups run incrementally: each tier remembers the time up to which its
+ * source tier has been aggregated (its watermark), so rolling up never
+ * rereads old data. A tier's aggregates and watermark are stored in one
+ * write, so a rollup cut short is repeated in full rather than counted
+ * twice. A tier only drops chunks past its retention once they
+ * have been rolled up into the next tier, so nothing is lost when the app
+ * has not been opened for a while. Day buckets start at local midnight so
+ * daily views line up with the user's calendar.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Samples may still be queued for writing; leave them time to land. Callers
+// that batch writes pass a delay derived from their flush interval.
+const ROLLUP_DELAY_MS = 5 * MINUTE_MS;
+
+const startOfLocalDay = timestamp => {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+/**
+ * Tiers from finest to coarsest
+ * maxRangeDays is the longest query a tier answers before a coarser one is used
+ */
+export const TIERS = [
+  { name: 'raw', retentionDays: 30, partition: 'hour', maxRangeDays: 2 },
+  {
+    name: 'minute',
+    bucketMs: MINUTE_MS,
+    retentionDays: 180,
+    partition: 'day',
+    maxRangeDays: 14,
+    getBucketStart: timestamp => Math.floor(timestamp / MINUTE_MS) * MINUTE_MS,
+  },
+  {
+    name: 'hour',
+    bucketMs: HOUR_MS,
+    retentionDays: 730,
+    partition: 'month',
+    maxRangeDays: 400,
+    getBucketStart: timestamp => Math.floor(timestamp / HOUR_MS) * HOUR_MS,
+  },
+  {
+    name: 'day',
+    bucketMs: DAY_MS,
+    retentionDays: null,
+    partition: 'year',
+    maxRangeDays: Infinity,
+    getBucketStart: startOfLocalDay,
+  },
+];
+
+const toSummary = value =>
+  typeof value === 'number'
+    ? { count: 1, sum: value, min: value, max: value }
+    : value;
+
+const isSummary = value =>
+  value !== null && typeof value === 'object' && 'count' in value;
+
+/**
+ * Combine two { count, sum, min, max } summaries
+ */
+export function mergeSummaries(a, b) {
+  if (!a) {
+    return b;
+  }
+  return {
+    count: a.count + b.count,
+    sum: a.sum + b.sum,
+    min: Math.min(a.min, b.min),
+    max: Math.max(a.max, b.max),
+  };
+}
+
+/**
+ * Aggregate raw or aggregate records into buckets
+ * Only numeric fields (and summaries of them) are kept
+ */
+export function aggregateRecords(records, bucketMs, getBucketStart) {
+  const buckets = {};
+
+  records.forEach(record => {
+    const bucketStart = getBucketStart(record.timestamp);
+    const bucket = (buckets[bucketStart] = buckets[bucketStart] || {
+      timestamp: bucketStart,
+      bucketMs,
+    });
+
+    Object.keys(record).forEach(field => {
+      if (field === 'timestamp' || field === 'bucketMs') {
+        return;
+      }
+      const value = record[field];
+      if (typeof value === 'number' || isSummary(value)) {
+        bucket[field] = mergeSummaries(bucket[field], toSummary(value));
+      }
+    });
+  });
+
+  return Object.values(buckets).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+export default class TieredTimeSeries {
+  constructor(seriesKey, tiers = TIERS) {
+    this.tiers = tiers;
+    // The raw tier keeps the plain series key so existing chunks stay valid.
+    // Retention is applied by rollup() rather than on every append.
+    this.stores = tiers.map(
+      (tier, i) =>
+        new TimeSeriesStore(i === 0 ? seriesKey : `${seriesKey}:${tier.name}`, {
+          retentionDays: null,
+          partition: tier.partition,
+        }),
+    );
+    this.raw = this.stores[0];
+    this.watermarkKey = `${seriesKey}:rollup`;
+    this.watermarks = null;
+  }
+
+  async getWatermarks() {
+    if (this.watermarks === null) {
+      const data = await AsyncStorage.getItem(this.watermarkKey);
+      this.watermarks = data ? JSON.parse(data) : {};
+    }
+    return this.watermarks;
+  }
+
+  async saveWatermarks(watermarks) {
+    this.watermarks = watermarks;
+    await AsyncStorage.setItem(this.watermarkKey, JSON.stringify(watermarks));
+  }
+
+  /**
+   * Append raw records
+   */
+  async append(record) {
+    await this.raw.append(record);
+  }
+
+  async appendMany(records) {
+    await this.raw.appendMany(records);
+  }
+
+  /**
+   * Read raw records in a time range
+   */
+  async read(startTime, endTime) {
+    return this.raw.read(startTime, endTime);
+  }
+
+  async count() {
+    return this.raw.count();
+  }
+
+  /**
+   * Aggregate completed buckets of every tier from its source tier, then
+   * drop expired chunks that have been rolled up
+   * delayMs: how long samples may take to be written after they are taken
+   * Returns the number of aggregate records written per tier
+   */
+  async rollup(now = Date.now(), delayMs = ROLLUP_DELAY_MS) {
+    const watermarks = { ...(await this.getWatermarks()) };
+    const written = {};
+
+    for (let i = 1; i < this.tiers.length; i++) {
+      const tier = this.tiers[i];
+      const source = this.stores[i - 1];
+
+      // Only buckets that can no longer receive samples are rolled up
+      const cutoff = tier.getBucketStart(now - delayMs);
+      let from = watermarks[tier.name];
+      if (from === undefined) {
+        from = await source.getOldestPartitionStart();
+      }
+      written[tier.name] = 0;
+
+      if (from !== null && from < cutoff) {
+        const records = await source.read(from, cutoff - 1);
+        const aggregates = aggregateRecords(
+          records,
+          tier.bucketMs,
+          tier.getBucketStart,
+        );
+        const { entries, index } = await this.stores[i].prepareAppend(
+          aggregates,
+        );
+        watermarks[tier.name] = cutoff;
+        await AsyncStorage.multiSet([
+          ...entries,
+          [this.watermarkKey, JSON.stringify(watermarks)],
+        ]);
+        this.watermarks = { ...watermarks };
+        await this.stores[i].commitAppend(index);
+        written[tier.name] = aggregates.length;
+      }
+
+      const expiry = now - this.tiers[i - 1].retentionDays * DAY_MS;
+      if (watermarks[tier.name] !== undefined) {
+        await source.removeBefore(Math.min(expiry, watermarks[tier.name]));
+      }
+    }
+
+    await this.saveWatermarks(watermarks);
+
+    const last = this.tiers[this.tiers.length - 1];
+    if (last.retentionDays !== null) {
+      await this.stores[this.stores.length - 1].removeBefore(
+        now - last.retentionDays * DAY_MS,
+      );
+    }
+    return written;
+  }
+
+  /**
+   * Pick the finest tier that still holds data from startTime and whose
+   * query range allows the requested span
+   */
+  chooseTier(startTime, endTime = Date.now(), now = Date.now()) {
+    const spanDays = (endTime - startTime) / DAY_MS;
+    const index = this.tiers.findIndex(
+      tier =>
+        spanDays <= tier.maxRangeDays &&
+        (tier.retentionDays === null ||
+          startTime >= now - tier.retentionDays * DAY_MS),
+    );
+    return index === -1 ? this.tiers.length - 1 : index;
+  }
+
+  /**
+   * Summaries of one field between startTime and endTime, oldest first
+   * Each entry is { timestamp, bucketMs, count, sum, min, max, avg }
+   * The coarsest suitable tier is read, and the span it has not rolled up
+   * yet is filled in from the finer tiers.
+   */
+  async readSummaries(field, startTime = -Infinity, endTime = Date.now()) {
+    const tierIndex = this.chooseTier(startTime, endTime);
+    const watermarks = await this.getWatermarks();
+    return this.readTierSummaries(
+      tierIndex,
+      field,
+      startTime,
+      endTime,
+      watermarks,
+    );
+  }
+
+  async readTierSummaries(tierIndex, field, startTime, endTime, watermarks) {
+    if (tierIndex === 0) {
+      const records = await this.raw.read(startTime, endTime);
+      return records
+        .filter(r => typeof r[field] === 'number')
+        .map(r => ({
+          timestamp: r.timestamp,
+          bucketMs: 0,
+          ...toSummary(r[field]),
+          avg: r[field],
+        }));
+    }
+
+    const tier = this.tiers[tierIndex];
+    const rolledUpTo = watermarks[tier.name];
+    if (rolledUpTo === undefined || rolledUpTo <= startTime) {
+      return this.readTierSummaries(
+        tierIndex - 1,
+        field,
+        startTime,
+        endTime,
+        watermarks,
+      );
+    }
+
+    const records = await this.stores[tierIndex].read(
+      startTime,
+      Math.min(endTime, rolledUpTo - 1),
+    );
+    // A local day may be split over two chunks, so merge equal buckets
+    const summaries = aggregateRecords(
+      records,
+      tier.bucketMs,
+      timestamp => timestamp,
+    )
+      .filter(bucket => bucket[field])
+      .map(bucket => ({
+        timestamp: bucket.timestamp,
+        bucketMs: tier.bucketMs,
+        ...bucket[field],
+        avg: bucket[field].sum / bucket[field].count,
+      }));
+
+    if (endTime < rolledUpTo) {
+      return summaries;
+    }
+    const recent = await this.readTierSummaries(
+      tierIndex - 1,
+      field,
+      rolledUpTo,
+      endTime,
+      watermarks,
+    );
+    return [...summaries, ...recent];
+  }
+
+  /**
+   * Remove every tier and the rollup state
+   */
+  async clear() {
+    await Promise.all(this.stores.map(store => store.clear()));
+    await AsyncStorage.removeItem(this.watermarkKey);
+    this.watermarks = {};
+  }
+}
@@ -0,0 +1,261 @@
+// src/services/timeSeriesStore.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Time Series Store
+ * Append-only record series split into one AsyncStorage chunk per partition
+ *
+ * Keys:
+ *   <seriesKey>:index          sorted list of partition ids
+ *   <seriesKey>:<partitionId>  records of one UTC hour (e.g. 2024-05-01T13),
+ *                              day (2024-05-01), month (2024-05) or year (2024)
+ *
+ * A write only rewrites the chunk of the current partition, and range reads
+ * only load the chunks overlapping the range. Raw samples use hourly chunks,
+ * which keeps every entry well below Android's per-entry size limit even at
+ * one sample every 3 seconds.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const PARTITIONS = {
+  hour: {
+    idLength: 13,
+    toIso: id => `${id}:00:00.000Z`,
+    next: start => start + HOUR_MS,
+  },
+  day: {
+    idLength: 10,
+    toIso: id => `${id}T00:00:00.000Z`,
+    next: start => start + 24 * HOUR_MS,
+  },
+  month: {
+    idLength: 7,
+    toIso: id => `${id}-01T00:00:00.000Z`,
+    next: start => {
+      const date = new Date(start);
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1);
+    },
+  },
+  year: {
+    idLength: 4,
+    toIso: id => `${id}-01-01T00:00:00.000Z`,
+    next: start => Date.UTC(new Date(start).getUTCFullYear() + 1, 0),
+  },
+};
+
+/**
+ * Partition id of a timestamp
+ */
+export function getPartitionId(timestamp, partition = 'hour') {
+  return new Date(timestamp)
+    .toISOString()
+    .slice(0, PARTITIONS[partition].idLength);
+}
+
+/**
+ * Start timestamp of a partition
+ */
+export function getPartitionStart(partitionId, partition = 'hour') {
+  return Date.parse(PARTITIONS[partition].toIso(partitionId));
+}
+
+/**
+ * End timestamp (exclusive) of a partition
+ */
+export function getPartitionEnd(partitionId, partition = 'hour') {
+  return PARTITIONS[partition].next(getPartitionStart(partitionId, partition));
+}
+
+export default class TimeSeriesStore {
+  /**
+   * retentionDays: null keeps chunks forever
+   */
+  constructor(seriesKey, { retentionDays = 30, partition = 'hour' } = {}) {
+    this.seriesKey = seriesKey;
+    this.indexKey = `${seriesKey}:index`;
+    this.partition = partition;
+    this.retentionMs =
+      retentionDays === null ? null : retentionDays * 24 * HOUR_MS;
+    // In-memory copy of the index, loaded on first use
+    this.index = null;
+  }
+
+  getChunkKey(partitionId) {
+    return `${this.seriesKey}:${partitionId}`;
+  }
+
+  /**
+   * Get the sorted list of partition ids
+   */
+  async getIndex() {
+    if (this.index === null) {
+      const data = await AsyncStorage.getItem(this.indexKey);
+      this.index = data ? JSON.parse(data) : [];
+    }
+    return this.index;
+  }
+
+  async saveIndex(index) {
+    this.index = index;
+    await AsyncStorage.setItem(this.indexKey, JSON.stringify(index));
+  }
+
+  /**
+   * Append one record (must have a timestamp)
+   */
+  async append(record) {
+    await this.appendMany([record]);
+  }
+
+  /**
+   * Append records, touching only the chunks they fall into
+   */
+  async appendMany(records) {
+    const { entries, index } = await this.prepareAppend(records);
+    if (entries.length === 0) {
+      return;
+    }
+    await AsyncStorage.multiSet(entries);
+    await this.commitAppend(index);
+  }
+
+  /**
+   * Storage entries ([key, data]) that append records: the updated chunks
+   * and, when partitions are added, the index. Callers can write them in
+   * one multiSet with entries of their own and then call commitAppend.
+   * Returns { entries, index } (index is null when unchanged)
+   */
+  async prepareAppend(records) {
+    if (records.length === 0) {
+      return { entries: [], index: null };
+    }
+
+    const byPartition = {};
+    records.forEach(record => {
+      const partitionId = getPartitionId(record.timestamp, this.partition);
+      (byPartition[partitionId] = byPartition[partitionId] || []).push(record);
+    });
+
+    const partitionIds = Object.keys(byPartition);
+    const chunkKeys = partitionIds.map(id => this.getChunkKey(id));
+    const existing = await AsyncStorage.multiGet(chunkKeys);
+    const entries = existing.map(([key, data], i) => {
+      const chunk = data ? JSON.parse(data) : [];
+      chunk.push(...byPartition[partitionIds[i]]);
+      return [key, JSON.stringify(chunk)];
+    });
+
+    const current = await this.getIndex();
+    const added = partitionIds.filter(id => !current.includes(id));
+    if (added.length === 0) {
+      return { entries, index: null };
+    }
+    const index = [...current, ...added].sort();
+    return {
+      entries: [...entries, [this.indexKey, JSON.stringify(index)]],
+      index,
+    };
+  }
+
+  /**
+   * Take over the index written with prepareAppend's entries
+   */
+  async commitAppend(index) {
+    if (index === null) {
+      return;
+    }
+    this.index = index;
+    await this.applyRetention();
+  }
+
+  /**
+   * Drop chunks older than the retention window
+   */
+  async applyRetention(now = Date.now()) {
+    if (this.retentionMs === null) {
+      return [];
+    }
+    return this.removeBefore(now - this.retentionMs);
+  }
+
+  /**
+   * Drop chunks that end at or before the cutoff
+   * Returns the removed partition ids
+   */
+  async removeBefore(cutoff) {
+    const index = await this.getIndex();
+    const expired = index.filter(
+      id => getPartitionEnd(id, this.partition) <= cutoff,
+    );
+
+    if (expired.length === 0) {
+      return [];
+    }
+
+    await AsyncStorage.multiRemove(expired.map(id => this.getChunkKey(id)));
+    await this.saveIndex(index.filter(id => !expired.includes(id)));
+    return expired;
+  }
+
+  /**
+   * Read records with startTime <= timestamp <= endTime, oldest first
+   */
+  async read(startTime = -Infinity, endTime = Infinity) {
+    const index = await this.getIndex();
+    const partitionIds = index.filter(
+      id =>
+        getPartitionStart(id, this.partition) <= endTime &&
+        getPartitionEnd(id, this.partition) > startTime,
+    );
+
+    const chunks = await this.readPartitions(partitionIds);
+    return chunks
+      .flat()
+      .filter(r => r.timestamp >= startTime && r.timestamp <= endTime)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Load the records of the given partitions (one array per partition)
+   */
+  async readPartitions(partitionIds) {
+    if (partitionIds.length === 0) {
+      return [];
+    }
+    const entries = await AsyncStorage.multiGet(
+      partitionIds.map(id => this.getChunkKey(id)),
+    );
+    return entries.map(([, data]) => (data ? JSON.parse(data) : []));
+  }
+
+  /**
+   * Timestamp where the oldest chunk starts, or null when empty
+   */
+  async getOldestPartitionStart() {
+    const index = await this.getIndex();
+    return index.length > 0
+      ? getPartitionStart(index[0], this.partition)
+      : null;
+  }
+
+  /**
+   * Number of stored records
+   */
+  async count() {
+    const chunks = await this.readPartitions(await this.getIndex());
+    return chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  }
+
+  /**
+   * Remove every chunk and the index
+   */
+  async clear() {
+    const index = await this.getIndex();
+    await AsyncStorage.multiRemove([
+      ...index.map(id => this.getChunkKey(id)),
+      this.indexKey,
+    ]);
+    this.index = [];
+  }
+}
@@ -0,0 +1,179 @@
+// src/services/userProfile.js
+/**
+ * User Profile
+ * Personal details behind heart rate, distance and calorie calculations
+ *
+ * Fields left empty fall back to typical adult values, so every calculation
+ * works before the profile is filled in. Maximum heart rate uses the Tanaka
+ * formula (208 - 0.7 x age) and zones are percentages of the heart rate
+ * reserve between resting and maximum (Karvonen).
+ */
+
+export const FITNESS_LEVELS = ['low', 'moderate', 'high'];
+export const SEXES = ['male', 'female'];
+
+export const DEFAULT_USER_PROFILE = {
+  birthDate: null, // YYYY-MM-DD
+  sex: null,
+  heightCm: null,
+  weightKg: null,
+  restingHeartRate: null,
+  fitnessLevel: 'moderate',
+};
+
+const FALLBACK_AGE = 30;
+const FALLBACK_WEIGHT_KG = 70;
+const FALLBACK_STRIDE_M = 0.762;
+// Typical resting heart rate when none is entered
+const RESTING_HEART_RATE_BY_FITNESS = { low: 75, moderate: 70, high: 60 };
+// Step length as a share of height
+const STRIDE_RATIO = { male: 0.415, female: 0.413 };
+const DEFAULT_STRIDE_RATIO = 0.414;
+// Net energy cost of walking per kg of body weight and km
+const WALKING_KCAL_PER_KG_KM = 0.57;
+
+export const HEART_RATE_ZONES = [
+  { zone: 1, name: 'Warm Up', minReserve: 0.5, maxReserve: 0.6 },
+  { zone: 2, name: 'Fat Burn', minReserve: 0.6, maxReserve: 0.7 },
+  { zone: 3, name: 'Aerobic', minReserve: 0.7, maxReserve: 0.8 },
+  { zone: 4, name: 'Threshold', minReserve: 0.8, maxReserve: 0.9 },
+  { zone: 5, name: 'Maximum', minReserve: 0.9, maxReserve: 1 },
+];
+
+// Workout and coaching intensities as ranges of the zones above
+export const INTENSITY_ZONES = {
+  light: { from: 1, to: 1 },
+  moderate: { from: 2, to: 3 },
+  vigorous: { from: 4, to: 5 },
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Parse a YYYY-MM-DD birth date as a local date, or null when invalid
+ */
+export function parseBirthDate(value) {
+  const match = DATE_PATTERN.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Age in whole years
+ */
+export function getAge(profile, now = new Date()) {
+  const birthDate = parseBirthDate(profile.birthDate);
+  if (!birthDate) {
+    return FALLBACK_AGE;
+  }
+  const hadBirthday =
+    now.getMonth() > birthDate.getMonth() ||
+    (now.getMonth() === birthDate.getMonth() &&
+      now.getDate() >= birthDate.getDate());
+  return now.getFullYear() - birthDate.getFullYear() - (hadBirthday ? 0 : 1);
+}
+
+export function getWeightKg(profile) {
+  return profile.weightKg || FALLBACK_WEIGHT_KG;
+}
+
+export function getRestingHeartRate(profile) {
+  return (
+    profile.restingHeartRate ||
+    RESTING_HEART_RATE_BY_FITNESS[profile.fitnessLevel] ||
+    RESTING_HEART_RATE_BY_FITNESS.moderate
+  );
+}
+
+export function getMaxHeartRate(profile, now = new Date()) {
+  return Math.round(208 - 0.7 * getAge(profile, now));
+}
+
+/**
+ * Heart rate zones in BPM ([{ zone, name, min, max }])
+ */
+export function getHeartRateZones(profile, now = new Date()) {
+  const resting = getRestingHeartRate(profile);
+  const reserve = getMaxHeartRate(profile, now) - resting;
+  return HEART_RATE_ZONES.map(({ zone, name, minReserve, maxReserve }) => ({
+    zone,
+    name,
+    min: Math.round(resting + reserve * minReserve),
+    max: Math.round(resting + reserve * maxReserve),
+  }));
+}
+
+/**
+ * Heart rate range in BPM ({ min, max }) of a workout intensity
+ * zones: see getHeartRateZones
+ */
+export function getIntensityZone(zones, intensity) {
+  const { from, to } = INTENSITY_ZONES[intensity] || INTENSITY_ZONES.moderate;
+  return {
+    min: zones.find(zone => zone.zone === from).min,
+    max: zones.find(zone => zone.zone === to).max,
+  };
+}
+
+/**
+ * Zone a heart rate falls in, or null below zone 1
+ * Rates above the maximum count as zone 5
+ */
+export function getZoneForHeartRate(heartRate, zones) {
+  if (heartRate === null || heartRate < zones[0].min) {
+    return null;
+  }
+  return zones.find(zone => heartRate < zone.max) || zones[zones.length - 1];
+}
+
+/**
+ * Step length in meters
+ */
+export function getStrideLength(profile) {
+  if (!profile.heightCm) {
+    return FALLBACK_STRIDE_M;
+  }
+  return (
+    (profile.heightCm / 100) *
+    (STRIDE_RATIO[profile.sex] || DEFAULT_STRIDE_RATIO)
+  );
+}
+
+export function getCaloriesPerStep(profile) {
+  return (
+    (WALKING_KCAL_PER_KG_KM * getWeightKg(profile) * getStrideLength(profile)) /
+    1000
+  );
+}
+
+/**
+ * Check a profile's values, returning an error message or null
+ */
+export function validateUserProfile(profile, now = new Date()) {
+  if (profile.birthDate) {
+    const birthDate = parseBirthDate(profile.birthDate);
+    if (!birthDate) {
+      return 'Please enter the birth date as YYYY-MM-DD';
+    }
+    const age = getAge(profile, now);
+    if (age < 10 || age > 110) {
+      return 'Please enter a birth date for an age between 10 and 110';
+    }
+  }
+  const ranges = [
+    ['heightCm', 'height', 100, 250],
+    ['weightKg', 'weight', 25, 300],
+    ['restingHeartRate', 'resting heart rate', 30, 120],
+  ];
+  for (const [field, label, min, max] of ranges) {
+    const value = profile[field];
+    if (value !== null && (isNaN(value) || value < min || value > max)) {
+      return `Please enter a ${label} between ${min} and ${max}`;
+    }
+  }
+  return null;
+}
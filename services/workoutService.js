@@ -0,0 +1,190 @@
+// src/services/workoutService.js
+/**
+ * Workout Service
+ * Tracks an explicit workout session (start, pause, resume, end)
+ *
+ * Samples arriving while the workout runs add their calories and distance
+ * and credit the time since the previous sample to the intensity zone of
+ * that sample's heart rate. Time while paused, and gaps longer than
+ * MAX_GAP_MS (no samples), count toward nothing.
+ */
+
+export const ACTIVITY_TYPES = {
+  walk: { label: 'Walk', icon: 'walk' },
+  run: { label: 'Run', icon: 'run' },
+  cycle: { label: 'Cycling', icon: 'bike' },
+  strength: { label: 'Strength', icon: 'dumbbell' },
+  other: { label: 'Other', icon: 'heart-pulse' },
+};
+
+// Intensity zones from easiest to hardest; 'rest' is below the light zone
+export const WORKOUT_ZONES = ['rest', 'light', 'moderate', 'vigorous'];
+
+const MAX_GAP_MS = 2 * 60 * 1000;
+
+/**
+ * Intensity zone of a heart rate
+ * zones: { light, moderate, vigorous } each { min, max } in BPM
+ */
+export function getWorkoutZone(heartRate, zones) {
+  const zone = ['vigorous', 'moderate', 'light'].find(
+    intensity => heartRate >= zones[intensity].min,
+  );
+  return zone || 'rest';
+}
+
+/**
+ * Summary of a workout as saved and shown after it ends
+ */
+export function summarizeWorkout(workout, now = Date.now()) {
+  const { heartRate } = workout;
+  return {
+    id: workout.id,
+    activityType: workout.activityType,
+    startedAt: workout.startedAt,
+    endedAt: workout.endedAt,
+    durationMs:
+      workout.activeMs +
+      (workout.status === 'active' ? now - workout.resumedAt : 0),
+    averageHeartRate:
+      heartRate.count > 0 ? Math.round(heartRate.sum / heartRate.count) : null,
+    maxHeartRate: heartRate.max,
+    calories: Math.round(workout.calories),
+    distance: parseFloat(workout.distance.toFixed(2)),
+    zones: workout.zones,
+    zoneMs: { ...workout.zoneMs },
+  };
+}
+
+// Increase since the previous reading of a daily total (a reset counts from 0)
+const getIncrease = (value, previous) => {
+  if (value === null || value === undefined || previous === null) {
+    return 0;
+  }
+  return value >= previous ? value - previous : value;
+};
+
+class WorkoutService {
+  constructor() {
+    this.workout = null;
+  }
+
+  /**
+   * Start a workout ({ activityType, zones })
+   * zones: target heart rate zones, see HealthService.getTargetHeartRateZones
+   */
+  start({ activityType, zones }, timestamp = Date.now()) {
+    const zoneMs = {};
+    WORKOUT_ZONES.forEach(zone => {
+      zoneMs[zone] = 0;
+    });
+    this.workout = {
+      id: `workout_${timestamp}`,
+      activityType,
+      zones,
+      status: 'active',
+      startedAt: timestamp,
+      endedAt: null,
+      resumedAt: timestamp,
+      activeMs: 0,
+      zoneMs,
+      heartRate: { sum: 0, count: 0, max: null },
+      calories: 0,
+      distance: 0,
+      // Previous sample, for time in zone and calorie/distance increases
+      last: {
+        timestamp: null,
+        heartRate: null,
+        calories: null,
+        distance: null,
+      },
+    };
+    return this.workout.id;
+  }
+
+  /**
+   * Get the running workout's status ('active' or 'paused'), or null
+   */
+  getStatus() {
+    return this.workout ? this.workout.status : null;
+  }
+
+  pause(timestamp = Date.now()) {
+    if (!this.workout || this.workout.status !== 'active') {
+      return;
+    }
+    this.workout.activeMs += timestamp - this.workout.resumedAt;
+    this.workout.status = 'paused';
+  }
+
+  resume(timestamp = Date.now()) {
+    if (!this.workout || this.workout.status !== 'paused') {
+      return;
+    }
+    this.workout.status = 'active';
+    this.workout.resumedAt = timestamp;
+    // Time in zone restarts from the first sample after resuming
+    this.workout.last.timestamp = null;
+  }
+
+  /**
+   * Add a sample ({ heartRate, calories, distance }, calories and distance
+   * being today's totals)
+   */
+  addSample({ heartRate, calories, distance }, timestamp = Date.now()) {
+    const workout = this.workout;
+    if (!workout) {
+      return;
+    }
+    const { last } = workout;
+
+    if (workout.status === 'active') {
+      workout.calories += getIncrease(calories, last.calories);
+      workout.distance += getIncrease(distance, last.distance);
+
+      const elapsed = last.timestamp === null ? 0 : timestamp - last.timestamp;
+      if (last.heartRate !== null && elapsed > 0 && elapsed <= MAX_GAP_MS) {
+        workout.zoneMs[getWorkoutZone(last.heartRate, workout.zones)] +=
+          elapsed;
+      }
+
+      if (heartRate !== null && heartRate !== undefined) {
+        workout.heartRate.sum += heartRate;
+        workout.heartRate.count += 1;
+        workout.heartRate.max = Math.max(workout.heartRate.max ?? 0, heartRate);
+      }
+    }
+
+    workout.last = {
+      timestamp,
+      heartRate: heartRate ?? null,
+      calories: calories ?? last.calories,
+      distance: distance ?? last.distance,
+    };
+  }
+
+  /**
+   * Get the running workout's summary so far, or null
+   */
+  getSummary(timestamp = Date.now()) {
+    return this.workout ? summarizeWorkout(this.workout, timestamp) : null;
+  }
+
+  /**
+   * End the workout and return its summary (null when none is running)
+   */
+  end(timestamp = Date.now()) {
+    if (!this.workout) {
+      return null;
+    }
+    this.pause(timestamp);
+    this.workout.endedAt = timestamp;
+    const summary = summarizeWorkout(this.workout, timestamp);
+    this.workout = null;
+    return summary;
+  }
+}
+
+// Export singleton instance
+export default new WorkoutService();
+export { WorkoutService };
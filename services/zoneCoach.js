@@ -0,0 +1,178 @@
+// src/services/zoneCoach.js
+import { Vibration } from 'react-native';
+import Tts from 'react-native-tts';
+
+/**
+ * Zone Coach
+ * Tells an exercising user whether their heart rate is in the target zone
+ *
+ * Heart rate must stay above or below the zone for driftMs before a cue
+ * fires, so brief excursions are ignored; while it stays out a reminder
+ * follows every repeatMs, and returning to the zone gives one more cue.
+ * Cues vibrate and are spoken through the device's text-to-speech engine.
+ */
+
+export const ZONE_COACH_DEFAULTS = {
+  driftMs: 10 * 1000,
+  repeatMs: 30 * 1000,
+};
+
+export const COACHING_INTENSITIES = ['light', 'moderate', 'vigorous'];
+
+const MAX_GAP_MS = 2 * 60 * 1000;
+
+// Vibration patterns (wait, vibrate, wait, ...) so cues can be told apart
+const CUE_VIBRATIONS = {
+  above: [0, 150, 100, 150, 100, 150],
+  below: [0, 400, 200, 400],
+  inZone: [0, 100],
+};
+
+/**
+ * Where a heart rate is relative to a zone ('below', 'in' or 'above')
+ */
+export function getZonePosition(heartRate, zone) {
+  if (heartRate < zone.min) return 'below';
+  if (heartRate > zone.max) return 'above';
+  return 'in';
+}
+
+const getCueMessage = (position, heartRate, zone) => {
+  if (position === 'above') {
+    return `Heart rate ${heartRate}, above your zone. Ease off.`;
+  }
+  if (position === 'below') {
+    return `Heart rate ${heartRate}, below your zone. Pick up the pace.`;
+  }
+  return `Back in your zone, ${zone.min} to ${zone.max}.`;
+};
+
+class ZoneCoach {
+  constructor(options = {}) {
+    this.options = { ...ZONE_COACH_DEFAULTS, ...options };
+    this.cueSettings = { coachingHaptics: true, coachingSpoken: true };
+    this.setTarget(null);
+  }
+
+  /**
+   * Apply the coaching part of the user settings
+   */
+  configure({ coachingHaptics, coachingSpoken }) {
+    this.cueSettings = {
+      coachingHaptics: coachingHaptics ?? this.cueSettings.coachingHaptics,
+      coachingSpoken: coachingSpoken ?? this.cueSettings.coachingSpoken,
+    };
+  }
+
+  /**
+   * Start coaching toward a zone ({ min, max } in BPM) for an intensity
+   * (see HealthService.getTargetHeartRateZone), or stop with null
+   */
+  setTarget(intensity, zone = null) {
+    this.target = intensity && zone ? { intensity, zone } : null;
+    this.state = {
+      position: null,
+      // Since when the heart rate has been on one side of the zone, and
+      // when that was last cued
+      outsideSide: null,
+      outsideSince: null,
+      lastCueAt: null,
+      timeInZoneMs: 0,
+      last: null,
+    };
+  }
+
+  getTarget() {
+    return this.target;
+  }
+
+  /**
+   * Current position and time spent in the zone, or null when not coaching
+   */
+  getState() {
+    if (!this.target) {
+      return null;
+    }
+    const { position, timeInZoneMs } = this.state;
+    return { ...this.target, position, timeInZoneMs };
+  }
+
+  /**
+   * Feed one heart rate reading
+   * Returns the cue it caused ({ type: 'above' | 'below' | 'inZone',
+   * heartRate, message }) or null
+   */
+  update(heartRate, timestamp = Date.now()) {
+    if (!this.target || heartRate === null || heartRate === undefined) {
+      return null;
+    }
+    const { zone } = this.target;
+    const state = this.state;
+    const position = getZonePosition(heartRate, zone);
+
+    if (state.last && state.last.position === 'in') {
+      const elapsed = timestamp - state.last.timestamp;
+      if (elapsed > 0 && elapsed <= MAX_GAP_MS) {
+        state.timeInZoneMs += elapsed;
+      }
+    }
+    state.last = { position, timestamp };
+    state.position = position;
+
+    let cueType = null;
+    if (position === 'in') {
+      if (state.lastCueAt !== null) {
+        cueType = 'inZone';
+      }
+      state.outsideSide = null;
+      state.outsideSince = null;
+      state.lastCueAt = null;
+    } else {
+      if (state.outsideSide !== position) {
+        state.outsideSince = timestamp;
+        state.outsideSide = position;
+        state.lastCueAt = null;
+      }
+      const { driftMs, repeatMs } = this.options;
+      if (
+        timestamp - state.outsideSince >= driftMs &&
+        (state.lastCueAt === null || timestamp - state.lastCueAt >= repeatMs)
+      ) {
+        state.lastCueAt = timestamp;
+        cueType = position;
+      }
+    }
+
+    return cueType
+      ? {
+          type: cueType,
+          heartRate,
+          message: getCueMessage(cueType, heartRate, zone),
+        }
+      : null;
+  }
+
+  /**
+   * Vibrate and speak a cue as enabled in the settings
+   */
+  playCue(cue) {
+    try {
+      if (this.cueSettings.coachingHaptics) {
+        Vibration.vibrate(CUE_VIBRATIONS[cue.type]);
+      }
+      if (this.cueSettings.coachingSpoken) {
+        // A new cue replaces one still being spoken
+        Tts.stop();
+        Promise.resolve(Tts.speak(cue.message)).catch(error =>
+          console.error('Failed to speak coaching cue:', error),
+        );
+      }
+    } catch (error) {
+      console.error('Failed to play coaching cue:', error);
+    }
+  }
+}
+
+// Export singleton instance
+export default new ZoneCoach();
+export { ZoneCoach };